@@ -1,5 +1,6 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const mailService = require('../services/MailService');
+const sessionService = require('../services/SessionService');
 const { validationResult } = require('express-validator');
 
 // @desc    Register a new user
@@ -15,7 +16,8 @@ exports.register = async (req, res) => {
             });
         }
 
-        const { username, email, password, role = 'user' } = req.body;
+        // Everyone signs up as a passenger; staff roles are given by an admin
+        const { username, email, password } = req.body;
 
         // Check if user already exists
         let user = await User.findOne({ email });
@@ -30,23 +32,24 @@ exports.register = async (req, res) => {
         user = new User({
             username,
             email,
-            password,
-            role
+            password
         });
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Sign the new user in on this device
+        const { token, refreshToken } = await sessionService.start(user, req);
 
         res.status(201).json({
             success: true,
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 username: user.username,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                permissions: user.permissions
             }
         });
     } catch (error) {
@@ -100,17 +103,26 @@ exports.login = async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        if (user.isSuspended()) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Your account has been suspended' 
+            });
+        }
+
+        // Start a session for this device
+        const { token, refreshToken } = await sessionService.start(user, req);
 
         res.json({
             success: true,
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 username: user.username,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                permissions: user.permissions
             }
         });
     } catch (error) {
@@ -148,3 +160,358 @@ exports.getMe = async (req, res) => {
         });
     }
 };
+
+// @desc    Update the user's profile; changing the email needs the current password
+// @route   PUT /api/auth/me
+// @access  Private
+exports.updateMe = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+
+        const { username, email, currentPassword } = req.body;
+
+        if (email && email.toLowerCase() !== user.email) {
+            if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Current password is incorrect' 
+                });
+            }
+            if (await User.exists({ email: email.toLowerCase(), _id: { $ne: user._id } })) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Email is already in use' 
+                });
+            }
+            user.email = email;
+        }
+
+        if (username && username !== user.username) {
+            if (await User.exists({ username, _id: { $ne: user._id } })) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Username is already taken' 
+                });
+            }
+            user.username = username;
+        }
+
+        ['firstName', 'lastName', 'phone'].forEach(field => {
+            if (req.body[field] !== undefined) user[field] = req.body[field];
+        });
+
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            user: await User.findById(user._id).select('-password')
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Change the password after re-checking the current one
+// @route   PUT /api/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+
+        if (!(await user.comparePassword(currentPassword))) {
+            // Not 401: the session itself is still valid
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Current password is incorrect' 
+            });
+        }
+
+        if (await user.comparePassword(newPassword)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'New password must be different from the current one' 
+            });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        mailService.sendPasswordChanged(user)
+            .catch(error => console.error('Password changed email error:', error));
+
+        // Other devices are signed out; this session carries on with a
+        // token issued after the change
+        await sessionService.revokeAll(user._id, { except: req.sessionId, reason: 'Password changed' });
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            token: sessionService.accessToken(user._id, req.sessionId)
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public (rate limited)
+exports.forgotPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+        // Same answer whether or not the email is registered
+        if (user) {
+            const token = user.createPasswordResetToken();
+            await user.save();
+
+            try {
+                await mailService.sendPasswordReset(user, token, User.RESET_TOKEN_MINUTES);
+            } catch (error) {
+                user.passwordResetToken = undefined;
+                user.passwordResetExpires = undefined;
+                await user.save();
+                throw error;
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetToken: User.hashToken(req.params.token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Password reset link is invalid or has expired' 
+            });
+        }
+
+        // Saving the new password also clears the token, so it works once
+        user.password = req.body.password;
+        await user.save();
+        await sessionService.revokeAll(user._id, { reason: 'Password reset' });
+
+        mailService.sendPasswordChanged(user)
+            .catch(error => console.error('Password changed email error:', error));
+
+        res.json({
+            success: true,
+            message: 'Password has been reset, please log in with your new password'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Swap a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh-token
+// @access  Public (needs a refresh token)
+exports.refreshToken = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const { token, refreshToken } = await sessionService.refresh(req.body.refreshToken, req);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        if (error instanceof sessionService.SessionError) {
+            return res.status(401).json({ 
+                success: false, 
+                message: error.message 
+            });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    End the session a refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public (needs a refresh token)
+exports.logout = async (req, res) => {
+    try {
+        // Logging out twice, or with an expired session, is not an error
+        if (req.body.refreshToken) {
+            await sessionService.revokeByRefreshToken(req.body.refreshToken);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    List the user's signed-in sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.list(req.user.id);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => sessionService.toView(session, req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Sign one of the user's devices out
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                success: false, 
+                errors: errors.array() 
+            });
+        }
+
+        const session = await sessionService.revoke(req.user.id, req.params.id);
+        if (!session) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session not found' 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked',
+            current: session._id.toString() === String(req.sessionId)
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Sign the user out on every device, this one included
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+    try {
+        const count = await sessionService.revokeAll(req.user.id);
+
+        res.json({
+            success: true,
+            message: `Logged out of ${count} session(s)`,
+            count
+        });
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
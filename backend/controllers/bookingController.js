@@ -3,8 +3,42 @@ const Booking = require('../models/Booking');
 const Train = require('../models/Train');
 const Station = require('../models/Station');
 const User = require('../models/User');
+const seatAllocationService = require('../services/SeatAllocationService');
+const availabilityService = require('../services/AvailabilityService');
+const waitlistService = require('../services/WaitlistService');
+const trainRunService = require('../services/TrainRunService');
+const paymentService = require('../services/PaymentService');
+const refundService = require('../services/RefundService');
+const bookingChangeService = require('../services/BookingChangeService');
+const fareService = require('../services/FareService');
+const seatHoldService = require('../services/SeatHoldService');
+const quotaService = require('../services/QuotaService');
+const bookingWindowService = require('../services/BookingWindowService');
+const ticketService = require('../services/TicketService');
+const pnrStatusService = require('../services/PnrStatusService');
+const { DEFAULT_QUOTA } = require('../utils/quotaRules');
 const { validationResult } = require('express-validator');
 
+// A booking request that cannot be made as asked; the message is for the user
+class BookingRequestError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const isBookingRequestError = (error) =>
+    error instanceof BookingRequestError ||
+    error instanceof seatAllocationService.CapacityError ||
+    error instanceof quotaService.QuotaError ||
+    error instanceof bookingWindowService.BookingWindowError;
+
+// Another request changed the same booking first: a stale version on save,
+// or a write conflict between transactions
+const isConcurrentChange = (error) =>
+    error instanceof mongoose.Error.VersionError ||
+    Boolean(error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError'));
+
 // @desc    Create a new booking
 // @route   POST /api/bookings
 // @access  Private
@@ -29,12 +63,13 @@ exports.createBooking = async (req, res) => {
             fromStation, 
             toStation, 
             passengers,
+            quota = DEFAULT_QUOTA,
             paymentMethod = 'credit_card'
         } = req.body;
         
         const trainDetails = await Train.findById(train).session(session);
         if (!trainDetails) {
-            throw new Error('Train not found');
+            throw new BookingRequestError('Train not found', 404);
         }
         
         const [fromStationDetails, toStationDetails] = await Promise.all([
@@ -43,7 +78,13 @@ exports.createBooking = async (req, res) => {
         ]);
         
         if (!fromStationDetails || !toStationDetails) {
-            throw new Error('Invalid source or destination station');
+            throw new BookingRequestError('Invalid source or destination station');
+        }
+        
+        try {
+            availabilityService.getSegment(trainDetails, fromStation, toStation);
+        } catch (error) {
+            throw new BookingRequestError(error.message);
         }
         
         // Parse the journey date string in YYYY-MM-DD format (UTC)
@@ -54,10 +95,6 @@ exports.createBooking = async (req, res) => {
         // Set time to start of day in UTC
         journeyDateObj.setUTCHours(0, 0, 0, 0);
         
-        // Create end of day in UTC
-        const endOfDay = new Date(journeyDateObj);
-        endOfDay.setUTCHours(23, 59, 59, 999);
-        
         // Get day of week (0 = Sunday, 1 = Monday, etc.)
         const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
         const dayIndex = journeyDateObj.getUTCDay();
@@ -74,61 +111,87 @@ exports.createBooking = async (req, res) => {
         // Check if train runs on this day
         if (!trainDetails.runsOnDay(dayName)) {
             console.error(`Train ${trainDetails.trainNumber} does not run on ${dayName}`);
-            throw new Error(`Train does not run on ${dayName}`);
+            throw new BookingRequestError(`Train does not run on ${dayName}`);
         }
         
-        const bookedPassengersCountResult = await Booking.aggregate([
-            { 
-                $match: { 
-                    train: trainDetails._id, 
-                    journeyDate: { $gte: journeyDateObj, $lte: endOfDay },
-                    bookingStatus: { $in: ['Confirmed', 'RAC'] } 
-                } 
-            },
-            { $unwind: '$passengers' },
-            { $count: 'totalPassengers' }
-        ]).session(session);
-
-        const totalBookedSeats = bookedPassengersCountResult.length > 0 ? bookedPassengersCountResult[0].totalPassengers : 0;
-        const availableSeats = trainDetails.totalSeats - totalBookedSeats;
-
-        if (passengers.length > availableSeats) {
-            throw new Error(`Only ${availableSeats} seat(s) available`);
-        }
+        // Booking opens a set number of days ahead and closes at the
+        // scheduled departure from the boarding stop (less any cut-off),
+        // resolved from local HH:mm stop times and day offsets
+        bookingWindowService.check(trainDetails, {
+            journeyDate: journeyDateObj,
+            fromStation,
+            stationName: fromStationDetails.name
+        });
         
-        let totalFare = 0;
-        if (trainDetails.route && trainDetails.route.length > 0) {
-            const fromStop = trainDetails.route.find(s => s.station.toString() === fromStation);
-            const toStop = trainDetails.route.find(s => s.station.toString() === toStation);
-            
-            if (fromStop && toStop) {
-                const distance = Math.abs((toStop.distance || 0) - (fromStop.distance || 0));
-                totalFare = Math.ceil((distance / 100) * trainDetails.fare) * passengers.length;
-            } else {
-                totalFare = trainDetails.fare * passengers.length;
-            }
-        } else {
-            totalFare = trainDetails.fare * passengers.length;
+        // Bookings attach to the day's run, which may be cancelled or re-raked
+        const trainRun = await trainRunService.getOrCreateRun(trainDetails, journeyDateObj, session);
+        if (!trainRun.isBookable()) {
+            throw new BookingRequestError(`Train ${trainDetails.trainNumber} is cancelled on this date`);
+        }
+        if (trainRun.isChartPrepared()) {
+            throw new BookingRequestError(`Chart has been prepared for train ${trainDetails.trainNumber} on this date`);
+        }
+        const skipped = [fromStationDetails, toStationDetails].find(station => !trainRun.servesStation(station._id));
+        if (skipped) {
+            throw new BookingRequestError(`Train ${trainDetails.trainNumber} is diverted and does not call at ${skipped.name} on this date`);
         }
+        const runTrain = trainDetails.forRun(trainRun);
         
-        const passengersWithSeats = [];
-        for (let i = 0; i < passengers.length; i++) {
-            const seatNumber = `A${totalBookedSeats + i + 1}`;
-            const passenger = {
-                name: passengers[i].name,
-                age: passengers[i].age,
-                gender: passengers[i].gender,
-                seatNumber,
-                coach: 'A'
-            };
-            passengersWithSeats.push(passenger);
+        const travelClass = req.body.travelClass || runTrain.getClasses()[0];
+        if (!runTrain.getClasses().includes(travelClass)) {
+            throw new BookingRequestError(`Class ${travelClass} is not available on this train`);
         }
         
+        // Quotas other than General have their own berths, booking window
+        // and passenger rules
+        quotaService.checkBooking(runTrain, {
+            journeyDate: journeyDateObj,
+            travelClass,
+            quota,
+            passengers
+        });
+        
+        // Only bookings overlapping this from/to segment hold berths against it;
+        // passengers beyond the free berths go to RAC and then the waitlist.
+        // The user's own checkout hold is what this booking takes up.
+        const { occupancy, queue, classes } = await availabilityService.getAvailability(runTrain, journeyDateObj, {
+            fromStation,
+            toStation,
+            session,
+            holdUser: req.user.id
+        });
+        const passengersWithSeats = waitlistService.assign(runTrain, {
+            travelClass,
+            passengers,
+            occupancy,
+            queue,
+            quota
+        });
+        
+        // Each passenger is priced by class, distance, age and quota; surge
+        // pricing looks at how full the class was before this booking
+        const fareQuote = fareService.quote(runTrain, {
+            fromStation,
+            toStation,
+            travelClass,
+            passengers,
+            quota,
+            loadFactor: fareService.loadFactor(classes, travelClass)
+        });
+        passengersWithSeats.forEach((p, i) => {
+            const fare = fareQuote.passengers[i];
+            p.fare = fare.total;
+            p.concession = fare.concession ? fare.concession.code : undefined;
+            p.fareBreakdown = fare;
+        });
+        const totalFare = fareQuote.totalFare;
+        
         console.log('Creating booking with data:', {
             trainId: trainDetails._id,
             journeyDate: journeyDateObj,
             from: fromStationDetails._id,
             to: toStationDetails._id,
+            travelClass,
             passengerCount: passengers.length,
             totalFare
         });
@@ -139,25 +202,28 @@ exports.createBooking = async (req, res) => {
                 user: req.user.id,
                 train: trainDetails._id,
                 journeyDate: journeyDateObj,
+                trainRun: trainRun._id,
+                travelClass,
+                quota,
                 fromStation: fromStationDetails._id,
                 toStation: toStationDetails._id,
-                passengers: passengers.map(p => ({
-                    name: p.name,
-                    age: p.age,
-                    gender: p.gender,
-                    berthPreference: p.berthPreference,
-                    seatNumber: null, // Will be assigned later
-                    status: 'Confirmed'
-                })),
+                passengers: passengersWithSeats,
                 totalFare: totalFare,
-                bookingStatus: 'Confirmed',
                 paymentStatus: 'Pending',
-                paymentMethod: paymentMethod
+                paymentMethod: paymentMethod,
+                // Seats are released if no payment arrives by then
+                paymentDueAt: paymentService.paymentDeadline()
+            });
+            booking.refreshStatus();
+            booking.passengers.forEach(p => {
+                booking.history.push({ event: 'BOOKED', passenger: p._id, to: p.initialStatus });
             });
 
             console.log('Saving booking...');
             await booking.save({ session });
             console.log('Booking saved successfully');
+            
+            await seatHoldService.releaseUserHolds(req.user.id, trainDetails._id, journeyDateObj, session);
         
         
         await User.findByIdAndUpdate(req.user.id, {
@@ -185,6 +251,20 @@ exports.createBooking = async (req, res) => {
             await session.abortTransaction();
         }
 
+        if (isBookingRequestError(error)) {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        // Another booking took places on the same run at the same time
+        if (isConcurrentChange(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Seats on this train were being booked at the same time; please try again'
+            });
+        }
+
         const errorResponse = {
             success: false,
             message: 'Server error during booking creation.',
@@ -236,6 +316,7 @@ exports.getUserBookings = async (req, res) => {
                 code: booking.toStation.code
             },
             journeyDate: booking.journeyDate,
+            travelClass: booking.travelClass,
             bookingDate: booking.bookingTime,
             passengers: booking.passengers.map(p => ({
                 name: p.name,
@@ -243,7 +324,10 @@ exports.getUserBookings = async (req, res) => {
                 gender: p.gender,
                 seatNumber: p.seatNumber,
                 coach: p.coach,
-                status: p.status
+                berthType: p.berthType,
+                status: p.status,
+                currentStatus: p.statusLabel(),
+                initialStatus: p.initialStatus
             })),
             totalFare: booking.totalFare,
             bookingStatus: booking.bookingStatus,
@@ -298,14 +382,295 @@ exports.getBookingByPNR = async (req, res) => {
     }
 };
 
-// @desc    Cancel a booking
+// @desc    Get the status of any booking by PNR, without passenger details
+// @route   GET /api/bookings/pnr/:pnr/status
+// @access  Public (rate limited)
+exports.getPnrStatus = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    try {
+        const booking = await Booking.findOne({ pnr: req.params.pnr.toUpperCase() })
+            .populate('fromStation', 'name code')
+            .populate('toStation', 'name code');
+        
+        const train = booking && await Train.findById(booking.train);
+        if (!booking || !train) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'No booking found for this PNR' 
+            });
+        }
+        
+        const trainRun = await trainRunService.findRun(train, booking.journeyDate);
+        
+        res.json({
+            success: true,
+            data: pnrStatusService.buildStatus(booking, train, trainRun)
+        });
+    } catch (error) {
+        console.error('Get PNR status error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Cancel a booking, or only the passengers listed in the body
 // @route   PUT /api/bookings/:id/cancel
-// @access  Private
+// @access  Private (own bookings; any booking with bookings:refund)
 exports.cancelBooking = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    // The booking is read, quoted and cancelled in one transaction, so a
+    // second cancellation of the same passengers conflicts rather than
+    // refunding them twice
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let booking;
+    let quote;
+    let refund;
+    let promotions;
+    try {
+        // Users cancel their own bookings; refund staff can cancel any
+        booking = await Booking.findOne({
+            _id: req.params.id,
+            ...(!req.user.hasPermission('bookings:refund') && { user: req.user.id })
+        }).session(session);
+        
+        if (!booking) {
+            throw new BookingRequestError('Booking not found', 404);
+        }
+        
+        // Check if booking is already cancelled
+        if (booking.bookingStatus === 'Cancelled') {
+            throw new BookingRequestError('Booking is already cancelled');
+        }
+        
+        const train = await Train.findById(booking.train).session(session);
+        
+        // Cancellation charges depend on the time left before departure
+        const passengerIds = req.body && req.body.passengers;
+        quote = refundService.quote(booking, train, { passengerIds });
+        if (!quote.allowed) {
+            throw new BookingRequestError(quote.reason);
+        }
+        
+        const trainRun = train ? await trainRunService.findRun(train, booking.journeyDate) : null;
+        
+        // Update booking status; the version check fails the save if the
+        // booking changed since it was read
+        booking.cancelPassengers({ passengerIds, by: req.user.id });
+        booking.increment();
+        refund = await refundService.recordRefund(booking, quote, { session });
+        
+        await booking.save({ session });
+        
+        // Hand the released berths to the RAC/waitlist queue
+        promotions = train
+            ? await waitlistService.promote(train.forRun(trainRun), booking.journeyDate, booking.travelClass, session)
+            : [];
+        
+        await session.commitTransaction();
+        
+        // Send the money back once the cancellation is committed
+        refund = await refundService.processRefund(refund);
+        
+        res.json({
+            success: true,
+            message: booking.bookingStatus === 'Cancelled'
+                ? 'Booking cancelled successfully'
+                : `${quote.passengers.length} passenger(s) cancelled successfully`,
+            data: booking,
+            refund,
+            promotions
+        });
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        
+        if (isBookingRequestError(error)) {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (isConcurrentChange(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking was changed by another request; please check it and try again'
+            });
+        }
+        
+        console.error('Cancel booking error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Change the boarding station or journey date, keeping the PNR
+// @route   PUT /api/bookings/:id/modify
+// @access  Private
+exports.modifyBooking = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    // Read and change the booking in one transaction, so a cancellation,
+    // change or promotion racing this one conflicts instead of being lost
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        }).session(session);
+        
+        if (!booking) {
+            throw new BookingRequestError('Booking not found', 404);
+        }
+        
+        const train = await Train.findById(booking.train).session(session);
+        if (!train) {
+            throw new BookingRequestError('Train is no longer available');
+        }
+        
+        // Fail the save if the booking changed since it was read
+        booking.increment();
+        const result = await bookingChangeService.modify(booking, train, {
+            fromStation: req.body.fromStation,
+            journeyDate: req.body.journeyDate
+        }, {
+            userId: req.user.id,
+            allowWaitlist: req.body.allowWaitlist === true,
+            session
+        });
+        
+        await session.commitTransaction();
+        
+        // Send back any fare difference once the change is committed
+        const refund = await refundService.processRefund(result.refund);
+        
+        res.json({
+            success: true,
+            message: 'Booking updated successfully',
+            data: result.booking,
+            fareDifference: result.fareDifference,
+            refund,
+            promotions: result.promotions
+        });
+    } catch (error) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        
+        if (isBookingRequestError(error) || error instanceof bookingChangeService.BookingChangeError) {
+            return res.status(error.statusCode || 400).json({ 
+                success: false, 
+                message: error.message 
+            });
+        }
+        if (isConcurrentChange(error)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Booking was changed by another request; please check it and try again'
+            });
+        }
+        
+        console.error('Modify booking error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Get the audit trail of a booking
+// @route   GET /api/bookings/:id/history
+// @access  Private
+exports.getBookingHistory = async (req, res) => {
+    try {
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        })
+        .select('pnr passengers history')
+        .populate('history.by', 'username');
+        
+        if (!booking) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Booking not found' 
+            });
+        }
+        
+        const passengerName = (id) => {
+            const passenger = id && booking.passengers.id(id);
+            return passenger ? passenger.name : undefined;
+        };
+        
+        res.json({
+            success: true,
+            pnr: booking.pnr,
+            data: booking.history.map(entry => ({
+                event: entry.event,
+                field: entry.field,
+                passenger: passengerName(entry.passenger),
+                from: entry.from,
+                to: entry.to,
+                by: entry.by ? entry.by.username : undefined,
+                reason: entry.reason,
+                at: entry.at
+            }))
+        });
+    } catch (error) {
+        console.error('Get booking history error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Preview the refund for cancelling a booking or some passengers
+// @route   GET /api/bookings/:id/refund-preview?passengers=id1,id2
+// @access  Private (own bookings; any booking with bookings:refund)
+exports.previewRefund = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
     try {
         const booking = await Booking.findOne({
             _id: req.params.id,
-            user: req.user.id // Ensure user can only cancel their own bookings
+            ...(!req.user.hasPermission('bookings:refund') && { user: req.user.id })
         });
         
         if (!booking) {
@@ -315,39 +680,126 @@ exports.cancelBooking = async (req, res) => {
             });
         }
         
-        // Check if booking is already cancelled
+        const train = await Train.findById(booking.train);
+        const quote = refundService.quote(booking, train, {
+            passengerIds: req.query.passengers
+        });
+        
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        console.error('Refund preview error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Download the e-ticket of a paid booking as a PDF
+// @route   GET /api/bookings/:id/ticket.pdf
+// @access  Private
+exports.getTicket = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    try {
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        })
+        .populate('fromStation', 'name code')
+        .populate('toStation', 'name code');
+        
+        if (!booking) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Booking not found' 
+            });
+        }
+        
         if (booking.bookingStatus === 'Cancelled') {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Booking is already cancelled' 
+                message: 'Booking is cancelled' 
             });
         }
         
-        // Check if booking can be cancelled (e.g., not too close to departure)
-        const now = new Date();
-        const journeyDate = new Date(booking.journeyDate);
-        const hoursDifference = (journeyDate - now) / (1000 * 60 * 60);
-        
-        if (hoursDifference < 4) {
+        if (!refundService.isPaid(booking)) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Cannot cancel booking less than 4 hours before departure' 
+                message: 'The e-ticket is available once the booking is paid' 
             });
         }
         
-        // Update booking status
-        booking.bookingStatus = 'Cancelled';
-        booking.paymentStatus = 'Refunded'; // Simplified refund logic
+        const train = await Train.findById(booking.train).populate('route.station', 'name code');
+        if (!train) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Train not found' 
+            });
+        }
         
-        await booking.save();
+        const ticket = ticketService.buildTicket(booking, train);
+        const pdf = await ticketService.renderPdf(ticket, ticketService.sign(ticket));
+        
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="e-ticket-${booking.pnr}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('E-ticket error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Verify a scanned e-ticket QR code against the current booking
+// @route   POST /api/bookings/tickets/verify
+// @access  Private (tickets:verify)
+exports.verifyTicket = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    try {
+        let ticket;
+        try {
+            ticket = ticketService.verify(req.body.ticket);
+        } catch (error) {
+            if (!(error instanceof ticketService.TicketError)) throw error;
+            return res.status(400).json({
+                success: false,
+                valid: false,
+                message: error.message
+            });
+        }
+        
+        const booking = await Booking.findOne({ pnr: ticket.pnr })
+            .populate('fromStation', 'name code')
+            .populate('toStation', 'name code');
         
         res.json({
             success: true,
-            message: 'Booking cancelled successfully',
-            data: booking
+            data: ticketService.checkAgainstBooking(ticket, booking)
         });
     } catch (error) {
-        console.error('Cancel booking error:', error);
+        console.error('Verify ticket error:', error);
         res.status(500).json({ 
             success: false, 
             message: 'Server error' 
@@ -355,9 +807,9 @@ exports.cancelBooking = async (req, res) => {
     }
 };
 
-// @desc    Get all bookings (admin only)
+// @desc    Get all bookings (staff)
 // @route   GET /api/bookings/all
-// @access  Private/Admin
+// @access  Private (bookings:read)
 exports.getAllBookings = async (req, res) => {
     try {
         const { 
@@ -0,0 +1,70 @@
+const gtfsService = require('../services/GtfsService');
+const { validationResult } = require('express-validator');
+
+// @desc    Import a GTFS zip into stations and trains
+// @route   POST /api/gtfs/import?dryRun=true
+// @access  Private (timetable:import)
+exports.importFeed = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Upload the GTFS feed as an application/zip request body'
+        });
+    }
+
+    let feed;
+    try {
+        feed = gtfsService.readFeed(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    try {
+        const report = await gtfsService.importFeed(feed, {
+            dryRun: req.query.dryRun === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('GTFS import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Export stations and active trains as a GTFS zip
+// @route   GET /api/gtfs/export
+// @access  Private (timetable:export)
+exports.exportFeed = async (req, res) => {
+    try {
+        const feed = await gtfsService.exportFeed();
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': 'attachment; filename="gtfs.zip"'
+        });
+        res.send(feed);
+    } catch (error) {
+        console.error('GTFS export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -0,0 +1,186 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/PaymentService');
+const { validationResult } = require('express-validator');
+
+// @desc    Start paying for a booking
+// @route   POST /api/payments/intents
+// @access  Private
+exports.createPaymentIntent = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const booking = await Booking.findOne({
+            _id: req.body.booking,
+            user: req.user.id
+        });
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!paymentService.isPayable(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: booking.bookingStatus === 'Cancelled'
+                    ? 'Booking has been cancelled'
+                    : 'Booking is already paid'
+            });
+        }
+
+        const payment = await paymentService.createIntent(booking);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                _id: payment._id,
+                provider: payment.provider,
+                intentId: payment.intentId,
+                clientSecret: payment.clientSecret,
+                amount: payment.amount,
+                currency: payment.currency,
+                status: payment.status,
+                paymentDueAt: booking.paymentDueAt
+            }
+        });
+    } catch (error) {
+        console.error('Create payment intent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a payment and its booking's payment status
+// @route   GET /api/payments/:id
+// @access  Private
+exports.getPayment = async (req, res) => {
+    try {
+        const payment = await Payment.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        })
+        .select('-clientSecret -events')
+        .populate('booking', 'pnr bookingStatus paymentStatus paymentDueAt');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Get payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Receive a signed payment event from a gateway
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature checked)
+exports.handleWebhook = async (req, res) => {
+    try {
+        paymentService.getProvider(req.params.provider);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    try {
+        const rawBody = req.rawBody || JSON.stringify(req.body);
+        const payment = await paymentService.handleWebhook(req.params.provider, rawBody, req.headers);
+
+        // Acknowledge unknown intents too, so the gateway stops retrying
+        res.json({
+            success: true,
+            received: Boolean(payment)
+        });
+    } catch (error) {
+        if (error instanceof paymentService.WebhookError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Complete checkout on the mock gateway, which then calls the webhook
+// @route   POST /api/payments/mock/:intentId/complete
+// @access  Private
+exports.completeMockPayment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const payment = await Payment.findOne({
+            provider: 'mock',
+            intentId: req.params.intentId,
+            user: req.user.id
+        });
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (payment.status !== 'RequiresPayment') {
+            return res.status(400).json({
+                success: false,
+                message: `Payment is already ${payment.status.toLowerCase()}`
+            });
+        }
+
+        const provider = paymentService.getProvider('mock');
+        const { body, headers } = provider.simulate(payment.intentId, req.body.outcome || 'succeeded');
+        const updated = await paymentService.handleWebhook('mock', body, headers);
+
+        res.json({
+            success: true,
+            data: {
+                _id: updated._id,
+                status: updated.status,
+                failureReason: updated.failureReason
+            }
+        });
+    } catch (error) {
+        console.error('Mock payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
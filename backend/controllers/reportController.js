@@ -5,7 +5,7 @@ const { validationResult } = require('express-validator');
 
 // @desc    Get booking analytics
 // @route   GET /api/reports/bookings
-// @access  Private/Admin
+// @access  Private (reports:read)
 exports.getBookingAnalytics = async (req, res) => {
     try {
         const { startDate, endDate, groupBy = 'day' } = req.query;
@@ -98,7 +98,7 @@ exports.getBookingAnalytics = async (req, res) => {
 
 // @desc    Get revenue analytics
 // @route   GET /api/reports/revenue
-// @access  Private/Admin
+// @access  Private (reports:read)
 exports.getRevenueAnalytics = async (req, res) => {
     try {
         const { startDate, endDate, groupBy = 'month' } = req.query;
@@ -185,7 +185,7 @@ exports.getRevenueAnalytics = async (req, res) => {
 
 // @desc    Get train performance report
 // @route   GET /api/reports/trains
-// @access  Private/Admin
+// @access  Private (reports:read)
 exports.getTrainPerformance = async (req, res) => {
     try {
         const { limit = 10 } = req.query;
@@ -244,7 +244,7 @@ exports.getTrainPerformance = async (req, res) => {
 
 // @desc    Get station performance report
 // @route   GET /api/reports/stations
-// @access  Private/Admin
+// @access  Private (reports:read)
 exports.getStationPerformance = async (req, res) => {
     try {
         // Get station performance by number of departures and arrivals
@@ -300,7 +300,7 @@ exports.getStationPerformance = async (req, res) => {
 
 // @desc    Get system summary
 // @route   GET /api/reports/summary
-// @access  Private/Admin
+// @access  Private (reports:read)
 exports.getSystemSummary = async (req, res) => {
     try {
         // Get counts for various metrics
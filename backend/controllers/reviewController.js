@@ -178,8 +178,8 @@ exports.deleteReview = async (req, res) => {
             });
         }
         
-        // Check if user is the owner of the review or an admin
-        if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        // Check if user is the owner of the review or a moderator
+        if (review.user.toString() !== req.user.id && !req.user.hasPermission('reviews:moderate')) {
             return res.status(401).json({ 
                 success: false, 
                 message: 'Not authorized to delete this review' 
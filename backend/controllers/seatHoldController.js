@@ -0,0 +1,98 @@
+const Train = require('../models/Train');
+const seatHoldService = require('../services/SeatHoldService');
+const { validationResult } = require('express-validator');
+
+// @desc    Hold berths while the user fills in a booking
+// @route   POST /api/seat-holds
+// @access  Private
+exports.createSeatHold = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { train: trainId, journeyDate, fromStation, toStation, travelClass, quota, seats } = req.body;
+
+        const train = await Train.findById(trainId);
+        if (!train) {
+            return res.status(404).json({
+                success: false,
+                message: 'Train not found'
+            });
+        }
+
+        const hold = await seatHoldService.createHold(req.user.id, train, {
+            journeyDate,
+            fromStation,
+            toStation,
+            travelClass: travelClass || train.getClasses()[0],
+            quota,
+            seats
+        });
+
+        if (!hold) {
+            return res.json({
+                success: true,
+                data: null,
+                message: 'No berths are free to hold; the booking will be RAC or waitlisted'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: hold
+        });
+    } catch (error) {
+        if (error instanceof seatHoldService.SeatHoldError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create seat hold error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Release a hold, e.g. when the user leaves checkout
+// @route   DELETE /api/seat-holds/:id
+// @access  Private
+exports.releaseSeatHold = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const hold = await seatHoldService.releaseHold(req.params.id, req.user.id);
+
+        if (!hold) {
+            return res.status(404).json({
+                success: false,
+                message: 'Seat hold not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Seat hold released'
+        });
+    } catch (error) {
+        console.error('Release seat hold error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,4 +1,5 @@
 const Station = require('../models/Station');
+const routeGraphService = require('../services/RouteGraphService');
 const { validationResult } = require('express-validator');
 
 // @desc    Get all stations
@@ -77,7 +78,7 @@ exports.getStation = async (req, res) => {
 
 // @desc    Create new station
 // @route   POST /api/stations
-// @access  Private/Admin
+// @access  Private (stations:write)
 exports.createStation = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -88,7 +89,7 @@ exports.createStation = async (req, res) => {
             });
         }
         
-        const { code, name, city, state, zone, latitude, longitude } = req.body;
+        const { code, name, city, state, zone, latitude, longitude, minConnectionTime } = req.body;
         
         // Check if station with code already exists
         let station = await Station.findOne({ code });
@@ -111,11 +112,15 @@ exports.createStation = async (req, res) => {
                 coordinates: [longitude, latitude]
             },
             latitude,
-            longitude
+            longitude,
+            minConnectionTime
         });
         
         await station.save();
         
+        // Patch the search graph in the background
+        routeGraphService.stationChanged(station);
+        
         res.status(201).json({
             success: true,
             data: station
@@ -131,7 +136,7 @@ exports.createStation = async (req, res) => {
 
 // @desc    Update station
 // @route   PUT /api/stations/:id
-// @access  Private/Admin
+// @access  Private (stations:write)
 exports.updateStation = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -142,7 +147,7 @@ exports.updateStation = async (req, res) => {
             });
         }
         
-        const { code, name, city, state, zone, latitude, longitude } = req.body;
+        const { code, name, city, state, zone, latitude, longitude, minConnectionTime } = req.body;
         
         let station = await Station.findById(req.params.id);
         
@@ -170,6 +175,7 @@ exports.updateStation = async (req, res) => {
         if (city) station.city = city;
         if (state) station.state = state;
         if (zone) station.zone = zone;
+        if (minConnectionTime !== undefined) station.minConnectionTime = minConnectionTime;
         
         if (latitude && longitude) {
             station.latitude = latitude;
@@ -182,6 +188,9 @@ exports.updateStation = async (req, res) => {
         
         await station.save();
         
+        // Patch the search graph in the background
+        routeGraphService.stationChanged(station);
+        
         res.json({
             success: true,
             data: station
@@ -197,7 +206,7 @@ exports.updateStation = async (req, res) => {
 
 // @desc    Delete station
 // @route   DELETE /api/stations/:id
-// @access  Private/Admin
+// @access  Private (stations:write)
 exports.deleteStation = async (req, res) => {
     try {
         const station = await Station.findById(req.params.id);
@@ -225,7 +234,8 @@ exports.deleteStation = async (req, res) => {
         //     });
         // }
         
-        await station.remove();
+        await station.deleteOne();
+        routeGraphService.stationRemoved(station._id);
         
         res.json({
             success: true,
@@ -1,8 +1,19 @@
 const Train = require('../models/Train');
 const Station = require('../models/Station');
 const Booking = require('../models/Booking');
+const seatAllocationService = require('../services/SeatAllocationService');
+const availabilityService = require('../services/AvailabilityService');
+const trainRunService = require('../services/TrainRunService');
+const routeGraphService = require('../services/RouteGraphService');
+const fareService = require('../services/FareService');
+const quotaService = require('../services/QuotaService');
+const bookingWindowService = require('../services/BookingWindowService');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { DEFAULT_QUOTA } = require('../utils/quotaRules');
 const { validationResult } = require('express-validator');
 
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 // @desc    Get all trains without pagination
 // @route   GET /api/trains
 // @access  Public
@@ -84,7 +95,7 @@ exports.getTrain = async (req, res) => {
 
 // @desc    Create new train
 // @route   POST /api/trains
-// @access  Private/Admin
+// @access  Private (trains:write)
 exports.createTrain = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -105,7 +116,12 @@ exports.createTrain = async (req, res) => {
             arrivalTime,
             totalSeats,
             fare,
+            dynamicPricing,
             route,
+            timezone,
+            coaches,
+            classQuotas,
+            seatQuotas,
             daysOfOperation
         } = req.body;
         
@@ -143,12 +159,23 @@ exports.createTrain = async (req, res) => {
             totalSeats,
             availableSeats: totalSeats, // Initially available seats = total seats
             fare,
+            dynamicPricing: dynamicPricing === true,
             route: route || [],
+            ...(timezone && { timezone }),
+            coaches: coaches || [],
+            classQuotas: classQuotas || [],
+            seatQuotas: seatQuotas || [],
             daysOfOperation: daysOfOperation || []
         });
         
         await train.save();
         
+        // Open the booking horizon for the new train
+        await trainRunService.generateRuns(train);
+        
+        // Patch the search graph in the background
+        routeGraphService.trainChanged(train._id);
+        
         res.status(201).json({
             success: true,
             data: train
@@ -164,7 +191,7 @@ exports.createTrain = async (req, res) => {
 
 // @desc    Update train
 // @route   PUT /api/trains/:id
-// @access  Private/Admin
+// @access  Private (trains:write)
 exports.updateTrain = async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -185,7 +212,12 @@ exports.updateTrain = async (req, res) => {
             arrivalTime,
             totalSeats,
             fare,
+            dynamicPricing,
             route,
+            timezone,
+            coaches,
+            classQuotas,
+            seatQuotas,
             daysOfOperation
         } = req.body;
         
@@ -227,11 +259,24 @@ exports.updateTrain = async (req, res) => {
             if (train.availableSeats < 0) train.availableSeats = 0;
         }
         if (fare) train.fare = fare;
+        if (dynamicPricing !== undefined) train.dynamicPricing = dynamicPricing;
         if (route) train.route = route;
+        if (timezone) train.timezone = timezone;
+        if (coaches) train.coaches = coaches;
+        if (classQuotas) train.classQuotas = classQuotas;
+        if (seatQuotas) train.seatQuotas = seatQuotas;
         if (daysOfOperation) train.daysOfOperation = daysOfOperation;
         
         await train.save();
         
+        // Add runs for any newly added days of operation
+        if (daysOfOperation) {
+            await trainRunService.generateRuns(train);
+        }
+        
+        // Patch the search graph in the background
+        routeGraphService.trainChanged(train._id);
+        
         res.json({
             success: true,
             data: train
@@ -247,7 +292,7 @@ exports.updateTrain = async (req, res) => {
 
 // @desc    Delete train
 // @route   DELETE /api/trains/:id
-// @access  Private/Admin
+// @access  Private (trains:write)
 exports.deleteTrain = async (req, res) => {
     try {
         const train = await Train.findById(req.params.id);
@@ -269,7 +314,8 @@ exports.deleteTrain = async (req, res) => {
             });
         }
         
-        await train.remove();
+        await train.deleteOne();
+        routeGraphService.trainRemoved(train._id);
         
         res.json({
             success: true,
@@ -288,6 +334,14 @@ exports.deleteTrain = async (req, res) => {
 // @route   GET /api/trains/search
 // @access  Public
 exports.searchTrains = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+    
     try {
         const { 
             from, 
@@ -299,11 +353,15 @@ exports.searchTrains = async (req, res) => {
             limit = 10 
         } = req.query;
         
-        if (!from || !to) {
-            return res.status(400).json({
-                success: false,
-                message: 'Source and destination stations are required'
-            });
+        if (date) {
+            try {
+                bookingWindowService.checkSearchDate(date);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
         }
         
         // Convert sort order to 1 (ascending) or -1 (descending)
@@ -364,40 +422,37 @@ exports.searchTrains = async (req, res) => {
             const isDirect = train.source._id.toString() === from && 
                           train.destination._id.toString() === to;
             
-            let departureTime = train.departureTime;
-            let arrivalTime = train.arrivalTime;
-            let fare = train.fare;
+            // The search date is the boarding date at `from`; runs are keyed by
+            // the origin departure date, which is earlier for overnight stops
+            const journeyDate = train.getStartDate(from, date ? new Date(date) : new Date());
+            const fromTimes = train.getStopTimes(from, journeyDate);
+            const toTimes = train.getStopTimes(to, journeyDate);
+            const departureTime = (fromTimes && fromTimes.departureTime) || train.departureTime;
+            const arrivalTime = (toTimes && toTimes.arrivalTime) || train.arrivalTime;
             
-            // For trains with stops, calculate departure and arrival times
-            if (!isDirect) {
-                const fromStop = train.route.find(stop => 
-                    stop.station.toString() === from
-                );
-                
-                const toStop = train.route.find(stop => 
-                    stop.station.toString() === to
-                );
-                
-                if (fromStop && toStop) {
-                    departureTime = fromStop.departureTime || departureTime;
-                    arrivalTime = toStop.arrivalTime || arrivalTime;
-                    
-                    // Calculate fare based on distance (simplified)
-                    if (fromStop.distance && toStop.distance) {
-                        const distance = Math.abs(toStop.distance - fromStop.distance);
-                        fare = Math.ceil((distance / 100) * train.fare); // Simplified fare calculation
-                    }
-                }
-            }
+            // Check seat availability for the requested segment on the given date
+            const run = await trainRunService.findRun(train, journeyDate);
+            const availability = await availabilityService.getAvailability(
+                train.forRun(run),
+                journeyDate,
+                { fromStation: from, toStation: to }
+            );
+            const availableSeats = run && !run.isBookable() ? 0 : availability.availableSeats;
+            const runsOnDate = train.runsOnDay(DAY_NAMES[journeyDate.getUTCDay()]);
+            const bookingWindow = bookingWindowService.describe(train, journeyDate, from);
             
-            // Check seat availability for the given date
-            const bookings = await Booking.countDocuments({
-                train: train._id,
-                journeyDate: date ? new Date(date) : { $gte: new Date() },
-                bookingStatus: { $in: ['Confirmed', 'RAC'] }
-            });
-            
-            const availableSeats = Math.max(0, train.totalSeats - bookings);
+            // Adult fare per class; the listing shows the cheapest
+            const classes = availability.classes.map(summary => ({
+                ...summary,
+                fare: fareService.adultFare(
+                    train,
+                    from,
+                    to,
+                    summary.travelClass,
+                    fareService.loadFactor(availability.classes, summary.travelClass)
+                )
+            }));
+            const fare = Math.min(...classes.map(summary => summary.fare));
             
             return {
                 ...train.toObject(),
@@ -405,6 +460,13 @@ exports.searchTrains = async (req, res) => {
                 arrivalTime,
                 fare,
                 availableSeats,
+                classes,
+                runStatus: run ? run.status : 'Scheduled',
+                chartPrepared: Boolean(run && run.isChartPrepared()),
+                journeyDate,
+                runsOnDate,
+                bookingWindow,
+                bookable: runsOnDate && bookingWindow.isOpen && (!run || (run.isBookable() && !run.isChartPrepared())),
                 isDirect
             };
         }));
@@ -430,16 +492,119 @@ exports.searchTrains = async (req, res) => {
 // @route   GET /api/trains/:id/seats
 // @access  Public
 exports.getAvailableSeats = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+    
     try {
-        const { date } = req.query;
+        const { date, from, to, class: travelClass, quota } = req.query;
+        
+        const train = await Train.findById(req.params.id);
+        
+        if (!train) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Train not found' 
+            });
+        }
         
-        if (!date) {
+        try {
+            availabilityService.getSegment(train, from, to);
+        } catch (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Date is required'
+                message: error.message
             });
         }
         
+        // Seats held on any leg between the requested stops count as booked
+        const run = await trainRunService.findRun(train, date);
+        const runTrain = train.forRun(run);
+        const { occupancy, classes } = await availabilityService.getAvailability(runTrain, date, {
+            fromStation: from,
+            toStation: to
+        });
+        // Each quota's availability comes with its booking window
+        const classesWithQuotas = classes.map(c => ({
+            ...c,
+            quotas: c.quotas.map(q => ({
+                ...q,
+                ...quotaService.describeWindow(runTrain, date, c.travelClass, q.quota)
+            }))
+        }));
+        const selectedClasses = travelClass
+            ? classesWithQuotas.filter(c => c.travelClass === travelClass)
+            : classesWithQuotas;
+        
+        // With a quota, the totals cover only that quota's berths
+        const totals = selectedClasses.map(c => (quota ? c.quotas.find(q => q.quota === quota) : c) || {
+            totalSeats: 0,
+            availableSeats: 0
+        });
+        
+        const bookingWindow = bookingWindowService.describe(
+            runTrain,
+            trainRunService.toJourneyDate(date),
+            from || undefined
+        );
+        
+        const berthQuotas = seatAllocationService.getBerthQuotas(runTrain);
+        const seats = seatAllocationService.buildSeatMap(runTrain, travelClass).map(seat => {
+            const key = seatAllocationService.seatKey(seat.coach, seat.seatNumber);
+            return {
+                ...seat,
+                quota: berthQuotas.get(key) || DEFAULT_QUOTA,
+                status: occupancy.occupied.has(key) ? 'booked' : 'available'
+            };
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                train: train._id,
+                trainNumber: train.trainNumber,
+                trainName: train.name,
+                journeyDate: date,
+                runStatus: run ? run.status : 'Scheduled',
+                chartPrepared: Boolean(run && run.isChartPrepared()),
+                from: from || null,
+                to: to || null,
+                quota: quota || null,
+                bookingWindow,
+                totalSeats: totals.reduce((sum, c) => sum + c.totalSeats, 0),
+                availableSeats: totals.reduce((sum, c) => sum + c.availableSeats, 0),
+                classes: classesWithQuotas,
+                seats
+            }
+        });
+    } catch (error) {
+        console.error('Get available seats error:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Server error' 
+        });
+    }
+};
+
+// @desc    Get the fare breakdown between two stops, per class and fare category
+// @route   GET /api/trains/:id/fare
+// @access  Public
+exports.getFare = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+    
+    try {
+        const { date, class: travelClass, quota = DEFAULT_QUOTA } = req.query;
+        
         const train = await Train.findById(req.params.id);
         
         if (!train) {
@@ -449,58 +614,65 @@ exports.getAvailableSeats = async (req, res) => {
             });
         }
         
-        // Get all bookings for this train on the given date
-        const bookings = await Booking.find({
-            train: train._id,
-            journeyDate: new Date(date),
-            bookingStatus: { $in: ['Confirmed', 'RAC'] }
-        });
-        
-        // Get all booked seat numbers
-        const bookedSeats = [];
-        bookings.forEach(booking => {
-            booking.passengers.forEach(passenger => {
-                if (passenger.seatNumber) {
-                    bookedSeats.push(passenger.seatNumber);
-                }
+        const from = req.query.from || train.source.toString();
+        const to = req.query.to || train.destination.toString();
+        try {
+            availabilityService.getSegment(train, from, to);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
             });
-        });
+        }
         
-        // Generate available seats (simplified)
-        const totalSeats = train.totalSeats;
-        const availableSeats = [];
-        
-        for (let i = 1; i <= totalSeats; i++) {
-            const seatNumber = `A${i}`; // Simplified seat numbering
-            if (!bookedSeats.includes(seatNumber)) {
-                availableSeats.push({
-                    seatNumber,
-                    coach: 'A', // Simplified coach assignment
-                    status: 'available'
-                });
-            } else {
-                availableSeats.push({
-                    seatNumber,
-                    coach: 'A',
-                    status: 'booked'
-                });
-            }
+        // A date picks up the run's rake and, for dynamically priced
+        // trains, how full each class already is
+        const run = date ? await trainRunService.findRun(train, date) : null;
+        const runTrain = train.forRun(run);
+        const summaries = date && train.dynamicPricing
+            ? (await availabilityService.getAvailability(runTrain, date, { fromStation: from, toStation: to })).classes
+            : [];
+        
+        if (travelClass && !runTrain.getClasses().includes(travelClass)) {
+            return res.status(400).json({
+                success: false,
+                message: `Class ${travelClass} is not available on this train`
+            });
         }
         
+        const classes = (travelClass ? [travelClass] : runTrain.getClasses()).map(code => {
+            const fares = fareService.categoryFares(runTrain, {
+                fromStation: from,
+                toStation: to,
+                travelClass: code,
+                quota,
+                loadFactor: fareService.loadFactor(summaries, code)
+            });
+            return {
+                travelClass: code,
+                name: COACH_TYPES[code].name,
+                surgePercent: fares.adult.surgePercent,
+                fares
+            };
+        });
+        
         res.json({
             success: true,
             data: {
                 train: train._id,
                 trainNumber: train.trainNumber,
                 trainName: train.name,
-                journeyDate: date,
-                totalSeats: train.totalSeats,
-                availableSeats: availableSeats.filter(s => s.status === 'available').length,
-                seats: availableSeats
+                journeyDate: date || null,
+                from,
+                to,
+                distance: train.getSegmentDistance(from, to),
+                quota,
+                dynamicPricing: train.dynamicPricing,
+                classes
             }
         });
     } catch (error) {
-        console.error('Get available seats error:', error);
+        console.error('Get fare error:', error);
         res.status(500).json({ 
             success: false, 
             message: 'Server error' 
@@ -0,0 +1,356 @@
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const trainRunService = require('../services/TrainRunService');
+const availabilityService = require('../services/AvailabilityService');
+const chartService = require('../services/ChartService');
+const seatAllocationService = require('../services/SeatAllocationService');
+const { validationResult } = require('express-validator');
+
+// Shared lookup for the /:id/runs/:date routes
+const loadRun = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return null;
+    }
+
+    const train = await Train.findById(req.params.id);
+    if (!train) {
+        res.status(404).json({
+            success: false,
+            message: 'Train not found'
+        });
+        return null;
+    }
+
+    const run = await trainRunService.findRun(train, req.params.date);
+    if (!run) {
+        res.status(404).json({
+            success: false,
+            message: 'Train does not run on this date'
+        });
+        return null;
+    }
+
+    return { train, run };
+};
+
+// @desc    List runs of a train
+// @route   GET /api/trains/:id/runs
+// @access  Public
+exports.getTrainRuns = async (req, res) => {
+    try {
+        const { from, to, status } = req.query;
+
+        const query = { train: req.params.id };
+        query.journeyDate = { $gte: trainRunService.toJourneyDate(from || new Date()) };
+        if (to) query.journeyDate.$lte = trainRunService.toJourneyDate(to);
+        if (status) query.status = status;
+
+        const runs = await TrainRun.find(query).sort({ journeyDate: 1 });
+
+        res.json({
+            success: true,
+            count: runs.length,
+            data: runs
+        });
+    } catch (error) {
+        console.error('Get train runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a single run with its seat inventory
+// @route   GET /api/trains/:id/runs/:date
+// @access  Public
+exports.getTrainRun = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+        const { train, run } = loaded;
+
+        const { classes, availableSeats } = await availabilityService.getAvailability(
+            train.forRun(run),
+            run.journeyDate
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...run.toObject(),
+                inventory: {
+                    availableSeats,
+                    classes
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get train run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Generate runs over the booking horizon
+// @route   POST /api/trains/:id/runs/generate
+// @access  Private (trains:write)
+exports.generateTrainRuns = async (req, res) => {
+    try {
+        const train = await Train.findById(req.params.id);
+        if (!train) {
+            return res.status(404).json({
+                success: false,
+                message: 'Train not found'
+            });
+        }
+
+        const created = await trainRunService.generateRuns(train, {
+            ...(req.body.days && { days: Number(req.body.days) })
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { created }
+        });
+    } catch (error) {
+        console.error('Generate train runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Cancel a single run and flag its bookings for refund
+// @route   PUT /api/trains/:id/runs/:date/cancel
+// @access  Private (runs:manage)
+exports.cancelTrainRun = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+
+        if (loaded.run.status === 'Cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Train run is already cancelled'
+            });
+        }
+
+        const { run, flagged } = await trainRunService.cancelRun(loaded.run, {
+            reason: req.body.reason,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Train run cancelled, ${flagged} booking(s) flagged for refund`,
+            data: run
+        });
+    } catch (error) {
+        console.error('Cancel train run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Reschedule the departure of a single run
+// @route   PUT /api/trains/:id/runs/:date/reschedule
+// @access  Private (runs:manage)
+exports.rescheduleTrainRun = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+
+        if (loaded.run.status === 'Cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot reschedule a cancelled train run'
+            });
+        }
+
+        const { run, delayMinutes, flagged } = await trainRunService.rescheduleRun(loaded.run, loaded.train, {
+            departureTime: req.body.departureTime,
+            reason: req.body.reason,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Train run rescheduled by ${delayMinutes} minute(s), ${flagged} booking(s) flagged for refund`,
+            data: run
+        });
+    } catch (error) {
+        if (error instanceof trainRunService.TrainRunError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Reschedule train run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Divert a single run away from some of its intermediate stops
+// @route   PUT /api/trains/:id/runs/:date/divert
+// @access  Private (runs:manage)
+exports.divertTrainRun = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+
+        if (loaded.run.status === 'Cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot divert a cancelled train run'
+            });
+        }
+
+        const { run, flagged } = await trainRunService.divertRun(loaded.run, loaded.train, {
+            skippedStations: req.body.skippedStations,
+            reason: req.body.reason,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Train run diverted, ${flagged} booking(s) flagged for refund`,
+            data: run
+        });
+    } catch (error) {
+        if (error instanceof trainRunService.TrainRunError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Divert train run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Change the coach composition of a single run
+// @route   PUT /api/trains/:id/runs/:date/rake
+// @access  Private (runs:manage)
+exports.reRakeTrainRun = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+
+        if (loaded.run.isChartPrepared()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Chart has already been prepared for this run'
+            });
+        }
+
+        const { run, moves } = await trainRunService.reRake(loaded.run, req.body.coaches, {
+            reason: req.body.reason,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Coach composition changed, ${moves.length} passenger(s) moved to new berths`,
+            data: { run, moves }
+        });
+    } catch (error) {
+        if (error instanceof seatAllocationService.CapacityError) {
+            return res.status(409).json({
+                success: false,
+                message: `The new composition has no room for every passenger: ${error.message}`
+            });
+        }
+        console.error('Re-rake train run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Prepare the reservation chart now: final berth allotment, and
+//          waitlisted passengers cancelled with a full refund
+// @route   POST /api/trains/:id/runs/:date/chart
+// @access  Private (charts:prepare)
+exports.prepareChart = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+
+        const { run, promotions, notConfirmed, refunds } = await chartService.prepare(loaded.run, {
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Chart prepared: ${promotions.length} passenger(s) moved up, ${notConfirmed.length} not confirmed and refunded`,
+            data: {
+                run,
+                promotions,
+                notConfirmed,
+                refunds: refunds.length
+            }
+        });
+    } catch (error) {
+        if (error instanceof chartService.ChartError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Prepare chart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the coach-wise reservation chart, as JSON or ?format=csv
+// @route   GET /api/trains/:id/runs/:date/chart
+// @access  Private (charts:read)
+exports.getChart = async (req, res) => {
+    try {
+        const loaded = await loadRun(req, res);
+        if (!loaded) return;
+        const { train, run } = loaded;
+
+        const chart = await chartService.getChart(train, run);
+
+        if (req.query.format === 'csv') {
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="chart-${train.trainNumber}-${chart.journeyDate}.csv"`
+            });
+            return res.send(chartService.toCsv(chart));
+        }
+
+        res.json({
+            success: true,
+            data: chart
+        });
+    } catch (error) {
+        console.error('Get chart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
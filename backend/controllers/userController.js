@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const sessionService = require('../services/SessionService');
+const { validationResult } = require('express-validator');
+
+// Fields an admin never gets to see
+const HIDDEN_FIELDS = '-password -passwordResetToken -passwordResetExpires';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether taking this admin away would leave no active admin
+const isLastAdmin = async (user) => {
+    if (user.role !== 'admin' || user.isSuspended()) return false;
+    const others = await User.countDocuments({ role: 'admin', status: { $ne: 'suspended' }, _id: { $ne: user._id } });
+    return others === 0;
+};
+
+// Bookings by status, what they paid, what is still to travel, and the
+// latest few
+const bookingSummary = async (userId) => {
+    const byStatus = await Booking.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId) } },
+        {
+            $group: {
+                _id: '$bookingStatus',
+                count: { $sum: 1 },
+                amount: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'Completed'] }, '$totalFare', 0] } }
+            }
+        }
+    ]);
+    const upcoming = await Booking.countDocuments({
+        user: userId,
+        bookingStatus: { $ne: 'Cancelled' },
+        journeyDate: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
+    });
+    const recent = await Booking.find({ user: userId })
+        .select('pnr train journeyDate fromStation toStation travelClass bookingStatus paymentStatus totalFare bookingTime')
+        .populate('train', 'trainNumber name')
+        .populate('fromStation', 'name code')
+        .populate('toStation', 'name code')
+        .sort({ bookingTime: -1 })
+        .limit(5);
+
+    return {
+        total: byStatus.reduce((total, group) => total + group.count, 0),
+        byStatus: Object.fromEntries(byStatus.map(group => [group._id, group.count])),
+        amountPaid: byStatus.reduce((total, group) => total + group.amount, 0),
+        upcoming,
+        recent
+    };
+};
+
+// How many reviews, their average rating, and the latest few
+const reviewSummary = async (userId) => {
+    const [stats] = await Review.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, count: { $sum: 1 }, averageRating: { $avg: '$rating' } } }
+    ]);
+    const recent = await Review.find({ user: userId })
+        .select('train rating title journeyDate createdAt')
+        .populate('train', 'trainNumber name')
+        .sort({ createdAt: -1 })
+        .limit(5);
+
+    return {
+        count: stats ? stats.count : 0,
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : null,
+        recent
+    };
+};
+
+// @desc    List users, with search by name or email
+// @route   GET /api/users
+// @access  Private (users:read)
+exports.getUsers = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { search, role, status, page = 1, limit = 10 } = req.query;
+
+        const query = {};
+        if (search) {
+            const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+            query.$or = [
+                { username: pattern },
+                { email: pattern },
+                { firstName: pattern },
+                { lastName: pattern }
+            ];
+        }
+        if (role) query.role = role;
+        // Users from before suspension existed have no status
+        if (status) query.status = status === 'active' ? { $ne: 'suspended' } : status;
+
+        const users = await User.find(query)
+            .select(`${HIDDEN_FIELDS} -bookings`)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const count = await User.countDocuments(query);
+
+        res.json({
+            success: true,
+            count: users.length,
+            total: count,
+            totalPages: Math.ceil(count / limit),
+            currentPage: Number(page),
+            data: users
+        });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a user with their booking and review summaries
+// @route   GET /api/users/:id
+// @access  Private (users:read)
+exports.getUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id)
+            .select(`${HIDDEN_FIELDS} -bookings`)
+            .populate('suspendedBy', 'username email');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                bookings: await bookingSummary(user._id),
+                reviews: await reviewSummary(user._id),
+                activeSessions: (await sessionService.list(user._id)).length
+            }
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (users:manage)
+exports.updateUserRole = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { role } = req.body;
+
+        // An admin demoting themselves could lock everyone out
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+        if (role !== 'admin' && await isLastAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one active admin is required'
+            });
+        }
+
+        user.role = role;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: `Role changed to ${role}`,
+            data: await User.findById(user._id).select(`${HIDDEN_FIELDS} -bookings`)
+        });
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Suspend or reactivate a user; suspending signs them out everywhere
+// @route   PUT /api/users/:id/status
+// @access  Private (users:manage)
+exports.updateUserStatus = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { status, reason } = req.body;
+
+        if (status === 'suspended') {
+            if (user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot suspend your own account'
+                });
+            }
+            if (await isLastAdmin(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one active admin is required'
+                });
+            }
+
+            user.status = 'suspended';
+            user.suspendedAt = new Date();
+            user.suspendedReason = reason;
+            user.suspendedBy = req.user._id;
+            await user.save();
+            await sessionService.revokeAll(user._id, { reason: 'Account suspended' });
+        } else {
+            user.status = 'active';
+            user.suspendedAt = undefined;
+            user.suspendedReason = undefined;
+            user.suspendedBy = undefined;
+            await user.save();
+        }
+
+        res.json({
+            success: true,
+            message: status === 'suspended' ? 'User suspended' : 'User reactivated',
+            data: await User.findById(user._id).select(`${HIDDEN_FIELDS} -bookings`)
+        });
+    } catch (error) {
+        console.error('Update user status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a user who has never booked; their reviews and sessions go too
+// @route   DELETE /api/users/:id
+// @access  Private (users:manage)
+exports.deleteUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account'
+            });
+        }
+        if (await isLastAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one active admin is required'
+            });
+        }
+
+        // Bookings, payments and refunds point at the user, so anyone who
+        // has booked is kept for the record
+        const bookings = await Booking.countDocuments({ user: user._id });
+        if (bookings > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `User has ${bookings} booking(s) on record; suspend the account instead`
+            });
+        }
+
+        await Review.deleteMany({ user: user._id });
+        await Review.updateMany(
+            { $or: [{ likes: user._id }, { dislikes: user._id }] },
+            { $pull: { likes: user._id, dislikes: user._id } }
+        );
+        await Session.deleteMany({ user: user._id });
+        await user.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'User deleted'
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
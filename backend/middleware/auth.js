@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/SessionService');
 
 // Middleware to verify JWT token
 exports.protect = async (req, res, next) => {
@@ -22,6 +23,14 @@ exports.protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
+        // Tokens belong to a session, and stop working once it is revoked
+        if (!decoded.sid || !(await sessionService.isActive(decoded.sid, decoded.id))) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Session has ended, please log in again' 
+            });
+        }
+        
         // Get user from the token
         req.user = await User.findById(decoded.id).select('-password');
         
@@ -32,6 +41,21 @@ exports.protect = async (req, res, next) => {
             });
         }
         
+        if (req.user.isSuspended()) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Your account has been suspended' 
+            });
+        }
+        
+        if (req.user.changedPasswordAfter(decoded.iat)) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Password was changed, please log in again' 
+            });
+        }
+        
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -42,23 +66,14 @@ exports.protect = async (req, res, next) => {
     }
 };
 
-// Middleware to check if user is admin
-exports.admin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
+// Middleware to check that the user's role grants a permission; use after protect
+exports.authorize = (permission) => (req, res, next) => {
+    if (req.user && req.user.hasPermission(permission)) {
         next();
     } else {
         return res.status(403).json({ 
             success: false, 
-            message: 'Not authorized as an admin' 
+            message: `Not authorized: requires the ${permission} permission` 
         });
     }
 };
-
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
-    });
-};
-
-exports.generateToken = generateToken;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key's response is kept for replay
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const windowHours = () => Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_WINDOW_HOURS;
+
+const hashBody = (req) => crypto.createHash('sha256')
+    .update(req.rawBody || JSON.stringify(req.body || {}))
+    .digest('hex');
+
+// Store the response for the key; server errors free the key instead so
+// the client can retry them
+const saveResponse = (record, statusCode, body) => {
+    if (statusCode >= 500) {
+        return IdempotencyKey.deleteOne({ _id: record._id });
+    }
+    return IdempotencyKey.updateOne({ _id: record._id }, {
+        status: 'Completed',
+        responseStatus: statusCode,
+        responseBody: JSON.parse(JSON.stringify(body))
+    });
+};
+
+// Middleware honouring an Idempotency-Key header (use after protect). The
+// first request with a key runs as normal and its response is stored;
+// retries with the same key and body get that response back without running
+// again. Requests without the header are not affected.
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const method = req.method;
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = hashBody(req);
+
+    try {
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                user: req.user.id,
+                method,
+                path,
+                requestHash,
+                expiresAt: new Date(Date.now() + windowHours() * 60 * 60 * 1000)
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+            // Expired keys the TTL monitor has not removed yet are free again
+            if (!existing || existing.expiresAt <= new Date()) {
+                if (existing) await IdempotencyKey.deleteOne({ _id: existing._id });
+                return idempotent(req, res, next);
+            }
+
+            if (!existing.matches(method, path, requestHash)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Idempotency-Key has already been used for a different request'
+                });
+            }
+
+            if (existing.status === 'Processing') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Send the response only once it is stored, so a retry after it
+        // arrives always finds it
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            saveResponse(record, res.statusCode, body)
+                .catch(error => console.error('Idempotency key save error:', error))
+                .finally(() => json(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+exports.idempotent = idempotent;
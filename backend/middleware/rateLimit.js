@@ -0,0 +1,47 @@
+const RateLimit = require('../models/RateLimit');
+
+// Middleware factory limiting each client to `max` requests per fixed window
+// of `windowMinutes`. Clients are told their allowance in RateLimit-*
+// headers and get 429 with Retry-After once it is used up. `max` may be a
+// function so limits can be read from the environment per request.
+const rateLimit = ({ name, windowMinutes, max, keyGenerator = (req) => req.ip }) => async (req, res, next) => {
+    const windowMs = windowMinutes * 60 * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const limit = typeof max === 'function' ? max() : max;
+
+    let count;
+    try {
+        const counter = await RateLimit.findOneAndUpdate(
+            { key: `${name}:${keyGenerator(req)}:${windowStart}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+            { upsert: true, new: true }
+        );
+        count = counter.count;
+    } catch (error) {
+        // Fail open: a counter outage should not take the endpoint down
+        console.error('Rate limit error:', error);
+        return next();
+    }
+
+    const resetSeconds = Math.ceil((resetAt - now) / 1000);
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(limit - count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > limit) {
+        const minutes = Math.ceil(resetSeconds / 60);
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+            success: false,
+            message: `Too many requests, please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+        });
+    }
+
+    next();
+};
+
+exports.rateLimit = rateLimit;
@@ -1,4 +1,82 @@
 const mongoose = require('mongoose');
+const { COACH_TYPES, BERTH_PREFERENCES } = require('../utils/coachLayouts');
+const { QUOTAS, DEFAULT_QUOTA } = require('../utils/quotaRules');
+
+const PASSENGER_STATUSES = ['CNF', 'RAC', 'WL', 'CAN'];
+
+const passengerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    age: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 120
+    },
+    gender: {
+        type: String,
+        enum: ['M', 'F', 'O'],
+        required: true
+    },
+    berthPreference: {
+        type: String,
+        enum: BERTH_PREFERENCES,
+        default: 'NA'
+    },
+    seatNumber: String,
+    coach: String,
+    berthType: String,
+    status: {
+        type: String,
+        enum: PASSENGER_STATUSES,
+        default: 'CNF'
+    },
+    racNumber: Number,
+    waitlistNumber: Number,
+    // Fare charged for this passenger; older bookings split totalFare evenly
+    fare: {
+        type: Number,
+        min: 0
+    },
+    // Age concession applied to the fare, e.g. 'CHILD' or 'SENIOR'
+    concession: String,
+    // Components of the fare when it was set (see FareService.passengerFare);
+    // missing on older bookings
+    fareBreakdown: {
+        baseFare: Number,
+        concessionAmount: Number,
+        quotaCharge: Number,
+        surgeAmount: Number,
+        reservationCharge: Number,
+        superfastCharge: Number,
+        gst: Number
+    },
+    // Status label at the time of booking, e.g. "WL 12" or "CNF B2/34"
+    initialStatus: String
+});
+
+// Status label for a passenger, e.g. "CNF B2/34", "RAC 3" or "WL 12"
+const formatPassengerStatus = (passenger) => {
+    switch (passenger.status) {
+        case 'RAC':
+            return `RAC ${passenger.racNumber}`;
+        case 'WL':
+            return `WL ${passenger.waitlistNumber}`;
+        case 'CAN':
+            return 'CAN';
+        default:
+            return passenger.coach && passenger.seatNumber
+                ? `CNF ${passenger.coach}/${passenger.seatNumber}`
+                : 'CNF';
+    }
+};
+
+passengerSchema.methods.statusLabel = function() {
+    return formatPassengerStatus(this);
+};
 
 const bookingSchema = new mongoose.Schema({
     pnr: {
@@ -22,26 +100,22 @@ const bookingSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
-    passengers: [{
-        name: {
-            type: String,
-            required: true,
-            trim: true
-        },
-        age: {
-            type: Number,
-            required: true,
-            min: 1,
-            max: 120
-        },
-        gender: {
-            type: String,
-            enum: ['M', 'F', 'O'],
-            required: true
-        },
-        seatNumber: String,
-        coach: String
-    }],
+    trainRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TrainRun'
+    },
+    travelClass: {
+        type: String,
+        enum: Object.keys(COACH_TYPES),
+        default: 'GEN'
+    },
+    // Reservation quota the berths were booked under, e.g. 'TQ' for Tatkal
+    quota: {
+        type: String,
+        enum: Object.keys(QUOTAS),
+        default: DEFAULT_QUOTA
+    },
+    passengers: [passengerSchema],
     fromStation: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Station',
@@ -68,11 +142,43 @@ const bookingSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['Pending', 'Completed', 'Failed', 'Refunded'],
+        enum: ['Pending', 'Completed', 'Failed', 'Refunded', 'PartiallyRefunded'],
         default: 'Pending'
     },
     paymentId: String,
-    paymentMethod: String
+    paymentMethod: String,
+    // Unpaid bookings release their seats after this; unset once paid
+    paymentDueAt: Date,
+    cancellationReason: String,
+    // Set when the run is cancelled or heavily delayed
+    refundDue: {
+        type: Boolean,
+        default: false
+    },
+    refundReason: String,
+    // Audit trail of every change to the booking
+    history: [{
+        event: {
+            type: String,
+            enum: ['BOOKED', 'CANCELLED', 'PROMOTED', 'MODIFIED'],
+            required: true
+        },
+        passenger: mongoose.Schema.Types.ObjectId,
+        // What a MODIFIED entry changed: fromStation, journeyDate, seat or fare
+        field: String,
+        from: String,
+        to: String,
+        // User who made the change; unset for system changes
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true
 });
@@ -81,6 +187,7 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ pnr: 1 }, { unique: true });
 bookingSchema.index({ user: 1 });
 bookingSchema.index({ train: 1, journeyDate: 1 });
+bookingSchema.index({ paymentStatus: 1, paymentDueAt: 1 });
 
 // IMPORTANT: The following index was removed because it was causing duplicate key errors
 // when seatNumber and coach were null. If you need to add it back in the future,
@@ -121,13 +228,42 @@ bookingSchema.statics.generateUniquePNR = async function(session) {
     return pnr;
 };
 
-// Method to check if booking can be cancelled
-bookingSchema.methods.canBeCancelled = function() {
-    const now = new Date();
-    const journeyDate = new Date(this.journeyDate);
-    const hoursDifference = (journeyDate - now) / (1000 * 60 * 60);
-    
-    return hoursDifference > 4; // Can cancel up to 4 hours before departure
+bookingSchema.statics.formatPassengerStatus = formatPassengerStatus;
+
+// Derive the booking-level status from the passengers' current statuses
+bookingSchema.methods.refreshStatus = function() {
+    const statuses = this.passengers.map(p => p.status || 'CNF');
+    if (statuses.every(status => status === 'CAN')) {
+        this.bookingStatus = 'Cancelled';
+    } else if (statuses.includes('WL')) {
+        this.bookingStatus = 'Waiting';
+    } else if (statuses.includes('RAC')) {
+        this.bookingStatus = 'RAC';
+    } else {
+        this.bookingStatus = 'Confirmed';
+    }
+    return this.bookingStatus;
+};
+
+// Method to cancel passengers still holding a place on the booking; all of
+// them unless passengerIds is given
+bookingSchema.methods.cancelPassengers = function({ passengerIds, reason, by } = {}) {
+    const selected = (p) => !passengerIds || passengerIds.some(id => id.toString() === p._id.toString());
+
+    this.passengers.forEach(p => {
+        if (p.status !== 'CAN' && selected(p)) {
+            this.history.push({ event: 'CANCELLED', passenger: p._id, from: p.statusLabel(), to: 'CAN', by, reason });
+            p.status = 'CAN';
+        }
+    });
+    if (reason && this.passengers.every(p => p.status === 'CAN')) this.cancellationReason = reason;
+    return this.refreshStatus();
+};
+
+// Method to get the fare charged for one passenger
+bookingSchema.methods.passengerFare = function(passenger) {
+    if (passenger.fare !== undefined && passenger.fare !== null) return passenger.fare;
+    return Math.round(this.totalFare / this.passengers.length * 100) / 100;
 };
 
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// The first response to a request sent with an Idempotency-Key header,
+// replayed when the same request is retried with the same key
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    // Keys are scoped to the user who sent them
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the request body, to spot a key reused for another request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Processing', 'Completed'],
+        default: 'Processing'
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB's TTL monitor removes keys once the replay window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether a retry is the same request as the original
+idempotencyKeySchema.methods.matches = function(method, path, requestHash) {
+    return this.method === method && this.path === path && this.requestHash === requestHash;
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
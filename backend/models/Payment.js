@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['RequiresPayment', 'Succeeded', 'Failed', 'Expired'];
+
+const paymentSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Adapter name, e.g. 'mock'
+    provider: {
+        type: String,
+        required: true
+    },
+    // The provider's own id for the payment intent
+    intentId: {
+        type: String,
+        required: true
+    },
+    clientSecret: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'RequiresPayment'
+    },
+    failureReason: String,
+    // Webhook events already applied, so redelivered events are ignored
+    events: [{
+        eventId: {
+            type: String,
+            required: true
+        },
+        type: {
+            type: String
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ provider: 1, intentId: 1 }, { unique: true });
+paymentSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Requests counted for one client in one fixed rate-limit window. Kept in
+// the database so every server instance shares the same count.
+const rateLimitSchema = new mongoose.Schema({
+    // Limiter name, client key and window start, e.g. "pnr-status:1.2.3.4:1718841600000"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB's TTL monitor removes counters once their window has passed
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
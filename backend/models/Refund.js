@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    // Missing when the booking was paid outside the payment gateway
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    charges: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reason: String,
+    // Per-passenger breakdown, as quoted at cancellation time
+    passengers: [{
+        passenger: mongoose.Schema.Types.ObjectId,
+        name: String,
+        status: String,
+        fare: Number,
+        charge: Number,
+        refund: Number,
+        rule: String
+    }],
+    status: {
+        type: String,
+        enum: ['Pending', 'Processed', 'Failed'],
+        default: 'Pending'
+    },
+    provider: String,
+    providerRefundId: String,
+    failureReason: String,
+    processedAt: Date
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
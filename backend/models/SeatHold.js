@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { QUOTAS, DEFAULT_QUOTA } = require('../utils/quotaRules');
+
+// Berths set aside for one user while they fill in a booking. A hold is a
+// count of berths in a class on a segment, not particular berths; they are
+// assigned when the booking is made.
+const seatHoldSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: true
+    },
+    // Origin departure date of the run, like Booking.journeyDate
+    journeyDate: {
+        type: Date,
+        required: true
+    },
+    travelClass: {
+        type: String,
+        enum: Object.keys(COACH_TYPES),
+        required: true
+    },
+    quota: {
+        type: String,
+        enum: Object.keys(QUOTAS),
+        default: DEFAULT_QUOTA
+    },
+    fromStation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station',
+        required: true
+    },
+    toStation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station',
+        required: true
+    },
+    seats: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Availability ignores expired holds straight away; MongoDB's TTL monitor
+// deletes them shortly after
+seatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+seatHoldSchema.index({ train: 1, journeyDate: 1 });
+seatHoldSchema.index({ user: 1 });
+
+// Method to check whether the hold still counts against availability
+seatHoldSchema.methods.isActive = function(now = new Date()) {
+    return this.expiresAt > now;
+};
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id and stop
+// working once it is revoked; the refresh token is rotated on every use
+// and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The refresh token this one replaced, to spot a stolen token being reused
+    previousTokenHash: {
+        type: String,
+        index: true
+    },
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Pushed back on every refresh, so idle sessions lapse
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB's TTL monitor removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Transfer time assumed at stations without their own minimum
+const DEFAULT_MIN_CONNECTION_TIME = 15;
+
 const stationSchema = new mongoose.Schema({
     code: {
         type: String,
@@ -34,6 +37,12 @@ const stationSchema = new mongoose.Schema({
     longitude: {
         type: Number,
         required: true
+    },
+    // Minutes needed to change trains here, used by the journey planner
+    minConnectionTime: {
+        type: Number,
+        min: 0,
+        default: DEFAULT_MIN_CONNECTION_TIME
     }
 }, {
     timestamps: true
@@ -61,4 +70,6 @@ stationSchema.statics.findNearby = function(longitude, latitude, maxDistance = 1
 // Add 2dsphere index for geospatial queries
 stationSchema.index({ location: '2dsphere' });
 
+stationSchema.statics.DEFAULT_MIN_CONNECTION_TIME = DEFAULT_MIN_CONNECTION_TIME;
+
 module.exports = mongoose.model('Station', stationSchema);
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { COACH_TYPES, getCoachCapacity } = require('../utils/coachLayouts');
+const { QUOTAS, DEFAULT_QUOTA } = require('../utils/quotaRules');
+const {
+    DEFAULT_TIMEZONE,
+    TIME_PATTERN,
+    parseTime,
+    zonedTimeToUtc,
+    inferDayOffsets
+} = require('../utils/timeUtils');
+
+// Waitlist length allowed per class when a train has no explicit quota
+const DEFAULT_WAITLIST_LIMIT = 100;
 
 const trainSchema = new mongoose.Schema({
     trainNumber: {
@@ -45,26 +57,109 @@ const trainSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Base fare per 100 km in unreserved (GEN) class; see utils/fareRules.js
     fare: {
         type: Number,
         required: true,
         min: 0
     },
+    // Raise fares as the train fills up (see SURGE_STEPS in utils/fareRules.js)
+    dynamicPricing: {
+        type: Boolean,
+        default: false
+    },
     route: [{
         station: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Station',
             required: true
         },
-        arrivalTime: Date,
-        departureTime: Date,
+        // Local wall-clock times ('HH:mm') in the train's timezone
+        arrival: {
+            type: String,
+            match: [TIME_PATTERN, 'Arrival must be in HH:mm format']
+        },
+        departure: {
+            type: String,
+            match: [TIME_PATTERN, 'Departure must be in HH:mm format']
+        },
         distance: Number,
+        // Days after the origin departure date on which the train reaches
+        // this stop; departure rolls over too if it is earlier than arrival
         day: {
             type: Number,
             min: 0,
             default: 0
         }
     }],
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE
+    },
+    coaches: [{
+        code: {
+            type: String,
+            required: true,
+            trim: true,
+            uppercase: true
+        },
+        coachType: {
+            type: String,
+            enum: Object.keys(COACH_TYPES).filter(type => type !== 'GEN'),
+            required: true
+        },
+        berths: {
+            type: Number,
+            min: 1
+        }
+    }],
+    classQuotas: [{
+        travelClass: {
+            type: String,
+            enum: Object.keys(COACH_TYPES),
+            required: true
+        },
+        // Side-lower berths held back from confirmed allocation; each is
+        // shared by two RAC passengers
+        racBerths: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        waitlistLimit: {
+            type: Number,
+            min: 0,
+            default: DEFAULT_WAITLIST_LIMIT
+        }
+    }],
+    // Berths per class set aside for quotas other than General (see
+    // utils/quotaRules.js); opensDaysBefore/opensAt override the quota's
+    // default booking window for this train
+    seatQuotas: [{
+        quota: {
+            type: String,
+            enum: Object.keys(QUOTAS).filter(code => code !== DEFAULT_QUOTA),
+            required: true
+        },
+        travelClass: {
+            type: String,
+            enum: Object.keys(COACH_TYPES),
+            required: true
+        },
+        berths: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        opensDaysBefore: {
+            type: Number,
+            min: 0
+        },
+        opensAt: {
+            type: String,
+            match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+        }
+    }],
     daysOfOperation: [{
         type: String,
         enum: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
@@ -84,6 +179,148 @@ trainSchema.index({ trainNumber: 1 });
 trainSchema.index({ source: 1, destination: 1 });
 trainSchema.index({ 'route.station': 1 });
 
+// Fill in day offsets for overnight schedules entered without them
+trainSchema.pre('validate', function(next) {
+    if (this.isModified('route') && this.route.length > 0) {
+        try {
+            inferDayOffsets(this.route);
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+});
+
+// Keep totalSeats in step with the coach composition when one is defined
+trainSchema.pre('validate', function(next) {
+    if (this.coaches && this.coaches.length > 0) {
+        const capacity = this.coaches.reduce((sum, coach) => sum + getCoachCapacity(coach), 0);
+        if (this.isNew) {
+            this.availableSeats = capacity;
+        }
+        this.totalSeats = capacity;
+    }
+    next();
+});
+
+// Method to get the coach composition, falling back to a single legacy coach
+trainSchema.methods.getCoaches = function() {
+    if (this.coaches && this.coaches.length > 0) {
+        return this.coaches.map(coach => ({
+            code: coach.code,
+            coachType: coach.coachType,
+            berths: getCoachCapacity(coach)
+        }));
+    }
+    return [{ code: 'A', coachType: 'GEN', berths: this.totalSeats }];
+};
+
+// Method to get a copy of the train carrying a run's re-raked composition
+trainSchema.methods.forRun = function(run) {
+    if (!run || !run.coaches || run.coaches.length === 0) return this;
+
+    const view = this.constructor.hydrate(this.toObject());
+    view.coaches = run.coaches.map(coach => ({
+        code: coach.code,
+        coachType: coach.coachType,
+        berths: coach.berths
+    }));
+    return view;
+};
+
+// Method to list the travel classes offered, in coach order
+trainSchema.methods.getClasses = function() {
+    return [...new Set(this.getCoaches().map(coach => coach.coachType))];
+};
+
+// Method to get the RAC/waitlist quota for a travel class
+trainSchema.methods.getQuota = function(travelClass) {
+    const quota = (this.classQuotas || []).find(q => q.travelClass === travelClass);
+    return {
+        racBerths: quota ? quota.racBerths : 0,
+        waitlistLimit: quota ? quota.waitlistLimit : DEFAULT_WAITLIST_LIMIT
+    };
+};
+
+// Method to list the quotas with berths set aside in a travel class
+trainSchema.methods.getSeatQuotas = function(travelClass) {
+    return (this.seatQuotas || []).filter(q => q.travelClass === travelClass);
+};
+
+// Method to materialise the stop times for a run starting on journeyDate
+// (the origin departure date, 'YYYY-MM-DD' or midnight UTC)
+trainSchema.methods.getSchedule = function(journeyDate) {
+    const timeZone = this.timezone || DEFAULT_TIMEZONE;
+
+    return this.route.map(stop => {
+        const arrival = parseTime(stop.arrival);
+        const departure = parseTime(stop.departure);
+        const day = stop.day || 0;
+        const departureDay = arrival !== null && departure !== null && departure < arrival ? day + 1 : day;
+
+        return {
+            station: stop.station,
+            distance: stop.distance,
+            day,
+            departureDay,
+            arrival: stop.arrival || null,
+            departure: stop.departure || null,
+            arrivalTime: arrival !== null ? zonedTimeToUtc(journeyDate, arrival, day, timeZone) : null,
+            departureTime: departure !== null ? zonedTimeToUtc(journeyDate, departure, departureDay, timeZone) : null
+        };
+    });
+};
+
+// Method to get the scheduled times at one station for a run
+trainSchema.methods.getStopTimes = function(stationId, journeyDate) {
+    const id = stationId.toString();
+    const stop = this.getSchedule(journeyDate)
+        .find(s => (s.station._id || s.station).toString() === id);
+
+    if (stop && (stop.arrivalTime || stop.departureTime)) return stop;
+
+    // Trains without timed stops fall back to the template times
+    const templateTime = (date) => {
+        const time = new Date(date);
+        return zonedTimeToUtc(journeyDate, time.getUTCHours() * 60 + time.getUTCMinutes(), 0, 'UTC');
+    };
+    if (id === (this.source._id || this.source).toString()) {
+        return { station: this.source, day: 0, departureDay: 0, arrivalTime: null, departureTime: templateTime(this.departureTime) };
+    }
+    if (id === (this.destination._id || this.destination).toString()) {
+        const arrivalTime = templateTime(this.arrivalTime);
+        const departureTime = templateTime(this.departureTime);
+        if (arrivalTime < departureTime) arrivalTime.setUTCDate(arrivalTime.getUTCDate() + 1);
+        return { station: this.destination, day: 0, departureDay: 0, arrivalTime, departureTime: null };
+    }
+    return null;
+};
+
+// Method to get the origin departure date of the run that leaves stationId
+// on boardingDate, for stops reached a day or more after the origin
+trainSchema.methods.getStartDate = function(stationId, boardingDate) {
+    const startDate = new Date(boardingDate);
+    startDate.setUTCHours(0, 0, 0, 0);
+
+    const stop = this.getStopTimes(stationId, startDate);
+    startDate.setUTCDate(startDate.getUTCDate() - (stop ? stop.departureDay : 0));
+    return startDate;
+};
+
+// Method to get the distance in km between two stops, or null when either
+// is not on the route
+trainSchema.methods.getSegmentDistance = function(fromStation, toStation) {
+    const findStop = (stationId) => this.route.find(stop =>
+        (stop.station._id || stop.station).toString() === stationId.toString()
+    );
+    const fromStop = findStop(fromStation);
+    const toStop = findStop(toStation);
+
+    if (!fromStop || !toStop) return null;
+
+    return Math.abs((toStop.distance || 0) - (fromStop.distance || 0));
+};
+
 // Method to check if train runs on a particular day
 trainSchema.methods.runsOnDay = function(day) {
     return this.daysOfOperation.includes(day);
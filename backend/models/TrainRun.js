@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+
+const trainRunSchema = new mongoose.Schema({
+    train: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Train',
+        required: true
+    },
+    // Journey date at midnight UTC, matching Booking.journeyDate
+    journeyDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Scheduled', 'Cancelled', 'Diverted', 'Rescheduled'],
+        default: 'Scheduled'
+    },
+    scheduledDeparture: Date,
+    actualDeparture: Date,
+    // Intermediate stops a diversion takes the run away from
+    skippedStations: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+    }],
+    // Coach composition for this run only; empty means the train's own rake
+    coaches: [{
+        code: {
+            type: String,
+            required: true,
+            trim: true,
+            uppercase: true
+        },
+        coachType: {
+            type: String,
+            enum: Object.keys(COACH_TYPES).filter(type => type !== 'GEN'),
+            required: true
+        },
+        berths: {
+            type: Number,
+            min: 1
+        }
+    }],
+    // Set once the reservation chart is prepared: berths are final and the
+    // run takes no more bookings or changes
+    chart: {
+        preparedAt: Date,
+        // Unset when prepared by the scheduled job
+        preparedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        confirmed: Number,
+        rac: Number,
+        notConfirmed: Number
+    },
+    remarks: String,
+    // Bumped by every transaction that allocates berths on the run, so two
+    // running at once write-conflict instead of taking the same berth
+    bookingVersion: Number,
+    statusHistory: [{
+        status: String,
+        reason: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+trainRunSchema.index({ train: 1, journeyDate: 1 }, { unique: true });
+trainRunSchema.index({ journeyDate: 1, status: 1 });
+
+// Method to check if the run still accepts bookings
+trainRunSchema.methods.isBookable = function() {
+    return this.status !== 'Cancelled';
+};
+
+// Method to check if the run still calls at a station
+trainRunSchema.methods.servesStation = function(stationId) {
+    return !(this.skippedStations || []).some(id => id.toString() === stationId.toString());
+};
+
+// Method to check if the reservation chart has been prepared
+trainRunSchema.methods.isChartPrepared = function() {
+    return Boolean(this.chart && this.chart.preparedAt);
+};
+
+// Method to record a status change
+trainRunSchema.methods.setStatus = function(status, reason, userId) {
+    this.status = status;
+    this.statusHistory.push({ status, reason, changedBy: userId });
+};
+
+module.exports = mongoose.model('TrainRun', trainRunSchema);
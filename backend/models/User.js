@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, DEFAULT_ROLE, getPermissions } = require('../utils/permissions');
+
+// Password reset links stop working after this long
+const RESET_TOKEN_MINUTES = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -19,17 +26,63 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    firstName: {
+        type: String,
+        trim: true
+    },
+    lastName: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    // What the user may do follows from the role; see utils/permissions
     role: {
         type: String,
-        enum: ['user', 'admin'],
-        default: 'user'
+        enum: Object.keys(ROLES),
+        default: DEFAULT_ROLE
+    },
+    // Suspended users cannot log in or use existing sessions
+    status: {
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    },
+    suspendedAt: Date,
+    suspendedReason: {
+        type: String,
+        trim: true
+    },
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     },
     bookings: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Booking'
-    }]
+    }],
+    // Tokens issued before this are no longer accepted
+    passwordChangedAt: Date,
+    // SHA-256 of the outstanding reset token; the token itself is only emailed
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Permissions granted by the user's role
+userSchema.virtual('permissions').get(function() {
+    return getPermissions(this.role);
 });
 
 // Hash password before saving
@@ -37,6 +90,13 @@ userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
     
     try {
+        // A new password ends earlier sessions and any outstanding reset link
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+            this.passwordResetToken = undefined;
+            this.passwordResetExpires = undefined;
+        }
+
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
         next();
@@ -50,4 +110,32 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to start a password reset; returns the token to email, keeping
+// only its hash
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+    return token;
+};
+
+// Method to check if a token issued at iat (seconds) predates the last
+// password change
+userSchema.methods.changedPasswordAfter = function(iat) {
+    return Boolean(this.passwordChangedAt) && iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Method to check if the user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+    return getPermissions(this.role).includes(permission);
+};
+
+// Method to check if an admin has suspended the account
+userSchema.methods.isSuspended = function() {
+    return this.status === 'suspended';
+};
+
+userSchema.statics.hashToken = hashToken;
+userSchema.statics.RESET_TOKEN_MINUTES = RESET_TOKEN_MINUTES;
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { 
     register, 
     login, 
-    getMe 
+    getMe,
+    updateMe,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    refreshToken,
+    logout,
+    getSessions,
+    revokeSession,
+    logoutAll
 } = require('../controllers/authController');
 
 // Validation middleware
@@ -20,9 +30,53 @@ const validateLogin = [
     body('password', 'Password is required').exists()
 ];
 
+const validateUpdateMe = [
+    body('username', 'Username cannot be empty').optional().trim().not().isEmpty(),
+    body('email', 'Please include a valid email').optional().isEmail(),
+    body('firstName', 'First name must be at most 50 characters').optional().trim().isLength({ max: 50 }),
+    body('lastName', 'Last name must be at most 50 characters').optional().trim().isLength({ max: 50 }),
+    body('phone', 'Please include a valid phone number').optional({ checkFalsy: true }).matches(/^\+?[0-9\s-]{7,20}$/)
+];
+
+const validateChangePassword = [
+    body('currentPassword', 'Current password is required').not().isEmpty(),
+    body('newPassword', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+];
+
+// Reset emails per client IP, every 15 minutes
+const forgotPasswordLimit = rateLimit({
+    name: 'forgot-password',
+    windowMinutes: 15,
+    max: 5
+});
+
 // Routes
 router.post('/register', validateRegister, register);
 router.post('/login', validateLogin, login);
+router.post(
+    '/refresh-token',
+    body('refreshToken', 'Refresh token is required').isString().notEmpty(),
+    refreshToken
+);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', [protect, param('id', 'Invalid session id').isMongoId()], revokeSession);
 router.get('/me', protect, getMe);
+router.put('/me', [protect, ...validateUpdateMe], updateMe);
+router.put('/change-password', [protect, ...validateChangePassword], changePassword);
+router.post(
+    '/forgot-password',
+    [forgotPasswordLimit, body('email', 'Please include a valid email').isEmail()],
+    forgotPassword
+);
+router.post(
+    '/reset-password/:token',
+    [
+        param('token', 'Invalid reset token').isHexadecimal().isLength({ min: 64, max: 64 }),
+        body('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+    ],
+    resetPassword
+);
 
 module.exports = router;
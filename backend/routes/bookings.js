@@ -1,29 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const { protect, admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const { COACH_TYPES, BERTH_PREFERENCES } = require('../utils/coachLayouts');
+const { QUOTAS } = require('../utils/quotaRules');
 const {
     createBooking,
     getUserBookings,
     getBookingByPNR,
+    getPnrStatus,
     cancelBooking,
+    modifyBooking,
+    getBookingHistory,
+    previewRefund,
+    getTicket,
+    verifyTicket,
     getAllBookings
 } = require('../controllers/bookingController');
 
 // Validation middleware
 const validateCreateBooking = [
     body('train', 'Train ID is required').isMongoId(),
-    body('journeyDate', 'Journey date is required').isISO8601(),
+    body('journeyDate', 'Journey date must be a valid YYYY-MM-DD date').isISO8601({ strict: true }),
     body('fromStation', 'Source station ID is required').isMongoId(),
     body('toStation', 'Destination station ID is required').isMongoId(),
+    body('travelClass', 'Invalid travel class').optional().isIn(Object.keys(COACH_TYPES)),
+    body('quota', 'Invalid quota').optional().isIn(Object.keys(QUOTAS)),
     body('passengers', 'Passengers array is required').isArray({ min: 1 }),
     body('passengers.*.name', 'Passenger name is required').not().isEmpty(),
     body('passengers.*.age', 'Valid passenger age is required').isInt({ min: 1, max: 120 }),
-    body('passengers.*.gender', 'Valid gender is required (M/F/O)').isIn(['M', 'F', 'O'])
+    body('passengers.*.gender', 'Valid gender is required (M/F/O)').isIn(['M', 'F', 'O']),
+    body('passengers.*.berthPreference', 'Invalid berth preference').optional().isIn(BERTH_PREFERENCES)
 ];
 
+// Public PNR status lookups per client IP, every 15 minutes
+const pnrStatusLimit = rateLimit({
+    name: 'pnr-status',
+    windowMinutes: 15,
+    max: () => Number(process.env.PNR_STATUS_RATE_LIMIT) || 30
+});
+
+// Public routes
+router.get(
+    '/pnr/:pnr/status',
+    [pnrStatusLimit, param('pnr', 'Valid PNR is required').isAlphanumeric().isLength({ min: 6, max: 10 })],
+    getPnrStatus
+);
+
 // Protected routes (require authentication)
-router.post('/', [protect, ...validateCreateBooking], createBooking);
+router.post('/', [protect, idempotent, ...validateCreateBooking], createBooking);
 router.get('/', [protect], getUserBookings);
 router.get(
     '/pnr/:pnr',
@@ -32,15 +59,67 @@ router.get(
 );
 router.put(
     '/:id/cancel',
-    [protect, param('id', 'Valid booking ID is required').isMongoId()],
+    [
+        protect,
+        param('id', 'Valid booking ID is required').isMongoId(),
+        // Omit to cancel every passenger on the booking
+        body('passengers', 'Passengers must be a non-empty array').optional().isArray({ min: 1 }),
+        body('passengers.*', 'Valid passenger ID is required').isMongoId()
+    ],
     cancelBooking
 );
+router.put(
+    '/:id/modify',
+    [
+        protect,
+        param('id', 'Valid booking ID is required').isMongoId(),
+        body('fromStation', 'Valid boarding station ID is required').optional().isMongoId(),
+        body('journeyDate', 'Journey date must be YYYY-MM-DD').optional().isISO8601(),
+        body('allowWaitlist', 'allowWaitlist must be a boolean').optional().isBoolean({ strict: true }),
+        body().custom(value => {
+            if (!value.fromStation && !value.journeyDate) {
+                throw new Error('Provide fromStation and/or journeyDate to change');
+            }
+            return true;
+        })
+    ],
+    modifyBooking
+);
+router.get(
+    '/:id/history',
+    [protect, param('id', 'Valid booking ID is required').isMongoId()],
+    getBookingHistory
+);
+router.get(
+    '/:id/refund-preview',
+    [
+        protect,
+        param('id', 'Valid booking ID is required').isMongoId(),
+        // Repeated or comma-separated passenger IDs; omit for the whole booking
+        query('passengers')
+            .optional()
+            .customSanitizer(value => [].concat(value).flatMap(item => String(item).split(',')).filter(Boolean)),
+        query('passengers.*', 'Valid passenger ID is required').isMongoId()
+    ],
+    previewRefund
+);
+router.get(
+    '/:id/ticket.pdf',
+    [protect, param('id', 'Valid booking ID is required').isMongoId()],
+    getTicket
+);
 
-// Admin routes
+// Staff routes
 router.get(
     '/all',
-    [protect, admin],
+    [protect, authorize('bookings:read')],
     getAllBookings
 );
+// Ticket checkers scan the e-ticket QR code
+router.post(
+    '/tickets/verify',
+    [protect, authorize('tickets:verify'), body('ticket', 'Scanned ticket payload is required').isString().notEmpty()],
+    verifyTicket
+);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { importFeed, exportFeed } = require('../controllers/gtfsController');
+
+// Feeds are uploaded as the raw zip body rather than multipart
+const zipBody = express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: '50mb'
+});
+
+// Protected routes (timetable staff)
+router.post('/import', [protect, authorize('timetable:import'), zipBody, query('dryRun').optional().isBoolean()], importFeed);
+router.get('/export', [protect, authorize('timetable:export')], exportFeed);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const paymentService = require('../services/PaymentService');
+const {
+    createPaymentIntent,
+    getPayment,
+    handleWebhook,
+    completeMockPayment
+} = require('../controllers/paymentController');
+
+// The mock checkout is for development; in production it only exists when
+// the mock gateway is explicitly configured
+const mockGatewayEnabled = (req, res, next) => {
+    if (!paymentService.mockGatewayEnabled()) {
+        return res.status(404).json({
+            success: false,
+            message: 'Mock payment gateway is disabled'
+        });
+    }
+    next();
+};
+
+// Gateway callbacks (authenticated by signature, not by user token)
+router.post('/webhook/:provider', handleWebhook);
+
+// Protected routes (require authentication)
+router.post(
+    '/intents',
+    [protect, idempotent, body('booking', 'Valid booking ID is required').isMongoId()],
+    createPaymentIntent
+);
+router.post(
+    '/mock/:intentId/complete',
+    [
+        mockGatewayEnabled,
+        protect,
+        idempotent,
+        body('outcome', 'Outcome must be succeeded or failed').optional().isIn(['succeeded', 'failed'])
+    ],
+    completeMockPayment
+);
+router.get(
+    '/:id',
+    [protect, param('id', 'Valid payment ID is required').isMongoId()],
+    getPayment
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('express-validator');
-const { admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const {
     getBookingAnalytics,
     getRevenueAnalytics,
@@ -17,11 +17,13 @@ const validateDateRange = [
     query('groupBy').optional().isIn(['day', 'week', 'month']).withMessage('Group by must be day, week, or month')
 ];
 
-// Protected routes (admin only)
-router.get('/bookings', [admin, ...validateDateRange], getBookingAnalytics);
-router.get('/revenue', [admin, ...validateDateRange], getRevenueAnalytics);
-router.get('/trains', admin, getTrainPerformance);
-router.get('/stations', admin, getStationPerformance);
-router.get('/summary', admin, getSystemSummary);
+// Protected routes (reporting staff)
+router.use(protect, authorize('reports:read'));
+
+router.get('/bookings', validateDateRange, getBookingAnalytics);
+router.get('/revenue', validateDateRange, getRevenueAnalytics);
+router.get('/trains', getTrainPerformance);
+router.get('/stations', getStationPerformance);
+router.get('/summary', getSystemSummary);
 
 module.exports = router;
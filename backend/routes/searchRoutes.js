@@ -1,71 +1,98 @@
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const pathfindingService = require('../services/PathfindingService');
+const journeyPlannerService = require('../services/JourneyPlannerService');
+const routeGraphService = require('../services/RouteGraphService');
 const KMPSearch = require('../utils/KMPSearch');
 const Trie = require('../utils/Trie');
 const QuickSort = require('../utils/QuickSort');
-const Train = require('../models/Train');
 const Review = require('../models/Review');
-const Station = require('../models/Station');
+const Train = require('../models/Train');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, parseTime, zonedTimeToUtc } = require('../utils/timeUtils');
 
-// Initialize pathfinding service with data from database
-const initializePathfinding = async () => {
-  try {
-    const stations = await Station.find({});
-    const trains = await Train.find().populate('route.station');
-    
-    // Create routes from train routes
-    const routes = [];
-    
-    trains.forEach(train => {
-      // Sort route by sequence if needed (assuming route is already in order)
-      const route = [...train.route].sort((a, b) => {
-        // If sequence is available, use it, otherwise use array order
-        if (a.sequence !== undefined && b.sequence !== undefined) {
-          return a.sequence - b.sequence;
-        }
-        return 0;
-      });
-      
-      for (let i = 0; i < route.length - 1; i++) {
-        routes.push({
-          source: route[i].station._id.toString(),
-          destination: route[i + 1].station._id.toString(),
-          distance: route[i + 1].distance - route[i].distance,
-          trains: [{
-            trainId: train._id,
-            trainNumber: train.trainNumber,
-            trainName: train.name, // Using name instead of trainName to match the model
-            departureTime: route[i].departureTime,
-            arrivalTime: route[i + 1].arrivalTime
-          }]
-        });
-      }
+const TRAIN_TYPES = Train.schema.path('trainType').enumValues;
+
+// Accept repeated (?via=a&via=b) or comma-separated (?via=a,b) lists
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Validation middleware
+const validateSearchPath = [
+  query('from', 'Valid source station ID is required').isMongoId(),
+  query('to', 'Valid destination station ID is required').isMongoId(),
+  query('limit', 'Limit must be between 1 and 20').optional().isInt({ min: 1, max: 20 }),
+  query(['via', 'avoid', 'avoidTrainType']).optional().customSanitizer(toList),
+  query('via.*', 'Via stations must be valid station IDs').isMongoId(),
+  query('avoid.*', 'Avoided stations must be valid station IDs').isMongoId(),
+  query('avoidTrainType.*', 'Invalid train type').isIn(TRAIN_TYPES),
+  query('via').optional().custom((via, { req }) => {
+    const { from, to, avoid = [] } = req.query;
+    if (via.includes(from) || via.includes(to)) {
+      throw new Error('Via stations must differ from source and destination');
+    }
+    if (via.some(station => avoid.includes(station))) {
+      throw new Error('A station cannot be both via and avoided');
+    }
+    return true;
+  }),
+  query('avoid').optional().custom((avoid, { req }) => {
+    if (avoid.includes(req.query.from) || avoid.includes(req.query.to)) {
+      throw new Error('Cannot avoid the source or destination station');
+    }
+    return true;
+  })
+];
+
+// Reject invalid queries before waiting on the route graph
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
     });
+  }
+  next();
+};
+
+// Graph-backed searches wait briefly for the first build of the route
+// graph and report 503 rather than searching an empty one
+const requireGraph = async (req, res, next) => {
+  try {
+    if (await routeGraphService.whenReady()) return next();
     
-    pathfindingService.initializeGraph(stations, routes);
-    console.log('Pathfinding service initialized');
+    res.set('Retry-After', '5');
+    return res.status(503).json({ 
+      success: false,
+      message: 'Route graph is still initialising, please retry shortly' 
+    });
   } catch (error) {
-    console.error('Error initializing pathfinding service:', error);
+    next(error);
   }
 };
 
-// Initialize on server start
-initializePathfinding();
+// Readiness of the route graph
+router.get('/status', (req, res) => {
+  res.json({ 
+    success: true,
+    data: routeGraphService.getStatus() 
+  });
+});
 
-// Find all paths between stations with a limit
-router.get('/search-path', async (req, res) => {
+// Find the k shortest loopless paths, optionally via or avoiding stations
+// and avoiding train types
+router.get('/search-path', [...validateSearchPath, rejectInvalid, requireGraph], async (req, res) => {
   try {
-    const { from, to, limit = 5 } = req.query;
-    
-    if (!from || !to) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Please provide both source and destination stations' 
-      });
-    }
+    const { from, to, limit = 5, via = [], avoid = [], avoidTrainType = [] } = req.query;
     
-    const paths = pathfindingService.findAllPaths(from, to, parseInt(limit));
+    const paths = pathfindingService.findKShortestPaths(from, to, {
+      k: parseInt(limit),
+      via,
+      avoidStations: avoid,
+      avoidTrainTypes: avoidTrainType
+    });
     
     if (!paths || paths.length === 0) {
       return res.status(404).json({ 
@@ -90,7 +117,7 @@ router.get('/search-path', async (req, res) => {
 });
 
 // Get shortest path between stations
-router.get('/shortest-path', async (req, res) => {
+router.get('/shortest-path', requireGraph, async (req, res) => {
   try {
     const { from, to } = req.query;
     
@@ -124,6 +151,97 @@ router.get('/shortest-path', async (req, res) => {
   }
 });
 
+// Shared parsing for the journey planner endpoints; date and time are
+// local to the network's timezone
+const parseDeparture = (req, res) => {
+  const { from, to, date, time = '00:00' } = req.query;
+  
+  if (!from || !to || !date) {
+    res.status(400).json({ 
+      success: false,
+      message: 'Please provide source and destination stations and a travel date' 
+    });
+    return null;
+  }
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !TIME_PATTERN.test(time)) {
+    res.status(400).json({ 
+      success: false,
+      message: 'Date must be YYYY-MM-DD and time HH:mm' 
+    });
+    return null;
+  }
+  
+  return zonedTimeToUtc(date, parseTime(time), 0, DEFAULT_TIMEZONE);
+};
+
+// Plan journeys by earliest arrival over the timetable, with transfers
+router.get('/plan-journey', requireGraph, async (req, res) => {
+  try {
+    const departureAt = parseDeparture(req, res);
+    if (!departureAt) return;
+    
+    const { from, to, limit = 3 } = req.query;
+    const itineraries = await journeyPlannerService.plan(from, to, departureAt, {
+      limit: Math.min(parseInt(limit) || 3, 10)
+    });
+    
+    if (itineraries.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'No journey found between the specified stations' 
+      });
+    }
+    
+    res.json({ 
+      success: true,
+      count: itineraries.length,
+      data: itineraries 
+    });
+  } catch (error) {
+    console.error('Error planning journey:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error planning journey',
+      error: error.message 
+    });
+  }
+});
+
+// Pareto-optimal journeys by arrival time, changes and fare, labelled
+// fastest / cheapest / fewestChanges
+router.get('/journey-options', requireGraph, async (req, res) => {
+  try {
+    const departureAt = parseDeparture(req, res);
+    if (!departureAt) return;
+    
+    const { from, to, maxTransfers = 3 } = req.query;
+    const options = await journeyPlannerService.planOptions(from, to, departureAt, {
+      maxTransfers: Math.min(Math.max(parseInt(maxTransfers) || 0, 0), 5)
+    });
+    
+    if (options.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'No journey found between the specified stations' 
+      });
+    }
+    
+    res.json({ 
+      success: true,
+      count: options.length,
+      data: options 
+    });
+  } catch (error) {
+    console.error('Error finding journey options:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error finding journey options',
+      error: error.message 
+    });
+  }
+});
+
 // Search reviews using KMP algorithm
 router.get('/reviews/search', async (req, res) => {
   try {
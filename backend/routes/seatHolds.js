@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { QUOTAS } = require('../utils/quotaRules');
+const {
+    createSeatHold,
+    releaseSeatHold
+} = require('../controllers/seatHoldController');
+
+// Protected routes (require authentication)
+router.post(
+    '/',
+    [
+        protect,
+        body('train', 'Train ID is required').isMongoId(),
+        body('journeyDate', 'Journey date is required').isISO8601(),
+        body('fromStation', 'Valid source station ID is required').optional().isMongoId(),
+        body('toStation', 'Valid destination station ID is required').optional().isMongoId(),
+        body('travelClass', 'Invalid travel class').optional().isIn(Object.keys(COACH_TYPES)),
+        body('quota', 'Invalid quota').optional().isIn(Object.keys(QUOTAS)),
+        // The booking page takes up to six passengers
+        body('seats', 'Seats must be between 1 and 6').isInt({ min: 1, max: 6 }).toInt()
+    ],
+    createSeatHold
+);
+router.delete(
+    '/:id',
+    [protect, param('id', 'Valid seat hold ID is required').isMongoId()],
+    releaseSeatHold
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
-const { protect, admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const {
     getStations,
     getStation,
@@ -18,7 +18,8 @@ const validateStation = [
     body('city', 'City is required').not().isEmpty(),
     body('state', 'State is required').not().isEmpty(),
     body('latitude', 'Valid latitude is required').isFloat({ min: -90, max: 90 }),
-    body('longitude', 'Valid longitude is required').isFloat({ min: -180, max: 180 })
+    body('longitude', 'Valid longitude is required').isFloat({ min: -180, max: 180 }),
+    body('minConnectionTime', 'Minimum connection time must be a non-negative number of minutes').optional().isInt({ min: 0 })
 ];
 
 // Public routes
@@ -30,13 +31,13 @@ router.get(
     getStation
 );
 
-// Protected routes (require authentication and admin role)
-router.post('/', [protect, admin, validateStation], createStation);
+// Protected routes (require authentication and a staff permission)
+router.post('/', [protect, authorize('stations:write'), validateStation], createStation);
 router.put(
     '/:id',
     [
         protect,
-        admin,
+        authorize('stations:write'),
         param('id', 'Valid station ID is required').isMongoId(),
         ...validateStation
     ],
@@ -44,7 +45,7 @@ router.put(
 );
 router.delete(
     '/:id',
-    [protect, admin, param('id', 'Valid station ID is required').isMongoId()],
+    [protect, authorize('stations:write'), param('id', 'Valid station ID is required').isMongoId()],
     deleteStation
 );
 
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const { protect, admin } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { QUOTAS, DEFAULT_QUOTA } = require('../utils/quotaRules');
+const { TIME_PATTERN } = require('../utils/timeUtils');
 const {
     getTrains,
     getTrain,
@@ -9,10 +12,28 @@ const {
     updateTrain,
     deleteTrain,
     searchTrains,
-    getAvailableSeats
+    getAvailableSeats,
+    getFare
 } = require('../controllers/trainController');
+const {
+    getTrainRuns,
+    getTrainRun,
+    generateTrainRuns,
+    cancelTrainRun,
+    rescheduleTrainRun,
+    divertTrainRun,
+    reRakeTrainRun,
+    prepareChart,
+    getChart
+} = require('../controllers/trainRunController');
 
 // Validation middleware
+const validateCoaches = [
+    body('coaches.*.code', 'Coach code is required').not().isEmpty(),
+    body('coaches.*.coachType', 'Invalid coach type').isIn(Object.keys(COACH_TYPES).filter(type => type !== 'GEN')),
+    body('coaches.*.berths', 'Berths must be a positive number').optional().isInt({ min: 1 })
+];
+
 const validateTrain = [
     body('trainNumber', 'Train number is required').not().isEmpty(),
     body('name', 'Train name is required').not().isEmpty(),
@@ -23,13 +44,50 @@ const validateTrain = [
     body('arrivalTime', 'Valid arrival time is required').isISO8601(),
     body('totalSeats', 'Total seats must be a positive number').isInt({ min: 1 }),
     body('fare', 'Fare must be a positive number').isFloat({ min: 0 }),
+    body('dynamicPricing', 'Dynamic pricing must be true or false').optional().isBoolean({ strict: true }),
+    body('coaches', 'Coaches must be an array').optional().isArray(),
+    ...validateCoaches,
+    body('classQuotas', 'Class quotas must be an array').optional().isArray(),
+    body('classQuotas.*.travelClass', 'Invalid travel class').isIn(Object.keys(COACH_TYPES)),
+    body('classQuotas.*.racBerths', 'RAC berths must be zero or more').optional().isInt({ min: 0 }),
+    body('classQuotas.*.waitlistLimit', 'Waitlist limit must be zero or more').optional().isInt({ min: 0 }),
+    body('seatQuotas', 'Seat quotas must be an array').optional().isArray(),
+    body('seatQuotas.*.quota', 'Invalid quota').isIn(Object.keys(QUOTAS).filter(code => code !== DEFAULT_QUOTA)),
+    body('seatQuotas.*.travelClass', 'Invalid travel class').isIn(Object.keys(COACH_TYPES)),
+    body('seatQuotas.*.berths', 'Quota berths must be a positive number').isInt({ min: 1 }),
+    body('seatQuotas.*.opensDaysBefore', 'Opening days must be zero or more').optional().isInt({ min: 0 }),
+    body('seatQuotas.*.opensAt', 'Opening time must be in HH:mm format').optional().matches(TIME_PATTERN),
+    body('route', 'Route must be an array').optional().isArray(),
+    body('route.*.station', 'Valid route station ID is required').isMongoId(),
+    body('route.*.arrival', 'Arrival must be in HH:mm format').optional({ nullable: true }).matches(TIME_PATTERN),
+    body('route.*.departure', 'Departure must be in HH:mm format').optional({ nullable: true }).matches(TIME_PATTERN),
+    body('route.*.day', 'Day offset must be zero or more').optional().isInt({ min: 0 }),
+    body('timezone', 'Invalid timezone').optional().custom(timeZone => {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    }),
     body('daysOfOperation', 'Days of operation are required').isArray({ min: 1 }),
     body('daysOfOperation.*', 'Invalid day of operation').isIn(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'])
 ];
 
+const validateRun = [
+    param('id', 'Valid train ID is required').isMongoId(),
+    param('date', 'Valid journey date is required').isISO8601()
+];
+
 // Public routes
 router.get('/', getTrains);
-router.get('/search', searchTrains);
+router.get(
+    '/search',
+    [
+        query('from', 'Valid source station ID is required').isMongoId(),
+        query('to', 'Valid destination station ID is required').isMongoId(),
+        query('date', 'Journey date must be a valid YYYY-MM-DD date').optional().isISO8601({ strict: true }),
+        query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+        query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+    ],
+    searchTrains
+);
 router.get(
     '/:id',
     [param('id', 'Valid train ID is required').isMongoId()],
@@ -39,18 +97,45 @@ router.get(
     '/:id/seats',
     [
         param('id', 'Valid train ID is required').isMongoId(),
-        query('date', 'Valid date is required').isISO8601()
+        query('date', 'Valid date is required').isISO8601(),
+        query('from', 'Valid source station ID is required').optional().isMongoId(),
+        query('to', 'Valid destination station ID is required').optional().isMongoId(),
+        query('class', 'Invalid travel class').optional().isIn(Object.keys(COACH_TYPES)),
+        query('quota', 'Invalid quota').optional().isIn(Object.keys(QUOTAS))
     ],
     getAvailableSeats
 );
+router.get(
+    '/:id/fare',
+    [
+        param('id', 'Valid train ID is required').isMongoId(),
+        query('from', 'Valid source station ID is required').optional().isMongoId(),
+        query('to', 'Valid destination station ID is required').optional().isMongoId(),
+        query('class', 'Invalid travel class').optional().isIn(Object.keys(COACH_TYPES)),
+        query('quota', 'Invalid quota').optional().isIn(Object.keys(QUOTAS)),
+        query('date', 'Valid date is required').optional().isISO8601()
+    ],
+    getFare
+);
+
+router.get(
+    '/:id/runs',
+    [
+        param('id', 'Valid train ID is required').isMongoId(),
+        query('from', 'Valid from date is required').optional().isISO8601(),
+        query('to', 'Valid to date is required').optional().isISO8601()
+    ],
+    getTrainRuns
+);
+router.get('/:id/runs/:date', validateRun, getTrainRun);
 
-// Protected routes (require authentication and admin role)
-router.post('/', [protect, admin, ...validateTrain], createTrain);
+// Protected routes (require authentication and a staff permission)
+router.post('/', [protect, authorize('trains:write'), ...validateTrain], createTrain);
 router.put(
     '/:id',
     [
         protect,
-        admin,
+        authorize('trains:write'),
         param('id', 'Valid train ID is required').isMongoId(),
         ...validateTrain
     ],
@@ -58,8 +143,63 @@ router.put(
 );
 router.delete(
     '/:id',
-    [protect, admin, param('id', 'Valid train ID is required').isMongoId()],
+    [protect, authorize('trains:write'), param('id', 'Valid train ID is required').isMongoId()],
     deleteTrain
 );
 
+router.post(
+    '/:id/runs/generate',
+    [
+        protect,
+        authorize('trains:write'),
+        param('id', 'Valid train ID is required').isMongoId(),
+        body('days', 'Days must be between 1 and 366').optional().isInt({ min: 1, max: 366 })
+    ],
+    generateTrainRuns
+);
+router.put('/:id/runs/:date/cancel', [protect, authorize('runs:manage'), ...validateRun], cancelTrainRun);
+router.put(
+    '/:id/runs/:date/reschedule',
+    [
+        protect,
+        authorize('runs:manage'),
+        ...validateRun,
+        body('departureTime', 'Valid departure time is required').isISO8601()
+    ],
+    rescheduleTrainRun
+);
+router.put(
+    '/:id/runs/:date/divert',
+    [
+        protect,
+        authorize('runs:manage'),
+        ...validateRun,
+        body('skippedStations', 'Stations to skip are required').isArray({ min: 1 }),
+        body('skippedStations.*', 'Valid station ID is required').isMongoId()
+    ],
+    divertTrainRun
+);
+router.put(
+    '/:id/runs/:date/rake',
+    [
+        protect,
+        authorize('runs:manage'),
+        ...validateRun,
+        body('coaches', 'Coaches are required').isArray({ min: 1 }),
+        ...validateCoaches
+    ],
+    reRakeTrainRun
+);
+router.post('/:id/runs/:date/chart', [protect, authorize('charts:prepare'), ...validateRun], prepareChart);
+router.get(
+    '/:id/runs/:date/chart',
+    [
+        protect,
+        authorize('charts:read'),
+        ...validateRun,
+        query('format', 'Format must be json or csv').optional().isIn(['json', 'csv'])
+    ],
+    getChart
+);
+
 module.exports = router;
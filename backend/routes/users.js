@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../utils/permissions');
+const {
+    getUsers,
+    getUser,
+    updateUserRole,
+    updateUserStatus,
+    deleteUser
+} = require('../controllers/userController');
+
+// Validation middleware
+const validateId = param('id', 'Valid user ID is required').isMongoId();
+
+const validateList = [
+    query('search').optional().isString().isLength({ max: 100 }),
+    query('role').optional().isIn(Object.keys(ROLES)).withMessage('Unknown role'),
+    query('status').optional().isIn(['active', 'suspended']).withMessage('Status must be active or suspended'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+router.use(protect);
+
+router.get('/', [authorize('users:read'), ...validateList], getUsers);
+router.get('/:id', [authorize('users:read'), validateId], getUser);
+router.put(
+    '/:id/role',
+    [authorize('users:manage'), validateId, body('role', 'Unknown role').isIn(Object.keys(ROLES))],
+    updateUserRole
+);
+router.put(
+    '/:id/status',
+    [
+        authorize('users:manage'),
+        validateId,
+        body('status', 'Status must be active or suspended').isIn(['active', 'suspended']),
+        body('reason', 'Reason must be at most 200 characters').optional().trim().isLength({ max: 200 })
+    ],
+    updateUserStatus
+);
+router.delete('/:id', [authorize('users:manage'), validateId], deleteUser);
+
+module.exports = router;
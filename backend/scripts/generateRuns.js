@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const trainRunService = require('../services/TrainRunService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/railway_planner';
+
+// Usage: node scripts/generateRuns.js [days]
+// Run daily (e.g. from cron) to keep the rolling booking horizon filled.
+async function generateRuns() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const days = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+        const { trains, created } = await trainRunService.generateAll(days ? { days } : {});
+
+        console.log(`Checked ${trains} active train(s), created ${created} new run(s)`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+}
+
+generateRuns();
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const gtfsService = require('../services/GtfsService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/railway_planner';
+
+const USAGE = [
+    'Usage:',
+    '  node scripts/gtfs.js import <feed.zip> [--dry-run]',
+    '  node scripts/gtfs.js export <feed.zip>'
+].join('\n');
+
+const printReport = (report) => {
+    const section = (label, { created, updated, unchanged }, key) => {
+        console.log(`${label}: ${created.length} new, ${updated.length} changed, ${unchanged} unchanged`);
+        created.forEach(id => console.log(`  + ${id}`));
+        updated.forEach(update => console.log(`  ~ ${update[key]} (${update.changes.join(', ')})`));
+    };
+
+    section('Stations', report.stations, 'code');
+    section('Trains', report.trains, 'trainNumber');
+    report.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+    if (report.dryRun) console.log('Dry run: no changes were written');
+};
+
+async function gtfs() {
+    const [command, file] = process.argv.slice(2);
+    if (!['import', 'export'].includes(command) || !file) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        if (command === 'import') {
+            const feed = gtfsService.readFeed(fs.readFileSync(file));
+            const report = await gtfsService.importFeed(feed, {
+                dryRun: process.argv.includes('--dry-run')
+            });
+            printReport(report);
+        } else {
+            fs.writeFileSync(file, await gtfsService.exportFeed());
+            console.log(`GTFS feed written to ${file}`);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+}
+
+gtfs();
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { DEFAULT_TIMEZONE, formatTime, getTimeZoneOffset, toLocalJourneyDate, inferDayOffsets } = require('../utils/timeUtils');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/railway_planner';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Usage: node scripts/migrateStopTimes.js
+// One-off conversion of route[].arrivalTime/departureTime Dates to local
+// 'HH:mm' arrival/departure strings with day offsets from the first stop.
+const toLocal = (instant, timeZone) => {
+    const date = new Date(instant);
+    const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+    return {
+        time: formatTime(local.getUTCHours() * 60 + local.getUTCMinutes()),
+        date: toLocalJourneyDate(date, timeZone)
+    };
+};
+
+async function migrateStopTimes() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        // Raw collection access: the model no longer knows the old fields
+        const trains = mongoose.connection.collection('trains');
+        const cursor = trains.find({
+            $or: [
+                { 'route.arrivalTime': { $exists: true } },
+                { 'route.departureTime': { $exists: true } }
+            ]
+        });
+
+        let migrated = 0;
+        for await (const train of cursor) {
+            const timeZone = train.timezone || DEFAULT_TIMEZONE;
+            const origin = train.route.find(stop => stop.departureTime || stop.arrivalTime);
+            const originDate = origin
+                ? toLocal(origin.departureTime || origin.arrivalTime, timeZone).date
+                : null;
+
+            const route = train.route.map(({ arrivalTime, departureTime, ...stop }) => {
+                const arrival = arrivalTime ? toLocal(arrivalTime, timeZone) : null;
+                const departure = departureTime ? toLocal(departureTime, timeZone) : null;
+                const first = arrival || departure;
+
+                return {
+                    ...stop,
+                    arrival: stop.arrival || (arrival && arrival.time) || null,
+                    departure: stop.departure || (departure && departure.time) || null,
+                    day: first && originDate
+                        ? Math.max(0, Math.round((first.date - originDate) / DAY_MS))
+                        : (stop.day || 0)
+                };
+            });
+            inferDayOffsets(route);
+
+            await trains.updateOne(
+                { _id: train._id },
+                { $set: { route, timezone: timeZone } }
+            );
+            migrated++;
+        }
+
+        console.log(`Migrated stop times for ${migrated} train(s)`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateStopTimes();
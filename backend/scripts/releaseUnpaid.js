@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const paymentService = require('../services/PaymentService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/railway_planner';
+
+// Usage: node scripts/releaseUnpaid.js
+// The API server does this every minute; run it from cron where the server
+// is not long-lived (e.g. serverless deployments).
+async function releaseUnpaid() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const { checked, released } = await paymentService.releaseUnpaidBookings();
+
+        console.log(`Found ${checked} overdue booking(s), released ${released}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+}
+
+releaseUnpaid();
@@ -23,6 +23,15 @@ const sampleTrains = [
     fare: 2500,
     trainType: 'Rajdhani',
     daysOfOperation: ['Mon', 'Wed', 'Fri', 'Sun'],
+    coaches: [
+      { code: 'H1', coachType: '1A' },
+      { code: 'A1', coachType: '2A' },
+      { code: 'A2', coachType: '2A' },
+      { code: 'B1', coachType: '3A' },
+      { code: 'B2', coachType: '3A' },
+      { code: 'B3', coachType: '3A' },
+      { code: 'B4', coachType: '3A' }
+    ],
     route: [
       { station: '60d5ecc258787c1b9c8d9a4b', arrival: null, departure: '16:35', distance: 0 }, // NDLS
       { station: '60d5ece658787c1b9c8d9a50', arrival: '20:15', departure: '20:20', distance: 200 }, // PUNE
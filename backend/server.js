@@ -10,10 +10,25 @@ const trainRoutes = require('./routes/trains');
 const bookingRoutes = require('./routes/bookings');
 const reviewRoutes = require('./routes/reviews');
 const reportRoutes = require('./routes/reports');
+const gtfsRoutes = require('./routes/gtfs');
+const searchRoutes = require('./routes/searchRoutes');
+const paymentRoutes = require('./routes/payments');
+const seatHoldRoutes = require('./routes/seatHolds');
+const userRoutes = require('./routes/users');
+const routeGraphService = require('./services/RouteGraphService');
+const paymentService = require('./services/PaymentService');
+const chartService = require('./services/ChartService');
+const mailService = require('./services/MailService');
+const { parseTrustProxy } = require('./utils/trustProxy');
 
 const app = express();
 const path = require('path');
 
+// X-Forwarded-For is client-supplied, so it is only believed for the client
+// IP (used for rate limits) when TRUST_PROXY names the proxies in front,
+// e.g. 1 hop behind Vercel's proxy
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // In Vercel serverless functions, __dirname is already defined
 // No need to redefine it
 // Middleware
@@ -77,8 +92,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Range', 'X-Total-Count', 'X-Total'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Total-Count', 'X-Total', 'Idempotent-Replayed', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   maxAge: 86400 // 24 hours
 };
 
@@ -88,7 +103,12 @@ app.use(cors(corsOptions));
 // Handle preflight requests
 app.options('*', cors(corsOptions));
 
-app.use(express.json());
+// Keep the exact request bytes for verifying payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Database connection
 const connectDB = async () => {
@@ -190,8 +210,25 @@ const connectDB = async () => {
   }
 };
 
-// Connect to MongoDB
-connectDB();
+// Refuse to start without a payment gateway to take bookings' payments;
+// production has no mock gateway unless PAYMENT_PROVIDER=mock
+paymentService.getProvider();
+
+// Without a delivering mail transport, password reset emails would never
+// arrive; say so at startup rather than on the first reset request
+try {
+  mailService.getTransport();
+} catch (error) {
+  console.error(`❌ Mail is not configured: ${error.message}`);
+}
+
+// Connect to MongoDB, then build the route graph used by /api/search and
+// start releasing seats held by unpaid bookings and preparing charts
+connectDB().then(() => {
+  routeGraphService.initialize();
+  paymentService.startReleaseJob();
+  chartService.startChartJob();
+});
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -200,10 +237,19 @@ app.use('/api/trains', trainRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/gtfs', gtfsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/seat-holds', seatHoldRoutes);
+app.use('/api/users', userRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running' });
+  res.status(200).json({
+    status: 'ok',
+    message: 'Server is running',
+    routeGraph: routeGraphService.getStatus().ready ? 'ready' : 'initialising'
+  });
 });
 
 // Root endpoint
@@ -0,0 +1,145 @@
+const Booking = require('../models/Booking');
+const SeatHold = require('../models/SeatHold');
+const seatAllocationService = require('./SeatAllocationService');
+
+// Waiting bookings can still hold confirmed or RAC passengers
+const ACTIVE_STATUSES = ['Confirmed', 'RAC', 'Waiting'];
+
+class AvailabilityService {
+  // UTC day window for a journey date given as 'YYYY-MM-DD' or a Date
+  getDayRange(date) {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setUTCHours(23, 59, 59, 999);
+    return { start, end };
+  }
+
+  // Resolve the from/to stations to positions on the train's ordered route.
+  // A train without route stops is treated as a single leg.
+  getSegment(train, fromStation, toStation) {
+    const stops = (train.route || []).map(stop => (stop.station._id || stop.station).toString());
+    const lastIndex = Math.max(stops.length - 1, 1);
+
+    const indexOf = (stationId, fallback) => {
+      if (!stationId) return fallback;
+      const id = stationId.toString();
+      const index = stops.indexOf(id);
+      if (index !== -1) return index;
+      if (id === (train.source._id || train.source).toString()) return 0;
+      if (id === (train.destination._id || train.destination).toString()) return lastIndex;
+      return -1;
+    };
+
+    const fromIndex = indexOf(fromStation, 0);
+    const toIndex = indexOf(toStation, lastIndex);
+
+    if (fromIndex === -1 || toIndex === -1 || fromIndex >= toIndex) {
+      throw new Error('Stations are not served in this order by the train');
+    }
+
+    return { fromIndex, toIndex };
+  }
+
+  // Two segments share a berth only if their legs overlap; touching at a
+  // station (one alights where the other boards) is not an overlap.
+  overlaps(a, b) {
+    return a.fromIndex < b.toIndex && b.fromIndex < a.toIndex;
+  }
+
+  async findBookings(train, date, session, excludeBooking) {
+    const { start, end } = this.getDayRange(date);
+    const query = Booking.find({
+      train: train._id,
+      journeyDate: { $gte: start, $lte: end },
+      bookingStatus: { $in: ACTIVE_STATUSES },
+      ...(excludeBooking && { _id: { $ne: excludeBooking } })
+    });
+    return session ? query.session(session) : query;
+  }
+
+  // Unexpired checkout holds on the run; holdUser's own holds are left out
+  // so they don't count against that user's booking
+  async findHolds(train, date, session, holdUser) {
+    const { start, end } = this.getDayRange(date);
+    const query = SeatHold.find({
+      train: train._id,
+      journeyDate: { $gte: start, $lte: end },
+      expiresAt: { $gt: new Date() },
+      ...(holdUser && { user: { $ne: holdUser } })
+    });
+    return session ? query.session(session) : query;
+  }
+
+  getBookingSegment(train, booking) {
+    try {
+      return this.getSegment(train, booking.fromStation, booking.toStation);
+    } catch (error) {
+      // Stops no longer on the route: assume the booking spans the whole journey
+      return this.getSegment(train);
+    }
+  }
+
+  // Berths held on any leg of the requested segment. Checkout holds count
+  // like passengers still waiting for a berth number.
+  getOccupancy(train, bookings, segment, holds = []) {
+    const overlaps = (item) => this.overlaps(this.getBookingSegment(train, item), segment);
+    const occupancy = seatAllocationService.getOccupiedSeats(bookings.filter(overlaps));
+
+    holds.filter(overlaps).forEach(hold => {
+      const bucket = seatAllocationService.bucketKey(hold.travelClass, hold.quota);
+      occupancy.unassigned[bucket] = (occupancy.unassigned[bucket] || 0) + hold.seats;
+    });
+
+    return occupancy;
+  }
+
+  // RAC and waitlist queue lengths per class. Queues are kept for the whole
+  // train run rather than per segment, matching how WL numbers are issued.
+  getQueue(bookings) {
+    const queue = {};
+
+    bookings.forEach(booking => {
+      const travelClass = booking.travelClass || 'GEN';
+      queue[travelClass] = queue[travelClass] || { rac: 0, waitlist: 0 };
+
+      booking.passengers.forEach(passenger => {
+        if (passenger.status === 'RAC') queue[travelClass].rac++;
+        if (passenger.status === 'WL') queue[travelClass].waitlist++;
+      });
+    });
+
+    return queue;
+  }
+
+  // Single entry point used by search, seat maps and booking creation.
+  // excludeBooking leaves one booking's own places out, for re-allocating it;
+  // holdUser leaves out the checkout holds of the user who is booking.
+  async getAvailability(train, date, { fromStation, toStation, session, excludeBooking, holdUser } = {}) {
+    const segment = this.getSegment(train, fromStation, toStation);
+    const [bookings, holds] = await Promise.all([
+      this.findBookings(train, date, session, excludeBooking),
+      this.findHolds(train, date, session, holdUser)
+    ]);
+    const occupancy = this.getOccupancy(train, bookings, segment, holds);
+    const queue = this.getQueue(bookings);
+    const classes = seatAllocationService.summarise(train, occupancy).map(c => {
+      const waitlisted = queue[c.travelClass] ? queue[c.travelClass].waitlist : 0;
+      return {
+        ...c,
+        waitlisted,
+        waitlistAvailable: Math.max(0, train.getQuota(c.travelClass).waitlistLimit - waitlisted)
+      };
+    });
+
+    return {
+      segment,
+      occupancy,
+      queue,
+      classes,
+      availableSeats: classes.reduce((sum, c) => sum + c.availableSeats, 0)
+    };
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,285 @@
+const Payment = require('../models/Payment');
+const Station = require('../models/Station');
+const availabilityService = require('./AvailabilityService');
+const bookingWindowService = require('./BookingWindowService');
+const fareService = require('./FareService');
+const quotaService = require('./QuotaService');
+const refundService = require('./RefundService');
+const seatAllocationService = require('./SeatAllocationService');
+const trainRunService = require('./TrainRunService');
+const waitlistService = require('./WaitlistService');
+
+// Changes are accepted until this long before the current boarding departure
+const MODIFICATION_CUTOFF_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Lower is better; a change must not move anyone down unless allowed
+const STATUS_RANK = { CNF: 0, RAC: 1, WL: 2 };
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// A requested change the booking cannot take; the message is for the user
+class BookingChangeError extends Error {}
+
+// Moves a booking to another boarding station or journey date on the same
+// train, keeping its PNR: re-allocates places, re-prices the remaining
+// passengers and records every change in the booking history.
+class BookingChangeService {
+  _sameId(a, b) {
+    return (a._id || a).toString() === (b._id || b).toString();
+  }
+
+  // Whether the booking keeps its current places: same run and boarding no
+  // earlier than before, so the berths it already holds still cover it
+  _keepsPlaces(train, booking, newDate, newSegment) {
+    if (newDate.getTime() !== new Date(booking.journeyDate).getTime()) return false;
+    const current = availabilityService.getBookingSegment(train, booking);
+    return newSegment.fromIndex >= current.fromIndex && newSegment.toIndex <= current.toIndex;
+  }
+
+  async _stationCodes(ids) {
+    const stations = await Station.find({ _id: { $in: ids } }).select('code');
+    return (id) => {
+      const station = stations.find(candidate => this._sameId(candidate, id));
+      return station ? station.code : id.toString();
+    };
+  }
+
+  // Re-allocate the active passengers on the new run/segment. Returns their
+  // new places in passenger order, or throws if anyone would be moved to a
+  // worse status without allowWaitlist.
+  async _reallocate(train, booking, active, { journeyDate, fromStation, allowWaitlist, session }) {
+    const travelClass = booking.travelClass || 'GEN';
+    const { occupancy, queue } = await availabilityService.getAvailability(train, journeyDate, {
+      fromStation,
+      toStation: booking.toStation,
+      session,
+      excludeBooking: booking._id
+    });
+
+    let assigned;
+    try {
+      assigned = waitlistService.assign(train, {
+        travelClass,
+        passengers: active,
+        occupancy,
+        queue,
+        quota: booking.quota
+      });
+    } catch (error) {
+      if (!(error instanceof seatAllocationService.CapacityError)) throw error;
+      throw new BookingChangeError(error.message);
+    }
+
+    const downgraded = active.some((p, i) => STATUS_RANK[assigned[i].status] > STATUS_RANK[p.status || 'CNF']);
+    if (downgraded && !allowWaitlist) {
+      throw new BookingChangeError(
+        'Not enough berths to keep every passenger\'s current status; set allowWaitlist to accept RAC or waitlist places'
+      );
+    }
+
+    return assigned;
+  }
+
+  async modify(booking, train, changes, { userId, allowWaitlist = false, now = new Date(), session } = {}) {
+    if (booking.bookingStatus === 'Cancelled') {
+      throw new BookingChangeError('Booking is cancelled');
+    }
+
+    const oldFrom = booking.fromStation;
+    const oldDate = new Date(booking.journeyDate);
+    const newFrom = changes.fromStation || oldFrom;
+    const newDate = changes.journeyDate ? trainRunService.toJourneyDate(changes.journeyDate) : oldDate;
+    const fromChanged = !this._sameId(newFrom, oldFrom);
+    const dateChanged = newDate.getTime() !== oldDate.getTime();
+
+    if (!fromChanged && !dateChanged) {
+      throw new BookingChangeError('Nothing to change');
+    }
+
+    const currentDeparture = refundService.boardingDeparture(booking, train);
+    if ((currentDeparture - now) / HOUR_MS < MODIFICATION_CUTOFF_HOURS) {
+      throw new BookingChangeError(
+        `Bookings can only be changed up to ${MODIFICATION_CUTOFF_HOURS} hours before departure`
+      );
+    }
+
+    let newSegment;
+    try {
+      newSegment = availabilityService.getSegment(train, newFrom, booking.toStation);
+    } catch (error) {
+      throw new BookingChangeError(error.message);
+    }
+
+    if (dateChanged && !train.runsOnDay(DAY_NAMES[newDate.getUTCDay()])) {
+      throw new BookingChangeError(`Train does not run on ${DAY_NAMES[newDate.getUTCDay()]}`);
+    }
+
+    try {
+      bookingWindowService.check(train, {
+        journeyDate: newDate,
+        fromStation: newFrom,
+        stationName: 'the new boarding station',
+        now
+      });
+    } catch (error) {
+      throw new BookingChangeError(error.message);
+    }
+
+    const trainRun = await trainRunService.getOrCreateRun(train, newDate, session);
+    if (!trainRun.isBookable()) {
+      throw new BookingChangeError(`Train ${train.trainNumber} is cancelled on ${toDateString(newDate)}`);
+    }
+    if (trainRun.isChartPrepared()) {
+      throw new BookingChangeError(`Chart has been prepared for train ${train.trainNumber} on ${toDateString(newDate)}`);
+    }
+    if (![newFrom, booking.toStation].every(station => trainRun.servesStation(station))) {
+      throw new BookingChangeError(`Train ${train.trainNumber} is diverted and does not call at the journey's stops on ${toDateString(newDate)}`);
+    }
+
+    // A quota booking stays in its quota, whose window must be open on the new date
+    if (dateChanged) {
+      try {
+        quotaService.checkOpen(train, {
+          journeyDate: newDate,
+          travelClass: booking.travelClass || 'GEN',
+          quota: booking.quota,
+          now
+        });
+      } catch (error) {
+        throw new BookingChangeError(error.message);
+      }
+    }
+
+    // Re-price the passengers still travelling
+    const active = booking.passengers.filter(p => p.status !== 'CAN');
+    const paid = refundService.isPaid(booking);
+    const travelClass = booking.travelClass || 'GEN';
+    const loadFactor = await fareService.getLoadFactor(train.forRun(trainRun), newDate, {
+      fromStation: newFrom,
+      toStation: booking.toStation,
+      travelClass,
+      session,
+      excludeBooking: booking._id
+    });
+    const newQuote = fareService.quote(train, {
+      fromStation: newFrom,
+      toStation: booking.toStation,
+      travelClass,
+      passengers: active,
+      quota: booking.quota,
+      loadFactor
+    });
+    const newFares = newQuote.passengers.map(fare => fare.total);
+    const oldFares = active.map(p => booking.passengerFare(p));
+    const sum = (fares) => fares.reduce((total, fare) => total + fare, 0);
+    const fareDifference = sum(newFares) - sum(oldFares);
+
+    if (fareDifference > 0 && paid) {
+      throw new BookingChangeError(
+        `This change costs ₹${fareDifference} more than was paid; cancel and book again instead`
+      );
+    }
+
+    // A cheaper journey refunds the difference less cancellation charges;
+    // quoted before anything changes, on the current boarding departure
+    const refundQuote = fareDifference < 0 && paid
+      ? refundService.quoteFareDifference(
+        booking,
+        train,
+        active.map((passenger, i) => ({ passenger, oldFare: oldFares[i], newFare: newFares[i] })),
+        { now }
+      )
+      : null;
+    if (refundQuote && !refundQuote.allowed) {
+      throw new BookingChangeError(refundQuote.reason);
+    }
+
+    const assigned = this._keepsPlaces(train, booking, newDate, newSegment)
+      ? null
+      : await this._reallocate(train.forRun(trainRun), booking, active, {
+        journeyDate: newDate,
+        fromStation: newFrom,
+        allowWaitlist,
+        session
+      });
+
+    // Apply the change and write the audit trail
+    const record = (entry) => booking.history.push({ event: 'MODIFIED', by: userId, ...entry });
+
+    if (fromChanged) {
+      const code = await this._stationCodes([oldFrom, newFrom]);
+      record({ field: 'fromStation', from: code(oldFrom), to: code(newFrom) });
+      booking.fromStation = newFrom;
+    }
+    if (dateChanged) {
+      record({ field: 'journeyDate', from: toDateString(oldDate), to: toDateString(newDate) });
+      booking.journeyDate = newDate;
+    }
+    booking.trainRun = trainRun._id;
+
+    if (assigned) {
+      active.forEach((passenger, i) => {
+        const from = passenger.statusLabel();
+        const place = assigned[i];
+        passenger.status = place.status;
+        passenger.coach = place.coach;
+        passenger.seatNumber = place.seatNumber;
+        passenger.berthType = place.berthType;
+        passenger.racNumber = place.racNumber;
+        passenger.waitlistNumber = place.waitlistNumber;
+
+        const to = passenger.statusLabel();
+        if (to !== from) record({ field: 'seat', passenger: passenger._id, from, to });
+      });
+    }
+
+    // Cancelled passengers keep the fare they were charged
+    const oldTotal = booking.totalFare;
+    booking.passengers.forEach(p => {
+      p.fare = booking.passengerFare(p);
+    });
+    active.forEach((p, i) => {
+      p.fare = newFares[i];
+      p.fareBreakdown = newQuote.passengers[i];
+    });
+    booking.totalFare = booking.passengers.reduce((sum, p) => sum + p.fare, 0);
+    if (booking.totalFare !== oldTotal) {
+      record({ field: 'fare', from: String(oldTotal), to: String(booking.totalFare) });
+    }
+    booking.refreshStatus();
+
+    let refund = null;
+    if (refundQuote) {
+      refund = await refundService.recordRefund(booking, refundQuote, {
+        reason: 'Fare difference after booking change',
+        session
+      });
+    } else if (!paid && fareDifference !== 0) {
+      // Intents created for the old amount can no longer be paid
+      await Payment.updateMany(
+        { booking: booking._id, status: 'RequiresPayment' },
+        { $set: { status: 'Expired' } },
+        { session }
+      );
+    }
+
+    await booking.save({ session });
+
+    // Hand any places given up on the old run to its RAC/waitlist queue
+    const oldRun = dateChanged ? await trainRunService.findRun(train, oldDate) : trainRun;
+    const promotions = await waitlistService.promote(
+      train.forRun(oldRun),
+      oldDate,
+      travelClass,
+      session
+    );
+
+    return { booking, fareDifference, refund, promotions };
+  }
+}
+
+const bookingChangeService = new BookingChangeService();
+bookingChangeService.BookingChangeError = BookingChangeError;
+
+module.exports = bookingChangeService;
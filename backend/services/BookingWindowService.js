@@ -0,0 +1,96 @@
+const { MAX_ADVANCE_DAYS, getBookingWindowRules } = require('../utils/bookingWindowRules');
+const {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  parseTime,
+  zonedTimeToUtc,
+  toLocalJourneyDate
+} = require('../utils/timeUtils');
+
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// A date outside the booking window; the message is for the user
+class BookingWindowError extends Error {}
+
+// Works out when a run can be booked from a boarding stop, from the rules in
+// utils/bookingWindowRules.js. Bookings, seat holds, booking changes and
+// searches all check dates here.
+class BookingWindowService {
+  // Opening and closing instants for booking the run starting on journeyDate
+  // (midnight UTC) from the boarding stop. closesAt is null when the stop
+  // has no scheduled departure.
+  getWindow(train, journeyDate, fromStation = train.source) {
+    const rules = getBookingWindowRules(train.trainType);
+    const timeZone = train.timezone || DEFAULT_TIMEZONE;
+    const boardingStop = train.getStopTimes(fromStation, journeyDate);
+    const departure = boardingStop && boardingStop.departureTime;
+
+    return {
+      advanceDays: rules.advanceDays,
+      cutoffMinutes: rules.cutoffMinutes,
+      opensAt: zonedTimeToUtc(journeyDate, parseTime(rules.opensAt), -rules.advanceDays, timeZone),
+      closesAt: departure ? new Date(departure.getTime() - rules.cutoffMinutes * MINUTE_MS) : null
+    };
+  }
+
+  // The window with whether it is open at `now`, for API responses
+  describe(train, journeyDate, fromStation, now = new Date()) {
+    const window = this.getWindow(train, journeyDate, fromStation);
+    return {
+      ...window,
+      isOpen: window.opensAt <= now && (!window.closesAt || now < window.closesAt)
+    };
+  }
+
+  _format(train, instant) {
+    return instant.toLocaleString('en-IN', {
+      timeZone: train.timezone || DEFAULT_TIMEZONE,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  // Throw a BookingWindowError unless the run can be booked from the stop
+  // now; stationName names the stop in the message
+  check(train, { journeyDate, fromStation = train.source, stationName = 'the boarding station', now = new Date() }) {
+    const { advanceDays, cutoffMinutes, opensAt, closesAt } = this.getWindow(train, journeyDate, fromStation);
+
+    if (now < opensAt) {
+      throw new BookingWindowError(
+        `Booking for ${toDateString(journeyDate)} opens ${advanceDays} days ahead, on ${this._format(train, opensAt)}`
+      );
+    }
+
+    if (closesAt && now >= closesAt) {
+      throw new BookingWindowError(cutoffMinutes
+        ? `Booking closed ${cutoffMinutes} minutes before departure from ${stationName}`
+        : `Train has already departed from ${stationName}`);
+    }
+  }
+
+  // Throw a BookingWindowError for search dates (the boarding date,
+  // 'YYYY-MM-DD') that no train could be booked for: before today or past
+  // the longest advance reservation period
+  checkSearchDate(date, now = new Date()) {
+    const today = toLocalJourneyDate(now);
+    const searchDate = new Date(toDateString(date));
+
+    if (searchDate < today) {
+      throw new BookingWindowError(`Journey date ${toDateString(date)} is in the past`);
+    }
+
+    const last = new Date(today.getTime() + MAX_ADVANCE_DAYS * DAY_MS);
+    if (searchDate > last) {
+      throw new BookingWindowError(
+        `Trains can be booked at most ${MAX_ADVANCE_DAYS} days ahead, up to ${toDateString(last)}`
+      );
+    }
+  }
+}
+
+const bookingWindowService = new BookingWindowService();
+bookingWindowService.BookingWindowError = BookingWindowError;
+
+module.exports = bookingWindowService;
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const availabilityService = require('./AvailabilityService');
+const refundService = require('./RefundService');
+const waitlistService = require('./WaitlistService');
+const { toCsv } = require('../utils/csv');
+
+// Charts are prepared this long before departure from the origin
+const DEFAULT_CHART_HOURS = 4;
+// The job leaves runs alone once their chart time is this far behind
+const CATCH_UP_HOURS = 24;
+// How often the chart job looks for runs due a chart
+const CHART_INTERVAL_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const NOT_CONFIRMED_REASON = 'Still waitlisted when the chart was prepared';
+
+const CSV_COLUMNS = ['Coach', 'Berth', 'Berth type', 'PNR', 'Name', 'Age', 'Gender', 'From', 'To', 'Status'];
+
+// A chart that cannot be prepared; the message is for the admin
+class ChartError extends Error {}
+
+// Prepares the reservation chart of a run a few hours before departure:
+// gives RAC and waitlisted passengers any berths still free (unused quota
+// berths included), cancels and refunds whoever is still waitlisted, and
+// closes the run to bookings and changes. Also lists the chart coach-wise.
+class ChartService {
+  constructor() {
+    this.chartTimer = null;
+  }
+
+  chartHours() {
+    return Number(process.env.CHART_PREPARATION_HOURS) || DEFAULT_CHART_HOURS;
+  }
+
+  // When the run's chart is due, or null for runs without a departure time
+  chartTime(run) {
+    return run.scheduledDeparture
+      ? new Date(run.scheduledDeparture.getTime() - this.chartHours() * HOUR_MS)
+      : null;
+  }
+
+  // The train with every quota's berths released to General
+  _releaseQuotas(train) {
+    const view = train.constructor.hydrate(train.toObject());
+    view.seatQuotas = [];
+    return view;
+  }
+
+  // Cancel the waitlisted passengers on a booking with a full refund of
+  // what they paid. Returns the refund, or null for unpaid bookings.
+  async _cancelWaitlisted(booking, waiting, session) {
+    const paid = refundService.isPaid(booking);
+    const passengers = waiting.map(p => {
+      const fare = paid ? booking.passengerFare(p) : 0;
+      return { _id: p._id, name: p.name, status: p.status, fare, charge: 0, refund: fare, rule: 'Full refund' };
+    });
+    const quote = {
+      paid,
+      passengers,
+      totalCharges: 0,
+      refundAmount: passengers.reduce((total, p) => total + p.refund, 0)
+    };
+
+    booking.cancelPassengers({ passengerIds: waiting.map(p => p._id), reason: NOT_CONFIRMED_REASON });
+    const refund = await refundService.recordRefund(booking, quote, { reason: NOT_CONFIRMED_REASON, session });
+    await booking.save({ session });
+    return refund;
+  }
+
+  // Prepare the run's chart. Throws a ChartError when the run is cancelled
+  // or already charted.
+  async prepare(run, { userId, now = new Date() } = {}) {
+    if (run.status === 'Cancelled') {
+      throw new ChartError('Train run is cancelled');
+    }
+    if (run.isChartPrepared()) {
+      throw new ChartError('Chart has already been prepared for this run');
+    }
+
+    const train = await Train.findById(run.train);
+    if (!train) {
+      throw new ChartError('Train not found');
+    }
+    const chartTrain = this._releaseQuotas(train.forRun(run));
+
+    const promotions = [];
+    const notConfirmed = [];
+    const refunds = [];
+    let charted;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Claim the run first, so a second preparation in parallel conflicts
+      charted = await TrainRun.findOneAndUpdate(
+        { _id: run._id, 'chart.preparedAt': null },
+        { $set: { 'chart.preparedAt': now, 'chart.preparedBy': userId } },
+        { new: true, session }
+      );
+      if (!charted) {
+        throw new ChartError('Chart has already been prepared for this run');
+      }
+
+      // Final allotment of the berths still free, RAC before the waitlist
+      const travelClasses = new Set((await availabilityService.findBookings(chartTrain, run.journeyDate, session))
+        .map(booking => booking.travelClass || 'GEN'));
+      for (const travelClass of travelClasses) {
+        promotions.push(...await waitlistService.promote(chartTrain, run.journeyDate, travelClass, session));
+      }
+
+      // Anyone still waitlisted cannot travel
+      const bookings = await availabilityService.findBookings(chartTrain, run.journeyDate, session);
+      for (const booking of bookings) {
+        const waiting = booking.passengers.filter(p => p.status === 'WL');
+        if (waiting.length === 0) continue;
+
+        waiting.forEach(p => notConfirmed.push({ pnr: booking.pnr, passenger: p.name, from: p.statusLabel() }));
+        const refund = await this._cancelWaitlisted(booking, waiting, session);
+        if (refund) refunds.push(refund);
+      }
+
+      const count = (status) => bookings.reduce((total, booking) =>
+        total + booking.passengers.filter(p => p.status === status).length, 0);
+      charted.chart.confirmed = count('CNF');
+      charted.chart.rac = count('RAC');
+      charted.chart.notConfirmed = notConfirmed.length;
+      charted.statusHistory.push({ status: charted.status, reason: 'Chart prepared', changedBy: userId });
+      await charted.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Send the money back once the chart is committed
+    for (const refund of refunds) {
+      await refundService.processRefund(refund);
+    }
+
+    return { run: charted, promotions, notConfirmed, refunds };
+  }
+
+  // Prepare every chart that has fallen due. Runs whose chart time passed
+  // more than CATCH_UP_HOURS ago are skipped.
+  async prepareDueCharts(now = new Date()) {
+    const hours = this.chartHours();
+    const due = await TrainRun.find({
+      status: { $ne: 'Cancelled' },
+      'chart.preparedAt': null,
+      scheduledDeparture: {
+        $gte: new Date(now.getTime() + (hours - CATCH_UP_HOURS) * HOUR_MS),
+        $lte: new Date(now.getTime() + hours * HOUR_MS)
+      }
+    });
+
+    let prepared = 0;
+    for (const run of due) {
+      try {
+        await this.prepare(run, { now });
+        prepared++;
+      } catch (error) {
+        console.error(`Error preparing chart for run ${run._id}:`, error);
+      }
+    }
+
+    return { due: due.length, prepared };
+  }
+
+  // The run's passengers coach by coach, in berth order. Passengers without
+  // a berth (waitlisted, or older bookings) are listed apart.
+  async getChart(train, run) {
+    const { start, end } = availabilityService.getDayRange(run.journeyDate);
+    const bookings = await Booking.find({
+      train: train._id,
+      journeyDate: { $gte: start, $lte: end },
+      bookingStatus: { $ne: 'Cancelled' }
+    })
+      .populate('fromStation', 'code')
+      .populate('toStation', 'code');
+
+    return this.buildChart(train.forRun(run), run, bookings);
+  }
+
+  // The booking needs fromStation and toStation populated with code
+  buildChart(train, run, bookings) {
+    const coaches = train.getCoaches().map(coach => ({
+      coach: coach.code,
+      coachType: coach.coachType,
+      passengers: []
+    }));
+    const unallotted = [];
+
+    bookings.forEach(booking => {
+      booking.passengers.forEach(p => {
+        if (p.status === 'CAN') return;
+
+        const entry = {
+          seatNumber: p.seatNumber || null,
+          berthType: p.berthType || null,
+          pnr: booking.pnr,
+          name: p.name,
+          age: p.age,
+          gender: p.gender,
+          from: booking.fromStation && booking.fromStation.code,
+          to: booking.toStation && booking.toStation.code,
+          status: p.statusLabel()
+        };
+        const coach = p.seatNumber && coaches.find(candidate => candidate.coach === p.coach);
+        if (coach) {
+          coach.passengers.push(entry);
+        } else {
+          unallotted.push(entry);
+        }
+      });
+    });
+
+    coaches.forEach(coach => {
+      coach.passengers.sort((a, b) => (parseInt(a.seatNumber, 10) - parseInt(b.seatNumber, 10)) ||
+        a.status.localeCompare(b.status));
+    });
+
+    return {
+      train: { number: train.trainNumber, name: train.name },
+      journeyDate: run.journeyDate.toISOString().split('T')[0],
+      prepared: run.isChartPrepared(),
+      preparedAt: run.chart ? run.chart.preparedAt : null,
+      coaches: coaches.filter(coach => coach.passengers.length > 0),
+      unallotted
+    };
+  }
+
+  // The chart as CSV, one row per passenger
+  toCsv(chart) {
+    const rows = chart.coaches.flatMap(coach => coach.passengers.map(p => this._csvRow(coach.coach, p)))
+      .concat(chart.unallotted.map(p => this._csvRow('', p)));
+
+    return toCsv(rows, CSV_COLUMNS);
+  }
+
+  _csvRow(coach, p) {
+    const fields = [coach, p.seatNumber, p.berthType, p.pnr, p.name, p.age, p.gender, p.from, p.to, p.status];
+    return Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, fields[i]]));
+  }
+
+  startChartJob(intervalMs = CHART_INTERVAL_MS) {
+    if (this.chartTimer) return;
+
+    this.chartTimer = setInterval(() => {
+      this.prepareDueCharts()
+        .then(({ prepared }) => {
+          if (prepared > 0) console.log(`Prepared ${prepared} reservation chart(s)`);
+        })
+        .catch(error => console.error('Error preparing reservation charts:', error));
+    }, intervalMs);
+    this.chartTimer.unref();
+  }
+
+  stopChartJob() {
+    clearInterval(this.chartTimer);
+    this.chartTimer = null;
+  }
+}
+
+const chartService = new ChartService();
+chartService.ChartError = ChartError;
+
+module.exports = chartService;
@@ -0,0 +1,133 @@
+const availabilityService = require('./AvailabilityService');
+const {
+  CLASS_RATES,
+  DISTANCE_SLABS,
+  FARE_ROUNDING,
+  getFareRules,
+  getConcession,
+  getSurgePercent
+} = require('../utils/fareRules');
+const { DEFAULT_QUOTA, getQuota, getQuotaPremium } = require('../utils/quotaRules');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Sample passengers for fare enquiries, one per fare category
+const FARE_CATEGORIES = {
+  adult: { age: 30, gender: 'M' },
+  child: { age: 8, gender: 'M' },
+  seniorMale: { age: 60, gender: 'M' },
+  seniorFemale: { age: 58, gender: 'F' }
+};
+
+// Prices journeys from the rules in utils/fareRules.js. Every fare shown or
+// charged (search results, fare enquiries, bookings and booking changes)
+// comes from here.
+class FareService {
+  // Distance charged at the normal rate once longer slabs are tapered
+  _taperedDistance(distance) {
+    let charged = 0;
+    let slabStart = 0;
+    for (const slab of DISTANCE_SLABS) {
+      if (distance <= slabStart) break;
+      charged += (Math.min(distance, slab.upToKm) - slabStart) * slab.rate;
+      slabStart = slab.upToKm;
+    }
+    return charged;
+  }
+
+  // The train's class with the lowest base rate
+  cheapestClass(train) {
+    return train.getClasses().reduce((cheapest, travelClass) =>
+      CLASS_RATES[travelClass] < CLASS_RATES[cheapest] ? travelClass : cheapest
+    );
+  }
+
+  // Share of a class's berths already taken, from an availability summary
+  loadFactor(classes, travelClass) {
+    const summary = (classes || []).find(c => c.travelClass === travelClass);
+    if (!summary || !summary.totalSeats) return 0;
+    return 1 - summary.availableSeats / summary.totalSeats;
+  }
+
+  // Load factor for surge pricing; only looked up for trains that use it
+  async getLoadFactor(train, journeyDate, { fromStation, toStation, travelClass, session, excludeBooking } = {}) {
+    if (!train.dynamicPricing) return 0;
+
+    const { classes } = await availabilityService.getAvailability(train, journeyDate, {
+      fromStation,
+      toStation,
+      session,
+      excludeBooking
+    });
+    return this.loadFactor(classes, travelClass);
+  }
+
+  // Fare for one passenger, with its breakdown. Quotas such as Tatkal add a
+  // premium on the base fare and may not allow concessions.
+  passengerFare(train, { fromStation, toStation, travelClass = 'GEN', passenger = {}, loadFactor = 0, quota }) {
+    const rules = getFareRules(train.trainType, travelClass);
+    const distance = fromStation && toStation ? train.getSegmentDistance(fromStation, toStation) : null;
+
+    // Without a route the train fare covers the whole journey
+    const baseFare = distance === null
+      ? Math.ceil(train.fare * rules.classRate)
+      : Math.ceil(this._taperedDistance(Math.max(distance, rules.minimumDistance)) / 100 * train.fare * rules.classRate);
+
+    const quotaRule = getQuota(quota);
+    const concession = quotaRule.concessions === false ? null : getConcession(passenger);
+    const concessionAmount = concession ? Math.round(baseFare * concession.percent / 100) : 0;
+    const quotaCharge = getQuotaPremium(quota, travelClass, baseFare);
+    const surgePercent = train.dynamicPricing ? getSurgePercent(loadFactor) : 0;
+    const surgeAmount = Math.round(baseFare * surgePercent / 100);
+
+    const beforeTax = baseFare - concessionAmount + quotaCharge + surgeAmount +
+      rules.reservationCharge + rules.superfastCharge;
+    const gst = roundMoney(beforeTax * rules.gstPercent / 100);
+
+    return {
+      baseFare,
+      concession: concession
+        ? { code: concession.code, label: concession.label, percent: concession.percent }
+        : null,
+      concessionAmount,
+      quotaCharge,
+      surgePercent,
+      surgeAmount,
+      reservationCharge: rules.reservationCharge,
+      superfastCharge: rules.superfastCharge,
+      gst,
+      total: Math.ceil((beforeTax + gst) / FARE_ROUNDING) * FARE_ROUNDING
+    };
+  }
+
+  // Fares for a group travelling together; loadFactor is the share of the
+  // class already booked, used by trains with dynamic pricing
+  quote(train, { fromStation, toStation, travelClass = 'GEN', passengers = [FARE_CATEGORIES.adult], loadFactor = 0, quota }) {
+    const context = { fromStation, toStation, travelClass, loadFactor, quota };
+    const fares = passengers.map(passenger => this.passengerFare(train, { ...context, passenger }));
+
+    return {
+      travelClass,
+      quota: quota || DEFAULT_QUOTA,
+      distance: fromStation && toStation ? train.getSegmentDistance(fromStation, toStation) : null,
+      surgePercent: fares.length ? fares[0].surgePercent : 0,
+      passengers: fares,
+      totalFare: fares.reduce((sum, fare) => sum + fare.total, 0)
+    };
+  }
+
+  // Fare of one adult, for listings; defaults to the cheapest class
+  adultFare(train, fromStation, toStation, travelClass = this.cheapestClass(train), loadFactor = 0) {
+    return this.passengerFare(train, { fromStation, toStation, travelClass, loadFactor }).total;
+  }
+
+  // Fare enquiry: the breakdown for each fare category in one class
+  categoryFares(train, { fromStation, toStation, travelClass, loadFactor = 0, quota }) {
+    return Object.fromEntries(Object.entries(FARE_CATEGORIES).map(([category, passenger]) => [
+      category,
+      this.passengerFare(train, { fromStation, toStation, travelClass, passenger, loadFactor, quota })
+    ]));
+  }
+}
+
+module.exports = new FareService();
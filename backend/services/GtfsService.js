@@ -0,0 +1,517 @@
+const AdmZip = require('adm-zip');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const trainRunService = require('./TrainRunService');
+const routeGraphService = require('./RouteGraphService');
+const { parseCsv, toCsv } = require('../utils/csv');
+const {
+  DEFAULT_TIMEZONE,
+  MINUTE_MS,
+  formatTime,
+  zonedTimeToUtc,
+  toLocalJourneyDate,
+  inferDayOffsets
+} = require('../utils/timeUtils');
+
+const DAY_MINUTES = 24 * 60;
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const GTFS_DAYS = [
+  ['monday', 'Mon'],
+  ['tuesday', 'Tue'],
+  ['wednesday', 'Wed'],
+  ['thursday', 'Thu'],
+  ['friday', 'Fri'],
+  ['saturday', 'Sat'],
+  ['sunday', 'Sun']
+];
+const ALL_DAYS = GTFS_DAYS.map(([, day]) => day);
+const TRAIN_TYPES = Train.schema.path('trainType').enumValues;
+const STATION_FIELDS = ['name', 'city', 'state', 'zone', 'latitude', 'longitude'];
+
+// GTFS carries no capacity, so new trains are created inactive with a
+// placeholder seat count until an admin defines their coaches
+const DEFAULT_IMPORT_SEATS = 100;
+// route_type 2 is "Rail" in the GTFS reference
+const GTFS_ROUTE_TYPE_RAIL = 2;
+const EXPORT_VALIDITY_DAYS = 365;
+
+const AGENCY = {
+  agency_id: 'RP',
+  agency_name: 'Railway Planner',
+  agency_url: process.env.FRONTEND_URL || 'https://railway-planner-frontend.vercel.app',
+  agency_timezone: DEFAULT_TIMEZONE
+};
+
+// 'H:MM:SS' -> minutes after service-day midnight; hours may exceed 23
+const parseGtfsTime = (time) => {
+  if (!time) return null;
+  const match = /^(\d{1,3}):([0-5]\d)(?::([0-5]\d))?$/.exec(time);
+  if (!match) throw new Error(`Invalid GTFS time "${time}"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const formatGtfsTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}:00`;
+};
+
+const formatGtfsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Great-circle distance in km, used when a feed has no shape_dist_traveled
+const haversineKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const groupBy = (rows, key) => rows.reduce((acc, row) => {
+  if (!acc.has(row[key])) acc.set(row[key], []);
+  acc.get(row[key]).push(row);
+  return acc;
+}, new Map());
+
+const sameValue = (a, b) => String(a === undefined || a === null ? '' : a) ===
+  String(b === undefined || b === null ? '' : b);
+
+const routeSignature = (stops) => stops
+  .map(s => [s.code, s.arrival || '', s.departure || '', s.day || 0, s.distance].join(' '))
+  .join('|');
+
+class GtfsService {
+  // Unzip a feed into parsed tables keyed by file name without extension
+  readFeed(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw new Error('GTFS feed must be a zip archive');
+    }
+
+    const files = new Map(zip.getEntries()
+      .filter(entry => !entry.isDirectory)
+      .map(entry => [entry.entryName.split('/').pop(), entry]));
+
+    const missing = REQUIRED_FILES.filter(name => !files.has(name));
+    if (missing.length > 0) {
+      throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+    }
+
+    const read = (name) => files.has(name)
+      ? parseCsv(files.get(name).getData().toString('utf8'))
+      : [];
+
+    return {
+      agency: read('agency.txt'),
+      stops: read('stops.txt'),
+      routes: read('routes.txt'),
+      trips: read('trips.txt'),
+      stopTimes: read('stop_times.txt'),
+      calendar: read('calendar.txt'),
+      fareAttributes: read('fare_attributes.txt'),
+      fareRules: read('fare_rules.txt')
+    };
+  }
+
+  // Stations from stops.txt; platforms collapse into their parent station
+  _planStations(feed, existing) {
+    const stopsById = new Map(feed.stops.map(stop => [stop.stop_id, stop]));
+    const stationStop = (stop) => (stop && stop.parent_station && stopsById.get(stop.parent_station)) || stop;
+
+    const stations = new Map();
+    feed.stops
+      .filter(stop => ['', '0', '1', undefined].includes(stop.location_type))
+      .map(stationStop)
+      .forEach(stop => {
+        const code = (stop.stop_code || stop.stop_id).toUpperCase();
+        if (stations.has(code)) return;
+
+        const current = existing.get(code);
+        stations.set(code, {
+          code,
+          name: stop.stop_name,
+          city: stop.city || (current && current.city) || stop.stop_name,
+          state: stop.state || (current && current.state) || 'Unknown',
+          zone: stop.zone_id || (current && current.zone) || undefined,
+          latitude: Number(stop.stop_lat),
+          longitude: Number(stop.stop_lon)
+        });
+      });
+
+    const codeForStop = (stopId) => {
+      const stop = stationStop(stopsById.get(stopId));
+      return stop ? (stop.stop_code || stop.stop_id).toUpperCase() : null;
+    };
+
+    return { stations, codeForStop };
+  }
+
+  // Stop times -> route entries with local HH:mm times and day offsets
+  _planStops(times, stations, codeForStop) {
+    let distance = 0;
+    const stops = times.map((st, index) => {
+      const code = codeForStop(st.stop_id);
+      const arrival = index === 0 ? null : parseGtfsTime(st.arrival_time);
+      const departure = index === times.length - 1 ? null : parseGtfsTime(st.departure_time);
+      const first = arrival !== null ? arrival : departure;
+
+      if (st.shape_dist_traveled) {
+        distance = Number(st.shape_dist_traveled);
+      } else if (index > 0) {
+        distance += haversineKm(stations.get(codeForStop(times[index - 1].stop_id)), stations.get(code));
+      }
+
+      return {
+        code,
+        arrival: arrival !== null ? formatTime(arrival) : null,
+        departure: departure !== null ? formatTime(departure) : null,
+        day: first !== null ? Math.floor(first / DAY_MINUTES) : 0,
+        distance: Math.round(distance),
+        arrivalMinutes: arrival,
+        departureMinutes: departure
+      };
+    });
+
+    // Untimed intermediate stops take the running day of the stop before
+    inferDayOffsets(stops);
+
+    if (stops[0].departureMinutes === null || stops[stops.length - 1].arrivalMinutes === null) {
+      throw new Error('first and last stops must be timed');
+    }
+    return stops;
+  }
+
+  // One train per trip, keyed by trip_short_name or the route's short name
+  _planTrains(feed, stations, codeForStop, warnings) {
+    const timezone = (feed.agency[0] && feed.agency[0].agency_timezone) || DEFAULT_TIMEZONE;
+    const routesById = new Map(feed.routes.map(route => [route.route_id, route]));
+    const tripsByRoute = groupBy(feed.trips, 'route_id');
+    const stopTimesByTrip = groupBy(feed.stopTimes, 'trip_id');
+    const calendarById = new Map(feed.calendar.map(service => [service.service_id, service]));
+    const prices = new Map(feed.fareAttributes.map(fare => [fare.fare_id, Number(fare.price)]));
+    const fareByRoute = new Map(feed.fareRules
+      .filter(rule => rule.route_id && prices.has(rule.fare_id))
+      .map(rule => [rule.route_id, prices.get(rule.fare_id)]));
+
+    const trains = new Map();
+    feed.trips.forEach(trip => {
+      const route = routesById.get(trip.route_id);
+      if (!route) {
+        warnings.push(`Trip ${trip.trip_id} references unknown route ${trip.route_id}`);
+        return;
+      }
+
+      const trainNumber = trip.trip_short_name ||
+        (tripsByRoute.get(trip.route_id).length === 1 && route.route_short_name) ||
+        trip.trip_id;
+      if (trains.has(trainNumber)) {
+        warnings.push(`Trip ${trip.trip_id} duplicates train ${trainNumber} and was skipped`);
+        return;
+      }
+
+      const times = (stopTimesByTrip.get(trip.trip_id) || [])
+        .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+      if (times.length < 2) {
+        warnings.push(`Trip ${trip.trip_id} has fewer than two stops and was skipped`);
+        return;
+      }
+
+      const unknownStop = times.find(st => !stations.has(codeForStop(st.stop_id)));
+      if (unknownStop) {
+        warnings.push(`Trip ${trip.trip_id} references unknown stop ${unknownStop.stop_id}`);
+        return;
+      }
+
+      let stops;
+      try {
+        stops = this._planStops(times, stations, codeForStop);
+      } catch (error) {
+        warnings.push(`Trip ${trip.trip_id} was skipped: ${error.message}`);
+        return;
+      }
+
+      const service = calendarById.get(trip.service_id);
+      if (!service) {
+        warnings.push(`Trip ${trip.trip_id} has no calendar.txt entry; days of operation unchanged`);
+      }
+
+      trains.set(trainNumber, {
+        trainNumber,
+        name: route.route_long_name || trip.trip_headsign || trainNumber,
+        trainType: TRAIN_TYPES.includes(route.route_desc) ? route.route_desc : undefined,
+        timezone,
+        daysOfOperation: service
+          ? GTFS_DAYS.filter(([key]) => service[key] === '1').map(([, day]) => day)
+          : undefined,
+        fare: fareByRoute.get(route.route_id),
+        stops
+      });
+    });
+
+    return trains;
+  }
+
+  _diffTrain(current, planned) {
+    const changes = [];
+    if (!sameValue(current.name, planned.name)) changes.push('name');
+    if (planned.trainType && current.trainType !== planned.trainType) changes.push('trainType');
+    if (current.timezone !== planned.timezone) changes.push('timezone');
+    if (planned.fare !== undefined && current.fare !== planned.fare) changes.push('fare');
+    if (planned.daysOfOperation &&
+      ALL_DAYS.filter(d => current.daysOfOperation.includes(d)).join() !==
+      ALL_DAYS.filter(d => planned.daysOfOperation.includes(d)).join()) {
+      changes.push('daysOfOperation');
+    }
+
+    const currentStops = current.route.map(stop => ({
+      code: stop.station && stop.station.code,
+      arrival: stop.arrival,
+      departure: stop.departure,
+      day: stop.day,
+      distance: stop.distance
+    }));
+    if (routeSignature(currentStops) !== routeSignature(planned.stops)) changes.push('route');
+
+    return changes;
+  }
+
+  // Compare a parsed feed with the database and, unless dryRun, apply it.
+  // Stations match on code and trains on train number; nothing is deleted.
+  async importFeed(feed, { dryRun = false } = {}) {
+    const warnings = [];
+    const report = {
+      dryRun,
+      stations: { created: [], updated: [], unchanged: 0 },
+      trains: { created: [], updated: [], unchanged: 0 },
+      warnings
+    };
+
+    const codes = [...new Set(feed.stops.map(stop => (stop.stop_code || stop.stop_id).toUpperCase()))];
+    const existingStations = new Map((await Station.find({ code: { $in: codes } }))
+      .map(station => [station.code, station]));
+
+    const { stations, codeForStop } = this._planStations(feed, existingStations);
+    stations.forEach((planned, code) => {
+      const current = existingStations.get(code);
+      if (!current) {
+        report.stations.created.push(code);
+        return;
+      }
+      const changes = STATION_FIELDS.filter(field => !sameValue(current[field], planned[field]));
+      if (changes.length > 0) report.stations.updated.push({ code, changes });
+      else report.stations.unchanged++;
+    });
+
+    const trains = this._planTrains(feed, stations, codeForStop, warnings);
+    const existingTrains = new Map((await Train.find({ trainNumber: { $in: [...trains.keys()] } })
+      .populate('route.station', 'code'))
+      .map(train => [train.trainNumber, train]));
+
+    trains.forEach((planned, trainNumber) => {
+      const current = existingTrains.get(trainNumber);
+      if (!current) {
+        report.trains.created.push(trainNumber);
+        return;
+      }
+      const changes = this._diffTrain(current, planned);
+      if (changes.length > 0) report.trains.updated.push({ trainNumber, changes });
+      else report.trains.unchanged++;
+    });
+
+    if (report.trains.created.length > 0) {
+      warnings.push(`${report.trains.created.length} new train(s) will be created inactive with ${DEFAULT_IMPORT_SEATS} seats until coaches are configured`);
+    }
+
+    if (dryRun) return report;
+
+    const stationIds = new Map([...existingStations].map(([code, station]) => [code, station._id]));
+    for (const code of report.stations.created) {
+      const station = await Station.create(stations.get(code));
+      stationIds.set(code, station._id);
+    }
+    for (const { code } of report.stations.updated) {
+      const station = existingStations.get(code);
+      Object.assign(station, stations.get(code));
+      await station.save();
+    }
+
+    const changedTrains = [
+      ...report.trains.created,
+      ...report.trains.updated.map(update => update.trainNumber)
+    ];
+    for (const trainNumber of changedTrains) {
+      await this._saveTrain(trains.get(trainNumber), existingTrains.get(trainNumber), stationIds);
+    }
+
+    // Bulk changes are cheaper to rebuild than to patch one by one
+    if (changedTrains.length > 0 || report.stations.created.length > 0 || report.stations.updated.length > 0) {
+      routeGraphService.rebuild();
+    }
+
+    return report;
+  }
+
+  async _saveTrain(planned, current, stationIds) {
+    const origin = planned.stops[0];
+    const terminus = planned.stops[planned.stops.length - 1];
+    const referenceDate = toLocalJourneyDate(new Date(), planned.timezone);
+
+    const fields = {
+      name: planned.name,
+      timezone: planned.timezone,
+      source: stationIds.get(origin.code),
+      destination: stationIds.get(terminus.code),
+      // Legacy template times, kept for clients that still read them
+      departureTime: zonedTimeToUtc(referenceDate, origin.departureMinutes, 0, planned.timezone),
+      arrivalTime: zonedTimeToUtc(referenceDate, terminus.arrivalMinutes, 0, planned.timezone),
+      route: planned.stops.map(stop => ({
+        station: stationIds.get(stop.code),
+        arrival: stop.arrival,
+        departure: stop.departure,
+        day: stop.day,
+        distance: stop.distance
+      })),
+      ...(planned.trainType && { trainType: planned.trainType }),
+      ...(planned.daysOfOperation && { daysOfOperation: planned.daysOfOperation }),
+      ...(planned.fare !== undefined && { fare: planned.fare })
+    };
+
+    if (!current) {
+      return Train.create({
+        trainNumber: planned.trainNumber,
+        trainType: 'Other',
+        totalSeats: DEFAULT_IMPORT_SEATS,
+        availableSeats: DEFAULT_IMPORT_SEATS,
+        fare: 0,
+        daysOfOperation: ALL_DAYS,
+        status: 'Inactive',
+        ...fields
+      });
+    }
+
+    Object.assign(current, fields);
+    await current.save();
+    if (planned.daysOfOperation && current.status === 'Active') {
+      await trainRunService.generateRuns(current);
+    }
+    return current;
+  }
+
+  // Build a GTFS zip of all stations and active trains. Stop times are
+  // written in the agency timezone relative to the origin departure date.
+  async exportFeed() {
+    const [stations, trains] = await Promise.all([
+      Station.find().sort({ code: 1 }),
+      Train.find({ status: 'Active' })
+        .populate('source', 'code name')
+        .populate('destination', 'code name')
+        .populate('route.station', 'code name')
+        .sort({ trainNumber: 1 })
+    ]);
+
+    const timeZone = AGENCY.agency_timezone;
+    const referenceDate = toLocalJourneyDate(new Date(), timeZone);
+    const serviceStart = zonedTimeToUtc(referenceDate, 0, 0, timeZone);
+    const endDate = new Date(referenceDate);
+    endDate.setUTCDate(endDate.getUTCDate() + EXPORT_VALIDITY_DAYS);
+    const toMinutes = (instant) => Math.round((instant - serviceStart) / MINUTE_MS);
+
+    const tables = {
+      routes: [],
+      trips: [],
+      stopTimes: [],
+      calendar: [],
+      fareAttributes: [],
+      fareRules: []
+    };
+
+    trains.forEach(train => {
+      const schedule = train.route.length > 0
+        ? train.getSchedule(referenceDate)
+        : [train.getStopTimes(train.source, referenceDate), train.getStopTimes(train.destination, referenceDate)];
+      if (schedule.some(stop => !stop || !stop.station || !stop.station.code)) return;
+      if (!schedule[0].departureTime || !schedule[schedule.length - 1].arrivalTime) return;
+
+      const id = train.trainNumber;
+      tables.routes.push({
+        route_id: id,
+        agency_id: AGENCY.agency_id,
+        route_short_name: id,
+        route_long_name: train.name,
+        route_desc: train.trainType,
+        route_type: GTFS_ROUTE_TYPE_RAIL
+      });
+      tables.trips.push({
+        route_id: id,
+        service_id: id,
+        trip_id: id,
+        trip_short_name: id,
+        trip_headsign: train.destination && train.destination.name
+      });
+
+      schedule.forEach((stop, index) => {
+        const arrival = stop.arrivalTime || stop.departureTime;
+        const departure = stop.departureTime || stop.arrivalTime;
+        tables.stopTimes.push({
+          trip_id: id,
+          arrival_time: arrival ? formatGtfsTime(toMinutes(arrival)) : '',
+          departure_time: departure ? formatGtfsTime(toMinutes(departure)) : '',
+          stop_id: stop.station.code,
+          stop_sequence: index + 1,
+          shape_dist_traveled: stop.distance
+        });
+      });
+
+      tables.calendar.push({
+        service_id: id,
+        ...GTFS_DAYS.reduce((acc, [key, day]) => {
+          acc[key] = train.runsOnDay(day) ? 1 : 0;
+          return acc;
+        }, {}),
+        start_date: formatGtfsDate(referenceDate),
+        end_date: formatGtfsDate(endDate)
+      });
+
+      tables.fareAttributes.push({
+        fare_id: id,
+        price: train.fare.toFixed(2),
+        currency_type: 'INR',
+        payment_method: 1,
+        transfers: 0
+      });
+      tables.fareRules.push({ fare_id: id, route_id: id });
+    });
+
+    const zip = new AdmZip();
+    const addFile = (name, rows, columns) => zip.addFile(name, Buffer.from(toCsv(rows, columns), 'utf8'));
+
+    addFile('agency.txt', [AGENCY], Object.keys(AGENCY));
+    addFile('stops.txt', stations.map(station => ({
+      stop_id: station.code,
+      stop_code: station.code,
+      stop_name: station.name,
+      stop_lat: station.latitude,
+      stop_lon: station.longitude,
+      zone_id: station.zone,
+      // Non-standard columns so a round trip keeps the station's locality
+      city: station.city,
+      state: station.state
+    })), ['stop_id', 'stop_code', 'stop_name', 'stop_lat', 'stop_lon', 'zone_id', 'city', 'state']);
+    addFile('routes.txt', tables.routes,
+      ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type']);
+    addFile('trips.txt', tables.trips, ['route_id', 'service_id', 'trip_id', 'trip_short_name', 'trip_headsign']);
+    addFile('stop_times.txt', tables.stopTimes,
+      ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled']);
+    addFile('calendar.txt', tables.calendar,
+      ['service_id', ...GTFS_DAYS.map(([key]) => key), 'start_date', 'end_date']);
+    addFile('fare_attributes.txt', tables.fareAttributes,
+      ['fare_id', 'price', 'currency_type', 'payment_method', 'transfers']);
+    addFile('fare_rules.txt', tables.fareRules, ['fare_id', 'route_id']);
+
+    return zip.toBuffer();
+  }
+}
+
+module.exports = new GtfsService();
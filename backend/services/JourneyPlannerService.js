@@ -0,0 +1,291 @@
+const Station = require('../models/Station');
+const TrainRun = require('../models/TrainRun');
+const fareService = require('./FareService');
+const { MINUTE_MS } = require('../utils/timeUtils');
+
+// How far past the requested departure connections are considered
+const SEARCH_WINDOW_HOURS = 48;
+const DEFAULT_MAX_TRANSFERS = 3;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const stationSummary = (station) => station && {
+  _id: station._id,
+  name: station.name,
+  code: station.code
+};
+
+// Earliest-arrival planning with the Connection Scan Algorithm over the
+// timetable: every hop between consecutive timed stops of a run is one
+// connection, scanned in departure order.
+class JourneyPlannerService {
+  constructor() {
+    this.stations = new Map();
+    this.trains = [];
+  }
+
+  initialize(stations, trains) {
+    this.stations = new Map(stations.map(station => [station._id.toString(), station]));
+    this.trains = trains.filter(train => train.status === 'Active');
+  }
+
+  upsertStation(station) {
+    this.stations.set(station._id.toString(), station);
+  }
+
+  removeStation(stationId) {
+    this.stations.delete(stationId.toString());
+  }
+
+  upsertTrain(train) {
+    this.removeTrain(train._id);
+    if (train.status === 'Active') this.trains.push(train);
+  }
+
+  removeTrain(trainId) {
+    this.trains = this.trains.filter(train => train._id.toString() !== trainId.toString());
+  }
+
+  // Stations the planner has no record of get the default transfer time
+  getMinConnectionTime(stationId) {
+    const station = this.stations.get(stationId);
+    return station && station.minConnectionTime !== undefined
+      ? station.minConnectionTime
+      : Station.DEFAULT_MIN_CONNECTION_TIME;
+  }
+
+  // Timed stops of one run; legacy trains without a route contribute their
+  // source and destination template times
+  _timedStops(train, journeyDate) {
+    const stops = train.route.length > 0
+      ? train.getSchedule(journeyDate)
+      : [train.getStopTimes(train.source, journeyDate), train.getStopTimes(train.destination, journeyDate)];
+    return stops.filter(stop => stop && (stop.arrivalTime || stop.departureTime));
+  }
+
+  async _cancelledRuns(from, to) {
+    const runs = await TrainRun.find({
+      status: 'Cancelled',
+      journeyDate: { $gte: from, $lte: to }
+    }).select('train journeyDate');
+    return new Set(runs.map(run => `${run.train}|${run.journeyDate.toISOString()}`));
+  }
+
+  async buildConnections(departureAt) {
+    const windowEnd = new Date(departureAt.getTime() + SEARCH_WINDOW_HOURS * 60 * MINUTE_MS);
+    const maxDays = Math.max(0, ...this.trains.map(train => Math.max(0, ...train.route.map(stop => stop.day || 0)))) + 1;
+
+    // Runs that started up to maxDays earlier may still be on the way
+    const firstDate = new Date(departureAt);
+    firstDate.setUTCHours(0, 0, 0, 0);
+    firstDate.setUTCDate(firstDate.getUTCDate() - maxDays);
+    const lastDate = new Date(windowEnd);
+    lastDate.setUTCHours(0, 0, 0, 0);
+
+    const cancelled = await this._cancelledRuns(firstDate, lastDate);
+    const connections = [];
+
+    for (let date = firstDate; date <= lastDate; date = new Date(date.getTime() + DAY_MS)) {
+      const dayName = date.toUTCString().slice(0, 3);
+
+      this.trains.forEach(train => {
+        if (!train.runsOnDay(dayName) || cancelled.has(`${train._id}|${date.toISOString()}`)) return;
+
+        const stops = this._timedStops(train, date);
+        for (let i = 0; i < stops.length - 1; i++) {
+          const from = stops[i];
+          const to = stops[i + 1];
+          if (!from.departureTime || !to.arrivalTime) continue;
+          if (from.departureTime < departureAt || from.departureTime > windowEnd) continue;
+
+          connections.push({
+            trip: `${train._id}|${date.toISOString()}`,
+            train,
+            journeyDate: date,
+            from: (from.station._id || from.station).toString(),
+            to: (to.station._id || to.station).toString(),
+            departure: from.departureTime.getTime(),
+            arrival: to.arrivalTime.getTime(),
+            fromDistance: from.distance || 0
+          });
+        }
+      });
+    }
+
+    return connections.sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+  }
+
+  // Single earliest-arrival query; returns the legs or null
+  earliestArrival(connections, from, to, departureAt) {
+    const arrival = new Map([[from, departureAt.getTime()]]);
+    const boardedAt = new Map();
+    const journey = new Map();
+    const reached = (station) => (arrival.has(station) ? arrival.get(station) : Infinity);
+
+    for (const connection of connections) {
+      if (reached(to) <= connection.departure) break;
+
+      const onBoard = boardedAt.has(connection.trip);
+      const transfer = connection.from === from ? 0 : this.getMinConnectionTime(connection.from) * MINUTE_MS;
+      if (!onBoard && reached(connection.from) + transfer > connection.departure) continue;
+
+      if (!onBoard) boardedAt.set(connection.trip, connection);
+      if (connection.arrival < reached(connection.to)) {
+        arrival.set(connection.to, connection.arrival);
+        journey.set(connection.to, { enter: boardedAt.get(connection.trip), exit: connection });
+      }
+    }
+
+    if (!journey.has(to)) return null;
+
+    const legs = [];
+    for (let station = to; station !== from; station = journey.get(station).enter.from) {
+      legs.unshift(journey.get(station));
+    }
+    return legs;
+  }
+
+  // Multi-criteria scan keeping, per station, every label not dominated on
+  // arrival time, number of legs and fare. Passengers on board a run are
+  // tracked per trip so staying on a train never counts as a change.
+  paretoScan(connections, from, to, departureAt, maxTransfers = DEFAULT_MAX_TRANSFERS) {
+    const dominates = (a, b) => a.arrival <= b.arrival && a.legs <= b.legs && a.fare <= b.fare;
+    const bags = new Map([[from, [{ arrival: departureAt.getTime(), legs: 0, fare: 0, prev: null, leg: null }]]]);
+    const onBoard = new Map();
+
+    const addLabel = (station, label) => {
+      const bag = bags.get(station) || [];
+      if (bag.some(existing => dominates(existing, label))) return;
+      bags.set(station, [...bag.filter(existing => !dominates(label, existing)), label]);
+    };
+
+    for (const connection of connections) {
+      let riders = onBoard.get(connection.trip) || [];
+      const transfer = this.getMinConnectionTime(connection.from) * MINUTE_MS;
+
+      (bags.get(connection.from) || []).forEach(label => {
+        const ready = label.prev === null ? label.arrival : label.arrival + transfer;
+        if (ready > connection.departure || label.legs > maxTransfers) return;
+        if (label.leg && label.leg.exit.trip === connection.trip) return;
+
+        // Boarding later on the same run is cheaper, so it only loses to a
+        // rider with no more legs, no higher fare and a later boarding point
+        const rider = { label, enter: connection, legs: label.legs + 1, fare: label.fare };
+        const beats = (a, b) => a.legs <= b.legs && a.fare <= b.fare && a.enter.fromDistance >= b.enter.fromDistance;
+        if (riders.some(existing => beats(existing, rider))) return;
+        riders = [...riders.filter(existing => !beats(rider, existing)), rider];
+      });
+      onBoard.set(connection.trip, riders);
+
+      riders.forEach(rider => {
+        const fare = rider.fare + fareService.adultFare(connection.train, rider.enter.from, connection.to);
+        const label = {
+          arrival: connection.arrival,
+          legs: rider.legs,
+          fare,
+          prev: rider.label,
+          leg: { enter: rider.enter, exit: connection }
+        };
+
+        // Anything the destination already beats cannot improve later on
+        if ((bags.get(to) || []).some(existing => dominates(existing, label))) return;
+        addLabel(connection.to, label);
+      });
+    }
+
+    return (bags.get(to) || []).map(label => {
+      const legs = [];
+      for (let current = label; current.prev; current = current.prev) {
+        legs.unshift(current.leg);
+      }
+      return legs;
+    });
+  }
+
+  _formatItinerary(legs) {
+    const formattedLegs = legs.map(({ enter, exit }) => ({
+      train: {
+        _id: enter.train._id,
+        trainNumber: enter.train.trainNumber,
+        name: enter.train.name
+      },
+      journeyDate: enter.journeyDate,
+      from: stationSummary(this.stations.get(enter.from)),
+      to: stationSummary(this.stations.get(exit.to)),
+      departureTime: new Date(enter.departure),
+      arrivalTime: new Date(exit.arrival),
+      distance: this._legDistance(enter.train, enter.from, exit.to),
+      fare: fareService.adultFare(enter.train, enter.from, exit.to)
+    }));
+
+    const transfers = formattedLegs.slice(1).map((leg, index) => ({
+      station: leg.from,
+      arrivalTime: formattedLegs[index].arrivalTime,
+      departureTime: leg.departureTime,
+      waitMinutes: Math.round((leg.departureTime - formattedLegs[index].arrivalTime) / MINUTE_MS),
+      minConnectionTime: this.getMinConnectionTime(legs[index + 1].enter.from)
+    }));
+
+    const departureTime = formattedLegs[0].departureTime;
+    const arrivalTime = formattedLegs[formattedLegs.length - 1].arrivalTime;
+
+    return {
+      departureTime,
+      arrivalTime,
+      durationMinutes: Math.round((arrivalTime - departureTime) / MINUTE_MS),
+      totalDistance: formattedLegs.reduce((sum, leg) => sum + leg.distance, 0),
+      totalFare: formattedLegs.reduce((sum, leg) => sum + leg.fare, 0),
+      transferCount: transfers.length,
+      legs: formattedLegs,
+      transfers
+    };
+  }
+
+  _legDistance(train, fromId, toId) {
+    const find = (id) => train.route.find(stop => (stop.station._id || stop.station).toString() === id);
+    const start = find(fromId);
+    const end = find(toId);
+    return start && end ? (end.distance || 0) - (start.distance || 0) : 0;
+  }
+
+  // Pareto-optimal itineraries across arrival time, changes and fare, each
+  // labelled with the criteria it is best on
+  async planOptions(from, to, departureAt, { maxTransfers = DEFAULT_MAX_TRANSFERS } = {}) {
+    const connections = await this.buildConnections(departureAt);
+    const options = this.paretoScan(connections, from, to, departureAt, maxTransfers)
+      .map(legs => ({ ...this._formatItinerary(legs), labels: [] }))
+      .sort((a, b) => a.arrivalTime - b.arrivalTime || a.transferCount - b.transferCount || a.totalFare - b.totalFare);
+
+    if (options.length === 0) return options;
+
+    const best = (compare) => [...options].sort(compare)[0];
+    best((a, b) => a.arrivalTime - b.arrivalTime || a.transferCount - b.transferCount || a.totalFare - b.totalFare)
+      .labels.push('fastest');
+    best((a, b) => a.totalFare - b.totalFare || a.arrivalTime - b.arrivalTime || a.transferCount - b.transferCount)
+      .labels.push('cheapest');
+    best((a, b) => a.transferCount - b.transferCount || a.arrivalTime - b.arrivalTime || a.totalFare - b.totalFare)
+      .labels.push('fewestChanges');
+
+    return options;
+  }
+
+  // Up to `limit` itineraries: each later search departs just after the
+  // previous itinerary's first train, as a "later connections" list would
+  async plan(from, to, departureAt, { limit = 3 } = {}) {
+    const connections = await this.buildConnections(departureAt);
+    const itineraries = [];
+    let earliest = departureAt;
+
+    while (itineraries.length < limit) {
+      const remaining = connections.filter(connection => connection.departure >= earliest.getTime());
+      const legs = this.earliestArrival(remaining, from, to, earliest);
+      if (!legs) break;
+
+      itineraries.push(this._formatItinerary(legs));
+      earliest = new Date(legs[0].enter.departure + MINUTE_MS);
+    }
+
+    return itineraries;
+  }
+}
+
+module.exports = new JourneyPlannerService();
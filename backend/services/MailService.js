@@ -0,0 +1,77 @@
+const ConsoleMailTransport = require('./mailTransports/ConsoleMailTransport');
+const FileMailTransport = require('./mailTransports/FileMailTransport');
+
+const DEFAULT_FROM = 'Railway Planner <no-reply@railway-planner.local>';
+
+// Sends account emails. Delivery plugs in as transport adapters with a name
+// and send({ from, to, subject, text }); MAIL_TRANSPORT picks one. The
+// console and file transports never reach the user, so production must name
+// a real one.
+class MailService {
+  constructor() {
+    this.transports = new Map();
+    this.registerTransport(new ConsoleMailTransport());
+    this.registerTransport(new FileMailTransport());
+  }
+
+  registerTransport(transport) {
+    this.transports.set(transport.name, transport);
+  }
+
+  getTransport(name = process.env.MAIL_TRANSPORT) {
+    const production = process.env.NODE_ENV === 'production';
+    if (!name && production) throw new Error('MAIL_TRANSPORT must be set in production');
+    const transport = this.transports.get(name || 'console');
+    if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+    if (transport.developmentOnly && production) {
+      throw new Error(`Mail transport ${transport.name} does not deliver mail and cannot be used in production`);
+    }
+    return transport;
+  }
+
+  // Base URL of the frontend, for links in emails
+  appUrl() {
+    return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  async send({ to, subject, text }) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text
+    });
+  }
+
+  async sendPasswordReset(user, token, expiresMinutes) {
+    const link = `${this.appUrl()}/reset-password/${token}`;
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Railway Planner password',
+      text: [
+        `Hello ${user.firstName || user.username},`,
+        '',
+        'We received a request to reset your password. Open this link to choose a new one:',
+        link,
+        '',
+        `The link works once and expires in ${expiresMinutes} minutes.`,
+        'If you did not ask for this, you can ignore this email; your password stays the same.'
+      ].join('\n')
+    });
+  }
+
+  async sendPasswordChanged(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Railway Planner password was changed',
+      text: [
+        `Hello ${user.firstName || user.username},`,
+        '',
+        'The password for your account was just changed and other sign-ins were signed out.',
+        'If this was not you, reset your password straight away.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
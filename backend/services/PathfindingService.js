@@ -7,6 +7,9 @@ class PathfindingService {
   }
 
   initializeGraph(stations, routes) {
+    this.graph = new Map();
+    this.stations = new Map();
+
     // Add all stations to the graph
     stations.forEach(station => {
       this.addStation(station._id.toString(), station);
@@ -32,6 +35,30 @@ class PathfindingService {
     }
   }
 
+  // Replace a station's data in place, keeping its connections
+  upsertStation(stationId, stationData) {
+    if (!this.graph.has(stationId)) this.graph.set(stationId, []);
+    this.stations.set(stationId, stationData);
+  }
+
+  removeStation(stationId) {
+    this.graph.delete(stationId);
+    this.stations.delete(stationId);
+    this.graph.forEach((edges, vertex) => {
+      this.graph.set(vertex, edges.filter(edge => edge.node !== stationId));
+    });
+  }
+
+  // Drop every connection served only by the given train
+  removeTrain(trainId) {
+    const id = trainId.toString();
+    this.graph.forEach((edges, vertex) => {
+      this.graph.set(vertex, edges.filter(edge =>
+        !edge.trains || !edge.trains.every(train => train.trainId.toString() === id)
+      ));
+    });
+  }
+
   addConnection(source, destination, weight, data = {}) {
     if (!this.graph.has(source) || !this.graph.has(destination)) {
       throw new Error('Source or destination station not found');
@@ -102,7 +129,8 @@ class PathfindingService {
       return null;
     }
 
-    while (current !== null) {
+    // The start station has no predecessor, so the walk ends there
+    while (current) {
       path.unshift({
         station: this.stations.get(current),
         ...(previous[current] || {})
@@ -117,43 +145,163 @@ class PathfindingService {
     };
   }
 
-  findAllPaths(start, end, maxPaths = 5) {
-    const paths = [];
+  // Trains on an edge that satisfy the constraints; an edge with none left
+  // is treated as absent
+  _usableTrains(edge, avoidTrainTypes) {
+    const trains = edge.trains || [];
+    if (avoidTrainTypes.size === 0) return trains;
+    return trains.filter(train => !avoidTrainTypes.has(train.trainType));
+  }
+
+  // Dijkstra over stations, collapsing parallel edges (one per train) into
+  // a single hop at the shortest distance among the usable trains
+  _shortestHops(start, end, { blockedNodes, blockedEdges, avoidTrainTypes }) {
+    if (!this.graph.has(start) || !this.graph.has(end) || blockedNodes.has(start)) return null;
+
+    const distances = new Map([[start, 0]]);
+    const previous = new Map();
+    const pq = new PriorityQueue();
     const visited = new Set();
-    
-    const dfs = (current, path, distance, stops) => {
-      if (stops > 5) return;
-      if (current === end) {
-        paths.push({
-          path: [...path, this.stations.get(current)],
-          totalDistance: distance,
-          totalStops: stops
-        });
-        return;
-      }
-      
+    pq.enqueue(start, 0);
+
+    while (!pq.isEmpty()) {
+      const current = pq.dequeue().element;
+      if (visited.has(current)) continue;
       visited.add(current);
-      const neighbors = this.graph.get(current) || [];
-      
-      for (const neighbor of neighbors) {
-        if (!visited.has(neighbor.node)) {
-          dfs(
-            neighbor.node,
-            [...path, { ...this.stations.get(current), ...neighbor }],
-            distance + neighbor.weight,
-            stops + 1
-          );
+      if (current === end) break;
+
+      (this.graph.get(current) || []).forEach(edge => {
+        if (blockedNodes.has(edge.node) || blockedEdges.has(`${current}|${edge.node}`)) return;
+        if (this._usableTrains(edge, avoidTrainTypes).length === 0) return;
+
+        const distance = distances.get(current) + edge.weight;
+        if (distance < (distances.has(edge.node) ? distances.get(edge.node) : Infinity)) {
+          distances.set(edge.node, distance);
+          previous.set(edge.node, current);
+          pq.enqueue(edge.node, distance);
         }
-      }
-      
-      visited.delete(current);
+      });
+    }
+
+    if (!visited.has(end)) return null;
+
+    const nodes = [end];
+    while (nodes[0] !== start) nodes.unshift(previous.get(nodes[0]));
+    return nodes;
+  }
+
+  // Shortest path through the via stations in order; each leg avoids the
+  // stations of earlier legs so the whole path stays loopless
+  _shortestVia(start, end, via, constraints) {
+    const waypoints = [start, ...via, end];
+    const blockedNodes = new Set(constraints.blockedNodes);
+    let nodes = [start];
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const legBlocked = new Set([...blockedNodes, ...nodes.slice(0, -1)]);
+      // Later waypoints must not be passed through early
+      waypoints.slice(i + 2).forEach(node => legBlocked.add(node));
+
+      const leg = this._shortestHops(waypoints[i], waypoints[i + 1], {
+        ...constraints,
+        blockedNodes: legBlocked,
+        // Spur exclusions only apply to the first hop out of the spur node
+        blockedEdges: i === 0 ? constraints.blockedEdges : new Set()
+      });
+      if (!leg) return null;
+      nodes = [...nodes, ...leg.slice(1)];
+    }
+
+    return nodes;
+  }
+
+  _pathDistance(nodes, avoidTrainTypes) {
+    let total = 0;
+    for (let i = 0; i < nodes.length - 1; i++) {
+      total += Math.min(...this.graph.get(nodes[i])
+        .filter(edge => edge.node === nodes[i + 1] && this._usableTrains(edge, avoidTrainTypes).length > 0)
+        .map(edge => edge.weight));
+    }
+    return total;
+  }
+
+  _formatPath(nodes, distance, avoidTrainTypes) {
+    return {
+      path: nodes.map((node, index) => {
+        const next = nodes[index + 1];
+        const edges = next
+          ? this.graph.get(node).filter(edge =>
+            edge.node === next && this._usableTrains(edge, avoidTrainTypes).length > 0
+          )
+          : [];
+        return {
+          station: this.stations.get(node),
+          ...(next && {
+            distance: Math.min(...edges.map(edge => edge.weight)),
+            trains: edges.flatMap(edge => this._usableTrains(edge, avoidTrainTypes))
+          })
+        };
+      }),
+      totalDistance: distance,
+      totalStops: nodes.length - 1
     };
-    
-    dfs(start, [], 0, 0);
-    
-    return paths
-      .sort((a, b) => a.totalDistance - b.totalDistance)
-      .slice(0, maxPaths);
+  }
+
+  // Yen's k shortest loopless paths, optionally through `via` stations (in
+  // order) and avoiding stations or train types altogether
+  findKShortestPaths(start, end, options = {}) {
+    const { k = 5, via = [], avoidStations = [], avoidTrainTypes = [] } = options;
+    const constraints = {
+      blockedNodes: new Set(avoidStations),
+      blockedEdges: new Set(),
+      avoidTrainTypes: new Set(avoidTrainTypes)
+    };
+
+    const first = this._shortestVia(start, end, via, constraints);
+    if (!first) return [];
+
+    const found = [first];
+    const seen = new Set([first.join('|')]);
+    const candidates = [];
+
+    while (found.length < k) {
+      const last = found[found.length - 1];
+
+      for (let i = 0; i < last.length - 1; i++) {
+        const root = last.slice(0, i + 1);
+        const spurNode = root[i];
+        const rootKey = root.join('|');
+
+        // Block the next hop of every known path sharing this root
+        const blockedEdges = new Set(found
+          .filter(path => path.slice(0, i + 1).join('|') === rootKey)
+          .map(path => `${path[i]}|${path[i + 1]}`));
+
+        const spur = this._shortestVia(spurNode, end, via.filter(node => !root.includes(node)), {
+          ...constraints,
+          blockedNodes: new Set([...constraints.blockedNodes, ...root.slice(0, -1)]),
+          blockedEdges
+        });
+        if (!spur) continue;
+
+        const nodes = [...root.slice(0, -1), ...spur];
+        const key = nodes.join('|');
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        candidates.push({ nodes, distance: this._pathDistance(nodes, constraints.avoidTrainTypes) });
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.distance - b.distance || a.nodes.length - b.nodes.length);
+      found.push(candidates.shift().nodes);
+    }
+
+    return found.map(nodes => this._formatPath(
+      nodes,
+      this._pathDistance(nodes, constraints.avoidTrainTypes),
+      constraints.avoidTrainTypes
+    ));
   }
 }
 
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Train = require('../models/Train');
+const trainRunService = require('./TrainRunService');
+const waitlistService = require('./WaitlistService');
+const MockPaymentProvider = require('./paymentProviders/MockPaymentProvider');
+
+// Minutes a new booking holds its seats while waiting for payment
+const DEFAULT_PAYMENT_TIMEOUT_MINUTES = 15;
+// How often the release job looks for overdue bookings
+const RELEASE_INTERVAL_MS = 60 * 1000;
+
+// A webhook delivery that fails verification or cannot be read
+class WebhookError extends Error {}
+
+// Payment intents, gateway webhooks and the release of seats held by
+// bookings that were never paid. Gateways plug in as provider adapters with
+// createIntent(), verifyWebhook(), refund() and, for test gateways, simulate().
+class PaymentService {
+  constructor() {
+    this.providers = new Map();
+    this.releaseTimer = null;
+    if (this.mockGatewayEnabled()) this.registerProvider(new MockPaymentProvider());
+  }
+
+  // The mock gateway confirms payments nobody made, so production only
+  // offers it when PAYMENT_PROVIDER names it explicitly
+  mockGatewayEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.PAYMENT_PROVIDER === 'mock';
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+    return provider;
+  }
+
+  paymentTimeoutMinutes() {
+    return Number(process.env.PAYMENT_TIMEOUT_MINUTES) || DEFAULT_PAYMENT_TIMEOUT_MINUTES;
+  }
+
+  paymentDeadline(from = new Date()) {
+    return new Date(from.getTime() + this.paymentTimeoutMinutes() * 60 * 1000);
+  }
+
+  // Whether a booking is still waiting to be paid
+  isPayable(booking) {
+    return booking.bookingStatus !== 'Cancelled' &&
+      ['Pending', 'Failed'].includes(booking.paymentStatus);
+  }
+
+  async createIntent(booking, { providerName } = {}) {
+    const provider = this.getProvider(providerName);
+    const intent = await provider.createIntent({
+      amount: booking.totalFare,
+      currency: 'INR',
+      reference: booking.pnr
+    });
+
+    return Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      provider: provider.name,
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: booking.totalFare,
+      currency: 'INR'
+    });
+  }
+
+  // Verify and apply one webhook delivery. The event is claimed on the
+  // payment atomically, so redelivered and concurrent copies are no-ops;
+  // returns the payment, or null for intents we never created. Throws a
+  // WebhookError for deliveries that fail verification.
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    let event;
+    try {
+      event = provider.verifyWebhook(rawBody, headers);
+    } catch (error) {
+      throw new WebhookError(error.message);
+    }
+
+    // Required here: RefundService sends refunds through this service
+    const refundService = require('./RefundService');
+    let payment;
+    let refund = null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      payment = await Payment.findOneAndUpdate(
+        { provider: providerName, intentId: event.intentId, 'events.eventId': { $ne: event.id } },
+        { $push: { events: { eventId: event.id, type: event.type } } },
+        { new: true, session }
+      );
+      if (!payment) {
+        // Already applied, or an intent we never created
+        await session.abortTransaction();
+        return Payment.findOne({ provider: providerName, intentId: event.intentId });
+      }
+
+      const booking = await Booking.findById(payment.booking).session(session);
+
+      if (event.type === 'payment.succeeded') {
+        payment.status = 'Succeeded';
+        if (booking) {
+          booking.paymentStatus = 'Completed';
+          booking.paymentId = payment.intentId;
+          booking.paymentDueAt = undefined;
+          // Money arrived after the seats were released; give it all back
+          if (booking.bookingStatus === 'Cancelled') {
+            refund = await refundService.recordLatePayment(booking, payment, { session });
+          }
+        }
+      } else if (event.type === 'payment.failed') {
+        payment.status = 'Failed';
+        payment.failureReason = event.failureReason;
+        // The booking keeps its seats until paymentDueAt for another attempt
+        if (booking && booking.paymentStatus === 'Pending') {
+          booking.paymentStatus = 'Failed';
+        }
+      }
+
+      await payment.save({ session });
+      if (booking) await booking.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    if (refund) await refundService.processRefund(refund);
+    return payment;
+  }
+
+  // Cancel one overdue booking and hand its places to the RAC/waitlist queue.
+  // The booking is read again inside the transaction, so one paid since the
+  // release job found it is left alone; returns null for those.
+  async releaseBooking(overdue) {
+    const train = await Train.findById(overdue.train);
+    const trainRun = train ? await trainRunService.findRun(train, overdue.journeyDate) : null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const booking = await Booking.findOne({
+        _id: overdue._id,
+        paymentStatus: { $in: ['Pending', 'Failed'] },
+        bookingStatus: { $ne: 'Cancelled' }
+      }).session(session);
+      if (!booking) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      booking.cancelPassengers({ reason: 'Payment not received in time' });
+      booking.paymentStatus = 'Failed';
+      await booking.save({ session });
+
+      await Payment.updateMany(
+        { booking: booking._id, status: 'RequiresPayment' },
+        { $set: { status: 'Expired' } },
+        { session }
+      );
+
+      const promotions = train
+        ? await waitlistService.promote(train.forRun(trainRun), booking.journeyDate, booking.travelClass, session)
+        : [];
+
+      await session.commitTransaction();
+      return promotions;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Release every booking whose payment window has closed. Bookings made
+  // before payments existed have no paymentDueAt and are left alone.
+  async releaseUnpaidBookings(now = new Date()) {
+    const overdue = await Booking.find({
+      paymentStatus: { $in: ['Pending', 'Failed'] },
+      bookingStatus: { $ne: 'Cancelled' },
+      paymentDueAt: { $lte: now }
+    });
+
+    let released = 0;
+    for (const booking of overdue) {
+      try {
+        if (await this.releaseBooking(booking)) released++;
+      } catch (error) {
+        console.error(`Error releasing unpaid booking ${booking.pnr}:`, error);
+      }
+    }
+
+    return { checked: overdue.length, released };
+  }
+
+  startReleaseJob(intervalMs = RELEASE_INTERVAL_MS) {
+    if (this.releaseTimer) return;
+
+    this.releaseTimer = setInterval(() => {
+      this.releaseUnpaidBookings()
+        .then(({ released }) => {
+          if (released > 0) console.log(`Released ${released} unpaid booking(s)`);
+        })
+        .catch(error => console.error('Error releasing unpaid bookings:', error));
+    }, intervalMs);
+    this.releaseTimer.unref();
+  }
+
+  stopReleaseJob() {
+    clearInterval(this.releaseTimer);
+    this.releaseTimer = null;
+  }
+}
+
+const paymentService = new PaymentService();
+paymentService.WebhookError = WebhookError;
+
+module.exports = paymentService;
@@ -0,0 +1,48 @@
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { getQuota } = require('../utils/quotaRules');
+const { DEFAULT_TIMEZONE } = require('../utils/timeUtils');
+
+const idOf = (value) => (value && value._id) || value;
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// The public PNR status view: enough for anyone holding a PNR to follow a
+// booking, without the passengers' names, ages or the account behind it.
+class PnrStatusService {
+  // Once the chart is prepared the statuses shown are final
+  chartStatus(trainRun) {
+    return trainRun && trainRun.isChartPrepared() ? 'Chart Prepared' : 'Chart Not Prepared';
+  }
+
+  // The booking needs fromStation and toStation populated with name and
+  // code; trainRun may be null for runs not created yet
+  buildStatus(booking, train, trainRun) {
+    const timeZone = train.timezone || DEFAULT_TIMEZONE;
+    const boarding = train.getStopTimes(idOf(booking.fromStation), booking.journeyDate);
+    const departure = boarding && boarding.departureTime;
+    const quota = getQuota(booking.quota);
+
+    return {
+      pnr: booking.pnr,
+      train: { number: train.trainNumber, name: train.name },
+      journeyDate: toDateString(booking.journeyDate),
+      departure: departure
+        ? departure.toLocaleString('en-IN', { timeZone, dateStyle: 'medium', timeStyle: 'short' })
+        : null,
+      from: { code: booking.fromStation.code, name: booking.fromStation.name },
+      to: { code: booking.toStation.code, name: booking.toStation.name },
+      travelClass: booking.travelClass,
+      className: COACH_TYPES[booking.travelClass] ? COACH_TYPES[booking.travelClass].name : booking.travelClass,
+      quota: quota ? quota.name : booking.quota,
+      runStatus: trainRun ? trainRun.status : 'Scheduled',
+      chartStatus: this.chartStatus(trainRun),
+      bookingStatus: booking.bookingStatus,
+      passengers: booking.passengers.map((p, i) => ({
+        number: i + 1,
+        bookingStatus: p.initialStatus || p.statusLabel(),
+        currentStatus: p.statusLabel()
+      }))
+    };
+  }
+}
+
+module.exports = new PnrStatusService();
@@ -0,0 +1,90 @@
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { DEFAULT_QUOTA, getQuota } = require('../utils/quotaRules');
+const { DEFAULT_TIMEZONE, parseTime, zonedTimeToUtc } = require('../utils/timeUtils');
+
+// A booking the quota does not allow; the message is for the user
+class QuotaError extends Error {}
+
+// Decides whether a booking may use a quota: the train offers the quota in
+// the class, its booking window has opened and the passengers qualify. The
+// quota rules themselves are in utils/quotaRules.js.
+class QuotaService {
+  // Quotas bookable in a class of the train: General, plus every quota the
+  // train sets berths aside for
+  offeredQuotas(train, travelClass) {
+    return [DEFAULT_QUOTA, ...new Set(train.getSeatQuotas(travelClass).map(q => q.quota))];
+  }
+
+  // When booking in the quota opens for the run starting on journeyDate, or
+  // null when it opens together with General
+  openingTime(train, journeyDate, travelClass, quota = DEFAULT_QUOTA) {
+    const rule = getQuota(quota);
+    const override = train.getSeatQuotas(travelClass).find(q => q.quota === quota) || {};
+    const opens = rule.opens || {};
+
+    const daysBefore = override.opensDaysBefore !== undefined ? override.opensDaysBefore : opens.daysBefore;
+    if (daysBefore === undefined) return null;
+
+    const isAc = COACH_TYPES[travelClass] && COACH_TYPES[travelClass].ac;
+    const time = override.opensAt || (isAc ? opens.time : opens.nonAcTime || opens.time);
+
+    return zonedTimeToUtc(journeyDate, parseTime(time), -daysBefore, train.timezone || DEFAULT_TIMEZONE);
+  }
+
+  // Booking window of each quota in a class, for the seat availability response
+  describeWindow(train, journeyDate, travelClass, quota, now = new Date()) {
+    const opensAt = this.openingTime(train, journeyDate, travelClass, quota);
+    return {
+      opensAt,
+      isOpen: !opensAt || opensAt <= now
+    };
+  }
+
+  _formatOpening(train, opensAt) {
+    return opensAt.toLocaleString('en-IN', {
+      timeZone: train.timezone || DEFAULT_TIMEZONE,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  // Throw a QuotaError unless the class of the train offers the quota and its
+  // booking window has opened
+  checkOpen(train, { journeyDate, travelClass, quota = DEFAULT_QUOTA, now = new Date() }) {
+    const rule = getQuota(quota);
+    if (!rule) {
+      throw new QuotaError(`Unknown quota ${quota}`);
+    }
+
+    if (quota !== DEFAULT_QUOTA) {
+      const inClass = !rule.travelClasses || rule.travelClasses.includes(travelClass);
+      if (!inClass || !this.offeredQuotas(train, travelClass).includes(quota)) {
+        throw new QuotaError(`${rule.name} quota is not available in class ${travelClass} on this train`);
+      }
+    }
+
+    const opensAt = this.openingTime(train, journeyDate, travelClass, quota);
+    if (opensAt && now < opensAt) {
+      throw new QuotaError(`${rule.name} booking for this journey opens at ${this._formatOpening(train, opensAt)}`);
+    }
+  }
+
+  // Throw a QuotaError unless the passengers can book in the quota now
+  checkBooking(train, { journeyDate, travelClass, quota = DEFAULT_QUOTA, passengers, now = new Date() }) {
+    this.checkOpen(train, { journeyDate, travelClass, quota, now });
+
+    const rule = getQuota(quota);
+    if (rule.maxPassengers && passengers.length > rule.maxPassengers) {
+      throw new QuotaError(`At most ${rule.maxPassengers} passengers can book in ${rule.name} quota`);
+    }
+
+    if (rule.eligible && !passengers.every(rule.eligible.check)) {
+      throw new QuotaError(rule.eligible.reason);
+    }
+  }
+}
+
+const quotaService = new QuotaService();
+quotaService.QuotaError = QuotaError;
+
+module.exports = quotaService;
@@ -0,0 +1,259 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const paymentService = require('./PaymentService');
+const { getCancellationRules } = require('../utils/cancellationRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const LATE_PAYMENT_REASON = 'Payment received after the booking was cancelled';
+const PAID_STATUSES = ['Completed', 'PartiallyRefunded'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Works out what a cancellation costs and issues the money back through
+// the gateway the booking was paid with.
+class RefundService {
+  // Departure from the passenger's boarding stop, falling back to the
+  // journey date for trains without stop times
+  boardingDeparture(booking, train) {
+    const boardingStop = train && train.getStopTimes(booking.fromStation, booking.journeyDate);
+    return boardingStop && boardingStop.departureTime
+      ? boardingStop.departureTime
+      : new Date(booking.journeyDate);
+  }
+
+  isPaid(booking) {
+    return PAID_STATUSES.includes(booking.paymentStatus);
+  }
+
+  _slabCharge(slab, fare, flatCharge) {
+    if (slab.type === 'percent') {
+      return {
+        charge: Math.max(flatCharge, fare * slab.value / 100),
+        rule: `${slab.value}% of fare`
+      };
+    }
+    const amount = slab.amount !== undefined ? slab.amount : flatCharge;
+    return { charge: amount, rule: `Flat ₹${amount}` };
+  }
+
+  _passengerQuote(booking, passenger, { rules, hoursLeft, paid }) {
+    const fare = booking.passengerFare(passenger);
+    const base = {
+      _id: passenger._id,
+      name: passenger.name,
+      status: passenger.status,
+      fare: paid ? fare : 0
+    };
+
+    // Trains cancelled or badly delayed by the railway refund in full
+    if (booking.refundDue) {
+      return { ...base, allowed: true, charge: 0, refund: base.fare, rule: 'Full refund' };
+    }
+
+    if (hoursLeft <= 0) {
+      return { ...base, allowed: false, reason: 'Train has already departed' };
+    }
+
+    if (!paid) {
+      return { ...base, allowed: true, charge: 0, refund: 0, rule: 'Not paid' };
+    }
+
+    return { ...base, ...this._chargeAmount(passenger, fare, { rules, hoursLeft }) };
+  }
+
+  // The cancellation charge the passenger's slab takes from an amount
+  _chargeAmount(passenger, amount, { rules, hoursLeft }) {
+    const waiting = ['RAC', 'WL'].includes(passenger.status);
+    const slabs = waiting ? rules.waiting : rules.confirmed;
+    const slab = slabs.find(candidate => hoursLeft >= candidate.minHoursBefore);
+
+    if (!slab) {
+      const cutoff = slabs[slabs.length - 1].minHoursBefore;
+      const cutoffLabel = cutoff >= 1 ? `${cutoff} hours` : `${cutoff * 60} minutes`;
+      return {
+        allowed: false,
+        reason: `${waiting ? 'RAC/waitlisted' : 'Confirmed'} tickets cannot be cancelled less than ${cutoffLabel} before departure`
+      };
+    }
+
+    const { charge, rule } = this._slabCharge(slab, amount, rules.flatCharge);
+    const cappedCharge = roundMoney(Math.min(charge, amount));
+    return {
+      allowed: true,
+      charge: cappedCharge,
+      refund: roundMoney(amount - cappedCharge),
+      rule
+    };
+  }
+
+  // Refund quote for cancelling the given passengers (default: everyone
+  // still travelling). `allowed` is false with a `reason` when any of them
+  // can no longer be cancelled.
+  quote(booking, train, { passengerIds, now = new Date() } = {}) {
+    const active = booking.passengers.filter(p => p.status !== 'CAN');
+    const selected = passengerIds
+      ? active.filter(p => passengerIds.some(id => id.toString() === p._id.toString()))
+      : active;
+
+    const departureTime = this.boardingDeparture(booking, train);
+    const hoursLeft = (departureTime - now) / HOUR_MS;
+    const result = {
+      allowed: true,
+      departureTime,
+      hoursBeforeDeparture: Math.round(hoursLeft * 10) / 10,
+      paid: this.isPaid(booking),
+      passengers: [],
+      totalFare: 0,
+      totalCharges: 0,
+      refundAmount: 0
+    };
+
+    if (passengerIds && selected.length !== passengerIds.length) {
+      return { ...result, allowed: false, reason: 'Passenger not found or already cancelled' };
+    }
+    if (selected.length === 0) {
+      return { ...result, allowed: false, reason: 'No passengers left to cancel' };
+    }
+
+    const context = {
+      rules: getCancellationRules(train ? train.trainType : undefined, booking.travelClass || 'GEN'),
+      hoursLeft,
+      paid: result.paid
+    };
+
+    result.passengers = selected.map(passenger => this._passengerQuote(booking, passenger, context));
+
+    const refused = result.passengers.find(passenger => !passenger.allowed);
+    if (refused) {
+      result.allowed = false;
+      result.reason = refused.reason;
+    }
+
+    const sum = (field) => roundMoney(result.passengers.reduce((total, p) => total + (p[field] || 0), 0));
+    result.totalFare = sum('fare');
+    result.totalCharges = sum('charge');
+    result.refundAmount = sum('refund');
+    return result;
+  }
+
+  // Refund quote for a paid booking whose passengers' fares drop, as when a
+  // change shortens the journey. The part of the fare given up is charged
+  // like a cancellation, so shortening a journey never refunds more than
+  // cancelling would. `fares` pairs each passenger with the old and new fare.
+  quoteFareDifference(booking, train, fares, { now = new Date() } = {}) {
+    const hoursLeft = (this.boardingDeparture(booking, train) - now) / HOUR_MS;
+    const rules = getCancellationRules(train ? train.trainType : undefined, booking.travelClass || 'GEN');
+
+    const passengers = fares.map(({ passenger, oldFare, newFare }) => {
+      const base = { _id: passenger._id, name: passenger.name, status: passenger.status, fare: oldFare };
+      const difference = roundMoney(Math.max(oldFare - newFare, 0));
+      if (difference === 0) return { ...base, allowed: true, charge: 0, refund: 0, rule: 'No fare difference' };
+      if (booking.refundDue) return { ...base, allowed: true, charge: 0, refund: difference, rule: 'Full refund' };
+      return { ...base, ...this._chargeAmount(passenger, difference, { rules, hoursLeft }) };
+    });
+
+    const refused = passengers.find(passenger => !passenger.allowed);
+    const sum = (field) => roundMoney(passengers.reduce((total, p) => total + (p[field] || 0), 0));
+    return {
+      allowed: !refused,
+      ...(refused && { reason: refused.reason }),
+      paid: this.isPaid(booking),
+      passengers,
+      totalFare: sum('fare'),
+      totalCharges: sum('charge'),
+      refundAmount: sum('refund')
+    };
+  }
+
+  // Record the refund for an accepted quote and move the booking's payment
+  // status on. Call after the passengers are cancelled, inside the same
+  // transaction; the money is sent afterwards by processRefund().
+  async recordRefund(booking, quote, { reason, session } = {}) {
+    if (!quote.paid) return null;
+
+    const payment = await Payment.findOne({ booking: booking._id, status: 'Succeeded' }).session(session);
+    const refund = new Refund({
+      booking: booking._id,
+      payment: payment ? payment._id : undefined,
+      user: booking.user,
+      amount: quote.refundAmount,
+      charges: quote.totalCharges,
+      reason: reason || booking.refundReason || 'Cancelled by passenger',
+      passengers: quote.passengers.map(p => ({
+        passenger: p._id,
+        name: p.name,
+        status: p.status,
+        fare: p.fare,
+        charge: p.charge,
+        refund: p.refund,
+        rule: p.rule
+      })),
+      provider: payment ? payment.provider : undefined,
+      // Nothing to send back when the charges take the whole fare
+      status: quote.refundAmount > 0 ? 'Pending' : 'Processed',
+      processedAt: quote.refundAmount > 0 ? undefined : new Date()
+    });
+    await refund.save({ session });
+
+    const fullyCancelled = booking.passengers.every(p => p.status === 'CAN');
+    booking.paymentStatus = fullyCancelled ? 'Refunded' : 'PartiallyRefunded';
+    if (fullyCancelled) booking.refundDue = false;
+
+    return refund;
+  }
+
+  // Record a full refund of a payment that reached a booking already
+  // cancelled, such as one released for non-payment. Call inside the
+  // webhook's transaction; the money is sent afterwards by processRefund().
+  async recordLatePayment(booking, payment, { session } = {}) {
+    const refund = new Refund({
+      booking: booking._id,
+      payment: payment._id,
+      user: booking.user,
+      amount: payment.amount,
+      charges: 0,
+      reason: LATE_PAYMENT_REASON,
+      passengers: booking.passengers.map(p => ({
+        passenger: p._id,
+        name: p.name,
+        status: p.status,
+        fare: booking.passengerFare(p),
+        charge: 0,
+        refund: booking.passengerFare(p),
+        rule: 'Full refund'
+      })),
+      provider: payment.provider
+    });
+    await refund.save({ session });
+
+    booking.paymentStatus = 'Refunded';
+    booking.refundDue = false;
+    return refund;
+  }
+
+  // Send a pending refund through the gateway. Refunds for bookings paid
+  // outside the gateway stay Pending for manual settlement.
+  async processRefund(refund) {
+    if (!refund || refund.status !== 'Pending' || !refund.payment) return refund;
+
+    try {
+      const payment = await Payment.findById(refund.payment);
+      const result = await paymentService.getProvider(payment.provider).refund({
+        intentId: payment.intentId,
+        amount: refund.amount
+      });
+      refund.status = 'Processed';
+      refund.providerRefundId = result.id;
+      refund.processedAt = new Date();
+    } catch (error) {
+      console.error('Error processing refund:', error);
+      refund.status = 'Failed';
+      refund.failureReason = error.message;
+    }
+
+    await refund.save();
+    return refund;
+  }
+}
+
+module.exports = new RefundService();
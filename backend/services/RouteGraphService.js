@@ -0,0 +1,164 @@
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const pathfindingService = require('./PathfindingService');
+const journeyPlannerService = require('./JourneyPlannerService');
+
+// How long a search waits for the first build before reporting "not ready"
+const READY_TIMEOUT_MS = 5000;
+
+// Owns the in-memory route network used by the search endpoints: builds it
+// from the database once, then patches it as trains and stations change.
+class RouteGraphService {
+  constructor() {
+    this.ready = false;
+    this.building = null;
+    this.builtAt = null;
+    this.lastError = null;
+  }
+
+  // Edges between consecutive stops of one train
+  routesForTrain(train) {
+    // Sort route by sequence if needed (assuming route is already in order)
+    const route = [...train.route]
+      .filter(stop => stop.station)
+      .sort((a, b) => {
+        // If sequence is available, use it, otherwise use array order
+        if (a.sequence !== undefined && b.sequence !== undefined) {
+          return a.sequence - b.sequence;
+        }
+        return 0;
+      });
+
+    const routes = [];
+    for (let i = 0; i < route.length - 1; i++) {
+      routes.push({
+        source: route[i].station._id.toString(),
+        destination: route[i + 1].station._id.toString(),
+        distance: route[i + 1].distance - route[i].distance,
+        trains: [{
+          trainId: train._id,
+          trainNumber: train.trainNumber,
+          trainName: train.name, // Using name instead of trainName to match the model
+          trainType: train.trainType,
+          // Local 'HH:mm' times with day offsets from the origin departure
+          departureTime: route[i].departure,
+          arrivalTime: route[i + 1].arrival,
+          departureDay: route[i].day,
+          arrivalDay: route[i + 1].day
+        }]
+      });
+    }
+    return routes;
+  }
+
+  // Full rebuild; concurrent callers share the same build
+  initialize() {
+    if (this.building) return this.building;
+
+    this.building = (async () => {
+      try {
+        const stations = await Station.find({});
+        const trains = await Train.find().populate('route.station');
+
+        pathfindingService.initializeGraph(stations, trains.flatMap(train => this.routesForTrain(train)));
+        journeyPlannerService.initialize(stations, trains);
+
+        this.ready = true;
+        this.builtAt = new Date();
+        this.lastError = null;
+        console.log('Pathfinding service initialized');
+      } catch (error) {
+        this.lastError = error;
+        console.error('Error initializing pathfinding service:', error);
+      } finally {
+        this.building = null;
+      }
+      return this.ready;
+    })();
+
+    return this.building;
+  }
+
+  // Keeps serving the current graph until the new one is built
+  async rebuild() {
+    if (this.building) await this.building;
+    return this.initialize();
+  }
+
+  // Resolves true once the graph is usable, starting the first build if
+  // nobody has yet, or false if it is not ready within the timeout
+  async whenReady(timeoutMs = READY_TIMEOUT_MS) {
+    if (this.ready) return true;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const result = await Promise.race([this.initialize(), timeout]);
+    clearTimeout(timer);
+    return result;
+  }
+
+  getStatus() {
+    return {
+      ready: this.ready,
+      building: Boolean(this.building),
+      builtAt: this.builtAt,
+      stations: pathfindingService.stations.size,
+      error: this.lastError ? this.lastError.message : null
+    };
+  }
+
+  // Patches wait for an in-flight build and are skipped before the first
+  // one, which reads the current data anyway
+  async _patch(apply) {
+    if (this.building) await this.building;
+    if (!this.ready) return;
+
+    try {
+      await apply();
+    } catch (error) {
+      // A failed patch leaves the graph stale; rebuild it from scratch
+      console.error('Error updating route graph, rebuilding:', error);
+      this.rebuild();
+    }
+  }
+
+  trainChanged(trainId) {
+    return this._patch(async () => {
+      const train = await Train.findById(trainId).populate('route.station');
+
+      pathfindingService.removeTrain(trainId);
+      journeyPlannerService.removeTrain(trainId);
+      if (!train) return;
+
+      this.routesForTrain(train).forEach(({ source, destination, distance, trains }) => {
+        pathfindingService.addConnection(source, destination, distance, { trains });
+      });
+      journeyPlannerService.upsertTrain(train);
+    });
+  }
+
+  trainRemoved(trainId) {
+    return this._patch(async () => {
+      pathfindingService.removeTrain(trainId);
+      journeyPlannerService.removeTrain(trainId);
+    });
+  }
+
+  stationChanged(station) {
+    return this._patch(async () => {
+      pathfindingService.upsertStation(station._id.toString(), station);
+      journeyPlannerService.upsertStation(station);
+    });
+  }
+
+  stationRemoved(stationId) {
+    return this._patch(async () => {
+      pathfindingService.removeStation(stationId.toString());
+      journeyPlannerService.removeStation(stationId);
+    });
+  }
+}
+
+module.exports = new RouteGraphService();
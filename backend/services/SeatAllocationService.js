@@ -0,0 +1,242 @@
+const { COACH_TYPES, getBerthType } = require('../utils/coachLayouts');
+const { QUOTAS, DEFAULT_QUOTA } = require('../utils/quotaRules');
+
+// Two RAC passengers share each side-lower berth
+const RAC_PASSENGERS_PER_BERTH = 2;
+
+// More passengers than the class has room for; the message is for the user
+class CapacityError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 409;
+  }
+}
+
+class SeatAllocationService {
+  seatKey(coach, seatNumber) {
+    // Older bookings stored seats as "A12"; keep only the berth number
+    const berth = String(seatNumber).replace(/^\D+/, '');
+    return `${coach}/${berth}`;
+  }
+
+  // Expand the train's coach composition into individual berths
+  buildSeatMap(train, travelClass) {
+    const seats = [];
+
+    train.getCoaches().forEach(coach => {
+      if (travelClass && coach.coachType !== travelClass) return;
+
+      for (let berth = 1; berth <= coach.berths; berth++) {
+        seats.push({
+          coach: coach.code,
+          seatNumber: String(berth),
+          berthType: getBerthType(coach.coachType, berth),
+          travelClass: coach.coachType
+        });
+      }
+    });
+
+    return seats;
+  }
+
+  // Side-lower berths set aside for RAC, taken from the rear of the class
+  getRacBerths(train, travelClass) {
+    const { racBerths } = train.getQuota(travelClass);
+    if (!racBerths) return [];
+
+    return this.buildSeatMap(train, travelClass)
+      .filter(seat => seat.berthType === 'SL')
+      .slice(-racBerths);
+  }
+
+  // Berths set aside for each quota other than General, taken from the rear
+  // of the class ahead of the RAC berths, in the order the train lists them
+  getQuotaBerths(train, travelClass) {
+    const racKeys = new Set(this.getRacBerths(train, travelClass).map(seat => this.seatKey(seat.coach, seat.seatNumber)));
+    const pool = this.buildSeatMap(train, travelClass)
+      .filter(seat => !racKeys.has(this.seatKey(seat.coach, seat.seatNumber)));
+
+    const buckets = {};
+    let end = pool.length;
+    train.getSeatQuotas(travelClass).forEach(({ quota, berths }) => {
+      const start = Math.max(0, end - berths);
+      buckets[quota] = (buckets[quota] || []).concat(pool.slice(start, end));
+      end = start;
+    });
+    return buckets;
+  }
+
+  // Quota of every berth set aside for one, keyed by seatKey
+  getBerthQuotas(train) {
+    const quotaOf = new Map();
+    train.getClasses().forEach(travelClass => {
+      Object.entries(this.getQuotaBerths(train, travelClass)).forEach(([quota, seats]) => {
+        seats.forEach(seat => quotaOf.set(this.seatKey(seat.coach, seat.seatNumber), quota));
+      });
+    });
+    return quotaOf;
+  }
+
+  // Berths a booking in the quota cannot be given a confirmed place on: the
+  // RAC berths, plus the other quotas' berths for General, or everything
+  // outside the quota's own berths otherwise
+  getReservedKeys(train, travelClass, quota = DEFAULT_QUOTA) {
+    const keyOf = (seat) => this.seatKey(seat.coach, seat.seatNumber);
+    const reserved = new Set(this.getRacBerths(train, travelClass).map(keyOf));
+    const buckets = this.getQuotaBerths(train, travelClass);
+
+    if (quota === DEFAULT_QUOTA) {
+      Object.values(buckets).forEach(seats => seats.forEach(seat => reserved.add(keyOf(seat))));
+    } else {
+      const own = new Set((buckets[quota] || []).map(keyOf));
+      this.buildSeatMap(train, travelClass).forEach(seat => {
+        if (!own.has(keyOf(seat))) reserved.add(keyOf(seat));
+      });
+    }
+
+    return reserved;
+  }
+
+  // Key for counting passengers without a berth number (old bookings and
+  // checkout holds): the class for General, the class and quota otherwise
+  bucketKey(travelClass, quota = DEFAULT_QUOTA) {
+    return quota === DEFAULT_QUOTA ? travelClass : `${travelClass}:${quota}`;
+  }
+
+  // Collect berths held by existing bookings. Passengers booked before berth
+  // allocation existed have no coach/seat and are counted per class instead.
+  getOccupiedSeats(bookings) {
+    const occupied = new Set();
+    const unassigned = {};
+    const racSlots = new Map();
+
+    bookings.forEach(booking => {
+      booking.passengers.forEach(passenger => {
+        const status = passenger.status || 'CNF';
+        if (status === 'CAN' || status === 'WL') return;
+
+        if (status === 'RAC') {
+          const key = this.seatKey(passenger.coach, passenger.seatNumber);
+          racSlots.set(key, (racSlots.get(key) || 0) + 1);
+        } else if (passenger.coach && passenger.seatNumber) {
+          occupied.add(this.seatKey(passenger.coach, passenger.seatNumber));
+        } else {
+          const bucket = this.bucketKey(booking.travelClass || 'GEN', booking.quota || DEFAULT_QUOTA);
+          unassigned[bucket] = (unassigned[bucket] || 0) + 1;
+        }
+      });
+    });
+
+    return { occupied, unassigned, racSlots };
+  }
+
+  getFreeSeats(train, travelClass, occupied, reserved = new Set()) {
+    return this.buildSeatMap(train, travelClass)
+      .filter(seat => {
+        const key = this.seatKey(seat.coach, seat.seatNumber);
+        return !occupied.has(key) && !reserved.has(key);
+      });
+  }
+
+  // One entry per free RAC place, so a half-filled berth appears once
+  getFreeRacSlots(train, travelClass, racSlots = new Map()) {
+    const slots = [];
+
+    this.getRacBerths(train, travelClass).forEach(seat => {
+      const taken = racSlots.get(this.seatKey(seat.coach, seat.seatNumber)) || 0;
+      for (let i = taken; i < RAC_PASSENGERS_PER_BERTH; i++) {
+        slots.push(seat);
+      }
+    });
+
+    return slots;
+  }
+
+  // Per-class totals for the seat availability response, with a breakdown
+  // per quota; the class's availableSeats covers every quota
+  summarise(train, occupancy) {
+    return train.getClasses().map(travelClass => {
+      const seatMap = this.buildSeatMap(train, travelClass);
+      const quotaCodes = [DEFAULT_QUOTA, ...new Set(train.getSeatQuotas(travelClass).map(q => q.quota))];
+      const quotas = quotaCodes.map(quota => ({
+        quota,
+        name: QUOTAS[quota].name,
+        totalSeats: seatMap.length - this.getReservedKeys(train, travelClass, quota).size,
+        availableSeats: this.countConfirmable(train, travelClass, occupancy, quota)
+      }));
+
+      return {
+        travelClass,
+        name: COACH_TYPES[travelClass].name,
+        totalSeats: seatMap.length,
+        availableSeats: quotas.reduce((sum, q) => sum + q.availableSeats, 0),
+        racAvailable: this.getFreeRacSlots(train, travelClass, occupancy.racSlots).length,
+        quotas
+      };
+    });
+  }
+
+  // Number of passengers in the quota that can still be given a confirmed berth
+  countConfirmable(train, travelClass, { occupied, unassigned = {} }, quota = DEFAULT_QUOTA) {
+    const reserved = this.getReservedKeys(train, travelClass, quota);
+    const free = this.getFreeSeats(train, travelClass, occupied, reserved);
+    return Math.max(0, free.length - (unassigned[this.bucketKey(travelClass, quota)] || 0));
+  }
+
+  // Assign concrete coach/berth numbers to passengers, keeping the group in
+  // one coach where possible and honouring each berth preference.
+  allocate(train, { travelClass, passengers, occupied, unassigned = {}, quota = DEFAULT_QUOTA }) {
+    const reserved = this.getReservedKeys(train, travelClass, quota);
+    const free = this.getFreeSeats(train, travelClass, occupied, reserved);
+    const usable = free.length - (unassigned[this.bucketKey(travelClass, quota)] || 0);
+
+    if (passengers.length > usable) {
+      throw new CapacityError(`Only ${Math.max(0, usable)} seat(s) available`);
+    }
+
+    const freeByCoach = new Map();
+    free.forEach(seat => {
+      freeByCoach.set(seat.coach, (freeByCoach.get(seat.coach) || 0) + 1);
+    });
+
+    let homeCoach = null;
+    let mostFree = 0;
+    for (const [coach, count] of freeByCoach) {
+      if (count >= passengers.length) {
+        homeCoach = coach;
+        break;
+      }
+      if (count > mostFree) {
+        homeCoach = coach;
+        mostFree = count;
+      }
+    }
+
+    return passengers.map(passenger => {
+      const preference = passenger.berthPreference && passenger.berthPreference !== 'NA'
+        ? passenger.berthPreference
+        : null;
+
+      const candidates = [
+        seat => seat.coach === homeCoach && seat.berthType === preference,
+        seat => seat.berthType === preference,
+        seat => seat.coach === homeCoach,
+        () => true
+      ];
+
+      let index = -1;
+      for (const matches of candidates) {
+        index = free.findIndex(matches);
+        if (index !== -1) break;
+      }
+
+      const [seat] = free.splice(index, 1);
+      return seat;
+    });
+  }
+}
+
+const seatAllocationService = new SeatAllocationService();
+seatAllocationService.CapacityError = CapacityError;
+
+module.exports = seatAllocationService;
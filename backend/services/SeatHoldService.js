@@ -0,0 +1,106 @@
+const SeatHold = require('../models/SeatHold');
+const availabilityService = require('./AvailabilityService');
+const bookingWindowService = require('./BookingWindowService');
+const quotaService = require('./QuotaService');
+const trainRunService = require('./TrainRunService');
+const { DEFAULT_QUOTA } = require('../utils/quotaRules');
+
+// Minutes a checkout hold lasts unless the booking is made first
+const DEFAULT_HOLD_MINUTES = 10;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A hold the request cannot have; the message is for the user
+class SeatHoldError extends Error {}
+
+// Short-lived holds on berths while a user goes through checkout, so the
+// berths they saw are still there when they book. Holds count against
+// availability for everyone else until they expire, are released, or the
+// user's booking on the run is made.
+class SeatHoldService {
+  holdMinutes() {
+    return Number(process.env.SEAT_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+  }
+
+  // Hold up to `seats` confirmable berths in the quota, replacing the user's
+  // earlier hold on the run. Returns null when no berths are free to hold,
+  // in which case the booking will go to RAC or the waitlist.
+  async createHold(userId, train, { journeyDate, fromStation, toStation, travelClass, quota = DEFAULT_QUOTA, seats }) {
+    const date = trainRunService.toJourneyDate(journeyDate);
+    const dayName = DAY_NAMES[date.getUTCDay()];
+    if (!train.runsOnDay(dayName)) {
+      throw new SeatHoldError(`Train does not run on ${dayName}`);
+    }
+
+    const run = await trainRunService.findRun(train, date);
+    if (run && !run.isBookable()) {
+      throw new SeatHoldError(`Train ${train.trainNumber} is cancelled on this date`);
+    }
+    if (run && run.isChartPrepared()) {
+      throw new SeatHoldError(`Chart has been prepared for train ${train.trainNumber} on this date`);
+    }
+    if (run && [fromStation, toStation].some(station => station && !run.servesStation(station))) {
+      throw new SeatHoldError(`Train ${train.trainNumber} is diverted and does not call at every requested stop on this date`);
+    }
+
+    const runTrain = train.forRun(run);
+    if (!runTrain.getClasses().includes(travelClass)) {
+      throw new SeatHoldError(`Class ${travelClass} is not available on this train`);
+    }
+
+    try {
+      bookingWindowService.check(runTrain, { journeyDate: date, fromStation });
+      quotaService.checkOpen(runTrain, { journeyDate: date, travelClass, quota });
+    } catch (error) {
+      throw new SeatHoldError(error.message);
+    }
+
+    await this.releaseUserHolds(userId, train._id, date);
+
+    let classes;
+    try {
+      ({ classes } = await availabilityService.getAvailability(runTrain, date, {
+        fromStation,
+        toStation,
+        holdUser: userId
+      }));
+    } catch (error) {
+      throw new SeatHoldError(error.message);
+    }
+
+    const summary = classes.find(c => c.travelClass === travelClass);
+    const bucket = summary && (summary.quotas || [summary]).find(q => (q.quota || DEFAULT_QUOTA) === quota);
+    const held = Math.min(seats, bucket ? bucket.availableSeats : 0);
+    if (held === 0) return null;
+
+    return SeatHold.create({
+      user: userId,
+      train: train._id,
+      journeyDate: date,
+      travelClass,
+      quota,
+      fromStation: fromStation || train.source,
+      toStation: toStation || train.destination,
+      seats: held,
+      expiresAt: new Date(Date.now() + this.holdMinutes() * 60 * 1000)
+    });
+  }
+
+  // Release one of the user's holds, e.g. when they leave checkout
+  async releaseHold(holdId, userId) {
+    return SeatHold.findOneAndDelete({ _id: holdId, user: userId });
+  }
+
+  // Release the user's holds on a run, once their booking has taken the berths
+  async releaseUserHolds(userId, trainId, journeyDate, session) {
+    const { start, end } = availabilityService.getDayRange(journeyDate);
+    return SeatHold.deleteMany(
+      { user: userId, train: trainId, journeyDate: { $gte: start, $lte: end } },
+      { session }
+    );
+  }
+}
+
+const seatHoldService = new SeatHoldService();
+seatHoldService.SeatHoldError = SeatHoldError;
+
+module.exports = seatHoldService;
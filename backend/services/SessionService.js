@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DEFAULT_ACCESS_TOKEN_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+// A replaced refresh token presented this soon after rotation is taken for
+// two tabs refreshing at once rather than a stolen token
+const REUSE_GRACE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRED_MESSAGE = 'Session has expired, please log in again';
+
+// A refresh that cannot go ahead; the client has to log in again
+class SessionError extends Error {}
+
+// Signed-in sessions: short-lived access tokens tied to a server-side
+// session, and refresh tokens that are rotated on every use. Presenting a
+// refresh token that has already been replaced ends the session.
+class SessionService {
+  accessTokenMinutes() {
+    return Number(process.env.ACCESS_TOKEN_MINUTES) || DEFAULT_ACCESS_TOKEN_MINUTES;
+  }
+
+  refreshTokenDays() {
+    return Number(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  _expiresAt(now) {
+    return new Date(now.getTime() + this.refreshTokenDays() * DAY_MS);
+  }
+
+  _device(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 300),
+      ip: req.ip
+    };
+  }
+
+  accessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: `${this.accessTokenMinutes()}m`
+    });
+  }
+
+  // Start a session for a user who has just proved who they are
+  async start(user, req, now = new Date()) {
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      ...this._device(req),
+      lastUsedAt: now,
+      expiresAt: this._expiresAt(now)
+    });
+
+    return { session, token: this.accessToken(user._id, session._id), refreshToken };
+  }
+
+  // Swap a refresh token for a new access token and refresh token. Throws
+  // a SessionError when the token is unknown, revoked, expired or reused.
+  async refresh(refreshToken, req, now = new Date()) {
+    const hash = this.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: hash });
+
+    if (!session) {
+      const replaced = await Session.findOne({ previousTokenHash: hash });
+      if (replaced && replaced.isActive(now) && now - replaced.rotatedAt > REUSE_GRACE_MS) {
+        replaced.revokedAt = now;
+        replaced.revokedReason = 'Refresh token reused';
+        await replaced.save();
+      }
+      throw new SessionError(EXPIRED_MESSAGE);
+    }
+    if (!session.isActive(now)) {
+      throw new SessionError(EXPIRED_MESSAGE);
+    }
+
+    // Only one of two refreshes racing with the same token wins
+    const next = crypto.randomBytes(40).toString('hex');
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(next),
+          previousTokenHash: hash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: this._expiresAt(now),
+          ...this._device(req)
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      throw new SessionError(EXPIRED_MESSAGE);
+    }
+
+    return { session: rotated, token: this.accessToken(rotated.user, rotated._id), refreshToken: next };
+  }
+
+  async isActive(sessionId, userId, now = new Date()) {
+    return Boolean(await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    }));
+  }
+
+  // The user's sessions still in use, most recently used first
+  async list(userId, now = new Date()) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: now } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // End one of the user's sessions. Returns null when it is not theirs or
+  // has already ended.
+  async revoke(userId, sessionId, reason = 'Signed out', now = new Date()) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  // End the session a refresh token belongs to, if any
+  async revokeByRefreshToken(refreshToken, now = new Date()) {
+    await Session.updateOne(
+      { refreshTokenHash: this.hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'Signed out' } }
+    );
+  }
+
+  // End all the user's sessions, optionally keeping the current one.
+  // Returns how many were ended.
+  async revokeAll(userId, { except, reason = 'Signed out everywhere', now = new Date() } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  // What the sessions list shows; the token hashes stay on the server
+  toView(session, currentId) {
+    return {
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentId) && session._id.toString() === currentId.toString()
+    };
+  }
+}
+
+const sessionService = new SessionService();
+sessionService.SessionError = SessionError;
+
+module.exports = sessionService;
@@ -0,0 +1,297 @@
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const availabilityService = require('./AvailabilityService');
+const { COACH_TYPES } = require('../utils/coachLayouts');
+const { getQuota } = require('../utils/quotaRules');
+const { DEFAULT_TIMEZONE } = require('../utils/timeUtils');
+
+// Ticket QR codes are JWTs for this audience, so they cannot pass as logins
+const TICKET_AUDIENCE = 'e-ticket';
+// Tickets stay verifiable this long after arrival
+const VALID_AFTER_ARRIVAL_SECONDS = 24 * 60 * 60;
+
+const GENDERS = { M: 'Male', F: 'Female', O: 'Other' };
+const FARE_LINES = [
+  ['baseFare', 'Base fare'],
+  ['concessionAmount', 'Concession', -1],
+  ['quotaCharge', 'Quota charge'],
+  ['surgeAmount', 'Dynamic fare'],
+  ['reservationCharge', 'Reservation charge'],
+  ['superfastCharge', 'Superfast charge'],
+  ['gst', 'GST']
+];
+
+const idOf = (value) => (value && value._id) || value;
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// A scanned ticket that cannot be trusted; the message is for the checker
+class TicketError extends Error {}
+
+// Issues e-tickets: the details printed on a booking's PDF and a signed QR
+// code of the PNR and passengers that ticket checkers can verify.
+class TicketService {
+  _secret() {
+    return process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  _formatTime(instant, timeZone) {
+    if (!instant) return null;
+    return instant.toLocaleString('en-IN', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Stops from boarding to destination with their scheduled local times.
+  // The train needs route.station populated with name and code.
+  _stops(booking, train) {
+    const timeZone = train.timezone || DEFAULT_TIMEZONE;
+    const fromId = idOf(booking.fromStation);
+    const toId = idOf(booking.toStation);
+    const stationView = (station, fallback) => ({
+      code: (station && station.code) || (fallback && fallback.code) || null,
+      name: (station && station.name) || (fallback && fallback.name) || null
+    });
+
+    let stops;
+    try {
+      const { fromIndex, toIndex } = availabilityService.getSegment(train, fromId, toId);
+      stops = train.route.length
+        ? train.getSchedule(booking.journeyDate).slice(fromIndex, toIndex + 1)
+        : null;
+    } catch (error) {
+      stops = null;
+    }
+
+    // Trains without a route, or stops no longer on it: just the two ends
+    if (!stops || !stops.length) {
+      stops = [fromId, toId].map(id => ({
+        station: id,
+        ...train.getStopTimes(id, booking.journeyDate)
+      }));
+    }
+
+    return stops.map((stop, i) => {
+      const fallback = i === 0 ? booking.fromStation : i === stops.length - 1 ? booking.toStation : null;
+      return {
+        ...stationView(stop.station, fallback),
+        arrival: i === 0 ? null : this._formatTime(stop.arrivalTime, timeZone),
+        departure: i === stops.length - 1 ? null : this._formatTime(stop.departureTime, timeZone),
+        arrivalTime: stop.arrivalTime || null
+      };
+    });
+  }
+
+  // Everything printed on the ticket. The booking needs fromStation and
+  // toStation populated with name and code.
+  buildTicket(booking, train, { issuedAt = new Date() } = {}) {
+    const stops = this._stops(booking, train);
+    const quota = getQuota(booking.quota);
+
+    return {
+      pnr: booking.pnr,
+      issuedAt,
+      train: { number: train.trainNumber, name: train.name },
+      journeyDate: toDateString(booking.journeyDate),
+      travelClass: booking.travelClass,
+      className: COACH_TYPES[booking.travelClass] ? COACH_TYPES[booking.travelClass].name : booking.travelClass,
+      quota: booking.quota,
+      quotaName: quota ? quota.name : booking.quota,
+      from: { code: booking.fromStation.code, name: booking.fromStation.name },
+      to: { code: booking.toStation.code, name: booking.toStation.name },
+      stops: stops.map(({ arrivalTime, ...stop }) => stop),
+      arrivesAt: stops[stops.length - 1].arrivalTime,
+      bookingStatus: booking.bookingStatus,
+      passengers: booking.passengers.map(p => ({
+        id: p._id.toString(),
+        name: p.name,
+        age: p.age,
+        gender: p.gender,
+        bookingStatus: p.initialStatus || p.statusLabel(),
+        currentStatus: p.statusLabel(),
+        fare: booking.passengerFare(p),
+        concession: p.concession || null,
+        fareBreakdown: p.fareBreakdown && p.fareBreakdown.baseFare !== undefined
+          ? Object.fromEntries(FARE_LINES.map(([field]) => [field, p.fareBreakdown[field] || 0]))
+          : null
+      })),
+      totalFare: booking.totalFare
+    };
+  }
+
+  // Signed QR payload: the journey and the status of each passenger still
+  // travelling when the ticket was issued
+  sign(ticket) {
+    const payload = {
+      pnr: ticket.pnr,
+      train: ticket.train.number,
+      date: ticket.journeyDate,
+      from: ticket.from.code,
+      to: ticket.to.code,
+      class: ticket.travelClass,
+      passengers: ticket.passengers.filter(p => p.currentStatus !== 'CAN').map(p => ({
+        id: p.id,
+        name: p.name,
+        age: p.age,
+        gender: p.gender,
+        status: p.currentStatus
+      }))
+    };
+
+    const options = { audience: TICKET_AUDIENCE, subject: ticket.pnr };
+    if (ticket.arrivesAt) {
+      const expiresAt = Math.floor(ticket.arrivesAt.getTime() / 1000) + VALID_AFTER_ARRIVAL_SECONDS;
+      options.expiresIn = Math.max(expiresAt - Math.floor(Date.now() / 1000), 60);
+    }
+
+    return jwt.sign(payload, this._secret(), options);
+  }
+
+  // Decode a scanned QR payload, throwing a TicketError unless it is a
+  // ticket this server signed and it has not expired
+  verify(token) {
+    try {
+      return jwt.verify(token, this._secret(), { audience: TICKET_AUDIENCE });
+    } catch (error) {
+      throw new TicketError(error.name === 'TokenExpiredError'
+        ? 'Ticket has expired'
+        : 'Ticket signature is invalid');
+    }
+  }
+
+  // Compare a verified ticket with the booking as it stands now. The
+  // booking needs fromStation and toStation populated with code.
+  checkAgainstBooking(ticket, booking) {
+    const warnings = [];
+    if (!booking) {
+      return { valid: false, pnr: ticket.pnr, warnings: ['No booking has this PNR'], passengers: [] };
+    }
+
+    const changed = ticket.date !== toDateString(booking.journeyDate) ||
+      ticket.from !== booking.fromStation.code ||
+      ticket.to !== booking.toStation.code;
+    if (changed) {
+      warnings.push('The journey has been changed since this ticket was issued');
+    }
+
+    const passengers = ticket.passengers.map(({ status, ...ticketed }) => {
+      const current = booking.passengers.find(p => p._id.toString() === ticketed.id);
+      return {
+        ...ticketed,
+        ticketStatus: status,
+        currentStatus: current ? current.statusLabel() : null,
+        travelling: Boolean(current) && current.status !== 'CAN'
+      };
+    });
+
+    if (passengers.some(p => !p.travelling)) {
+      warnings.push('Some passengers on this ticket are no longer travelling');
+    }
+
+    return {
+      valid: !changed && passengers.some(p => p.travelling),
+      pnr: ticket.pnr,
+      train: ticket.train,
+      journeyDate: toDateString(booking.journeyDate),
+      from: booking.fromStation.code,
+      to: booking.toStation.code,
+      travelClass: booking.travelClass,
+      bookingStatus: booking.bookingStatus,
+      issuedAt: ticket.iat ? new Date(ticket.iat * 1000) : null,
+      passengers,
+      warnings
+    };
+  }
+
+  _money(amount) {
+    return `Rs. ${Number(amount).toFixed(2)}`;
+  }
+
+  // Render the ticket with its QR code as a PDF document
+  async renderPdf(ticket, token) {
+    const qr = await QRCode.toBuffer(token, { errorCorrectionLevel: 'M', margin: 1, width: 150 });
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `E-ticket ${ticket.pnr}` } });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const row = (columns, widths, options = {}) => {
+      const y = doc.y;
+      let x = left;
+      let bottom = y;
+      columns.forEach((text, i) => {
+        doc.text(text === null || text === undefined ? '-' : String(text), x, y, { width: widths[i] - 6, ...options });
+        bottom = Math.max(bottom, doc.y);
+        x += widths[i];
+      });
+      doc.x = left;
+      doc.y = bottom + 4;
+    };
+    const heading = (text) => {
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(text, left).moveDown(0.3);
+      doc.font('Helvetica').fontSize(9);
+    };
+
+    // Header and QR code
+    doc.image(qr, left + width - 110, 40, { width: 110 });
+    doc.font('Helvetica-Bold').fontSize(18).text('Electronic Reservation Slip', left, 45, { width: width - 120 });
+    doc.font('Helvetica').fontSize(10).moveDown(0.3)
+      .text(`PNR ${ticket.pnr}`, { width: width - 120 })
+      .text(`${ticket.train.number} ${ticket.train.name}`, { width: width - 120 })
+      .text(`${ticket.className} (${ticket.travelClass}), ${ticket.quotaName} quota`, { width: width - 120 })
+      .text(`Journey date ${ticket.journeyDate} | Booking status ${ticket.bookingStatus}`, { width: width - 120 })
+      .text(`Issued ${this._formatTime(ticket.issuedAt, DEFAULT_TIMEZONE)}`, { width: width - 120 });
+    doc.y = Math.max(doc.y, 160);
+
+    heading(`${ticket.from.name} (${ticket.from.code}) to ${ticket.to.name} (${ticket.to.code})`);
+    const stopWidths = [width * 0.4, width * 0.3, width * 0.3];
+    doc.font('Helvetica-Bold');
+    row(['Station', 'Arrival', 'Departure'], stopWidths);
+    doc.font('Helvetica');
+    ticket.stops.forEach(stop => row([`${stop.name || ''} (${stop.code || ''})`, stop.arrival, stop.departure], stopWidths));
+
+    heading('Passengers');
+    const passengerWidths = [width * 0.05, width * 0.3, width * 0.08, width * 0.12, width * 0.15, width * 0.15, width * 0.15];
+    doc.font('Helvetica-Bold');
+    row(['#', 'Name', 'Age', 'Gender', 'Booking status', 'Current status', 'Fare'], passengerWidths);
+    doc.font('Helvetica');
+    ticket.passengers.forEach((p, i) => row([
+      i + 1,
+      p.concession ? `${p.name} (${p.concession})` : p.name,
+      p.age,
+      GENDERS[p.gender] || p.gender,
+      p.bookingStatus,
+      p.currentStatus,
+      this._money(p.fare)
+    ], passengerWidths));
+
+    heading('Fare');
+    const fareWidths = [width * 0.6, width * 0.4];
+    ticket.passengers.forEach((p, i) => {
+      if (!p.fareBreakdown) return;
+      doc.font('Helvetica-Bold');
+      row([`Passenger ${i + 1}`, ''], fareWidths);
+      doc.font('Helvetica');
+      FARE_LINES.forEach(([field, label, sign = 1]) => {
+        if (p.fareBreakdown[field]) row([label, this._money(sign * p.fareBreakdown[field])], fareWidths);
+      });
+    });
+    doc.font('Helvetica-Bold');
+    row(['Total fare', this._money(ticket.totalFare)], fareWidths);
+
+    doc.moveDown(1.5).font('Helvetica').fontSize(8).fillColor('#555555')
+      .text('Carry a valid photo ID. Ticket checkers scan the QR code to verify this ticket against the current booking.', left);
+
+    doc.end();
+    return done;
+  }
+}
+
+const ticketService = new TicketService();
+ticketService.TicketError = TicketError;
+
+module.exports = ticketService;
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const Booking = require('../models/Booking');
+const availabilityService = require('./AvailabilityService');
+const waitlistService = require('./WaitlistService');
+const { MAX_ADVANCE_DAYS } = require('../utils/bookingWindowRules');
+
+// How far ahead runs are generated from the train templates: as far as any
+// train can be booked
+const RUN_HORIZON_DAYS = MAX_ADVANCE_DAYS;
+// Passengers may claim a full refund once departure slips by this much
+const REFUND_DELAY_MINUTES = 180;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A run change that cannot be made; the message is for the user
+class TrainRunError extends Error {}
+
+class TrainRunService {
+  // Normalise 'YYYY-MM-DD' strings and Dates to midnight UTC
+  toJourneyDate(date) {
+    const journeyDate = new Date(date);
+    journeyDate.setUTCHours(0, 0, 0, 0);
+    return journeyDate;
+  }
+
+  scheduledDeparture(train, journeyDate) {
+    const origin = train.getStopTimes(train.source, journeyDate);
+    return origin ? origin.departureTime : null;
+  }
+
+  _runDefaults(train, journeyDate) {
+    return {
+      status: 'Scheduled',
+      scheduledDeparture: this.scheduledDeparture(train, journeyDate)
+    };
+  }
+
+  // Create the missing runs for one train over the rolling horizon.
+  // Existing runs are left untouched so cancellations and re-rakes survive.
+  async generateRuns(train, { from = new Date(), days = RUN_HORIZON_DAYS } = {}) {
+    const start = this.toJourneyDate(from);
+    const operations = [];
+
+    for (let i = 0; i < days; i++) {
+      const journeyDate = new Date(start);
+      journeyDate.setUTCDate(start.getUTCDate() + i);
+
+      if (!train.runsOnDay(DAY_NAMES[journeyDate.getUTCDay()])) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { train: train._id, journeyDate },
+          update: { $setOnInsert: this._runDefaults(train, journeyDate) },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length === 0) return 0;
+
+    const result = await TrainRun.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  }
+
+  async generateAll(options = {}) {
+    const trains = await Train.find({ status: 'Active' });
+    let created = 0;
+
+    for (const train of trains) {
+      created += await this.generateRuns(train, options);
+    }
+
+    return { trains: trains.length, created };
+  }
+
+  async findRun(train, date) {
+    return TrainRun.findOne({ train: train._id || train, journeyDate: this.toJourneyDate(date) });
+  }
+
+  // The run a transaction is about to allocate berths on. Runs outside the
+  // generated horizon are created on first booking. The run is written
+  // every time, before occupancy is read, so concurrent allocations on the
+  // same run hit a write conflict rather than both reading the same free
+  // berths.
+  async getOrCreateRun(train, date, session) {
+    const journeyDate = this.toJourneyDate(date);
+
+    return TrainRun.findOneAndUpdate(
+      { train: train._id, journeyDate },
+      {
+        $setOnInsert: this._runDefaults(train, journeyDate),
+        $inc: { bookingVersion: 1 }
+      },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  async flagBookingsForRefund(run, reason, filter = {}) {
+    const result = await Booking.updateMany(
+      {
+        train: run.train,
+        journeyDate: run.journeyDate,
+        bookingStatus: { $ne: 'Cancelled' },
+        ...filter
+      },
+      { $set: { refundDue: true, refundReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  async cancelRun(run, { reason, userId } = {}) {
+    run.setStatus('Cancelled', reason, userId);
+    await run.save();
+
+    const flagged = await this.flagBookingsForRefund(run, reason || 'Train run cancelled');
+    return { run, flagged };
+  }
+
+  // Runs created before scheduledDeparture was stored take it from the
+  // train's timetable; without either there is no delay to measure
+  async rescheduleRun(run, train, { departureTime, reason, userId } = {}) {
+    if (!run.scheduledDeparture) {
+      run.scheduledDeparture = this.scheduledDeparture(train, run.journeyDate);
+      if (!run.scheduledDeparture) {
+        throw new TrainRunError('Train has no scheduled departure to reschedule this run from');
+      }
+    }
+
+    run.actualDeparture = new Date(departureTime);
+    run.setStatus('Rescheduled', reason, userId);
+    await run.save();
+
+    const delayMinutes = Math.round((run.actualDeparture - run.scheduledDeparture) / (60 * 1000));
+    const flagged = delayMinutes >= REFUND_DELAY_MINUTES
+      ? await this.flagBookingsForRefund(run, reason || `Departure rescheduled by ${delayMinutes} minutes`)
+      : 0;
+
+    return { run, delayMinutes, flagged };
+  }
+
+  // Divert the run away from some of the train's intermediate stops. The
+  // run takes no bookings to or from them, and bookings already boarding or
+  // alighting there are flagged for refund.
+  async divertRun(run, train, { skippedStations, reason, userId } = {}) {
+    const stops = (train.route || []).map(stop => (stop.station._id || stop.station).toString());
+    const intermediate = stops.slice(1, -1);
+    const skipped = [...new Set(skippedStations.map(String))];
+
+    const notServed = skipped.find(id => !intermediate.includes(id));
+    if (notServed) {
+      throw new TrainRunError(`Station ${notServed} is not an intermediate stop of this train`);
+    }
+
+    run.skippedStations = skipped;
+    run.setStatus('Diverted', reason, userId);
+    await run.save();
+
+    const flagged = await this.flagBookingsForRefund(run, reason || 'Train run diverted', {
+      $or: [{ fromStation: { $in: skipped } }, { toStation: { $in: skipped } }]
+    });
+    return { run, flagged };
+  }
+
+  // Change the run's coach composition. Passengers on coaches or berths the
+  // new rake drops are moved to free berths of their class; when one of them
+  // cannot be placed this throws a CapacityError and nothing is changed.
+  async reRake(run, coaches, { reason, userId } = {}) {
+    const train = await Train.findById(run.train);
+    const runTrain = train.forRun({ coaches });
+    const changeReason = reason || 'Coach composition changed';
+    let moves;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const bookings = await availabilityService.findBookings(runTrain, run.journeyDate, session);
+      moves = waitlistService.relocate(runTrain, bookings);
+
+      const moved = new Set();
+      moves.forEach(({ booking, passenger, from, to }) => {
+        booking.history.push({ event: 'MODIFIED', passenger: passenger._id, field: 'seat', from, to, by: userId, reason: changeReason });
+        moved.add(booking);
+      });
+      for (const booking of moved) {
+        await booking.save({ session });
+      }
+
+      run.coaches = coaches;
+      run.statusHistory.push({ status: run.status, reason: changeReason, changedBy: userId });
+      await run.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return {
+      run,
+      moves: moves.map(({ booking, passenger, from, to }) => ({ pnr: booking.pnr, passenger: passenger.name, from, to }))
+    };
+  }
+}
+
+const trainRunService = new TrainRunService();
+trainRunService.TrainRunError = TrainRunError;
+
+module.exports = trainRunService;
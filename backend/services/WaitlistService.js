@@ -0,0 +1,249 @@
+const Booking = require('../models/Booking');
+const seatAllocationService = require('./SeatAllocationService');
+const availabilityService = require('./AvailabilityService');
+const { DEFAULT_QUOTA } = require('../utils/quotaRules');
+
+class WaitlistService {
+  // Give passengers confirmed berths first, then RAC places, then waitlist
+  // numbers, in the order they were entered on the booking. Confirmed berths
+  // come from the booking quota's own berths; RAC and the waitlist are
+  // shared by every quota.
+  assign(train, { travelClass, passengers, occupancy, queue = {}, quota }) {
+    const { waitlistLimit } = train.getQuota(travelClass);
+    const classQueue = queue[travelClass] || { rac: 0, waitlist: 0 };
+
+    const confirmable = seatAllocationService.countConfirmable(train, travelClass, occupancy, quota);
+    const racSlots = seatAllocationService.getFreeRacSlots(train, travelClass, occupancy.racSlots);
+    const waitlistOpen = Math.max(0, waitlistLimit - classQueue.waitlist);
+
+    const capacity = confirmable + racSlots.length + waitlistOpen;
+    if (passengers.length > capacity) {
+      throw new seatAllocationService.CapacityError(`Only ${capacity} seat(s) available`);
+    }
+
+    const confirmedCount = Math.min(passengers.length, confirmable);
+    const confirmedSeats = seatAllocationService.allocate(train, {
+      travelClass,
+      passengers: passengers.slice(0, confirmedCount),
+      occupied: occupancy.occupied,
+      unassigned: occupancy.unassigned,
+      quota
+    });
+
+    let racNumber = classQueue.rac;
+    let waitlistNumber = classQueue.waitlist;
+
+    return passengers.map((passenger, i) => {
+      const assigned = {
+        name: passenger.name,
+        age: passenger.age,
+        gender: passenger.gender,
+        berthPreference: passenger.berthPreference || 'NA'
+      };
+
+      if (i < confirmedCount) {
+        const seat = confirmedSeats[i];
+        Object.assign(assigned, {
+          status: 'CNF',
+          coach: seat.coach,
+          seatNumber: seat.seatNumber,
+          berthType: seat.berthType
+        });
+      } else if (racSlots.length > 0) {
+        const seat = racSlots.shift();
+        Object.assign(assigned, {
+          status: 'RAC',
+          coach: seat.coach,
+          seatNumber: seat.seatNumber,
+          berthType: seat.berthType,
+          racNumber: ++racNumber
+        });
+      } else {
+        Object.assign(assigned, {
+          status: 'WL',
+          waitlistNumber: ++waitlistNumber
+        });
+      }
+
+      assigned.initialStatus = Booking.formatPassengerStatus(assigned);
+      return assigned;
+    });
+  }
+
+  // Queue entries for one status, in queue order
+  _queueEntries(bookings, status, numberField) {
+    const entries = [];
+
+    bookings.forEach(booking => {
+      booking.passengers.forEach(passenger => {
+        if (passenger.status === status) {
+          entries.push({ booking, passenger });
+        }
+      });
+    });
+
+    return entries.sort((a, b) =>
+      (a.passenger[numberField] - b.passenger[numberField]) ||
+      (a.booking.bookingTime - b.booking.bookingTime)
+    );
+  }
+
+  _moveTo(entry, status, seat) {
+    const { passenger } = entry;
+
+    passenger.status = status;
+    passenger.coach = seat.coach;
+    passenger.seatNumber = seat.seatNumber;
+    passenger.berthType = seat.berthType;
+    passenger.waitlistNumber = undefined;
+    // Joins the back of the RAC queue; renumbered below
+    passenger.racNumber = status === 'RAC' ? Number.MAX_SAFE_INTEGER : undefined;
+  }
+
+  // Move passengers whose berth the train's coach composition no longer has
+  // to a free berth of their class and quota, or RAC passengers to a free
+  // RAC place. Bookings are changed in memory only; returns the moves made,
+  // or throws a CapacityError for the first passenger with nowhere to go.
+  relocate(train, bookings) {
+    const keysByClass = new Map();
+    const keysFor = (travelClass) => {
+      if (!keysByClass.has(travelClass)) {
+        const keyOf = (seat) => seatAllocationService.seatKey(seat.coach, seat.seatNumber);
+        keysByClass.set(travelClass, {
+          CNF: new Set(seatAllocationService.buildSeatMap(train, travelClass).map(keyOf)),
+          RAC: new Set(seatAllocationService.getRacBerths(train, travelClass).map(keyOf))
+        });
+      }
+      return keysByClass.get(travelClass);
+    };
+
+    const displaced = [];
+    bookings.forEach(booking => {
+      const keys = keysFor(booking.travelClass || 'GEN');
+      booking.passengers.forEach(passenger => {
+        const status = passenger.status || 'CNF';
+        if (!keys[status] || !passenger.coach || !passenger.seatNumber) return;
+        if (!keys[status].has(seatAllocationService.seatKey(passenger.coach, passenger.seatNumber))) {
+          displaced.push({ booking, passenger });
+        }
+      });
+    });
+
+    // Berths that no longer exist hold nothing, so each move only has to
+    // avoid the passengers staying put and those already moved
+    return displaced.map(entry => {
+      const { booking, passenger } = entry;
+      const travelClass = booking.travelClass || 'GEN';
+      const occupancy = availabilityService.getOccupancy(train, bookings, availabilityService.getBookingSegment(train, booking));
+      const from = passenger.statusLabel();
+
+      let seat;
+      if (passenger.status === 'RAC') {
+        [seat] = seatAllocationService.getFreeRacSlots(train, travelClass, occupancy.racSlots);
+      } else if (seatAllocationService.countConfirmable(train, travelClass, occupancy, booking.quota) > 0) {
+        [seat] = seatAllocationService.allocate(train, {
+          travelClass,
+          passengers: [passenger],
+          occupied: occupancy.occupied,
+          unassigned: occupancy.unassigned,
+          quota: booking.quota
+        });
+      }
+      if (!seat) {
+        throw new seatAllocationService.CapacityError(
+          `No ${travelClass} berth left for ${passenger.name} on PNR ${booking.pnr} (${from})`
+        );
+      }
+
+      passenger.coach = seat.coach;
+      passenger.seatNumber = seat.seatNumber;
+      passenger.berthType = seat.berthType;
+      return { booking, passenger, from, to: passenger.statusLabel() };
+    });
+  }
+
+  // Quota buckets a queued passenger can be confirmed from: the booking's
+  // own quota, then General, then every other quota of the class, so a
+  // berth freed in any bucket goes to the head of the shared queue
+  _promotionQuotas(train, travelClass, booking) {
+    const seatQuotas = train.getSeatQuotas(travelClass).map(({ quota }) => quota);
+    return [...new Set([booking.quota || DEFAULT_QUOTA, DEFAULT_QUOTA, ...seatQuotas])];
+  }
+
+  // Promote RAC and waitlisted passengers into berths freed by a
+  // cancellation, in any quota, then close up the remaining queue numbers.
+  // Returns the list of status changes made. Checkout holds are not
+  // counted: passengers already in the queue come before anyone still
+  // filling in a booking.
+  async promote(train, journeyDate, travelClass, session) {
+    const bookings = (await availabilityService.findBookings(train, journeyDate, session))
+      .filter(booking => (booking.travelClass || 'GEN') === travelClass);
+
+    const changed = new Set();
+    const promoted = [];
+
+    const tryPromote = (entry, allowRac) => {
+      const segment = availabilityService.getBookingSegment(train, entry.booking);
+      const occupancy = availabilityService.getOccupancy(train, bookings, segment);
+      const from = entry.passenger.statusLabel();
+      const quota = this._promotionQuotas(train, travelClass, entry.booking)
+        .find(candidate => seatAllocationService.countConfirmable(train, travelClass, occupancy, candidate) > 0);
+
+      if (quota) {
+        const [seat] = seatAllocationService.allocate(train, {
+          travelClass,
+          passengers: [entry.passenger],
+          occupied: occupancy.occupied,
+          unassigned: occupancy.unassigned,
+          quota
+        });
+        this._moveTo(entry, 'CNF', seat);
+      } else if (allowRac) {
+        const [slot] = seatAllocationService.getFreeRacSlots(train, travelClass, occupancy.racSlots);
+        if (!slot) return;
+        this._moveTo(entry, 'RAC', slot);
+      } else {
+        return;
+      }
+
+      changed.add(entry.booking);
+      promoted.push({ ...entry, from });
+    };
+
+    this._queueEntries(bookings, 'RAC', 'racNumber').forEach(entry => tryPromote(entry, false));
+    this._queueEntries(bookings, 'WL', 'waitlistNumber').forEach(entry => tryPromote(entry, true));
+
+    // Close the gaps left in the RAC and waitlist numbering
+    [['RAC', 'racNumber'], ['WL', 'waitlistNumber']].forEach(([status, numberField]) => {
+      this._queueEntries(bookings, status, numberField).forEach((entry, index) => {
+        if (entry.passenger[numberField] !== index + 1) {
+          entry.passenger[numberField] = index + 1;
+          changed.add(entry.booking);
+        }
+      });
+    });
+
+    promoted.forEach(({ booking, passenger, from }) => {
+      booking.history.push({
+        event: 'PROMOTED',
+        passenger: passenger._id,
+        from,
+        to: passenger.statusLabel()
+      });
+    });
+
+    for (const booking of changed) {
+      booking.refreshStatus();
+      await booking.save({ session });
+    }
+
+    return promoted.map(({ booking, passenger, from }) => ({
+      pnr: booking.pnr,
+      passenger: passenger.name,
+      from,
+      to: passenger.statusLabel()
+    }));
+  }
+}
+
+module.exports = new WaitlistService();
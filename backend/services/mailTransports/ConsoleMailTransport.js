@@ -0,0 +1,22 @@
+// Prints each message to the server log instead of sending it, for local
+// development where no mail server is set up
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+    this.developmentOnly = true;
+  }
+
+  async send(message) {
+    console.log([
+      '--- Outgoing mail ---',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '---------------------'
+    ].join('\n'));
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleMailTransport;
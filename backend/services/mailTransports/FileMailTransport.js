@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file in a directory (MAIL_DIR, default the
+// system temp directory), so local setups and tests can open the links
+class FileMailTransport {
+  constructor({ directory } = {}) {
+    this.name = 'file';
+    this.developmentOnly = true;
+    this.directory = directory || process.env.MAIL_DIR || path.join(os.tmpdir(), 'railway-planner-mail');
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return { id };
+  }
+}
+
+module.exports = FileMailTransport;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Signed webhooks older than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Local stand-in for a card gateway. Intents are only recorded on our side;
+// "paying" one produces the same signed webhook a real gateway would send,
+// so the whole callback path runs in development and tests. There is no
+// default secret: anyone who knew it could sign a payment they never made.
+class MockPaymentProvider {
+  constructor({ secret } = {}) {
+    this.name = 'mock';
+    this.secret = secret || process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!this.secret) throw new Error('PAYMENT_WEBHOOK_SECRET must be set for the mock payment gateway');
+  }
+
+  async createIntent({ amount, currency, reference }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment',
+      amount,
+      currency,
+      reference
+    };
+  }
+
+  // Refunds settle immediately on the mock gateway
+  async refund({ intentId, amount }) {
+    return {
+      id: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      intentId,
+      amount,
+      status: 'succeeded'
+    };
+  }
+
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', this.secret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  // Returns the event carried by a webhook request, or throws if the
+  // signature is missing, wrong or too old
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) throw new Error('Missing webhook signature');
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+    const expected = Buffer.from(this.sign(payload, timestamp));
+    const received = Buffer.from(header);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw new Error('Webhook body is not valid JSON');
+    }
+    if (!event || !event.id || !event.type || !event.data || !event.data.intentId) {
+      throw new Error('Webhook body is missing the event id, type or intent');
+    }
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data.intentId,
+      failureReason: event.data.failureReason
+    };
+  }
+
+  // Builds the signed webhook the gateway would deliver once the customer
+  // completes (or fails) checkout
+  simulate(intentId, outcome) {
+    const body = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        intentId,
+        ...(outcome !== 'succeeded' && { failureReason: 'Card declined' })
+      }
+    });
+    return { body, headers: { [SIGNATURE_HEADER]: this.sign(body) } };
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,175 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RateLimit = require('../models/RateLimit');
+const Session = require('../models/Session');
+const mailService = require('../services/MailService');
+const authRoutes = require('../routes/auth');
+
+const makeApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+// Password hashes are set by the pre-save hook; writes go nowhere
+const makeUser = async (fields = {}) => {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'asha',
+    email: 'asha@example.com',
+    role: 'user',
+    ...fields
+  });
+  user.password = 'old-password';
+  await user.save();
+  user.passwordChangedAt = undefined;
+  return user;
+};
+
+const mockFindById = (user) => jest.spyOn(User, 'findById').mockImplementation(() => {
+  const query = Promise.resolve(user);
+  query.select = () => query;
+  return query;
+});
+
+const sessionId = new mongoose.Types.ObjectId();
+const tokenFor = (user, iat) =>
+  jwt.sign({ id: user._id, sid: sessionId, ...(iat && { iat }) }, process.env.JWT_SECRET);
+
+describe('Password reset and account settings', () => {
+  let sent;
+  let updateOne;
+
+  beforeEach(() => {
+    sent = [];
+    mailService.registerTransport({ name: 'test', send: async (message) => sent.push(message) });
+    process.env.MAIL_TRANSPORT = 'test';
+    updateOne = jest.spyOn(User.collection, 'updateOne')
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(RateLimit, 'findOneAndUpdate').mockResolvedValue({ count: 1 });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: sessionId });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+  });
+
+  it('emails a reset link whose token is stored only as a hash, and works once', async () => {
+    const user = await makeUser();
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) => {
+      if (filter.email) return filter.email === user.email ? user : null;
+      return filter.passwordResetToken === user.passwordResetToken && user.passwordResetExpires > new Date()
+        ? user
+        : null;
+    });
+    const app = makeApp();
+
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: 'Asha@Example.com' });
+    expect(unknown.body.message).toBe(known.body.message);
+    expect(sent).toHaveLength(1);
+
+    const [, token] = sent[0].text.match(/\/reset-password\/([0-9a-f]{64})/);
+    expect(sent[0].to).toBe('asha@example.com');
+    expect(user.passwordResetToken).toBe(User.hashToken(token));
+    expect(user.passwordResetToken).not.toBe(token);
+
+    const reset = await request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'new-password' });
+    expect(reset.status).toBe(200);
+    expect(await user.comparePassword('new-password')).toBe(true);
+    expect(user.passwordResetToken).toBeUndefined();
+    expect(updateOne.mock.calls.pop()[1].$unset).toMatchObject({ passwordResetToken: 1, passwordResetExpires: 1 });
+
+    const reused = await request(app).post(`/api/auth/reset-password/${token}`).send({ password: 'other-password' });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null },
+      expect.objectContaining({ $set: expect.objectContaining({ revokedReason: 'Password reset' }) })
+    );
+    expect(reused.status).toBe(400);
+    expect(reused.body.message).toBe('Password reset link is invalid or has expired');
+  });
+
+  it('refuses the console and file mail transports in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(mailService.getTransport().name).toBe('test');
+      expect(() => mailService.getTransport('console'))
+        .toThrow('Mail transport console does not deliver mail and cannot be used in production');
+      expect(() => mailService.getTransport('file')).toThrow(/cannot be used in production/);
+      delete process.env.MAIL_TRANSPORT;
+      expect(() => mailService.getTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+    expect(mailService.getTransport().name).toBe('console');
+  });
+
+  it('rejects expired reset tokens', async () => {
+    const user = await makeUser();
+    const token = user.createPasswordResetToken();
+    user.passwordResetExpires = new Date(Date.now() - 1000);
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) =>
+      filter.passwordResetExpires.$gt < user.passwordResetExpires ? user : null
+    );
+
+    const res = await request(makeApp()).post(`/api/auth/reset-password/${token}`).send({ password: 'new-password' });
+    expect(res.status).toBe(400);
+  });
+
+  it('changes the password only with the current one, and ends older sessions', async () => {
+    const user = await makeUser();
+    mockFindById(user);
+    const app = makeApp();
+    const oldToken = tokenFor(user, Math.floor(Date.now() / 1000) - 60);
+
+    const wrong = await request(app).put('/api/auth/change-password')
+      .set('Authorization', `Bearer ${oldToken}`)
+      .send({ currentPassword: 'guess', newPassword: 'new-password' });
+    expect(wrong.status).toBe(400);
+
+    const changed = await request(app).put('/api/auth/change-password')
+      .set('Authorization', `Bearer ${oldToken}`)
+      .send({ currentPassword: 'old-password', newPassword: 'new-password' });
+    expect(changed.status).toBe(200);
+    expect(await user.comparePassword('new-password')).toBe(true);
+    expect(sent.map(message => message.subject)).toEqual(['Your Railway Planner password was changed']);
+    expect(Session.updateMany.mock.calls[0][0]).toEqual({ user: user._id, revokedAt: null, _id: { $ne: sessionId.toString() } });
+
+    const stale = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${oldToken}`);
+    expect(stale.status).toBe(401);
+    const fresh = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${changed.body.token}`);
+    expect(fresh.status).toBe(200);
+  });
+
+  it('updates the profile, asking for the password before changing the email', async () => {
+    const user = await makeUser();
+    mockFindById(user);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const app = makeApp();
+    const token = tokenFor(user);
+
+    const profile = await request(app).put('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ firstName: 'Asha', lastName: 'Rao', phone: '+91 98765 43210', role: 'admin' });
+    expect(profile.status).toBe(200);
+    expect(user).toMatchObject({ firstName: 'Asha', lastName: 'Rao', phone: '+91 98765 43210', role: 'user' });
+
+    const email = await request(app).put('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'asha.rao@example.com' });
+    expect(email.status).toBe(400);
+    expect(user.email).toBe('asha@example.com');
+
+    const confirmed = await request(app).put('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'asha.rao@example.com', currentPassword: 'old-password' });
+    expect(confirmed.status).toBe(200);
+    expect(user.email).toBe('asha.rao@example.com');
+  });
+});
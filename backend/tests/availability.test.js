@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const availabilityService = require('../services/AvailabilityService');
+const trainRoutes = require('../routes/trains');
+
+const [DEL, PUNE, MMCT] = [0, 1, 2].map(() => new mongoose.Types.ObjectId());
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: DEL,
+  destination: MMCT,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 2,
+  availableSeats: 2,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  coaches: [{ code: 'H1', coachType: '1A', berths: 2 }],
+  route: [
+    { station: DEL, distance: 0 },
+    { station: PUNE, distance: 200 },
+    { station: MMCT, distance: 1388 }
+  ]
+});
+
+const booking = (fromStation, toStation, seatNumber) => ({
+  travelClass: '1A',
+  fromStation,
+  toStation,
+  passengers: [{ coach: 'H1', seatNumber }]
+});
+
+describe('AvailabilityService', () => {
+  it('maps stations to ordered route positions', () => {
+    expect(availabilityService.getSegment(train, DEL, PUNE)).toEqual({ fromIndex: 0, toIndex: 1 });
+    expect(availabilityService.getSegment(train)).toEqual({ fromIndex: 0, toIndex: 2 });
+    expect(() => availabilityService.getSegment(train, MMCT, DEL)).toThrow();
+  });
+
+  it('lets a berth be resold for a non-overlapping segment', () => {
+    const bookings = [booking(DEL, PUNE, '1')];
+
+    const later = availabilityService.getOccupancy(train, bookings, availabilityService.getSegment(train, PUNE, MMCT));
+    expect(later.occupied.size).toBe(0);
+
+    const full = availabilityService.getOccupancy(train, bookings, availabilityService.getSegment(train, DEL, MMCT));
+    expect(full.occupied.has('H1/1')).toBe(true);
+  });
+
+  describe('GET /api/trains/:id/seats', () => {
+    const app = express();
+    app.use('/api/trains', trainRoutes);
+
+    beforeEach(() => jest.spyOn(Train, 'findById').mockResolvedValue(train));
+    afterEach(() => jest.restoreAllMocks());
+
+    it('rejects invalid filters and stations out of route order', async () => {
+      const seats = (query) => request(app).get(`/api/trains/${train._id}/seats`).query({ date: '2025-06-23', ...query });
+
+      const invalid = await seats({ class: 'XX', from: 'nowhere' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors.map(e => e.path)).toEqual(expect.arrayContaining(['class', 'from']));
+
+      const reversed = await seats({ from: MMCT.toString(), to: DEL.toString() });
+      expect(reversed.status).toBe(400);
+      expect(reversed.body.message).toBe('Stations are not served in this order by the train');
+
+      const unknown = await seats({ from: new mongoose.Types.ObjectId().toString() });
+      expect(unknown.status).toBe(400);
+    });
+  });
+});
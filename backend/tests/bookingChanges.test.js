@@ -0,0 +1,247 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const availabilityService = require('../services/AvailabilityService');
+const refundService = require('../services/RefundService');
+const trainRunService = require('../services/TrainRunService');
+const waitlistService = require('../services/WaitlistService');
+const bookingChangeService = require('../services/BookingChangeService');
+const sessionService = require('../services/SessionService');
+const bookingRoutes = require('../routes/bookings');
+
+const [delhi, agra, bhopal] = ['NDLS', 'AGC', 'BPL'].map(code => ({ _id: new mongoose.Types.ObjectId(), code }));
+
+const train = new Train({
+  trainNumber: '12002',
+  name: 'Test Shatabdi',
+  trainType: 'Express',
+  source: delhi._id,
+  destination: bhopal._id,
+  departureTime: new Date('2025-06-20T00:00:00Z'),
+  arrivalTime: new Date('2025-06-20T00:00:00Z'),
+  totalSeats: 8,
+  availableSeats: 8,
+  fare: 100,
+  daysOfOperation: ['Mon', 'Tue'],
+  coaches: [{ code: 'B1', coachType: '3A', berths: 8 }],
+  classQuotas: [{ travelClass: '3A', racBerths: 1, waitlistLimit: 5 }],
+  route: [
+    { station: delhi._id, departure: '06:00', distance: 0 },
+    { station: agra._id, arrival: '08:00', departure: '08:05', distance: 200 },
+    { station: bhopal._id, arrival: '14:00', distance: 700 }
+  ]
+});
+
+const makeBooking = (overrides = {}) => new Booking({
+  pnr: 'CHANGE01',
+  user: new mongoose.Types.ObjectId(),
+  train: train._id,
+  journeyDate: new Date('2025-06-23'),
+  travelClass: '3A',
+  fromStation: delhi._id,
+  toStation: bhopal._id,
+  passengers: [
+    { name: 'P1', age: 30, gender: 'M', status: 'CNF', coach: 'B1', seatNumber: '1', berthType: 'LB', fare: 2835 },
+    { name: 'P2', age: 28, gender: 'F', status: 'CNF', coach: 'B1', seatNumber: '2', berthType: 'MB', fare: 2835 }
+  ],
+  totalFare: 5670,
+  paymentStatus: 'Completed',
+  ...overrides
+});
+
+const now = new Date('2025-06-20T00:00:00Z');
+const run = (journeyDate) => new TrainRun({ train: train._id, journeyDate });
+const emptyAvailability = () => ({
+  occupancy: { occupied: new Set(), unassigned: {}, racSlots: new Map() },
+  queue: {}
+});
+
+describe('BookingChangeService', () => {
+  beforeEach(() => {
+    jest.spyOn(Station, 'find').mockReturnValue({ select: () => Promise.resolve([delhi, agra, bhopal]) });
+    jest.spyOn(trainRunService, 'getOrCreateRun').mockImplementation((t, date) => Promise.resolve(run(date)));
+    jest.spyOn(trainRunService, 'findRun').mockImplementation((t, date) => Promise.resolve(run(date)));
+    jest.spyOn(waitlistService, 'promote').mockResolvedValue([]);
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('moves the boarding station, keeps the places and refunds the difference less charges', async () => {
+    const booking = makeBooking();
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    const getAvailability = jest.spyOn(availabilityService, 'getAvailability');
+
+    const result = await bookingChangeService.modify(booking, train, { fromStation: agra._id.toString() }, { now });
+
+    expect(getAvailability).not.toHaveBeenCalled();
+    expect(booking.fromStation.toString()).toBe(agra._id.toString());
+    expect(booking.passengers.map(p => p.statusLabel())).toEqual(['CNF B1/1', 'CNF B1/2']);
+    expect(booking.pnr).toBe('CHANGE01');
+    expect(booking.totalFare).toBe(4080);
+    expect(result.fareDifference).toBe(-1590);
+    // More than 48 hours out: the 3A flat charge per passenger
+    expect(result.refund).toEqual(expect.objectContaining({ amount: 1230, charges: 360 }));
+    expect(booking.history.map(entry => [entry.field, entry.from, entry.to])).toEqual([
+      ['fromStation', 'NDLS', 'AGC'],
+      ['fare', '5670', '4080']
+    ]);
+  });
+
+  it('charges the fare given up like a cancellation in the same slab', async () => {
+    const booking = makeBooking();
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    // 24.5 hours before the 06:00 IST departure: the 25% slab
+    const dayBefore = new Date('2025-06-22T00:00:00Z');
+    const cancellation = refundService.quote(booking, train, { now: dayBefore });
+
+    const result = await bookingChangeService.modify(booking, train, { fromStation: agra._id.toString() }, { now: dayBefore });
+
+    expect(cancellation.passengers.map(p => [p.rule, p.charge])).toEqual([['25% of fare', 708.75], ['25% of fare', 708.75]]);
+    expect(result.refund.passengers.map(p => [p.rule, p.charge, p.refund])).toEqual([
+      ['25% of fare', 198.75, 596.25],
+      ['25% of fare', 198.75, 596.25]
+    ]);
+    expect(result.refund.amount).toBe(1192.5);
+    // Shortening then cancelling returns no more than cancelling outright
+    const afterwards = refundService.quote(booking, train, { now: dayBefore });
+    expect(result.refund.amount + afterwards.refundAmount).toBeLessThanOrEqual(cancellation.refundAmount);
+  });
+
+  it('re-allocates places when the journey date moves', async () => {
+    const booking = makeBooking();
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue(emptyAvailability());
+
+    const result = await bookingChangeService.modify(booking, train, { journeyDate: '2025-06-24' }, { now });
+
+    expect(booking.journeyDate).toEqual(new Date('2025-06-24T00:00:00Z'));
+    expect(booking.passengers.every(p => p.status === 'CNF' && p.coach === 'B1')).toBe(true);
+    expect(result.fareDifference).toBe(0);
+    expect(booking.history[0]).toEqual(expect.objectContaining({
+      event: 'MODIFIED',
+      field: 'journeyDate',
+      from: '2025-06-23',
+      to: '2025-06-24'
+    }));
+    // The old run's queue is offered the berths given up
+    expect(waitlistService.promote).toHaveBeenCalledWith(
+      expect.anything(), new Date('2025-06-23T00:00:00Z'), '3A', undefined
+    );
+  });
+
+  it('refuses changes that would push confirmed passengers onto the waitlist', async () => {
+    const booking = makeBooking();
+    const full = emptyAvailability();
+    ['1', '2', '3', '4', '5', '6', '8'].forEach(seat => full.occupancy.occupied.add(`B1/${seat}`));
+    jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue(full);
+
+    await expect(bookingChangeService.modify(booking, train, { journeyDate: '2025-06-24' }, { now }))
+      .rejects.toThrow(bookingChangeService.BookingChangeError);
+
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    await bookingChangeService.modify(booking, train, { journeyDate: '2025-06-24' }, { now, allowWaitlist: true });
+
+    expect(booking.passengers.map(p => p.status)).toEqual(['RAC', 'RAC']);
+    expect(booking.bookingStatus).toBe('RAC');
+  });
+
+  it('rejects late changes, other days and fare increases on paid bookings', async () => {
+    const lateChange = bookingChangeService.modify(makeBooking(), train, { journeyDate: '2025-06-24' }, {
+      now: new Date('2025-06-22T12:00:00Z')
+    });
+    await expect(lateChange).rejects.toThrow('up to 24 hours before departure');
+
+    await expect(bookingChangeService.modify(makeBooking(), train, { journeyDate: '2025-06-25' }, { now }))
+      .rejects.toThrow('Train does not run on Wed');
+
+    const fromAgra = makeBooking({ fromStation: agra._id });
+    fromAgra.passengers.forEach(p => { p.fare = 2040; });
+    await expect(bookingChangeService.modify(fromAgra, train, { fromStation: delhi._id.toString() }, { now }))
+      .rejects.toThrow('costs ₹1590 more');
+  });
+});
+
+describe('PUT /api/bookings/:id/modify', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings', bookingRoutes);
+
+  const passenger = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'passenger',
+    email: 'passenger@example.com',
+    password: 'hash',
+    role: 'user'
+  });
+  const auth = { Authorization: `Bearer ${sessionService.accessToken(passenger._id, new mongoose.Types.ObjectId())}` };
+
+  let session;
+  let booking;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      inTransaction: () => true,
+      endSession: jest.fn()
+    };
+    booking = makeBooking({ user: passenger._id });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(passenger) });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(Booking, 'findOne').mockReturnValue({ session: () => Promise.resolve(booking) });
+    jest.spyOn(Train, 'findById').mockReturnValue({ session: () => Promise.resolve(train) });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const modify = () => request(app).put(`/api/bookings/${booking._id}/modify`).set(auth).send({ fromStation: agra._id.toString() });
+
+  it('refuses a change racing another update to the booking', async () => {
+    const change = jest.spyOn(bookingChangeService, 'modify')
+      .mockRejectedValue(new mongoose.Error.VersionError(booking, 0, []));
+
+    const res = await modify();
+
+    expect(res.status).toBe(409);
+    expect(change).toHaveBeenCalledWith(booking, train, expect.anything(), expect.objectContaining({ session }));
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('answers refused changes with their reason', async () => {
+    jest.spyOn(bookingChangeService, 'modify')
+      .mockRejectedValue(new bookingChangeService.BookingChangeError('Nothing to change'));
+
+    const res = await modify();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Nothing to change');
+  });
+});
+
+describe('Booking partial cancellation', () => {
+  it('cancels only the selected passengers', () => {
+    const booking = makeBooking();
+    const by = new mongoose.Types.ObjectId();
+
+    booking.cancelPassengers({ passengerIds: [booking.passengers[1]._id.toString()], by });
+
+    expect(booking.passengers.map(p => p.status)).toEqual(['CNF', 'CAN']);
+    expect(booking.bookingStatus).toBe('Confirmed');
+    expect(booking.history).toHaveLength(1);
+    expect(booking.history[0]).toEqual(expect.objectContaining({ event: 'CANCELLED', from: 'CNF B1/2', by }));
+  });
+});
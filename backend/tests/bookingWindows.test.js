@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const bookingWindowService = require('../services/BookingWindowService');
+
+const [ndls, pune, mmct] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+const buildTrain = (trainType) => new Train({
+  trainNumber: '12951',
+  name: 'Test Train',
+  trainType,
+  source: ndls,
+  destination: mmct,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  route: [
+    { station: ndls, departure: '16:35', distance: 0 },
+    { station: pune, arrival: '23:50', departure: '00:05', distance: 200 },
+    { station: mmct, arrival: '08:45', distance: 1388 }
+  ]
+});
+
+const journeyDate = new Date('2025-06-23T00:00:00Z');
+
+describe('BookingWindowService', () => {
+  const rajdhani = buildTrain('Rajdhani');
+  const passenger = buildTrain('Passenger');
+
+  beforeAll(() => Promise.all([rajdhani.validate(), passenger.validate()]));
+
+  it('opens the advance reservation period ahead at 08:00 local time', () => {
+    expect(bookingWindowService.getWindow(rajdhani, journeyDate).opensAt.toISOString())
+      .toBe('2025-02-23T02:30:00.000Z');
+    expect(bookingWindowService.getWindow(passenger, journeyDate).opensAt.toISOString())
+      .toBe('2025-04-24T02:30:00.000Z');
+
+    expect(() => bookingWindowService.check(rajdhani, { journeyDate, now: new Date('2025-02-23T02:00:00Z') }))
+      .toThrow('opens 120 days ahead');
+  });
+
+  it('closes at the scheduled departure from the boarding stop, less the cut-off', () => {
+    const check = (train, fromStation, now) => () => bookingWindowService.check(train, {
+      journeyDate,
+      fromStation,
+      stationName: 'Test Station',
+      now: new Date(now)
+    });
+
+    // Leaves New Delhi at 11:05Z and Pune at 18:35Z the same UTC day
+    expect(check(rajdhani, ndls, '2025-06-23T10:40:00Z')).toThrow('Booking closed 30 minutes before departure');
+    expect(check(rajdhani, pune, '2025-06-23T10:40:00Z')).not.toThrow();
+    expect(check(passenger, ndls, '2025-06-23T11:00:00Z')).not.toThrow();
+    expect(check(passenger, ndls, '2025-06-23T11:05:00Z')).toThrow('Train has already departed from Test Station');
+  });
+
+  it('rejects search dates before the local today or past the longest period', () => {
+    // 01:30 on 21 June in Asia/Kolkata
+    const now = new Date('2025-06-20T20:00:00Z');
+
+    expect(() => bookingWindowService.checkSearchDate('2025-06-20', now)).toThrow('is in the past');
+    expect(() => bookingWindowService.checkSearchDate('2025-10-19', now)).not.toThrow();
+    expect(() => bookingWindowService.checkSearchDate('2025-10-20', now)).toThrow('at most 120 days ahead');
+  });
+});
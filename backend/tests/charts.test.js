@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const availabilityService = require('../services/AvailabilityService');
+const chartService = require('../services/ChartService');
+const waitlistService = require('../services/WaitlistService');
+
+const [ndls, mmct] = [
+  { name: 'New Delhi', code: 'NDLS' },
+  { name: 'Mumbai Central', code: 'MMCT' }
+].map(station => new Station({ ...station, city: station.name, state: 'Test' }));
+
+// Eight berths: seven General and the rear one in the Tatkal quota
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: ndls._id,
+  destination: mmct._id,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 8,
+  availableSeats: 8,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  coaches: [{ code: 'B1', coachType: '3A', berths: 8 }],
+  classQuotas: [{ travelClass: '3A', racBerths: 0, waitlistLimit: 5 }],
+  seatQuotas: [{ quota: 'TQ', travelClass: '3A', berths: 1 }]
+});
+
+const journeyDate = new Date('2025-06-23T00:00:00Z');
+
+const makeBooking = (passengers) => new Booking({
+  pnr: new mongoose.Types.ObjectId().toString().slice(-8).toUpperCase(),
+  user: new mongoose.Types.ObjectId(),
+  train: train._id,
+  journeyDate,
+  travelClass: '3A',
+  fromStation: ndls,
+  toStation: mmct,
+  passengers,
+  totalFare: passengers.length * 2000,
+  paymentStatus: 'Completed'
+});
+
+const mockSession = () => ({
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  inTransaction: () => true,
+  endSession: jest.fn()
+});
+
+describe('ChartService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const setup = () => {
+    const assigned = waitlistService.assign(train, {
+      travelClass: '3A',
+      passengers: Array.from({ length: 9 }, (_, i) => ({ name: `P${i + 1}`, age: 30, gender: 'M', fare: 2000 })),
+      occupancy: { occupied: new Set(), unassigned: {}, racSlots: new Map() }
+    });
+    const confirmed = makeBooking(assigned.slice(0, 7).map(p => ({ ...p, fare: 2000 })));
+    const waiting = makeBooking(assigned.slice(7).map(p => ({ ...p, fare: 2000 })));
+    waiting.refreshStatus();
+
+    const run = new TrainRun({
+      train: train._id,
+      journeyDate,
+      scheduledDeparture: new Date('2025-06-23T11:05:00Z')
+    });
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession());
+    jest.spyOn(Train, 'findById').mockResolvedValue(train);
+    jest.spyOn(TrainRun, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      run.chart.preparedAt = $set['chart.preparedAt'];
+      return run;
+    });
+    jest.spyOn(run, 'save').mockResolvedValue(run);
+    jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([confirmed, waiting]);
+    [confirmed, waiting].forEach(booking => jest.spyOn(booking, 'save').mockResolvedValue(booking));
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    return { run, confirmed, waiting };
+  };
+
+  it('allots unused quota berths, then cancels and refunds whoever is still waitlisted', async () => {
+    const { run, waiting } = setup();
+    expect(waiting.passengers.map(p => p.statusLabel())).toEqual(['WL 1', 'WL 2']);
+
+    const result = await chartService.prepare(run, { now: new Date('2025-06-23T07:05:00Z') });
+
+    expect(result.promotions).toEqual([
+      expect.objectContaining({ passenger: 'P8', from: 'WL 1', to: 'CNF B1/8' })
+    ]);
+    expect(result.notConfirmed).toEqual([{ pnr: waiting.pnr, passenger: 'P9', from: 'WL 1' }]);
+    expect(waiting.passengers.map(p => p.status)).toEqual(['CNF', 'CAN']);
+    expect(waiting.paymentStatus).toBe('PartiallyRefunded');
+
+    expect(result.refunds).toHaveLength(1);
+    expect(result.refunds[0]).toMatchObject({ amount: 2000, charges: 0, reason: 'Still waitlisted when the chart was prepared' });
+
+    expect(run.isChartPrepared()).toBe(true);
+    expect(run.chart).toMatchObject({ confirmed: 8, rac: 0, notConfirmed: 1 });
+    await expect(chartService.prepare(run)).rejects.toThrow('Chart has already been prepared');
+  });
+
+  it('lists passengers coach-wise in berth order and as CSV', async () => {
+    const { run, confirmed, waiting } = setup();
+    await chartService.prepare(run);
+
+    const chart = chartService.buildChart(train, run, [waiting, confirmed]);
+
+    expect(chart).toMatchObject({ journeyDate: '2025-06-23', prepared: true, unallotted: [] });
+    expect(chart.coaches.map(coach => coach.coach)).toEqual(['B1']);
+    expect(chart.coaches[0].passengers.map(p => p.seatNumber)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8']);
+    expect(chart.coaches[0].passengers[7]).toMatchObject({ name: 'P8', pnr: waiting.pnr, from: 'NDLS', to: 'MMCT', status: 'CNF B1/8' });
+
+    const csv = chartService.toCsv(chart).trim().split('\r\n');
+    expect(csv[0]).toBe('Coach,Berth,Berth type,PNR,Name,Age,Gender,From,To,Status');
+    expect(csv).toHaveLength(9);
+    expect(csv[8]).toBe(`B1,8,${chart.coaches[0].passengers[7].berthType},${waiting.pnr},P8,30,M,NDLS,MMCT,CNF B1/8`);
+  });
+
+  it('keeps passenger names from running as spreadsheet formulas', async () => {
+    const { run, confirmed, waiting } = setup();
+    confirmed.passengers[0].name = '=HYPERLINK("http://evil.example","Click")';
+    confirmed.passengers[1].name = '@SUM(A1)';
+    await chartService.prepare(run);
+
+    const csv = chartService.toCsv(chartService.buildChart(train, run, [waiting, confirmed])).trim().split('\r\n');
+
+    expect(csv[1]).toContain(',"\'=HYPERLINK(""http://evil.example"",""Click"")",');
+    expect(csv[2]).toContain(',\'@SUM(A1),');
+  });
+
+  it('finds runs whose chart is due', async () => {
+    const find = jest.spyOn(TrainRun, 'find').mockResolvedValue([]);
+
+    await chartService.prepareDueCharts(new Date('2025-06-23T07:00:00Z'));
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      'chart.preparedAt': null,
+      scheduledDeparture: {
+        $gte: new Date('2025-06-22T11:00:00Z'),
+        $lte: new Date('2025-06-23T11:00:00Z')
+      }
+    }));
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const availabilityService = require('../services/AvailabilityService');
+const fareService = require('../services/FareService');
+
+const [delhi, agra, bhopal, mumbai] = ['NDLS', 'AGC', 'BPL', 'CSMT'].map(() => new mongoose.Types.ObjectId());
+
+const makeTrain = (overrides = {}) => new Train({
+  trainNumber: '12951',
+  name: 'Test Express',
+  trainType: 'Express',
+  source: delhi,
+  destination: mumbai,
+  departureTime: new Date('2025-06-20T00:00:00Z'),
+  arrivalTime: new Date('2025-06-20T00:00:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 100,
+  daysOfOperation: ['Mon'],
+  coaches: [
+    { code: 'S1', coachType: 'SL' },
+    { code: 'B1', coachType: '3A' }
+  ],
+  route: [
+    { station: delhi, departure: '16:00', distance: 0 },
+    { station: agra, arrival: '18:00', departure: '18:05', distance: 100 },
+    { station: bhopal, arrival: '23:00', departure: '23:10', distance: 700 },
+    { station: mumbai, arrival: '08:00', day: 1, distance: 1400 }
+  ],
+  ...overrides
+});
+
+const adult = { age: 30, gender: 'M' };
+
+describe('FareService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('prices by class with reservation charges and GST on AC classes', () => {
+    const train = makeTrain();
+
+    const sleeper = fareService.passengerFare(train, { fromStation: delhi, toStation: bhopal, travelClass: 'SL', passenger: adult });
+    const ac = fareService.passengerFare(train, { fromStation: delhi, toStation: bhopal, travelClass: '3A', passenger: adult });
+
+    expect(sleeper).toEqual(expect.objectContaining({ baseFare: 1050, reservationCharge: 20, gst: 0, total: 1070 }));
+    // (2660 + 40) + 5% GST
+    expect(ac).toEqual(expect.objectContaining({ baseFare: 2660, reservationCharge: 40, gst: 135, total: 2835 }));
+  });
+
+  it('charges the minimum distance and tapers long journeys', () => {
+    const train = makeTrain();
+
+    // 100 km is charged as the sleeper minimum of 200 km
+    expect(fareService.passengerFare(train, { fromStation: delhi, toStation: agra, travelClass: 'SL' }).baseFare).toBe(300);
+    // 1000 km at the full rate, the last 400 km at 85%
+    expect(fareService.passengerFare(train, { fromStation: delhi, toStation: mumbai, travelClass: 'SL' }).baseFare).toBe(2010);
+  });
+
+  it('applies age concessions to the base fare only', () => {
+    const train = makeTrain();
+    const { passengers, totalFare } = fareService.quote(train, {
+      fromStation: delhi,
+      toStation: bhopal,
+      travelClass: 'SL',
+      passengers: [adult, { age: 8, gender: 'F' }, { age: 62, gender: 'M' }, { age: 58, gender: 'F' }]
+    });
+
+    expect(passengers.map(p => p.concession && p.concession.code)).toEqual([null, 'CHILD', 'SENIOR', 'SENIOR_F']);
+    expect(passengers.map(p => p.total)).toEqual([1070, 545, 650, 545]);
+    expect(totalFare).toBe(2810);
+  });
+
+  it('adds the superfast charge on premium trains', () => {
+    const train = makeTrain({ trainType: 'Rajdhani' });
+
+    const fare = fareService.passengerFare(train, { fromStation: delhi, toStation: bhopal, travelClass: 'SL' });
+
+    expect(fare.superfastCharge).toBe(30);
+    expect(fare.total).toBe(1100);
+  });
+
+  it('surges only trains with dynamic pricing, by load factor', async () => {
+    const classes = [{ travelClass: 'SL', totalSeats: 72, availableSeats: 18 }];
+    const getAvailability = jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue({ classes });
+    const context = { fromStation: delhi, toStation: bhopal, travelClass: 'SL' };
+
+    expect(await fareService.getLoadFactor(makeTrain(), '2025-06-23', context)).toBe(0);
+    expect(getAvailability).not.toHaveBeenCalled();
+
+    const dynamic = makeTrain({ dynamicPricing: true });
+    const loadFactor = await fareService.getLoadFactor(dynamic, '2025-06-23', context);
+    expect(loadFactor).toBe(0.75);
+
+    const fare = fareService.passengerFare(dynamic, { ...context, loadFactor });
+    expect(fare).toEqual(expect.objectContaining({ surgePercent: 25, surgeAmount: 263, total: 1335 }));
+    expect(fareService.passengerFare(makeTrain(), { ...context, loadFactor }).surgePercent).toBe(0);
+  });
+
+  it('falls back to the whole-train fare without a route and lists the cheapest class', () => {
+    const train = makeTrain({ route: [] });
+
+    expect(fareService.cheapestClass(train)).toBe('SL');
+    expect(fareService.adultFare(train, delhi, mumbai)).toBe(170);
+  });
+});
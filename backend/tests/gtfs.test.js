@@ -0,0 +1,109 @@
+const AdmZip = require('adm-zip');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const gtfsService = require('../services/GtfsService');
+
+const stations = [
+  { code: 'NDLS', name: 'New Delhi', city: 'Delhi', state: 'Delhi', latitude: 28.6431, longitude: 77.2197 },
+  { code: 'PUNE', name: 'Pune Junction', city: 'Pune', state: 'Maharashtra', latitude: 18.5285, longitude: 73.8743 },
+  { code: 'MMCT', name: 'Mumbai Central', city: 'Mumbai', state: 'Maharashtra', latitude: 18.9696, longitude: 72.8194 }
+].map(data => new Station(data));
+
+const makeTrain = () => new Train({
+  trainNumber: '12951',
+  name: 'Mumbai Rajdhani',
+  trainType: 'Rajdhani',
+  source: stations[0],
+  destination: stations[2],
+  departureTime: new Date('2025-06-20T11:05:00Z'),
+  arrivalTime: new Date('2025-06-21T03:15:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 2500,
+  daysOfOperation: ['Mon', 'Wed'],
+  route: [
+    { station: stations[0], departure: '16:35', distance: 0 },
+    { station: stations[1], arrival: '23:50', departure: '00:05', distance: 200 },
+    { station: stations[2], arrival: '08:45', distance: 1388 }
+  ]
+});
+
+const feedZip = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Stand-ins for the chained queries the service issues
+const mockQueries = ({ existingStations, existingTrains }) => {
+  jest.spyOn(Station, 'find').mockImplementation(() => {
+    const result = Promise.resolve(existingStations);
+    result.sort = () => Promise.resolve(existingStations);
+    return result;
+  });
+  jest.spyOn(Train, 'find').mockImplementation(() => {
+    const query = {
+      populate: () => query,
+      sort: () => Promise.resolve(existingTrains),
+      then: (resolve, reject) => Promise.resolve(existingTrains).then(resolve, reject)
+    };
+    return query;
+  });
+};
+
+describe('GtfsService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects feeds without the required files', () => {
+    expect(() => gtfsService.readFeed(feedZip({ 'stops.txt': 'stop_id\n' })))
+      .toThrow('GTFS feed is missing routes.txt, trips.txt, stop_times.txt');
+  });
+
+  it('reports new and changed records on a dry run', async () => {
+    mockQueries({ existingStations: [stations[0]], existingTrains: [] });
+
+    const feed = gtfsService.readFeed(feedZip({
+      'stops.txt': [
+        'stop_id,stop_name,stop_lat,stop_lon,location_type,parent_station',
+        'NDLS,New Delhi Junction,28.6431,77.2197,1,',
+        'NDLS-1,New Delhi Platform 1,28.6431,77.2197,0,NDLS',
+        'BCT,"Mumbai Central, Terminus",18.9696,72.8194,,'
+      ].join('\n'),
+      'routes.txt': 'route_id,route_short_name,route_long_name,route_type\nR1,12953,August Kranti,2\n',
+      'trips.txt': 'route_id,service_id,trip_id\nR1,DAILY,T1\n',
+      'stop_times.txt': [
+        'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+        'T1,17:40:00,17:40:00,NDLS-1,1',
+        'T1,34:15:00,34:15:00,BCT,2'
+      ].join('\n'),
+      'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n' +
+        'DAILY,1,1,1,1,1,1,1,20250101,20251231\n'
+    }));
+
+    const report = await gtfsService.importFeed(feed, { dryRun: true });
+
+    expect(report.stations.created).toEqual(['BCT']);
+    expect(report.stations.updated).toEqual([{ code: 'NDLS', changes: ['name'] }]);
+    expect(report.trains.created).toEqual(['12953']);
+    expect(report.warnings).toHaveLength(1);
+  });
+
+  it('round-trips an export without changes', async () => {
+    const train = makeTrain();
+    await train.validate();
+    mockQueries({ existingStations: stations, existingTrains: [train] });
+
+    const feed = gtfsService.readFeed(await gtfsService.exportFeed());
+    const stopTimes = feed.stopTimes.map(st => `${st.stop_id} ${st.arrival_time} ${st.departure_time}`);
+    expect(stopTimes).toEqual([
+      'NDLS 16:35:00 16:35:00',
+      'PUNE 23:50:00 24:05:00',
+      'MMCT 32:45:00 32:45:00'
+    ]);
+
+    const report = await gtfsService.importFeed(feed, { dryRun: true });
+
+    expect(report.stations).toEqual({ created: [], updated: [], unchanged: 3 });
+    expect(report.trains).toEqual({ created: [], updated: [], unchanged: 1 });
+  });
+});
@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// In-memory stand-in for the idempotency key collection
+const mockKeyStore = () => {
+  const records = new Map();
+  const byId = (id) => [...records.values()].find(record => record._id.equals(id));
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => {
+    const id = `${data.user}:${data.key}`;
+    if (records.has(id)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const record = new IdempotencyKey(data);
+    records.set(id, record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async ({ user, key }) =>
+    records.get(`${user}:${key}`) || null
+  );
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ _id }, update) => {
+    Object.assign(byId(_id), update);
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ _id }) => {
+    const record = byId(_id);
+    if (record) records.delete(`${record.user}:${record.key}`);
+  });
+};
+
+const makeApp = (handler) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post('/api/bookings', (req, res, next) => {
+    req.user = { id: userId };
+    next();
+  }, idempotent, handler);
+  return app;
+};
+
+describe('Idempotency-Key middleware', () => {
+  beforeEach(mockKeyStore);
+  afterEach(() => jest.restoreAllMocks());
+
+  it('replays the first response to retries with the same key', async () => {
+    let created = 0;
+    const app = makeApp((req, res) => {
+      created++;
+      res.status(201).json({ success: true, data: { pnr: `PNR${created}` } });
+    });
+
+    const first = await request(app).post('/api/bookings').set('Idempotency-Key', 'key-1').send({ train: 'T1' });
+    const retry = await request(app).post('/api/bookings').set('Idempotency-Key', 'key-1').send({ train: 'T1' });
+
+    expect(created).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects a key reused for a different body', async () => {
+    const app = makeApp((req, res) => res.status(201).json({ success: true }));
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'key-2').send({ train: 'T1' });
+    const reused = await request(app).post('/api/bookings').set('Idempotency-Key', 'key-2').send({ train: 'T2' });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.message).toMatch('different request');
+  });
+
+  it('lets server errors and requests without a key run again', async () => {
+    let calls = 0;
+    const app = makeApp((req, res) => {
+      calls++;
+      res.status(calls === 1 ? 500 : 201).json({ success: calls !== 1 });
+    });
+
+    await request(app).post('/api/bookings').set('Idempotency-Key', 'key-3').send({});
+    const retry = await request(app).post('/api/bookings').set('Idempotency-Key', 'key-3').send({});
+    await request(app).post('/api/bookings').send({});
+    await request(app).post('/api/bookings').send({});
+
+    expect(retry.status).toBe(201);
+    expect(calls).toBe(4);
+  });
+});
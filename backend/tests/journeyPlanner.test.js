@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const journeyPlannerService = require('../services/JourneyPlannerService');
+const { zonedTimeToUtc } = require('../utils/timeUtils');
+
+const [delhi, agra, bhopal] = ['NDLS', 'AGC', 'BPL'].map((code, i) => new Station({
+  code,
+  name: code,
+  city: code,
+  state: 'Test',
+  latitude: 20 + i,
+  longitude: 77
+}));
+
+let trainNumber = 10000;
+const makeTrain = (stops) => new Train({
+  trainNumber: String(trainNumber++),
+  name: 'Test Express',
+  trainType: 'Express',
+  source: stops[0].station._id,
+  destination: stops[stops.length - 1].station._id,
+  departureTime: new Date('2025-06-20T00:00:00Z'),
+  arrivalTime: new Date('2025-06-20T00:00:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 500,
+  daysOfOperation: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  route: stops.map(stop => ({ ...stop, station: stop.station._id }))
+});
+
+const feeder = makeTrain([
+  { station: delhi, departure: '08:00', distance: 0 },
+  { station: agra, arrival: '10:00', distance: 200 }
+]);
+const tight = makeTrain([
+  { station: agra, departure: '10:10', distance: 0 },
+  { station: bhopal, arrival: '16:00', distance: 500 }
+]);
+const relaxed = makeTrain([
+  { station: agra, departure: '10:30', distance: 0 },
+  { station: bhopal, arrival: '17:00', distance: 500 }
+]);
+
+const direct = makeTrain([
+  { station: delhi, departure: '07:30', distance: 0 },
+  { station: bhopal, arrival: '20:00', distance: 700 }
+]);
+direct.fare = 300;
+
+const plan = () => journeyPlannerService.plan(
+  delhi._id.toString(),
+  bhopal._id.toString(),
+  zonedTimeToUtc('2025-06-23', 7 * 60),
+  { limit: 1 }
+);
+
+describe('JourneyPlannerService', () => {
+  beforeAll(() => Promise.all([feeder, tight, relaxed, direct].map(train => train.validate())));
+
+  beforeEach(() => {
+    jest.spyOn(TrainRun, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('skips connections shorter than the minimum connection time', async () => {
+    agra.minConnectionTime = 15;
+    journeyPlannerService.initialize([delhi, agra, bhopal], [feeder, tight, relaxed]);
+
+    const [itinerary] = await plan();
+
+    expect(itinerary.legs.map(leg => leg.train.trainNumber)).toEqual([feeder.trainNumber, relaxed.trainNumber]);
+    expect(itinerary.transfers).toEqual([expect.objectContaining({
+      waitMinutes: 30,
+      minConnectionTime: 15
+    })]);
+    expect(itinerary.totalDistance).toBe(700);
+  });
+
+  it('uses a tighter connection where the station allows it', async () => {
+    agra.minConnectionTime = 5;
+    journeyPlannerService.initialize([delhi, agra, bhopal], [feeder, tight, relaxed]);
+
+    const [itinerary] = await plan();
+
+    expect(itinerary.legs[1].train.trainNumber).toBe(tight.trainNumber);
+    expect(itinerary.durationMinutes).toBe(8 * 60);
+  });
+
+  it('avoids cancelled runs', async () => {
+    agra.minConnectionTime = 5;
+    journeyPlannerService.initialize([delhi, agra, bhopal], [feeder, tight, relaxed]);
+    TrainRun.find.mockReturnValue({
+      select: () => Promise.resolve([
+        { train: tight._id, journeyDate: new Date('2025-06-23T00:00:00Z') }
+      ])
+    });
+
+    const [itinerary] = await plan();
+
+    expect(itinerary.legs[1].train.trainNumber).toBe(relaxed.trainNumber);
+    expect(mongoose.isValidObjectId(itinerary.legs[0].train._id)).toBe(true);
+  });
+
+  it('returns the Pareto set labelled by what each option is best at', async () => {
+    agra.minConnectionTime = 15;
+    journeyPlannerService.initialize([delhi, agra, bhopal], [feeder, tight, relaxed, direct]);
+
+    const options = await journeyPlannerService.planOptions(
+      delhi._id.toString(),
+      bhopal._id.toString(),
+      zonedTimeToUtc('2025-06-23', 7 * 60)
+    );
+
+    expect(options.map(option => ({
+      trains: option.legs.map(leg => leg.train.trainNumber),
+      totalFare: option.totalFare,
+      labels: option.labels
+    }))).toEqual([
+      { trains: [feeder.trainNumber, relaxed.trainNumber], totalFare: 3500, labels: ['fastest'] },
+      { trains: [direct.trainNumber], totalFare: 2100, labels: ['cheapest', 'fewestChanges'] }
+    ]);
+  });
+});
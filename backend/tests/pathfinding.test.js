@@ -0,0 +1,46 @@
+const pathfindingService = require('../services/PathfindingService');
+
+// Directed edges: A->B 1 (Rajdhani), B->D 1, A->C 2, B->C 1, C->D 4, D->E 3
+const stations = ['A', 'B', 'C', 'D', 'E'].map(code => ({ _id: code, code }));
+
+const edge = (source, destination, distance, trainType = 'Express') => ({
+  source,
+  destination,
+  distance,
+  trains: [{ trainId: `${source}${destination}`, trainNumber: `${source}${destination}`, trainType }]
+});
+
+const codes = (paths) => paths.map(result => result.path.map(step => step.station.code).join(''));
+
+describe('PathfindingService k-shortest paths', () => {
+  beforeAll(() => {
+    pathfindingService.initializeGraph(stations, [
+      edge('A', 'B', 1, 'Rajdhani'),
+      edge('B', 'D', 1),
+      edge('A', 'C', 2),
+      edge('B', 'C', 1),
+      edge('C', 'D', 4),
+      edge('D', 'E', 3)
+    ]);
+  });
+
+  it('returns loopless paths in order of distance', () => {
+    const paths = pathfindingService.findKShortestPaths('A', 'D', { k: 5 });
+
+    expect(codes(paths)).toEqual(['ABD', 'ACD', 'ABCD']);
+    expect(paths.map(result => result.totalDistance)).toEqual([2, 6, 6]);
+    expect(paths[0].path[0]).toEqual(expect.objectContaining({ distance: 1 }));
+  });
+
+  it('routes through via stations in order', () => {
+    expect(codes(pathfindingService.findKShortestPaths('A', 'E', { k: 3, via: ['C'] })))
+      .toEqual(['ACDE', 'ABCDE']);
+  });
+
+  it('avoids stations and train types', () => {
+    expect(codes(pathfindingService.findKShortestPaths('A', 'D', { avoidStations: ['C'] })))
+      .toEqual(['ABD']);
+    expect(codes(pathfindingService.findKShortestPaths('A', 'D', { avoidTrainTypes: ['Rajdhani'] })))
+      .toEqual(['ACD']);
+  });
+});
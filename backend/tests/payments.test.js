@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Train = require('../models/Train');
+const trainRunService = require('../services/TrainRunService');
+const waitlistService = require('../services/WaitlistService');
+const paymentService = require('../services/PaymentService');
+const MockPaymentProvider = require('../services/paymentProviders/MockPaymentProvider');
+
+const mockProvider = paymentService.getProvider('mock');
+
+const makeBooking = (overrides = {}) => new Booking({
+  pnr: 'PAYTEST1',
+  user: new mongoose.Types.ObjectId(),
+  train: new mongoose.Types.ObjectId(),
+  journeyDate: new Date('2025-06-23'),
+  travelClass: '3A',
+  fromStation: new mongoose.Types.ObjectId(),
+  toStation: new mongoose.Types.ObjectId(),
+  passengers: [
+    { name: 'P1', age: 30, gender: 'M', status: 'CNF', coach: 'B1', seatNumber: '1' },
+    { name: 'P2', age: 28, gender: 'F', status: 'WL', waitlistNumber: 1 }
+  ],
+  totalFare: 1200,
+  paymentDueAt: new Date('2025-06-20T10:15:00Z'),
+  ...overrides
+});
+
+const makePayment = (booking) => new Payment({
+  booking: booking._id,
+  user: booking.user,
+  provider: 'mock',
+  intentId: 'mock_pi_test',
+  amount: booking.totalFare
+});
+
+const mockSession = () => ({
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  inTransaction: () => true,
+  endSession: jest.fn()
+});
+
+describe('MockPaymentProvider', () => {
+  it('verifies the webhooks it signs', () => {
+    const { body, headers } = mockProvider.simulate('mock_pi_test', 'succeeded');
+
+    expect(mockProvider.verifyWebhook(body, headers)).toEqual(expect.objectContaining({
+      type: 'payment.succeeded',
+      intentId: 'mock_pi_test'
+    }));
+  });
+
+  it('rejects tampered, unsigned and stale webhooks', () => {
+    const { body, headers } = mockProvider.simulate('mock_pi_test', 'failed');
+    const stale = mockProvider.sign(body, Math.floor(Date.now() / 1000) - 3600);
+
+    expect(() => mockProvider.verifyWebhook(body.replace('failed', 'succeeded'), headers))
+      .toThrow('Invalid webhook signature');
+    expect(() => mockProvider.verifyWebhook(body, {})).toThrow('Missing webhook signature');
+    expect(() => mockProvider.verifyWebhook(body, { 'x-mock-signature': stale }))
+      .toThrow('Webhook signature has expired');
+  });
+
+  it('has no default webhook secret', () => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    try {
+      expect(() => new MockPaymentProvider())
+        .toThrow('PAYMENT_WEBHOOK_SECRET must be set for the mock payment gateway');
+    } finally {
+      process.env.PAYMENT_WEBHOOK_SECRET = secret;
+    }
+  });
+
+  it('is only offered in production when PAYMENT_PROVIDER names it', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(() => new paymentService.constructor().getProvider('mock')).toThrow('Unknown payment provider: mock');
+      process.env.PAYMENT_PROVIDER = 'mock';
+      expect(new paymentService.constructor().getProvider().name).toBe('mock');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      delete process.env.PAYMENT_PROVIDER;
+    }
+  });
+
+  it('rejects signed bodies that are not events', () => {
+    const sign = (body) => ({ 'x-mock-signature': mockProvider.sign(body) });
+
+    expect(() => mockProvider.verifyWebhook('not json', sign('not json'))).toThrow('Webhook body is not valid JSON');
+    expect(() => mockProvider.verifyWebhook('{"id":"evt"}', sign('{"id":"evt"}')))
+      .toThrow('Webhook body is missing the event id, type or intent');
+  });
+});
+
+describe('PaymentService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // The payment's event list as the database keeps it: an event is claimed
+  // only by the first delivery to push it
+  const storePayment = (payment, booking) => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession());
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, { $push }) => {
+      if (payment.events.some(event => event.eventId === $push.events.eventId)) return null;
+      payment.events.push($push.events);
+      return payment;
+    });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Booking, 'findById').mockReturnValue({ session: () => Promise.resolve(booking) });
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    return jest.spyOn(payment, 'save').mockResolvedValue(payment);
+  };
+
+  it('completes the booking when the gateway reports success, once', async () => {
+    const booking = makeBooking();
+    const payment = makePayment(booking);
+    const savePayment = storePayment(payment, booking);
+
+    const { body, headers } = mockProvider.simulate(payment.intentId, 'succeeded');
+    await Promise.all([
+      paymentService.handleWebhook('mock', body, headers),
+      paymentService.handleWebhook('mock', body, headers)
+    ]);
+
+    expect(payment.status).toBe('Succeeded');
+    expect(booking.paymentStatus).toBe('Completed');
+    expect(booking.paymentId).toBe('mock_pi_test');
+    expect(booking.paymentDueAt).toBeUndefined();
+    expect(savePayment).toHaveBeenCalledTimes(1);
+    expect(payment.events).toHaveLength(1);
+  });
+
+  it('refunds in full a payment that arrives after the booking was released', async () => {
+    const booking = makeBooking();
+    booking.cancelPassengers({ reason: 'Payment not received in time' });
+    booking.paymentStatus = 'Failed';
+    const payment = makePayment(booking);
+    storePayment(payment, booking);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    const saveRefund = jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const { body, headers } = mockProvider.simulate(payment.intentId, 'succeeded');
+    await paymentService.handleWebhook('mock', body, headers);
+
+    expect(booking.paymentStatus).toBe('Refunded');
+    expect(booking.refundDue).toBe(false);
+    const refund = saveRefund.mock.contexts[0];
+    expect(refund).toMatchObject({
+      amount: 1200,
+      charges: 0,
+      reason: 'Payment received after the booking was cancelled',
+      status: 'Processed'
+    });
+    expect(refund.providerRefundId).toMatch(/^mock_re_/);
+  });
+
+  it('turns deliveries that fail verification into webhook errors', async () => {
+    await expect(paymentService.handleWebhook('mock', 'not json', { 'x-mock-signature': mockProvider.sign('not json') }))
+      .rejects.toThrow(paymentService.WebhookError);
+  });
+
+  it('keeps the seats held after a failed attempt', async () => {
+    const booking = makeBooking();
+    const payment = makePayment(booking);
+    storePayment(payment, booking);
+
+    const { body, headers } = mockProvider.simulate(payment.intentId, 'failed');
+    await paymentService.handleWebhook('mock', body, headers);
+
+    expect(payment.status).toBe('Failed');
+    expect(payment.failureReason).toBe('Card declined');
+    expect(booking.paymentStatus).toBe('Failed');
+    expect(booking.bookingStatus).toBe('Confirmed');
+    expect(paymentService.isPayable(booking)).toBe(true);
+  });
+
+  // The release job's view of the database: find() returns the overdue
+  // bookings, findOne() what is stored by the time each one is released
+  const storeOverdue = (booking, current) => {
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+    jest.spyOn(Booking, 'findOne').mockReturnValue({ session: () => Promise.resolve(current) });
+    jest.spyOn(Train, 'findById').mockResolvedValue(new Train({ _id: booking.train }));
+    jest.spyOn(trainRunService, 'findRun').mockResolvedValue(null);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession());
+    jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    if (current) jest.spyOn(current, 'save').mockResolvedValue(current);
+    return jest.spyOn(waitlistService, 'promote').mockResolvedValue([]);
+  };
+
+  it('releases overdue unpaid bookings to the waitlist', async () => {
+    const booking = makeBooking();
+    const promote = storeOverdue(booking, booking);
+    const train = await Train.findById(booking.train);
+
+    const now = new Date('2025-06-20T10:20:00Z');
+    const result = await paymentService.releaseUnpaidBookings(now);
+
+    expect(result).toEqual({ checked: 1, released: 1 });
+    expect(Booking.findOne).toHaveBeenCalledWith({
+      _id: booking._id,
+      paymentStatus: { $in: ['Pending', 'Failed'] },
+      bookingStatus: { $ne: 'Cancelled' }
+    });
+    expect(Booking.find).toHaveBeenCalledWith(expect.objectContaining({
+      paymentDueAt: { $lte: now }
+    }));
+    expect(booking.passengers.map(p => p.status)).toEqual(['CAN', 'CAN']);
+    expect(booking.bookingStatus).toBe('Cancelled');
+    expect(booking.cancellationReason).toBe('Payment not received in time');
+    expect(booking.history.map(entry => entry.event)).toEqual(['CANCELLED', 'CANCELLED']);
+    expect(promote).toHaveBeenCalledWith(train, booking.journeyDate, '3A', expect.anything());
+  });
+
+  it('leaves alone a booking paid after the release job found it', async () => {
+    const overdue = makeBooking();
+    const promote = storeOverdue(overdue, null);
+
+    const result = await paymentService.releaseUnpaidBookings(new Date('2025-06-20T10:20:00Z'));
+
+    expect(result).toEqual({ checked: 1, released: 0 });
+    expect(overdue.bookingStatus).toBe('Confirmed');
+    expect(Payment.updateMany).not.toHaveBeenCalled();
+    expect(promote).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionService = require('../services/SessionService');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, PERMISSIONS } = require('../utils/permissions');
+const authRoutes = require('../routes/auth');
+const reportRoutes = require('../routes/reports');
+
+const makeUser = (role) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  username: role,
+  email: `${role}@example.com`,
+  password: 'hash',
+  role
+});
+
+const token = (user) => `Bearer ${sessionService.accessToken(user._id, new mongoose.Types.ObjectId())}`;
+
+describe('Roles and permissions', () => {
+  let users;
+
+  beforeEach(() => {
+    users = Object.keys(ROLES).map(makeUser);
+    jest.spyOn(User, 'findById').mockImplementation((id) => {
+      const query = Promise.resolve(users.find(user => user._id.equals(id)) || null);
+      query.select = () => query;
+      return query;
+    });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const byRole = (role) => users.find(user => user.role === role);
+
+  it('grants only known permissions, and every one of them to admins', () => {
+    Object.values(ROLES).forEach(role => {
+      role.permissions.forEach(permission => expect(PERMISSIONS).toHaveProperty([permission]));
+    });
+    expect(byRole('admin').permissions).toEqual(Object.keys(PERMISSIONS));
+    expect(byRole('user').permissions).toEqual([]);
+    expect(byRole('ticket_checker').toJSON().permissions).toEqual(['charts:read', 'tickets:verify']);
+  });
+
+  it('lets a route through only for roles granting its permission', async () => {
+    const app = express();
+    app.post('/tickets/verify', protect, authorize('tickets:verify'), (req, res) => res.json({ success: true }));
+
+    const statuses = {};
+    for (const user of users) {
+      statuses[user.role] = (await request(app).post('/tickets/verify').set('Authorization', token(user))).status;
+    }
+
+    expect(statuses).toEqual({
+      user: 403,
+      station_master: 200,
+      ticket_checker: 200,
+      timetable_editor: 403,
+      finance_analyst: 403,
+      admin: 200
+    });
+    const denied = await request(app).post('/tickets/verify').set('Authorization', token(byRole('user')));
+    expect(denied.body.message).toBe('Not authorized: requires the tickets:verify permission');
+  });
+
+  it('needs a login and reports:read for reports', async () => {
+    const app = express();
+    app.use('/api/reports', reportRoutes);
+
+    expect((await request(app).get('/api/reports/summary')).status).toBe(401);
+    expect((await request(app).get('/api/reports/summary').set('Authorization', token(byRole('station_master')))).status)
+      .toBe(403);
+  });
+
+  it('signs everyone up as a passenger, whatever role they ask for', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => new Session(fields));
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+
+    const res = await request(app).post('/api/auth/register')
+      .send({ username: 'mallory', email: 'mallory@example.com', password: 'secret1', role: 'admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ role: 'user', permissions: [] });
+  });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const RateLimit = require('../models/RateLimit');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const { rateLimit } = require('../middleware/rateLimit');
+const pnrStatusService = require('../services/PnrStatusService');
+
+const [ndls, mmct] = [
+  { name: 'New Delhi', code: 'NDLS' },
+  { name: 'Mumbai Central', code: 'MMCT' }
+].map(station => new Station({ ...station, city: station.name, state: 'Test' }));
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: ndls._id,
+  destination: mmct._id,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  route: [
+    { station: ndls._id, departure: '16:35', distance: 0 },
+    { station: mmct._id, arrival: '08:45', distance: 1388 }
+  ]
+});
+
+describe('PnrStatusService', () => {
+  beforeAll(() => train.validate());
+
+  it('shows each passenger\'s booking and current status without personal details', () => {
+    const booking = new Booking({
+      pnr: 'AB12CD34',
+      user: new mongoose.Types.ObjectId(),
+      train: train._id,
+      journeyDate: new Date('2025-06-23T00:00:00Z'),
+      travelClass: '2A',
+      fromStation: ndls,
+      toStation: mmct,
+      totalFare: 6000,
+      passengers: [
+        { name: 'Asha', age: 34, gender: 'F', status: 'CNF', coach: 'A1', seatNumber: '34', initialStatus: 'WL 5' },
+        { name: 'Ravi', age: 36, gender: 'M', status: 'RAC', racNumber: 2, initialStatus: 'WL 6' }
+      ]
+    });
+
+    const status = pnrStatusService.buildStatus(booking, train, null);
+
+    expect(status).toMatchObject({
+      pnr: 'AB12CD34',
+      train: { number: '12951', name: 'Test Rajdhani' },
+      journeyDate: '2025-06-23',
+      departure: expect.stringContaining('4:35'),
+      from: { code: 'NDLS' },
+      to: { code: 'MMCT' },
+      quota: 'General',
+      runStatus: 'Scheduled',
+      chartStatus: 'Chart Not Prepared'
+    });
+    expect(status.passengers).toEqual([
+      { number: 1, bookingStatus: 'WL 5', currentStatus: 'CNF A1/34' },
+      { number: 2, bookingStatus: 'WL 6', currentStatus: 'RAC 2' }
+    ]);
+    expect(JSON.stringify(status)).not.toMatch(/Asha|Ravi|user/);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  beforeEach(() => {
+    const counts = new Map();
+    jest.spyOn(RateLimit, 'findOneAndUpdate').mockImplementation(async ({ key }) => {
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return { key, count: counts.get(key) };
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const makeApp = () => {
+    const app = express();
+    app.set('trust proxy', 1);
+    app.get('/status', rateLimit({ name: 'test', windowMinutes: 15, max: () => 2 }), (req, res) => {
+      res.json({ success: true });
+    });
+    return app;
+  };
+
+  it('allows max requests per client in a window, then answers 429', async () => {
+    const app = makeApp();
+    const get = (ip) => request(app).get('/status').set('X-Forwarded-For', ip);
+
+    const first = await get('1.1.1.1');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+
+    await get('1.1.1.1');
+    const blocked = await get('1.1.1.1');
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.message).toMatch(/Too many requests/);
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await get('2.2.2.2')).status).toBe(200);
+  });
+
+  it('lets requests through when the counter cannot be updated', async () => {
+    RateLimit.findOneAndUpdate.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await request(makeApp()).get('/status')).status).toBe(200);
+  });
+});
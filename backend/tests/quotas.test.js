@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const seatAllocationService = require('../services/SeatAllocationService');
+const quotaService = require('../services/QuotaService');
+const fareService = require('../services/FareService');
+
+const buildTrain = (overrides = {}) => new Train({
+  trainNumber: '12137',
+  name: 'Test Express',
+  trainType: 'Express',
+  source: new mongoose.Types.ObjectId(),
+  destination: new mongoose.Types.ObjectId(),
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 1,
+  availableSeats: 1,
+  fare: 200,
+  daysOfOperation: ['Mon'],
+  coaches: [
+    { code: 'B1', coachType: '3A', berths: 8 },
+    { code: 'S1', coachType: 'SL', berths: 8 }
+  ],
+  classQuotas: [{ travelClass: 'SL', racBerths: 1, waitlistLimit: 10 }],
+  seatQuotas: [
+    { quota: 'TQ', travelClass: 'SL', berths: 2 },
+    { quota: 'LD', travelClass: 'SL', berths: 1 },
+    { quota: 'TQ', travelClass: '3A', berths: 1 }
+  ],
+  ...overrides
+});
+
+const adult = { name: 'A', age: 30, gender: 'M' };
+const emptyOccupancy = () => ({ occupied: new Set(), unassigned: {}, racSlots: new Map() });
+
+describe('Quota inventory buckets', () => {
+  it('sets quota berths aside from the rear of the class, ahead of RAC', () => {
+    const train = buildTrain();
+    const buckets = seatAllocationService.getQuotaBerths(train, 'SL');
+
+    // Berth 7 is the RAC side-lower; the quotas take the berths before it
+    expect(buckets.TQ.map(seat => seat.seatNumber)).toEqual(['6', '8']);
+    expect(buckets.LD.map(seat => seat.seatNumber)).toEqual(['5']);
+
+    const [sleeper] = seatAllocationService.summarise(train, emptyOccupancy()).filter(c => c.travelClass === 'SL');
+    expect(sleeper.quotas.map(q => [q.quota, q.availableSeats])).toEqual([['GN', 4], ['TQ', 2], ['LD', 1]]);
+    expect(sleeper.availableSeats).toBe(7);
+  });
+
+  it('confirms each quota only on its own berths', () => {
+    const train = buildTrain();
+    const seats = seatAllocationService.allocate(train, {
+      travelClass: 'SL',
+      passengers: [adult, adult],
+      occupied: new Set(),
+      quota: 'TQ'
+    });
+    expect(seats.map(seat => seat.seatNumber).sort()).toEqual(['6', '8']);
+
+    const occupied = new Set(['1', '2', '3', '4'].map(berth => seatAllocationService.seatKey('S1', berth)));
+    expect(seatAllocationService.countConfirmable(train, 'SL', { occupied }, 'GN')).toBe(0);
+    expect(seatAllocationService.countConfirmable(train, 'SL', { occupied }, 'TQ')).toBe(2);
+  });
+});
+
+describe('QuotaService', () => {
+  const journeyDate = new Date('2025-06-23T00:00:00Z');
+
+  it('opens Tatkal the day before at 10:00 for AC and 11:00 for non-AC classes', () => {
+    const train = buildTrain();
+
+    expect(quotaService.openingTime(train, journeyDate, '3A', 'TQ')).toEqual(new Date('2025-06-22T04:30:00Z'));
+    expect(quotaService.openingTime(train, journeyDate, 'SL', 'TQ')).toEqual(new Date('2025-06-22T05:30:00Z'));
+    expect(quotaService.openingTime(train, journeyDate, 'SL', 'GN')).toBeNull();
+
+    const early = new Date('2025-06-22T05:00:00Z');
+    const booking = { journeyDate, travelClass: 'SL', quota: 'TQ', passengers: [adult] };
+    expect(() => quotaService.checkBooking(train, { ...booking, now: early })).toThrow(quotaService.QuotaError);
+    expect(() => quotaService.checkBooking(train, { ...booking, now: new Date('2025-06-22T05:30:00Z') })).not.toThrow();
+  });
+
+  it('takes a train\'s own opening time over the quota default', () => {
+    const train = buildTrain({
+      seatQuotas: [{ quota: 'TQ', travelClass: 'SL', berths: 2, opensDaysBefore: 2, opensAt: '08:00' }]
+    });
+
+    expect(quotaService.openingTime(train, journeyDate, 'SL', 'TQ')).toEqual(new Date('2025-06-21T02:30:00Z'));
+  });
+
+  it('checks the quota is offered and the passengers qualify', () => {
+    const train = buildTrain();
+    const check = (travelClass, quota, passengers) => () => quotaService.checkBooking(train, {
+      journeyDate,
+      travelClass,
+      quota,
+      passengers,
+      now: new Date('2025-06-22T12:00:00Z')
+    });
+
+    expect(check('3A', 'LD', [{ age: 30, gender: 'F' }])).toThrow('not available in class 3A');
+    expect(check('SL', 'LD', [adult])).toThrow('Ladies quota is for women');
+    expect(check('SL', 'LD', [{ age: 30, gender: 'F' }, { age: 8, gender: 'M' }])).not.toThrow();
+    expect(check('SL', 'TQ', [adult, adult, adult, adult, adult])).toThrow('At most 4 passengers');
+  });
+});
+
+describe('Quota fares', () => {
+  it('adds the Tatkal premium and drops age concessions', () => {
+    const train = buildTrain();
+    const child = { age: 8, gender: 'M' };
+
+    const general = fareService.passengerFare(train, { travelClass: 'SL', passenger: child });
+    const tatkal = fareService.passengerFare(train, { travelClass: 'SL', passenger: child, quota: 'TQ' });
+
+    // 30% of the ₹300 base fare, raised to the ₹100 minimum
+    expect(tatkal.quotaCharge).toBe(100);
+    expect(tatkal.concession).toBeNull();
+    expect(general.concessionAmount).toBe(150);
+    expect(tatkal.total - general.total).toBe(250);
+  });
+});
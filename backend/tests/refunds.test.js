@@ -0,0 +1,236 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Session = require('../models/Session');
+const Train = require('../models/Train');
+const User = require('../models/User');
+const refundService = require('../services/RefundService');
+const sessionService = require('../services/SessionService');
+const trainRunService = require('../services/TrainRunService');
+const waitlistService = require('../services/WaitlistService');
+const bookingRoutes = require('../routes/bookings');
+
+const source = new mongoose.Types.ObjectId();
+const destination = new mongoose.Types.ObjectId();
+
+const makeTrain = (trainType = 'Express') => new Train({
+  trainNumber: '12345',
+  name: 'Test Express',
+  trainType,
+  source,
+  destination,
+  departureTime: new Date('2025-06-20T00:00:00Z'),
+  arrivalTime: new Date('2025-06-20T00:00:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 1000,
+  daysOfOperation: ['Mon'],
+  route: [
+    { station: source, departure: '10:00', distance: 0 },
+    { station: destination, arrival: '22:00', distance: 1000 }
+  ]
+});
+
+const makeBooking = (overrides = {}) => new Booking({
+  pnr: 'REFUND01',
+  user: new mongoose.Types.ObjectId(),
+  train: new mongoose.Types.ObjectId(),
+  journeyDate: new Date('2025-06-23'),
+  travelClass: '3A',
+  fromStation: source,
+  toStation: destination,
+  passengers: [
+    { name: 'P1', age: 30, gender: 'M', status: 'CNF', coach: 'B1', seatNumber: '1' },
+    { name: 'P2', age: 28, gender: 'F', status: 'CNF', coach: 'B1', seatNumber: '2' },
+    { name: 'P3', age: 60, gender: 'M', status: 'WL', waitlistNumber: 1 }
+  ],
+  totalFare: 3000,
+  paymentStatus: 'Completed',
+  ...overrides
+});
+
+// Departure is 10:00 IST (04:30 UTC) on 23 June
+const hoursBefore = (hours) => new Date(Date.UTC(2025, 5, 23, 4, 30) - hours * 60 * 60 * 1000);
+
+describe('RefundService quotes', () => {
+  const train = makeTrain();
+
+  it('charges the flat class charge more than 48 hours out', () => {
+    const quote = refundService.quote(makeBooking(), train, { now: hoursBefore(72) });
+
+    expect(quote.allowed).toBe(true);
+    expect(quote.passengers.map(p => [p.charge, p.refund])).toEqual([[180, 820], [180, 820], [60, 940]]);
+    expect(quote.refundAmount).toBe(2580);
+    expect(quote.totalCharges).toBe(420);
+  });
+
+  it('moves to percentage slabs closer to departure', () => {
+    const quote25 = refundService.quote(makeBooking(), train, { now: hoursBefore(24) });
+    const quote50 = refundService.quote(makeBooking(), train, { now: hoursBefore(6) });
+
+    expect(quote25.passengers[0]).toEqual(expect.objectContaining({ charge: 250, rule: '25% of fare' }));
+    expect(quote50.passengers[0]).toEqual(expect.objectContaining({ charge: 500, rule: '50% of fare' }));
+    // Waitlisted passengers only pay clerkage
+    expect(quote50.passengers[2].charge).toBe(60);
+  });
+
+  it('refuses confirmed cancellations inside the last slab', () => {
+    const quote = refundService.quote(makeBooking(), train, { now: hoursBefore(2) });
+
+    expect(quote.allowed).toBe(false);
+    expect(quote.reason).toBe('Confirmed tickets cannot be cancelled less than 4 hours before departure');
+  });
+
+  it('applies train type overrides', () => {
+    const quote = refundService.quote(makeBooking(), makeTrain('Rajdhani'), { now: hoursBefore(5) });
+
+    expect(quote.allowed).toBe(false);
+    expect(quote.reason).toMatch('6 hours');
+  });
+
+  it('quotes a subset of passengers', () => {
+    const booking = makeBooking();
+    const quote = refundService.quote(booking, train, {
+      passengerIds: [booking.passengers[2]._id.toString()],
+      now: hoursBefore(2)
+    });
+
+    expect(quote.allowed).toBe(true);
+    expect(quote.passengers.map(p => p.name)).toEqual(['P3']);
+    expect(quote.refundAmount).toBe(940);
+
+    const unknown = refundService.quote(booking, train, { passengerIds: [new mongoose.Types.ObjectId().toString()] });
+    expect(unknown.allowed).toBe(false);
+  });
+
+  it('refunds in full when the railway flagged the booking', () => {
+    const quote = refundService.quote(makeBooking({ refundDue: true }), train, { now: hoursBefore(-1) });
+
+    expect(quote.allowed).toBe(true);
+    expect(quote.totalCharges).toBe(0);
+    expect(quote.refundAmount).toBe(3000);
+  });
+
+  it('returns nothing for unpaid bookings', () => {
+    const quote = refundService.quote(makeBooking({ paymentStatus: 'Pending' }), train, { now: hoursBefore(2) });
+
+    expect(quote.allowed).toBe(true);
+    expect(quote.refundAmount).toBe(0);
+  });
+});
+
+describe('RefundService refunds', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records a partial refund and sends it through the gateway', async () => {
+    const booking = makeBooking();
+    const payment = new Payment({
+      booking: booking._id,
+      user: booking.user,
+      provider: 'mock',
+      intentId: 'mock_pi_refund',
+      amount: 3000,
+      status: 'Succeeded'
+    });
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ session: () => Promise.resolve(payment) });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    const save = jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const passengerIds = [booking.passengers[0]._id.toString()];
+    const quote = refundService.quote(booking, makeTrain(), { passengerIds, now: hoursBefore(24) });
+    booking.passengers[0].status = 'CAN';
+
+    const refund = await refundService.recordRefund(booking, quote);
+
+    expect(booking.paymentStatus).toBe('PartiallyRefunded');
+    expect(refund).toEqual(expect.objectContaining({ amount: 750, charges: 250, status: 'Pending' }));
+    expect(refund.payment).toEqual(payment._id);
+
+    await refundService.processRefund(refund);
+
+    expect(refund.status).toBe('Processed');
+    expect(refund.providerRefundId).toMatch(/^mock_re_/);
+    expect(save).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('PUT /api/bookings/:id/cancel', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings', bookingRoutes);
+
+  const passenger = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'passenger',
+    email: 'passenger@example.com',
+    password: 'hash',
+    role: 'user'
+  });
+  const auth = { Authorization: `Bearer ${sessionService.accessToken(passenger._id, new mongoose.Types.ObjectId())}` };
+
+  let session;
+  let findOne;
+
+  beforeEach(() => {
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      inTransaction: () => true,
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(passenger) });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(Train, 'findById').mockReturnValue({ session: () => Promise.resolve(makeTrain()) });
+    jest.spyOn(trainRunService, 'findRun').mockResolvedValue(null);
+    jest.spyOn(waitlistService, 'promote').mockResolvedValue([]);
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const cancel = (booking) => {
+    findOne = jest.spyOn(Booking, 'findOne').mockReturnValue({ session: () => Promise.resolve(booking) });
+    return request(app).put(`/api/bookings/${booking._id}/cancel`).set(auth).send({});
+  };
+
+  it('reads the booking inside the cancellation transaction', async () => {
+    const booking = makeBooking({ user: passenger._id, journeyDate: new Date('2030-06-24') });
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+
+    const res = await cancel(booking);
+
+    expect(res.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ _id: booking._id.toString(), user: passenger._id.toString() });
+    expect(booking.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('refuses a cancellation racing another change to the booking', async () => {
+    const booking = makeBooking({ user: passenger._id, journeyDate: new Date('2030-06-24') });
+    jest.spyOn(booking, 'save').mockRejectedValue(new mongoose.Error.VersionError(booking, 0, []));
+
+    const res = await cancel(booking);
+
+    expect(res.status).toBe(409);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses a booking that is already cancelled', async () => {
+    const booking = makeBooking({ user: passenger._id, bookingStatus: 'Cancelled' });
+
+    const res = await cancel(booking);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Booking is already cancelled');
+  });
+});
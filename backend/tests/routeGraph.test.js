@@ -0,0 +1,75 @@
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const pathfindingService = require('../services/PathfindingService');
+const routeGraphService = require('../services/RouteGraphService');
+
+const stations = ['STN1', 'STN2', 'STN3'].map((code, i) => new Station({
+  code,
+  name: `Station ${i + 1}`,
+  city: 'City',
+  state: 'State',
+  latitude: 18 + i,
+  longitude: 72
+}));
+
+const makeTrain = (stops) => new Train({
+  trainNumber: String(12000 + stops.length),
+  name: 'Test Express',
+  trainType: 'Express',
+  source: stops[0]._id,
+  destination: stops[stops.length - 1]._id,
+  departureTime: new Date('2025-06-20T08:00:00Z'),
+  arrivalTime: new Date('2025-06-20T20:00:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 500,
+  daysOfOperation: ['Mon'],
+  route: stops.map((station, i) => ({ station, distance: i * 100 }))
+});
+
+// Train.find / findById followed by .populate()
+const mockTrainQuery = (method, value) => jest.spyOn(Train, method)
+  .mockReturnValue({ populate: () => Promise.resolve(value) });
+
+const shortestPathCodes = async (from, to) => {
+  const result = await pathfindingService.findShortestPath(from._id.toString(), to._id.toString());
+  return result && result.path.map(step => step.station.code);
+};
+
+describe('RouteGraphService', () => {
+  beforeEach(async () => {
+    routeGraphService.ready = false;
+    jest.spyOn(Station, 'find').mockResolvedValue(stations);
+    mockTrainQuery('find', [makeTrain([stations[0], stations[1]])]);
+    await routeGraphService.initialize();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('builds the graph and reports readiness', async () => {
+    expect(await routeGraphService.whenReady()).toBe(true);
+    expect(routeGraphService.getStatus()).toEqual(expect.objectContaining({ ready: true, stations: 3 }));
+    expect(await shortestPathCodes(stations[0], stations[2])).toBeNull();
+  });
+
+  it('patches a changed train into the graph', async () => {
+    const extended = makeTrain([stations[0], stations[1], stations[2]]);
+    mockTrainQuery('findById', extended);
+
+    await routeGraphService.trainChanged(extended._id);
+
+    expect(await shortestPathCodes(stations[0], stations[2])).toEqual(['STN1', 'STN2', 'STN3']);
+
+    await routeGraphService.trainRemoved(extended._id);
+
+    expect(await shortestPathCodes(stations[0], stations[2])).toBeNull();
+  });
+
+  it('reports not ready when the first build does not finish in time', async () => {
+    routeGraphService.ready = false;
+    Train.find.mockReturnValue({ populate: () => new Promise(() => {}) });
+
+    expect(await routeGraphService.whenReady(10)).toBe(false);
+    expect(routeGraphService.getStatus().building).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+
+const [ndls, pune, mmct] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: ndls,
+  destination: mmct,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  route: [
+    { station: ndls, departure: '16:35', distance: 0 },
+    { station: pune, arrival: '23:50', departure: '00:05', distance: 200 },
+    { station: mmct, arrival: '08:45', distance: 1388 }
+  ]
+});
+
+describe('Train schedule', () => {
+  beforeAll(() => train.validate());
+
+  it('infers day offsets for stops past midnight', () => {
+    expect(train.route.map(stop => stop.day)).toEqual([0, 0, 1]);
+  });
+
+  it('materialises local stop times for a journey date', () => {
+    const [origin, halt, terminus] = train.getSchedule('2025-06-23');
+
+    // Asia/Kolkata is UTC+05:30
+    expect(origin.departureTime.toISOString()).toBe('2025-06-23T11:05:00.000Z');
+    expect(halt.arrivalTime.toISOString()).toBe('2025-06-23T18:20:00.000Z');
+    expect(halt.departureTime.toISOString()).toBe('2025-06-23T18:35:00.000Z');
+    expect(halt.departureDay).toBe(1);
+    expect(terminus.arrivalTime.toISOString()).toBe('2025-06-24T03:15:00.000Z');
+  });
+
+  it('maps a boarding date back to the run start date', () => {
+    expect(train.getStartDate(pune, '2025-06-24').toISOString()).toBe('2025-06-23T00:00:00.000Z');
+    expect(train.getStartDate(ndls, '2025-06-23').toISOString()).toBe('2025-06-23T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Session = require('../models/Session');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const User = require('../models/User');
+const availabilityService = require('../services/AvailabilityService');
+const seatAllocationService = require('../services/SeatAllocationService');
+const seatHoldService = require('../services/SeatHoldService');
+const sessionService = require('../services/SessionService');
+const bookingRoutes = require('../routes/bookings');
+
+const buildTrain = (overrides = {}) => new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: new mongoose.Types.ObjectId(),
+  destination: new mongoose.Types.ObjectId(),
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 1,
+  availableSeats: 1,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  coaches: [
+    { code: 'A1', coachType: '2A' },
+    { code: 'B1', coachType: '3A' },
+    { code: 'B2', coachType: '3A' }
+  ],
+  ...overrides
+});
+
+describe('SeatAllocationService', () => {
+  it('derives total seats from the coach composition', async () => {
+    const train = buildTrain();
+    await train.validate();
+
+    expect(train.totalSeats).toBe(48 + 64 + 64);
+    expect(train.getClasses()).toEqual(['2A', '3A']);
+  });
+
+  it('falls back to a single legacy coach when no composition is set', () => {
+    const train = buildTrain({ coaches: [], totalSeats: 10 });
+
+    expect(train.getCoaches()).toEqual([{ code: 'A', coachType: 'GEN', berths: 10 }]);
+    expect(seatAllocationService.buildSeatMap(train)).toHaveLength(10);
+  });
+
+  it('honours berth preferences and keeps the group in one coach', () => {
+    const train = buildTrain();
+    const seats = seatAllocationService.allocate(train, {
+      travelClass: '3A',
+      passengers: [
+        { name: 'A', berthPreference: 'LB' },
+        { name: 'B', berthPreference: 'UB' },
+        { name: 'C', berthPreference: 'SU' }
+      ],
+      occupied: new Set()
+    });
+
+    expect(seats.map(s => s.berthType)).toEqual(['LB', 'UB', 'SU']);
+    expect(new Set(seats.map(s => s.coach))).toEqual(new Set(['B1']));
+    expect(seats.every(s => s.travelClass === '3A')).toBe(true);
+  });
+
+  it('skips occupied berths and rejects when the class is full', () => {
+    const train = buildTrain({ coaches: [{ code: 'H1', coachType: '1A', berths: 2 }] });
+    const occupied = new Set([seatAllocationService.seatKey('H1', '1')]);
+
+    const [seat] = seatAllocationService.allocate(train, {
+      travelClass: '1A',
+      passengers: [{ name: 'A', berthPreference: 'LB' }],
+      occupied
+    });
+    expect(seat.seatNumber).toBe('2');
+
+    expect(() => seatAllocationService.allocate(train, {
+      travelClass: '1A',
+      passengers: [{ name: 'A' }, { name: 'B' }],
+      occupied
+    })).toThrow('Only 1 seat(s) available');
+  });
+});
+
+describe('POST /api/bookings', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/bookings', bookingRoutes);
+
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'passenger',
+    email: 'passenger@example.com',
+    password: 'hash',
+    role: 'user'
+  });
+  const auth = { Authorization: `Bearer ${sessionService.accessToken(user._id, new mongoose.Types.ObjectId())}` };
+  const [delhi, mumbai] = ['NDLS', 'MMCT'].map(code => new Station({ name: code, code, city: code, state: 'S' }));
+  const train = buildTrain({
+    source: delhi._id,
+    destination: mumbai._id,
+    daysOfOperation: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    coaches: [{ code: 'H1', coachType: '1A', berths: 1 }],
+    route: [
+      { station: delhi._id, departure: '16:00', distance: 0 },
+      { station: mumbai._id, arrival: '08:00', day: 1, distance: 1400 }
+    ]
+  });
+  const journeyDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets only one of two concurrent bookings take the last berth', async () => {
+    // Stands in for MongoDB: a run written by a transaction that has not
+    // committed yet cannot be written by another one. $setOnInsert alone
+    // writes nothing to a run that exists.
+    let runWriter = null;
+    let attempts = 0;
+    let bothAttempted;
+    const attempted = new Promise(resolve => {
+      bothAttempted = resolve;
+    });
+    const release = (session) => {
+      if (runWriter === session) runWriter = null;
+    };
+    jest.spyOn(mongoose, 'startSession').mockImplementation(async () => {
+      const session = {
+        startTransaction: jest.fn(),
+        inTransaction: () => true,
+        endSession: jest.fn()
+      };
+      // The first booking commits only once the second has tried the run
+      session.commitTransaction = jest.fn(async () => {
+        await attempted;
+        release(session);
+      });
+      session.abortTransaction = jest.fn(async () => release(session));
+      return session;
+    });
+    const runUpdate = jest.spyOn(TrainRun, 'findOneAndUpdate').mockImplementation(async (filter, update, { session }) => {
+      if (++attempts === 2) bothAttempted();
+      const run = new TrainRun({ train: train._id, journeyDate: filter.journeyDate });
+      if (!update.$inc) return run;
+      if (runWriter && runWriter !== session) {
+        const conflict = new mongoose.mongo.MongoServerError({ message: 'Write conflict', code: 112 });
+        conflict.addErrorLabel('TransientTransactionError');
+        throw conflict;
+      }
+      runWriter = session;
+      return run;
+    });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(Train, 'findById').mockReturnValue({ session: () => Promise.resolve(train) });
+    jest.spyOn(Station, 'findById').mockImplementation(id => ({
+      session: () => Promise.resolve([delhi, mumbai].find(station => station._id.equals(id)))
+    }));
+    // Both see the berth free: neither booking has committed
+    jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue({
+      occupancy: { occupied: new Set(), unassigned: {}, racSlots: new Map() },
+      queue: {},
+      classes: []
+    });
+    jest.spyOn(Booking, 'generateUniquePNR').mockImplementation(async () => `PNR${attempts}X${Math.random().toString(36).slice(2, 6)}`);
+    const save = jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(seatHoldService, 'releaseUserHolds').mockResolvedValue();
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+    const book = (name) => request(app).post('/api/bookings').set(auth).send({
+      train: train._id.toString(),
+      journeyDate,
+      fromStation: delhi._id.toString(),
+      toStation: mumbai._id.toString(),
+      travelClass: '1A',
+      passengers: [{ name, age: 30, gender: 'F' }]
+    });
+    const responses = await Promise.all([book('First'), book('Second')]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(responses.find(res => res.status === 409).body.message)
+      .toBe('Seats on this train were being booked at the same time; please try again');
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(runUpdate.mock.calls[0][1].$inc).toEqual({ bookingVersion: 1 });
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const SeatHold = require('../models/SeatHold');
+const Train = require('../models/Train');
+const availabilityService = require('../services/AvailabilityService');
+const trainRunService = require('../services/TrainRunService');
+const seatHoldService = require('../services/SeatHoldService');
+
+const [DEL, PUNE, MMCT] = [0, 1, 2].map(() => new mongoose.Types.ObjectId());
+const userId = new mongoose.Types.ObjectId();
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: DEL,
+  destination: MMCT,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 4,
+  availableSeats: 4,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  coaches: [{ code: 'H1', coachType: '1A', berths: 4 }],
+  route: [
+    { station: DEL, distance: 0 },
+    { station: PUNE, distance: 200 },
+    { station: MMCT, distance: 1388 }
+  ]
+});
+
+const hold = (fromStation, toStation, seats) => ({ travelClass: '1A', fromStation, toStation, seats });
+
+describe('Seat holds in availability', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts overlapping holds against the free berths', () => {
+    const holds = [hold(DEL, PUNE, 2), hold(PUNE, MMCT, 1)];
+
+    const early = availabilityService.getOccupancy(train, [], availabilityService.getSegment(train, DEL, PUNE), holds);
+    expect(early.unassigned).toEqual({ '1A': 2 });
+
+    const whole = availabilityService.getOccupancy(train, [], availabilityService.getSegment(train), holds);
+    expect(whole.unassigned).toEqual({ '1A': 3 });
+  });
+
+  it('leaves out expired holds and the booking user\'s own', async () => {
+    jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([]);
+    const find = jest.spyOn(SeatHold, 'find').mockResolvedValue([hold(DEL, MMCT, 1)]);
+
+    const { classes } = await availabilityService.getAvailability(train, '2025-06-23', { holdUser: userId });
+
+    expect(classes[0].availableSeats).toBe(3);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      expiresAt: { $gt: expect.any(Date) },
+      user: { $ne: userId }
+    }));
+  });
+});
+
+describe('SeatHoldService', () => {
+  const availability = (availableSeats) => ({ classes: [{ travelClass: '1A', totalSeats: 4, availableSeats }] });
+
+  beforeEach(() => {
+    // A few days before the Monday run, inside its booking window
+    jest.useFakeTimers({ now: new Date('2025-06-20T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(trainRunService, 'findRun').mockResolvedValue(null);
+    jest.spyOn(SeatHold, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(SeatHold, 'create').mockImplementation(data => Promise.resolve(new SeatHold(data)));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('holds as many berths as are free, replacing the user\'s earlier hold', async () => {
+    jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue(availability(2));
+    const before = Date.now();
+
+    const created = await seatHoldService.createHold(userId, train, {
+      journeyDate: '2025-06-23',
+      travelClass: '1A',
+      seats: 3
+    });
+
+    expect(SeatHold.deleteMany).toHaveBeenCalledWith(
+      expect.objectContaining({ user: userId, train: train._id }),
+      expect.anything()
+    );
+    expect(availabilityService.getAvailability).toHaveBeenCalledWith(
+      expect.anything(), new Date('2025-06-23T00:00:00Z'), expect.objectContaining({ holdUser: userId })
+    );
+    expect(created.seats).toBe(2);
+    expect(created.fromStation).toEqual(DEL);
+    expect(created.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+  });
+
+  it('holds nothing when the class is full', async () => {
+    jest.spyOn(availabilityService, 'getAvailability').mockResolvedValue(availability(0));
+
+    await expect(seatHoldService.createHold(userId, train, {
+      journeyDate: '2025-06-23',
+      travelClass: '1A',
+      seats: 1
+    })).resolves.toBeNull();
+    expect(SeatHold.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects days the train does not run and classes it does not carry', async () => {
+    await expect(seatHoldService.createHold(userId, train, { journeyDate: '2025-06-24', travelClass: '1A', seats: 1 }))
+      .rejects.toThrow('Train does not run on Tue');
+    await expect(seatHoldService.createHold(userId, train, { journeyDate: '2025-06-23', travelClass: 'SL', seats: 1 }))
+      .rejects.toThrow(seatHoldService.SeatHoldError);
+  });
+});
@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionService = require('../services/SessionService');
+const authRoutes = require('../routes/auth');
+
+const makeApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const same = (a, b) => (a && a.toString()) === (b && b.toString());
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition === null) return value === null || value === undefined;
+  if (condition && condition.$gt) return value > condition.$gt;
+  if (condition && condition.$ne) return !same(value, condition.$ne);
+  return same(value, condition);
+});
+
+// Sessions kept in memory, enough of the model for the service's queries
+const fakeSessions = () => {
+  const docs = [];
+  const find = (filter) => docs.find(doc => matches(doc, filter)) || null;
+  const update = (doc, { $set }) => {
+    doc.set($set);
+    return doc;
+  };
+
+  jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+    const doc = new Session({ ...fields, createdAt: fields.lastUsedAt });
+    await doc.validate();
+    docs.push(doc);
+    return doc;
+  });
+  jest.spyOn(Session, 'findOne').mockImplementation(async (filter) => find(filter));
+  jest.spyOn(Session, 'exists').mockImplementation(async (filter) => find(filter) && { _id: find(filter)._id });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, changes) => {
+    const doc = find(filter);
+    return doc && update(doc, changes);
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, changes) => {
+    const doc = find(filter);
+    if (doc) update(doc, changes);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, changes) => {
+    const hits = docs.filter(doc => matches(doc, filter));
+    hits.forEach(doc => update(doc, changes));
+    return { modifiedCount: hits.length };
+  });
+  jest.spyOn(Session, 'find').mockImplementation((filter) => ({
+    sort: async () => docs.filter(doc => matches(doc, filter))
+  }));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  return docs;
+};
+
+describe('Sessions and refresh tokens', () => {
+  let user;
+  let sessions;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'asha', email: 'asha@example.com', role: 'user' });
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = () => query;
+      return query;
+    });
+    sessions = fakeSessions();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const start = (userAgent) => sessionService.start(user, { get: () => userAgent, ip: '10.0.0.1' });
+
+  it('issues short-lived access tokens and rotates the refresh token on every use', async () => {
+    const app = makeApp();
+    const first = await start('Firefox');
+
+    const decoded = jwt.decode(first.token);
+    expect(decoded).toMatchObject({ id: user._id.toString(), sid: first.session._id.toString() });
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    expect(sessions[0].refreshTokenHash).toBe(sessionService.hashToken(first.refreshToken));
+
+    const refreshed = await request(app).post('/api/auth/refresh-token').send({ refreshToken: first.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(first.refreshToken);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshed.body.token}`);
+    expect(me.status).toBe(200);
+
+    // A second refresh with the old token right away is two tabs racing
+    const racing = await request(app).post('/api/auth/refresh-token').send({ refreshToken: first.refreshToken });
+    expect(racing.status).toBe(401);
+    expect(sessions[0].isActive()).toBe(true);
+  });
+
+  it('ends the session when a replaced refresh token is reused later', async () => {
+    const { refreshToken } = await start('Firefox');
+    const rotated = await sessionService.refresh(refreshToken, { get: () => 'Firefox', ip: '10.0.0.1' });
+
+    const later = new Date(Date.now() + 5 * 60 * 1000);
+    await expect(sessionService.refresh(refreshToken, { get: () => 'Curl', ip: '10.0.0.9' }, later))
+      .rejects.toThrow(sessionService.SessionError);
+    expect(sessions[0]).toMatchObject({ revokedReason: 'Refresh token reused' });
+
+    await expect(sessionService.refresh(rotated.refreshToken, { get: () => 'Firefox', ip: '10.0.0.1' }))
+      .rejects.toThrow('Session has expired, please log in again');
+  });
+
+  it('lists sessions, revokes one device, and logs out everywhere', async () => {
+    const app = makeApp();
+    const laptop = await start('Firefox');
+    const phone = await start('Safari');
+    const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+    const list = await request(app).get('/api/auth/sessions').set(auth(laptop.token));
+    expect(list.body.data.map(s => [s.userAgent, s.current])).toEqual([['Firefox', true], ['Safari', false]]);
+    expect(list.body.data[0]).not.toHaveProperty('refreshTokenHash');
+
+    const revoked = await request(app).delete(`/api/auth/sessions/${phone.session._id}`).set(auth(laptop.token));
+    expect(revoked.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(auth(phone.token))).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh-token').send({ refreshToken: phone.refreshToken })).status)
+      .toBe(401);
+
+    const other = await start('Chrome');
+    const all = await request(app).post('/api/auth/logout-all').set(auth(other.token));
+    expect(all.body.count).toBe(2);
+    expect((await request(app).get('/api/auth/me').set(auth(laptop.token))).status).toBe(401);
+
+    // Tokens from before sessions existed are no longer accepted
+    const legacy = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    expect((await request(app).get('/api/auth/me').set(auth(legacy))).status).toBe(401);
+  });
+
+  it('logs out with the refresh token, and logging out again is harmless', async () => {
+    const app = makeApp();
+    const { token, refreshToken } = await start('Firefox');
+
+    expect((await request(app).post('/api/auth/logout').send({ refreshToken })).status).toBe(200);
+    expect((await request(app).post('/api/auth/logout').send({ refreshToken })).status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+});
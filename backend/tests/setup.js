@@ -2,6 +2,7 @@
 process.env.NODE_ENV = 'test';
 process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/railway-planner-test';
 process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
 
 // Increase timeout for tests
 jest.setTimeout(30000);
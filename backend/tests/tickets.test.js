@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Station = require('../models/Station');
+const Train = require('../models/Train');
+const ticketService = require('../services/TicketService');
+
+const [ndls, pune, mmct] = [
+  { name: 'New Delhi', code: 'NDLS' },
+  { name: 'Pune Junction', code: 'PUNE' },
+  { name: 'Mumbai Central', code: 'MMCT' }
+].map(station => new Station({ ...station, city: station.name, state: 'Test' }));
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: ndls._id,
+  destination: mmct._id,
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 100,
+  availableSeats: 100,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  route: [
+    { station: ndls, departure: '16:35', distance: 0 },
+    { station: pune, arrival: '23:50', departure: '00:05', distance: 200 },
+    { station: mmct, arrival: '08:45', distance: 1388 }
+  ]
+});
+
+const buildBooking = () => new Booking({
+  pnr: 'AB12CD34',
+  user: new mongoose.Types.ObjectId(),
+  train: train._id,
+  journeyDate: new Date('2025-06-23T00:00:00Z'),
+  travelClass: '3A',
+  fromStation: pune,
+  toStation: mmct,
+  totalFare: 1900,
+  paymentStatus: 'Completed',
+  passengers: [
+    {
+      name: 'Asha',
+      age: 34,
+      gender: 'F',
+      coach: 'B1',
+      seatNumber: '12',
+      status: 'CNF',
+      initialStatus: 'WL 2',
+      fare: 1000,
+      fareBreakdown: { baseFare: 900, reservationCharge: 40, superfastCharge: 45, gst: 15 }
+    },
+    { name: 'Ravi', age: 8, gender: 'M', status: 'RAC', racNumber: 1, fare: 900, concession: 'CHILD' }
+  ]
+});
+
+describe('TicketService', () => {
+  beforeAll(() => train.validate());
+
+  it('lists the stops travelled with local times and each passenger\'s status', () => {
+    const ticket = ticketService.buildTicket(buildBooking(), train);
+
+    expect(ticket.stops).toEqual([
+      { code: 'PUNE', name: 'Pune Junction', arrival: null, departure: expect.stringContaining('12:05') },
+      { code: 'MMCT', name: 'Mumbai Central', arrival: expect.stringContaining('8:45'), departure: null }
+    ]);
+    expect(ticket.passengers.map(p => [p.bookingStatus, p.currentStatus])).toEqual([
+      ['WL 2', 'CNF B1/12'],
+      ['RAC 1', 'RAC 1']
+    ]);
+    expect(ticket.passengers[0].fareBreakdown).toMatchObject({ baseFare: 900, gst: 15, quotaCharge: 0 });
+    expect(ticket.passengers[1].fareBreakdown).toBeNull();
+  });
+
+  it('signs a QR payload that verifies, and rejects tampered ones', () => {
+    const booking = buildBooking();
+    const token = ticketService.sign(ticketService.buildTicket(booking, train));
+
+    const ticket = ticketService.verify(token);
+    expect(ticket).toMatchObject({ pnr: 'AB12CD34', train: '12951', date: '2025-06-23', from: 'PUNE', to: 'MMCT' });
+    expect(ticket.passengers.map(p => p.status)).toEqual(['CNF B1/12', 'RAC 1']);
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...ticket, pnr: 'ZZ99ZZ99' })).toString('base64url');
+    expect(() => ticketService.verify(`${header}.${forged}.${signature}`)).toThrow('Ticket signature is invalid');
+  });
+
+  it('checks a scanned ticket against the booking as it stands', () => {
+    const booking = buildBooking();
+    const ticket = ticketService.verify(ticketService.sign(ticketService.buildTicket(booking, train)));
+
+    booking.cancelPassengers({ passengerIds: [booking.passengers[1]._id] });
+    const result = ticketService.checkAgainstBooking(ticket, booking);
+
+    expect(result.valid).toBe(true);
+    expect(result.passengers.map(p => [p.name, p.ticketStatus, p.currentStatus, p.travelling])).toEqual([
+      ['Asha', 'CNF B1/12', 'CNF B1/12', true],
+      ['Ravi', 'RAC 1', 'CAN', false]
+    ]);
+    expect(result.warnings).toEqual(['Some passengers on this ticket are no longer travelling']);
+
+    booking.journeyDate = new Date('2025-06-30T00:00:00Z');
+    expect(ticketService.checkAgainstBooking(ticket, booking).valid).toBe(false);
+  });
+
+  it('renders the ticket as a PDF', async () => {
+    const ticket = ticketService.buildTicket(buildBooking(), train);
+    const pdf = await ticketService.renderPdf(ticket, ticketService.sign(ticket));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
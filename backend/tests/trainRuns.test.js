@@ -0,0 +1,234 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Session = require('../models/Session');
+const Train = require('../models/Train');
+const TrainRun = require('../models/TrainRun');
+const User = require('../models/User');
+const availabilityService = require('../services/AvailabilityService');
+const sessionService = require('../services/SessionService');
+const seatAllocationService = require('../services/SeatAllocationService');
+const trainRunService = require('../services/TrainRunService');
+const trainRoutes = require('../routes/trains');
+const { MAX_ADVANCE_DAYS } = require('../utils/bookingWindowRules');
+
+const [delhi, agra, mumbai] = [0, 1, 2].map(() => new mongoose.Types.ObjectId());
+
+const makeTrain = (overrides = {}) => new Train({
+  trainNumber: '12951',
+  name: 'Test Express',
+  trainType: 'Express',
+  source: delhi,
+  destination: mumbai,
+  departureTime: new Date('2025-06-20T00:00:00Z'),
+  arrivalTime: new Date('2025-06-20T00:00:00Z'),
+  totalSeats: 16,
+  availableSeats: 16,
+  fare: 100,
+  daysOfOperation: ['Mon', 'Fri'],
+  coaches: [
+    { code: 'B1', coachType: '3A', berths: 8 },
+    { code: 'B2', coachType: '3A', berths: 8 }
+  ],
+  classQuotas: [{ travelClass: '3A', racBerths: 0, waitlistLimit: 5 }],
+  route: [
+    { station: delhi, departure: '16:00', distance: 0 },
+    { station: agra, arrival: '18:00', departure: '18:05', distance: 200 },
+    { station: mumbai, arrival: '08:00', day: 1, distance: 1400 }
+  ],
+  ...overrides
+});
+
+const journeyDate = new Date('2025-06-23T00:00:00Z');
+
+const makeBooking = (passengers, overrides = {}) => new Booking({
+  pnr: new mongoose.Types.ObjectId().toString().slice(-8).toUpperCase(),
+  user: new mongoose.Types.ObjectId(),
+  train: new mongoose.Types.ObjectId(),
+  journeyDate,
+  travelClass: '3A',
+  fromStation: delhi,
+  toStation: mumbai,
+  passengers: passengers.map(([name, coach, seatNumber]) => ({ name, age: 30, gender: 'M', status: 'CNF', coach, seatNumber })),
+  totalFare: passengers.length * 2000,
+  paymentStatus: 'Completed',
+  ...overrides
+});
+
+const mockSession = () => ({
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  inTransaction: () => true,
+  endSession: jest.fn()
+});
+
+describe('TrainRunService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('generates the missing runs on days of operation over the rolling horizon', async () => {
+    const bulkWrite = jest.spyOn(TrainRun, 'bulkWrite').mockResolvedValue({ upsertedCount: 3 });
+    const train = makeTrain();
+
+    const created = await trainRunService.generateRuns(train, { from: new Date('2025-06-23T10:00:00Z'), days: 14 });
+
+    expect(created).toBe(3);
+    const operations = bulkWrite.mock.calls[0][0].map(op => op.updateOne);
+    expect(operations.map(op => op.filter.journeyDate.toISOString().slice(0, 10))).toEqual([
+      '2025-06-23', '2025-06-27', '2025-06-30', '2025-07-04'
+    ]);
+    // Existing runs keep their status and rake
+    expect(operations[0].update).toEqual({
+      $setOnInsert: { status: 'Scheduled', scheduledDeparture: new Date('2025-06-23T10:30:00Z') }
+    });
+    expect(operations[0].upsert).toBe(true);
+
+    await trainRunService.generateRuns(makeTrain({ daysOfOperation: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] }));
+    expect(bulkWrite.mock.calls[1][0]).toHaveLength(MAX_ADVANCE_DAYS);
+  });
+
+  describe('re-raking', () => {
+    const setup = () => {
+      const train = makeTrain();
+      const run = new TrainRun({ train: train._id, journeyDate });
+      const staying = makeBooking([['P1', 'B1', '1'], ['P2', 'B1', '2']]);
+      const moving = makeBooking([['P3', 'B2', '1']]);
+
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession());
+      jest.spyOn(Train, 'findById').mockResolvedValue(train);
+      jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([staying, moving]);
+      [staying, moving].forEach(booking => jest.spyOn(booking, 'save').mockResolvedValue(booking));
+      jest.spyOn(run, 'save').mockResolvedValue(run);
+
+      return { run, staying, moving };
+    };
+
+    it('moves passengers off dropped coaches to free berths and records the move', async () => {
+      const { run, staying, moving } = setup();
+      const userId = new mongoose.Types.ObjectId();
+
+      const { moves } = await trainRunService.reRake(run, [{ code: 'B1', coachType: '3A', berths: 8 }], { userId });
+
+      expect(moves).toEqual([{ pnr: moving.pnr, passenger: 'P3', from: 'CNF B2/1', to: 'CNF B1/3' }]);
+      expect(moving.history[0]).toMatchObject({ event: 'MODIFIED', field: 'seat', from: 'CNF B2/1', to: 'CNF B1/3', by: userId });
+      expect(moving.save).toHaveBeenCalled();
+      expect(staying.save).not.toHaveBeenCalled();
+      expect(run.coaches.map(c => c.code)).toEqual(['B1']);
+      expect(run.statusHistory[0].reason).toBe('Coach composition changed');
+    });
+
+    it('refuses a rake without room for everyone, changing nothing', async () => {
+      const { run, moving } = setup();
+
+      await expect(trainRunService.reRake(run, [{ code: 'B1', coachType: '3A', berths: 2 }]))
+        .rejects.toThrow(seatAllocationService.CapacityError);
+
+      expect(moving.passengers[0].statusLabel()).toBe('CNF B2/1');
+      expect(moving.history).toHaveLength(0);
+      expect(run.coaches).toHaveLength(0);
+      expect(run.save).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Train run endpoints', () => {
+  let train;
+  let run;
+  let updateMany;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trains', trainRoutes);
+
+  const stationMaster = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'sm',
+    email: 'sm@example.com',
+    password: 'hash',
+    role: 'station_master'
+  });
+  const auth = { Authorization: `Bearer ${sessionService.accessToken(stationMaster._id, new mongoose.Types.ObjectId())}` };
+  const put = (action, body = {}) => request(app).put(`/api/trains/${train._id}/runs/2025-06-23/${action}`).set(auth).send(body);
+
+  beforeEach(() => {
+    train = makeTrain();
+    run = new TrainRun({ train: train._id, journeyDate, scheduledDeparture: new Date('2025-06-23T10:30:00Z') });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(stationMaster) });
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(Train, 'findById').mockResolvedValue(train);
+    jest.spyOn(TrainRun, 'findOne').mockResolvedValue(run);
+    jest.spyOn(run, 'save').mockResolvedValue(run);
+    updateMany = jest.spyOn(Booking, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('cancels a run once, flagging its bookings for refund', async () => {
+    const res = await put('cancel', { reason: 'Flooding' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Train run cancelled, 3 booking(s) flagged for refund');
+    expect(run.status).toBe('Cancelled');
+    expect(updateMany).toHaveBeenCalledWith(
+      { train: train._id, journeyDate, bookingStatus: { $ne: 'Cancelled' } },
+      { $set: { refundDue: true, refundReason: 'Flooding' } }
+    );
+
+    const again = await put('cancel');
+    expect(again.status).toBe(400);
+  });
+
+  it('flags bookings for refund only once a reschedule reaches the delay threshold', async () => {
+    const small = await put('reschedule', { departureTime: '2025-06-23T12:30:00Z' });
+    expect(small.body.message).toBe('Train run rescheduled by 120 minute(s), 0 booking(s) flagged for refund');
+    expect(updateMany).not.toHaveBeenCalled();
+
+    const large = await put('reschedule', { departureTime: '2025-06-23T13:30:00Z' });
+    expect(large.body.message).toBe('Train run rescheduled by 180 minute(s), 3 booking(s) flagged for refund');
+    expect(updateMany.mock.calls[0][1].$set.refundReason).toBe('Departure rescheduled by 180 minutes');
+    expect(run.status).toBe('Rescheduled');
+  });
+
+  it('measures the delay of runs stored without a scheduled departure from the timetable', async () => {
+    run.scheduledDeparture = undefined;
+
+    const res = await put('reschedule', { departureTime: '2025-06-23T13:30:00Z' });
+
+    expect(res.body.message).toBe('Train run rescheduled by 180 minute(s), 3 booking(s) flagged for refund');
+    expect(run.scheduledDeparture).toEqual(new Date('2025-06-23T10:30:00Z'));
+
+    // Trains without timed stops use their template departure time
+    run.scheduledDeparture = undefined;
+    train.route = [];
+    const untimed = await put('reschedule', { departureTime: '2025-06-23T01:00:00Z' });
+    expect(untimed.body.message).toBe('Train run rescheduled by 60 minute(s), 0 booking(s) flagged for refund');
+  });
+
+  it('diverts a run past intermediate stops, refunding bookings that use them', async () => {
+    const source = await put('divert', { skippedStations: [delhi.toString()] });
+    expect(source.status).toBe(400);
+    expect(source.body.message).toBe(`Station ${delhi} is not an intermediate stop of this train`);
+
+    const res = await put('divert', { skippedStations: [agra.toString()], reason: 'Line blocked at Agra' });
+
+    expect(res.status).toBe(200);
+    expect(run.status).toBe('Diverted');
+    expect(run.servesStation(agra)).toBe(false);
+    expect(run.servesStation(mumbai)).toBe(true);
+    expect(updateMany.mock.calls[0][0].$or).toEqual([
+      { fromStation: { $in: [agra.toString()] } },
+      { toStation: { $in: [agra.toString()] } }
+    ]);
+  });
+
+  it('answers a re-rake without room with a conflict', async () => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession());
+    jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([makeBooking([['P1', 'B2', '1']])]);
+
+    const res = await put('rake', { coaches: [{ code: 'S1', coachType: 'SL' }] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/^The new composition has no room for every passenger: No 3A berth left for P1/);
+  });
+});
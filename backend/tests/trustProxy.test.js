@@ -0,0 +1,35 @@
+const express = require('express');
+const request = require('supertest');
+const { parseTrustProxy } = require('../utils/trustProxy');
+
+describe('parseTrustProxy', () => {
+  it('trusts no proxy unless TRUST_PROXY is set', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('')).toBe(false);
+  });
+
+  it('reads hop counts, booleans and address lists as Express does', () => {
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+  });
+
+  it('takes client IPs only from trusted proxies', async () => {
+    const clientIp = (setting) => {
+      const app = express();
+      app.set('trust proxy', parseTrustProxy(setting));
+      app.get('/', (req, res) => res.send(req.ip));
+      return request(app).get('/').set('X-Forwarded-For', '203.0.113.7').then(res => res.text);
+    };
+
+    expect(await clientIp(undefined)).not.toBe('203.0.113.7');
+    expect(await clientIp('loopback')).toBe('203.0.113.7');
+    expect(await clientIp('true')).toBe('203.0.113.7');
+  });
+
+  it('leaves Express to refuse settings it cannot read', () => {
+    expect(() => express().set('trust proxy', parseTrustProxy('1.5'))).toThrow(/invalid IP address/);
+    expect(() => express().set('trust proxy', parseTrustProxy('yes'))).toThrow(/invalid IP address/);
+  });
+});
@@ -0,0 +1,182 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const sessionService = require('../services/SessionService');
+const userRoutes = require('../routes/users');
+const authRoutes = require('../routes/auth');
+
+const makeApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/users', userRoutes);
+  return app;
+};
+
+const makeUser = (fields) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  password: 'hash',
+  role: 'user',
+  status: 'active',
+  ...fields
+});
+
+// A query resolving to the value, whatever is chained onto it
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['select', 'populate', 'sort', 'limit', 'skip'].forEach(method => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+describe('User administration', () => {
+  let admin;
+  let asha;
+  let users;
+
+  beforeEach(() => {
+    admin = makeUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+    asha = makeUser({ username: 'asha', email: 'asha@example.com' });
+    users = [admin, asha];
+
+    jest.spyOn(User, 'findById').mockImplementation((id) =>
+      query(users.find(user => user._id.equals(id)) || null));
+    jest.spyOn(User.collection, 'updateOne')
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    // Each token's session is active unless revoked below
+    jest.spyOn(Session, 'exists').mockImplementation(async ({ user }) =>
+      users.some(u => u._id.equals(user) && !u.revoked) && { _id: user });
+    jest.spyOn(Session, 'updateMany').mockImplementation(async ({ user: userId }) => {
+      users.find(u => u._id.equals(userId)).revoked = true;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Session, 'find').mockReturnValue(query([]));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const auth = (user) => ({
+    Authorization: `Bearer ${sessionService.accessToken(user._id, new mongoose.Types.ObjectId())}`
+  });
+
+  it('is for admins only', async () => {
+    const res = await request(makeApp()).get('/api/users').set(auth(asha));
+    expect(res.status).toBe(403);
+  });
+
+  it('searches users a page at a time, matching the search literally', async () => {
+    const find = jest.spyOn(User, 'find').mockReturnValue(query([asha]));
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(21);
+
+    const res = await request(makeApp())
+      .get('/api/users')
+      .query({ search: 'a.sha+', status: 'active', page: 2, limit: 10 })
+      .set(auth(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 21, totalPages: 3, currentPage: 2, count: 1 });
+    expect(find.mock.calls[0][0]).toMatchObject({
+      status: { $ne: 'suspended' },
+      $or: expect.arrayContaining([{ email: { $regex: 'a\\.sha\\+', $options: 'i' } }])
+    });
+  });
+
+  it('suspends a user, signing them out, and reactivates them', async () => {
+    const app = makeApp();
+    const token = auth(asha);
+
+    const self = await request(app).put(`/api/users/${admin._id}/status`).set(auth(admin)).send({ status: 'suspended' });
+    expect(self.status).toBe(400);
+
+    const suspended = await request(app).put(`/api/users/${asha._id}/status`)
+      .set(auth(admin))
+      .send({ status: 'suspended', reason: 'Ticket touting' });
+    expect(suspended.status).toBe(200);
+    expect(asha).toMatchObject({ status: 'suspended', suspendedReason: 'Ticket touting', suspendedBy: admin._id });
+    expect(Session.updateMany.mock.calls[0][1].$set.revokedReason).toBe('Account suspended');
+
+    // A session that somehow survived still cannot be used
+    asha.revoked = false;
+    const me = await request(app).get('/api/auth/me').set(token);
+    expect(me.status).toBe(403);
+    expect(me.body.message).toBe('Your account has been suspended');
+
+    await request(app).put(`/api/users/${asha._id}/status`).set(auth(admin)).send({ status: 'active' });
+    expect(asha.status).toBe('active');
+    expect(asha.suspendedReason).toBeUndefined();
+    expect((await request(app).get('/api/auth/me').set(token)).status).toBe(200);
+  });
+
+  it('changes roles but always leaves an active admin', async () => {
+    const app = makeApp();
+    const other = makeUser({ username: 'ravi', email: 'ravi@example.com', role: 'admin' });
+    users.push(other);
+    const countDocuments = jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+    const own = await request(app).put(`/api/users/${admin._id}/role`).set(auth(admin)).send({ role: 'user' });
+    expect(own.status).toBe(400);
+
+    const last = await request(app).put(`/api/users/${other._id}/role`).set(auth(admin)).send({ role: 'user' });
+    expect(last.status).toBe(400);
+    expect(last.body.message).toBe('At least one active admin is required');
+
+    countDocuments.mockResolvedValue(1);
+    const demoted = await request(app).put(`/api/users/${other._id}/role`).set(auth(admin)).send({ role: 'user' });
+    expect(demoted.status).toBe(200);
+    expect(other.role).toBe('user');
+
+    const invalid = await request(app).put(`/api/users/${asha._id}/role`).set(auth(admin)).send({ role: 'root' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('keeps users with bookings on record, and deletes the rest with their reviews', async () => {
+    const app = makeApp();
+    const bookings = jest.spyOn(Booking, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Review, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Review, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    const deleteOne = jest.spyOn(User.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const kept = await request(app).delete(`/api/users/${asha._id}`).set(auth(admin));
+    expect(kept.status).toBe(400);
+    expect(kept.body.message).toBe('User has 2 booking(s) on record; suspend the account instead');
+    expect(deleteOne).not.toHaveBeenCalled();
+
+    bookings.mockResolvedValue(0);
+    const deleted = await request(app).delete(`/api/users/${asha._id}`).set(auth(admin));
+    expect(deleted.status).toBe(200);
+    expect(Review.deleteMany).toHaveBeenCalledWith({ user: asha._id });
+    expect(deleteOne).toHaveBeenCalled();
+
+    const self = await request(app).delete(`/api/users/${admin._id}`).set(auth(admin));
+    expect(self.status).toBe(400);
+  });
+
+  it('summarises a user\'s bookings and reviews', async () => {
+    jest.spyOn(Booking, 'aggregate').mockResolvedValue([
+      { _id: 'Confirmed', count: 2, amount: 3000 },
+      { _id: 'Cancelled', count: 1, amount: 0 }
+    ]);
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Booking, 'find').mockReturnValue(query([]));
+    jest.spyOn(Review, 'aggregate').mockResolvedValue([{ _id: null, count: 3, averageRating: 4.333 }]);
+    jest.spyOn(Review, 'find').mockReturnValue(query([]));
+
+    const res = await request(makeApp()).get(`/api/users/${asha._id}`).set(auth(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.username).toBe('asha');
+    expect(res.body.data.bookings).toMatchObject({
+      total: 3,
+      byStatus: { Confirmed: 2, Cancelled: 1 },
+      amountPaid: 3000,
+      upcoming: 1
+    });
+    expect(res.body.data.reviews).toMatchObject({ count: 3, averageRating: 4.3 });
+    expect(res.body.data.activeSessions).toBe(0);
+  });
+});
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Train = require('../models/Train');
+const Booking = require('../models/Booking');
+const availabilityService = require('../services/AvailabilityService');
+const waitlistService = require('../services/WaitlistService');
+const seatAllocationService = require('../services/SeatAllocationService');
+
+const train = new Train({
+  trainNumber: '12951',
+  name: 'Test Rajdhani',
+  trainType: 'Rajdhani',
+  source: new mongoose.Types.ObjectId(),
+  destination: new mongoose.Types.ObjectId(),
+  departureTime: new Date('2025-06-20T16:35:00Z'),
+  arrivalTime: new Date('2025-06-21T08:45:00Z'),
+  totalSeats: 8,
+  availableSeats: 8,
+  fare: 2500,
+  daysOfOperation: ['Mon'],
+  // One bay: seven confirmable berths plus the side lower held for RAC
+  coaches: [{ code: 'B1', coachType: '3A', berths: 8 }],
+  classQuotas: [{ travelClass: '3A', racBerths: 1, waitlistLimit: 2 }]
+});
+
+const emptyOccupancy = () => ({ occupied: new Set(), unassigned: {}, racSlots: new Map() });
+
+const passengers = (count) => Array.from({ length: count }, (_, i) => ({
+  name: `P${i + 1}`,
+  age: 30,
+  gender: 'M'
+}));
+
+const makeBooking = (assigned, bookingStatus = 'Confirmed') => new Booking({
+  pnr: new mongoose.Types.ObjectId().toString().slice(-8),
+  user: new mongoose.Types.ObjectId(),
+  train: train._id,
+  journeyDate: new Date('2025-06-23'),
+  travelClass: '3A',
+  fromStation: train.source,
+  toStation: train.destination,
+  passengers: assigned,
+  totalFare: 0,
+  bookingStatus
+});
+
+describe('WaitlistService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fills berths, then RAC places, then the waitlist', () => {
+    const assigned = waitlistService.assign(train, {
+      travelClass: '3A',
+      passengers: passengers(10),
+      occupancy: emptyOccupancy()
+    });
+
+    expect(assigned.map(p => p.status)).toEqual([
+      'CNF', 'CNF', 'CNF', 'CNF', 'CNF', 'CNF', 'CNF', 'RAC', 'RAC', 'WL'
+    ]);
+    expect(assigned[7].initialStatus).toBe('RAC 1');
+    expect(assigned[8].initialStatus).toBe('RAC 2');
+    expect(assigned[9].initialStatus).toBe('WL 1');
+  });
+
+  it('rejects bookings beyond the waitlist limit as a conflict', () => {
+    const assign = () => waitlistService.assign(train, {
+      travelClass: '3A',
+      passengers: passengers(12),
+      occupancy: emptyOccupancy()
+    });
+    expect(assign).toThrow('Only 11 seat(s) available');
+    expect(assign).toThrow(seatAllocationService.CapacityError);
+  });
+
+  it('promotes RAC and waitlisted passengers when a berth is released', async () => {
+    const assigned = waitlistService.assign(train, {
+      travelClass: '3A',
+      passengers: passengers(10),
+      occupancy: emptyOccupancy()
+    });
+    const confirmed = makeBooking(assigned.slice(0, 7));
+    const waiting = makeBooking(assigned.slice(7), 'Waiting');
+
+    // Cancel one confirmed passenger, freeing a berth
+    confirmed.passengers[0].status = 'CAN';
+
+    jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([confirmed, waiting]);
+    jest.spyOn(Booking.prototype, 'save').mockResolvedValue();
+
+    const promotions = await waitlistService.promote(train, confirmed.journeyDate, '3A');
+
+    expect(promotions.map(p => `${p.from} -> ${p.to}`)).toEqual([
+      'RAC 1 -> CNF B1/1',
+      'WL 1 -> RAC 2'
+    ]);
+    expect(waiting.passengers.map(p => p.statusLabel())).toEqual(['CNF B1/1', 'RAC 1', 'RAC 2']);
+    expect(waiting.bookingStatus).toBe('RAC');
+    expect(waiting.history.map(h => h.event)).toEqual(['PROMOTED', 'PROMOTED']);
+  });
+
+  it('promotes the queue into a berth freed in a quota', async () => {
+    const quotaTrain = new Train({ ...train.toObject(), _id: train._id, seatQuotas: [{ quota: 'TQ', travelClass: '3A', berths: 1 }] });
+    const general = waitlistService.assign(quotaTrain, {
+      travelClass: '3A',
+      passengers: passengers(9),
+      occupancy: emptyOccupancy()
+    });
+    const tatkal = waitlistService.assign(quotaTrain, {
+      travelClass: '3A',
+      passengers: passengers(1),
+      occupancy: emptyOccupancy(),
+      quota: 'TQ'
+    });
+    const confirmed = makeBooking(general.slice(0, 6));
+    const waiting = makeBooking(general.slice(6), 'Waiting');
+    const tatkalBooking = makeBooking(tatkal);
+    tatkalBooking.quota = 'TQ';
+    expect(tatkalBooking.passengers[0].statusLabel()).toBe('CNF B1/8');
+
+    // The Tatkal passenger cancels; General has no berth left
+    tatkalBooking.passengers[0].status = 'CAN';
+
+    jest.spyOn(availabilityService, 'findBookings').mockResolvedValue([confirmed, waiting, tatkalBooking]);
+    jest.spyOn(Booking.prototype, 'save').mockResolvedValue();
+
+    const promotions = await waitlistService.promote(quotaTrain, confirmed.journeyDate, '3A');
+
+    expect(promotions.map(p => `${p.from} -> ${p.to}`)).toEqual([
+      'RAC 1 -> CNF B1/8',
+      'WL 1 -> RAC 2'
+    ]);
+  });
+});
+
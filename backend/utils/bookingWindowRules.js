@@ -0,0 +1,42 @@
+// When a run can be booked, modelled on Indian Railways' advance reservation
+// period (ARP).
+//
+// Booking for a run opens `advanceDays` before its journey date (the train's
+// origin date) at `opensAt`, in the train's timezone. It closes
+// `cutoffMinutes` before the scheduled departure from the passenger's
+// boarding stop, so a stop reached late in the run stays bookable after
+// the train has left its origin.
+
+const DEFAULT_WINDOW = {
+  advanceDays: 120,
+  opensAt: '08:00',
+  cutoffMinutes: 0
+};
+
+// Overrides by train type; unset fields fall back to the default
+const WINDOW_OVERRIDES = {
+  // Premium trains close current booking ahead of departure for charting
+  Rajdhani: { cutoffMinutes: 30 },
+  Shatabdi: { cutoffMinutes: 30 },
+  Duronto: { cutoffMinutes: 30 },
+  // Short-distance trains open closer to the date
+  Passenger: { advanceDays: 60 }
+};
+
+// The longest advance reservation period of any train type
+const MAX_ADVANCE_DAYS = Math.max(
+  DEFAULT_WINDOW.advanceDays,
+  ...Object.values(WINDOW_OVERRIDES).map(window => window.advanceDays || 0)
+);
+
+const getBookingWindowRules = (trainType) => ({
+  ...DEFAULT_WINDOW,
+  ...WINDOW_OVERRIDES[trainType]
+});
+
+module.exports = {
+  DEFAULT_WINDOW,
+  WINDOW_OVERRIDES,
+  MAX_ADVANCE_DAYS,
+  getBookingWindowRules
+};
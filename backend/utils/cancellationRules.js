@@ -0,0 +1,76 @@
+// Cancellation charges, modelled on Indian Railways' refund rules.
+//
+// Each rule set has slabs for confirmed passengers and for RAC/waitlisted
+// ones. A slab applies while at least `minHoursBefore` hours remain before
+// the boarding departure; slabs are checked in order, and once none applies
+// the passenger can no longer be cancelled. A charge is either `flat` or a
+// `percent` of the passenger's fare; percentage charges never go below the
+// class's flat charge. Flat slabs without an `amount` use that flat charge.
+
+// Minimum charge per passenger, by class
+const FLAT_CHARGES = {
+  '1A': 240,
+  'EC': 240,
+  '2A': 200,
+  '3A': 180,
+  'CC': 180,
+  'SL': 120,
+  '2S': 60,
+  'GEN': 60
+};
+
+// Clerkage charged for RAC and waitlisted passengers
+const CLERKAGE = 60;
+
+const DEFAULT_RULES = {
+  confirmed: [
+    { minHoursBefore: 48, type: 'flat' },
+    { minHoursBefore: 12, type: 'percent', value: 25 },
+    { minHoursBefore: 4, type: 'percent', value: 50 }
+  ],
+  waiting: [
+    { minHoursBefore: 0.5, type: 'flat', amount: CLERKAGE }
+  ]
+};
+
+// Overrides by train type and/or class; the first matching entry wins, so
+// list the more specific ones first. Unset slab lists fall back to defaults.
+const RULE_OVERRIDES = [
+  {
+    // Premium trains stop refunding confirmed tickets earlier
+    trainTypes: ['Rajdhani', 'Shatabdi', 'Duronto'],
+    confirmed: [
+      { minHoursBefore: 48, type: 'flat' },
+      { minHoursBefore: 12, type: 'percent', value: 25 },
+      { minHoursBefore: 6, type: 'percent', value: 50 }
+    ]
+  },
+  {
+    // Short-distance unreserved travel: flat charge until departure
+    trainTypes: ['Passenger'],
+    confirmed: [
+      { minHoursBefore: 0, type: 'flat' }
+    ]
+  }
+];
+
+const getCancellationRules = (trainType, travelClass) => {
+  const override = RULE_OVERRIDES.find(rule =>
+    (!rule.trainTypes || rule.trainTypes.includes(trainType)) &&
+    (!rule.travelClasses || rule.travelClasses.includes(travelClass))
+  ) || {};
+
+  return {
+    flatCharge: FLAT_CHARGES[travelClass] !== undefined ? FLAT_CHARGES[travelClass] : FLAT_CHARGES.GEN,
+    confirmed: override.confirmed || DEFAULT_RULES.confirmed,
+    waiting: override.waiting || DEFAULT_RULES.waiting
+  };
+};
+
+module.exports = {
+  FLAT_CHARGES,
+  CLERKAGE,
+  DEFAULT_RULES,
+  RULE_OVERRIDES,
+  getCancellationRules
+};
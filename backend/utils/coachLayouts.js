@@ -0,0 +1,84 @@
+// Coach compositions used for seat inventory.
+// Each layout describes one bay of the coach; berth types repeat every bay.
+// `ac` marks air-conditioned classes, which some fare and quota rules treat apart.
+const COACH_TYPES = {
+  '1A': {
+    name: 'First AC',
+    ac: true,
+    codePrefix: 'H',
+    capacity: 24,
+    bay: ['LB', 'UB', 'LB', 'UB']
+  },
+  '2A': {
+    name: 'AC 2 Tier',
+    ac: true,
+    codePrefix: 'A',
+    capacity: 48,
+    bay: ['LB', 'UB', 'LB', 'UB', 'SL', 'SU']
+  },
+  '3A': {
+    name: 'AC 3 Tier',
+    ac: true,
+    codePrefix: 'B',
+    capacity: 64,
+    bay: ['LB', 'MB', 'UB', 'LB', 'MB', 'UB', 'SL', 'SU']
+  },
+  'SL': {
+    name: 'Sleeper',
+    ac: false,
+    codePrefix: 'S',
+    capacity: 72,
+    bay: ['LB', 'MB', 'UB', 'LB', 'MB', 'UB', 'SL', 'SU']
+  },
+  'CC': {
+    name: 'AC Chair Car',
+    ac: true,
+    codePrefix: 'C',
+    capacity: 78,
+    bay: ['WS', 'MS', 'AS', 'AS', 'WS']
+  },
+  'EC': {
+    name: 'Executive Chair Car',
+    ac: true,
+    codePrefix: 'E',
+    capacity: 56,
+    bay: ['WS', 'AS', 'AS', 'WS']
+  },
+  '2S': {
+    name: 'Second Sitting',
+    ac: false,
+    codePrefix: 'D',
+    capacity: 108,
+    bay: ['WS', 'MS', 'AS', 'AS', 'MS', 'WS']
+  },
+  // Trains created before coach compositions existed are treated as a single
+  // unreserved-layout coach sized by `totalSeats`.
+  'GEN': {
+    name: 'General',
+    ac: false,
+    codePrefix: 'A',
+    capacity: null,
+    bay: null
+  }
+};
+
+const BERTH_PREFERENCES = ['LB', 'MB', 'UB', 'SL', 'SU', 'NA'];
+
+const getBerthType = (coachType, berthNumber) => {
+  const layout = COACH_TYPES[coachType];
+  if (!layout || !layout.bay) return null;
+  return layout.bay[(berthNumber - 1) % layout.bay.length];
+};
+
+const getCoachCapacity = (coach) => {
+  if (coach.berths) return coach.berths;
+  const layout = COACH_TYPES[coach.coachType];
+  return layout ? layout.capacity : 0;
+};
+
+module.exports = {
+  COACH_TYPES,
+  BERTH_PREFERENCES,
+  getBerthType,
+  getCoachCapacity
+};
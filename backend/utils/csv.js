@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV reader/writer, as used by GTFS feeds
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return records.map(record => columns.reduce((acc, column, index) => {
+    acc[column] = record[index] !== undefined ? record[index].trim() : '';
+    return acc;
+  }, {}));
+};
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it
+// instead of running it; numbers, negative ones included, are left as they are
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise objects to CSV with the given column order
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
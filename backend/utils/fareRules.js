@@ -0,0 +1,129 @@
+// Fare rules, modelled on Indian Railways' fare structure.
+//
+// A passenger's fare is built up as:
+//   base fare      train.fare (per 100 km in GEN) x class rate, over the
+//                  tapered distance, never below the class's minimum distance
+//   - concession   a percentage of the base fare, by passenger age
+//   + surge        for trains with dynamicPricing, a percentage of the base
+//                  fare once the class is filling up
+//   + reservation and superfast charges, flat per passenger
+//   + GST          on the whole amount for AC classes
+// and the total is rounded up to the next FARE_ROUNDING rupees.
+
+// Base rate of each class as a multiple of the train's GEN fare
+const CLASS_RATES = {
+  'GEN': 1,
+  '2S': 1.1,
+  'SL': 1.5,
+  'CC': 2.7,
+  '3A': 3.8,
+  '2A': 5.5,
+  'EC': 5.8,
+  '1A': 9
+};
+
+// Shortest distance charged for, in km, by class
+const MINIMUM_DISTANCE = {
+  'GEN': 0,
+  '2S': 0,
+  'SL': 200,
+  'CC': 100,
+  '3A': 300,
+  '2A': 300,
+  'EC': 100,
+  '1A': 300
+};
+
+// Longer journeys pay less per km: each slab's share of the distance is
+// charged at `rate` times the normal fare
+const DISTANCE_SLABS = [
+  { upToKm: 1000, rate: 1 },
+  { upToKm: 2500, rate: 0.85 },
+  { upToKm: Infinity, rate: 0.7 }
+];
+
+// Flat reservation charge per passenger, by class
+const RESERVATION_CHARGES = {
+  'GEN': 0,
+  '2S': 15,
+  'SL': 20,
+  'CC': 40,
+  '3A': 40,
+  '2A': 50,
+  'EC': 60,
+  '1A': 60
+};
+
+// Flat surcharge per passenger on superfast trains, by class
+const SUPERFAST_TRAIN_TYPES = ['Rajdhani', 'Shatabdi', 'Duronto'];
+const SUPERFAST_CHARGES = {
+  'GEN': 15,
+  '2S': 15,
+  'SL': 30,
+  'CC': 45,
+  '3A': 45,
+  '2A': 45,
+  'EC': 75,
+  '1A': 75
+};
+
+// GST, in percent, charged on AC classes only
+const GST_PERCENT = 5;
+const GST_CLASSES = ['1A', '2A', '3A', 'CC', 'EC'];
+
+// Concessions on the base fare by age; the first match wins. Genders are
+// optional and limit a concession to those passengers.
+const CONCESSIONS = [
+  { code: 'CHILD', label: 'Child', maxAge: 11, percent: 50 },
+  { code: 'SENIOR_F', label: 'Senior citizen (woman)', minAge: 58, genders: ['F'], percent: 50 },
+  { code: 'SENIOR', label: 'Senior citizen', minAge: 60, genders: ['M', 'O'], percent: 40 }
+];
+
+// Surge on the base fare for trains with dynamicPricing, by the share of the
+// class's berths already booked on the segment; the highest step reached wins
+const SURGE_STEPS = [
+  { minLoadFactor: 0.9, percent: 40 },
+  { minLoadFactor: 0.7, percent: 25 },
+  { minLoadFactor: 0.5, percent: 10 }
+];
+
+const FARE_ROUNDING = 5;
+
+const lookup = (table, travelClass) =>
+  table[travelClass] !== undefined ? table[travelClass] : table.GEN;
+
+const getFareRules = (trainType, travelClass) => ({
+  classRate: lookup(CLASS_RATES, travelClass),
+  minimumDistance: lookup(MINIMUM_DISTANCE, travelClass),
+  reservationCharge: lookup(RESERVATION_CHARGES, travelClass),
+  superfastCharge: SUPERFAST_TRAIN_TYPES.includes(trainType) ? lookup(SUPERFAST_CHARGES, travelClass) : 0,
+  gstPercent: GST_CLASSES.includes(travelClass) ? GST_PERCENT : 0
+});
+
+const getConcession = ({ age, gender } = {}) => CONCESSIONS.find(concession =>
+  (concession.minAge === undefined || age >= concession.minAge) &&
+  (concession.maxAge === undefined || age <= concession.maxAge) &&
+  (!concession.genders || concession.genders.includes(gender))
+) || null;
+
+const getSurgePercent = (loadFactor) => {
+  const step = SURGE_STEPS.find(candidate => loadFactor >= candidate.minLoadFactor);
+  return step ? step.percent : 0;
+};
+
+module.exports = {
+  CLASS_RATES,
+  MINIMUM_DISTANCE,
+  DISTANCE_SLABS,
+  RESERVATION_CHARGES,
+  SUPERFAST_TRAIN_TYPES,
+  SUPERFAST_CHARGES,
+  GST_PERCENT,
+  GST_CLASSES,
+  CONCESSIONS,
+  SURGE_STEPS,
+  FARE_ROUNDING,
+  getFareRules,
+  getConcession,
+  getSurgePercent
+};
@@ -0,0 +1,62 @@
+// Roles and the permissions they grant. Routes ask for a permission with
+// `authorize(permission)`, never for a role, so a new role is a new entry
+// here. The frontend mirrors this table in src/utils/permissions.js and
+// also receives each user's permissions from the API.
+
+const PERMISSIONS = {
+  'stations:write': 'Add, edit and delete stations',
+  'trains:write': 'Add, edit and delete trains and generate their runs',
+  'runs:manage': 'Cancel, reschedule, divert and re-rake train runs',
+  'timetable:import': 'Import GTFS timetables',
+  'timetable:export': 'Export the timetable as GTFS',
+  'charts:read': 'View and download reservation charts',
+  'charts:prepare': 'Prepare reservation charts ahead of the scheduled job',
+  'tickets:verify': 'Verify scanned e-tickets',
+  'bookings:read': 'View every booking',
+  'bookings:refund': 'Cancel and refund any booking',
+  'reports:read': 'View booking, revenue and performance reports',
+  'reviews:moderate': 'Delete any review',
+  'users:read': 'View user accounts and their activity',
+  'users:manage': 'Change roles, suspend and delete users'
+};
+
+const ROLES = {
+  user: {
+    name: 'Passenger',
+    permissions: []
+  },
+  station_master: {
+    name: 'Station Master',
+    permissions: ['runs:manage', 'charts:read', 'charts:prepare', 'tickets:verify', 'bookings:read']
+  },
+  ticket_checker: {
+    name: 'Ticket Checker',
+    permissions: ['charts:read', 'tickets:verify']
+  },
+  timetable_editor: {
+    name: 'Timetable Editor',
+    permissions: ['stations:write', 'trains:write', 'runs:manage', 'timetable:import', 'timetable:export']
+  },
+  finance_analyst: {
+    name: 'Finance Analyst',
+    permissions: ['reports:read', 'bookings:read', 'bookings:refund']
+  },
+  admin: {
+    name: 'Administrator',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+const DEFAULT_ROLE = 'user';
+
+const getPermissions = (role) => (ROLES[role] || ROLES[DEFAULT_ROLE]).permissions;
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,86 @@
+// Booking quotas, modelled on Indian Railways' reservation quotas.
+//
+// General (GN) berths are every berth of a class not set aside for RAC or
+// for another quota. A train sets aside berths per class for the other
+// quotas in Train.seatQuotas; each quota's berths form a separate inventory
+// bucket that only bookings in that quota can use. Passengers a quota's
+// bucket cannot confirm join the class's common RAC/waitlist queue.
+//
+// A quota may have:
+//   opens        when booking opens: `daysBefore` the journey date (the
+//                train's origin date) at `time`, or `nonAcTime` for non-AC
+//                classes, in the train's timezone. Without it the quota is
+//                open whenever General is.
+//   travelClasses the classes it can be offered in (default: all)
+//   maxPassengers most passengers on one booking
+//   eligible     a check every passenger must pass, with the reason shown
+//                when one does not
+//   concessions  false when age concessions do not apply
+
+const isSenior = (passenger) =>
+  passenger.age >= (passenger.gender === 'F' ? 58 : 60);
+
+const QUOTAS = {
+  GN: {
+    name: 'General'
+  },
+  TQ: {
+    name: 'Tatkal',
+    opens: { daysBefore: 1, time: '10:00', nonAcTime: '11:00' },
+    travelClasses: ['2A', '3A', 'SL', 'CC', 'EC', '2S'],
+    maxPassengers: 4,
+    concessions: false
+  },
+  LD: {
+    name: 'Ladies',
+    eligible: {
+      check: (passenger) => passenger.gender === 'F' || passenger.age <= 11,
+      reason: 'Ladies quota is for women, and children under 12 travelling with them'
+    }
+  },
+  SS: {
+    name: 'Senior Citizen',
+    travelClasses: ['3A', 'SL', '2S'],
+    maxPassengers: 2,
+    eligible: {
+      check: isSenior,
+      reason: 'Senior Citizen quota is for men from 60 and women from 58'
+    }
+  }
+};
+
+// Premium on the base fare for Tatkal bookings, by class: a percentage of
+// the base fare, kept between a minimum and maximum
+const TATKAL_PREMIUMS = {
+  '2S': { percent: 10, min: 10, max: 15 },
+  'SL': { percent: 30, min: 100, max: 200 },
+  'CC': { percent: 30, min: 125, max: 225 },
+  '3A': { percent: 30, min: 300, max: 400 },
+  '2A': { percent: 30, min: 400, max: 500 },
+  'EC': { percent: 30, min: 400, max: 500 }
+};
+
+const QUOTA_PREMIUMS = {
+  TQ: TATKAL_PREMIUMS
+};
+
+const DEFAULT_QUOTA = 'GN';
+
+const getQuota = (code) => QUOTAS[code || DEFAULT_QUOTA];
+
+const getQuotaPremium = (quota, travelClass, baseFare) => {
+  const premiums = QUOTA_PREMIUMS[quota];
+  const premium = premiums && premiums[travelClass];
+  if (!premium) return 0;
+
+  return Math.min(premium.max, Math.max(premium.min, Math.round(baseFare * premium.percent / 100)));
+};
+
+module.exports = {
+  QUOTAS,
+  TATKAL_PREMIUMS,
+  QUOTA_PREMIUMS,
+  DEFAULT_QUOTA,
+  getQuota,
+  getQuotaPremium
+};
@@ -0,0 +1,113 @@
+// Helpers for "HH:mm + day offset" timetables in a named timezone
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// 'HH:mm' -> minutes after midnight, or null when not set
+const parseTime = (time) => {
+  if (!time) return null;
+  const match = TIME_PATTERN.exec(time);
+  if (!match) throw new Error(`Invalid time "${time}", expected HH:mm`);
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const formatTime = (minutes) => {
+  const normalised = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const hours = String(Math.floor(normalised / 60)).padStart(2, '0');
+  return `${hours}:${String(normalised % 60).padStart(2, '0')}`;
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// Calendar date (Y/M/D) of a journey date given as 'YYYY-MM-DD' or a Date
+// holding midnight UTC, as Booking.journeyDate does
+const getCalendarDate = (journeyDate) => {
+  const date = new Date(journeyDate);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate()
+  };
+};
+
+// Absolute instant of a local wall-clock time on journeyDate + dayOffset
+const zonedTimeToUtc = (journeyDate, minutes, dayOffset = 0, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getCalendarDate(journeyDate);
+  const wallClock = Date.UTC(year, month, day + dayOffset, 0, minutes);
+
+  // Resolve the offset twice so times near a DST change land correctly
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  offset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - offset);
+};
+
+// Local calendar date of an instant in the timezone, as midnight UTC
+const toLocalJourneyDate = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const local = new Date(new Date(instant).getTime() + getTimeZoneOffset(new Date(instant), timeZone));
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+};
+
+// Fill in day offsets for stops whose times roll past midnight. Explicit
+// offsets are kept; the running day only ever moves forward.
+const inferDayOffsets = (route) => {
+  let runningDay = 0;
+  let previous = null;
+
+  route.forEach(stop => {
+    const arrival = parseTime(stop.arrival);
+    const departure = parseTime(stop.departure);
+    const first = arrival !== null ? arrival : departure;
+
+    if (previous !== null && first !== null && first < previous) {
+      runningDay++;
+    }
+    runningDay = Math.max(runningDay, stop.day || 0);
+    stop.day = runningDay;
+
+    if (arrival !== null && departure !== null && departure < arrival) {
+      runningDay++;
+    }
+    previous = departure !== null ? departure : arrival;
+  });
+
+  return route;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  MINUTE_MS,
+  parseTime,
+  formatTime,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  toLocalJourneyDate,
+  inferDayOffsets
+};
@@ -0,0 +1,18 @@
+// Express 'trust proxy' setting from TRUST_PROXY. Unset trusts no proxy, as
+// X-Forwarded-For is otherwise client-supplied. A whole number is the count
+// of proxy hops in front, true/false trust every or no proxy, and any other
+// value is passed to Express as is: addresses, subnets and names such as
+// loopback, comma-separated. Express throws for values it cannot read, so a
+// bad setting stops the server at startup.
+const parseTrustProxy = (value) => {
+  const setting = value === undefined ? '' : String(value).trim();
+  if (setting === '') return false;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  if (setting === 'true') return true;
+  if (setting === 'false') return false;
+  return setting;
+};
+
+module.exports = {
+  parseTrustProxy
+};
@@ -16,10 +16,13 @@ import AuthLayout from './layouts/AuthLayout';
 // --- Guards ---
 import AuthGuard from './components/auth/AuthGuard';
 import RoleBasedGuard from './components/auth/RoleBasedGuard';
+import { ADMIN_PAGES } from './utils/permissions';
 
 // --- Page Components (Lazy Loaded) ---
 const LoginPage = lazy(() => import('./pages/auth/LoginPage'));
 const RegisterPage = lazy(() => import('./pages/auth/RegisterPage'));
+const ForgotPasswordPage = lazy(() => import('./pages/auth/ForgotPasswordPage'));
+const ResetPasswordPage = lazy(() => import('./pages/auth/ResetPasswordPage'));
 const DashboardPage = lazy(() => import('./pages/DashboardPage'));
 const PlanJourneyPage = lazy(() => import('./pages/journey/PlanJourneyPage'));
 const TrainsPage = lazy(() => import('./pages/trains/TrainsPage'));
@@ -27,10 +30,12 @@ const StationsPage = lazy(() => import('./pages/stations/StationsPage'));
 const BookingsPage = lazy(() => import('./pages/bookings/BookingsPage'));
 const CreateBookingPage = lazy(() => import('./pages/bookings/CreateBookingPage'));
 const BookingConfirmationPage = lazy(() => import('./pages/bookings/BookingConfirmationPage'));
+const PnrStatusPage = lazy(() => import('./pages/bookings/PnrStatusPage'));
 const ReviewsPage = lazy(() => import('./pages/reviews/ReviewsPage'));
 const ProfilePage = lazy(() => import('./pages/ProfilePage'));
 const AdminDashboardPage = lazy(() => import('./pages/admin/AdminDashboardPage'));
 const UsersPage = lazy(() => import('./pages/admin/users/UsersPage'));
+const UserDetailsPage = lazy(() => import('./pages/admin/users/UserDetailsPage'));
 const AdminTrainsPage = lazy(() => import('./pages/admin/trains/AdminTrainsPage'));
 const AdminStationsPage = lazy(() => import('./pages/admin/stations/AdminStationsPage'));
 const AdminBookingsPage = lazy(() => import('./pages/admin/bookings/AdminBookingsPage'));
@@ -46,7 +51,11 @@ const AppRoutes = () => {
       <Route element={<AuthLayout />}>
         <Route path="login" element={<LoginPage />} />
         <Route path="register" element={<RegisterPage />} />
+        <Route path="forgot-password" element={<ForgotPasswordPage />} />
+        <Route path="reset-password/:resetToken" element={<ResetPasswordPage />} />
       </Route>
+      <Route path="pnr-status" element={<PnrStatusPage />} />
+      <Route path="pnr-status/:pnr" element={<PnrStatusPage />} />
 
       {/* --- Protected Routes --- */}
       <Route element={<AuthGuard><MainLayout /></AuthGuard>}>
@@ -68,11 +77,14 @@ const AppRoutes = () => {
         <Route path="admin" element={<RoleBasedGuard><Outlet /></RoleBasedGuard>}>
           <Route index element={<Navigate to="/admin/dashboard" replace />} />
           <Route path="dashboard" element={<AdminDashboardPage />} />
-          <Route path="users" element={<UsersPage />} />
-          <Route path="trains" element={<AdminTrainsPage />} />
-          <Route path="stations" element={<AdminStationsPage />} />
-          <Route path="bookings" element={<AdminBookingsPage />} />
-          <Route path="reports" element={<AdminReportsPage />} />
+          <Route element={<RoleBasedGuard permission={ADMIN_PAGES.users}><Outlet /></RoleBasedGuard>}>
+            <Route path="users" element={<UsersPage />} />
+            <Route path="users/:userId" element={<UserDetailsPage />} />
+          </Route>
+          <Route path="trains" element={<RoleBasedGuard permission={ADMIN_PAGES.trains}><AdminTrainsPage /></RoleBasedGuard>} />
+          <Route path="stations" element={<RoleBasedGuard permission={ADMIN_PAGES.stations}><AdminStationsPage /></RoleBasedGuard>} />
+          <Route path="bookings" element={<RoleBasedGuard permission={ADMIN_PAGES.bookings}><AdminBookingsPage /></RoleBasedGuard>} />
+          <Route path="reports" element={<RoleBasedGuard permission={ADMIN_PAGES.reports}><AdminReportsPage /></RoleBasedGuard>} />
         </Route>
       </Route>
 
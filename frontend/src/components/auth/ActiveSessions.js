@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { getSessions, revokeSession } from '../../services/api/authAPI';
+import { logout, logoutEverywhere } from '../../store/slices/authSlice';
+
+// Devices the user is signed in on, with per-device sign out and a way to
+// sign out of all of them
+const ActiveSessions = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getSessions();
+      setSessions(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load your sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await dispatch(logout());
+      navigate('/login');
+      return;
+    }
+    try {
+      await revokeSession(session.id);
+      setSessions(sessions.filter(s => s.id !== session.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not sign that device out');
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    try {
+      await dispatch(logoutEverywhere()).unwrap();
+      navigate('/login');
+    } catch (message) {
+      setError(message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h6">Active Sessions</Typography>
+        <Button color="error" onClick={handleLogoutEverywhere} disabled={loading}>
+          Log out everywhere
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {loading && <CircularProgress size={24} />}
+
+      <List disablePadding>
+        {sessions.map(session => (
+          <ListItem
+            key={session.id}
+            divider
+            secondaryAction={
+              <Button size="small" onClick={() => handleRevoke(session)}>
+                {session.current ? 'Log out' : 'Revoke'}
+              </Button>
+            }
+          >
+            <ListItemText
+              primary={
+                <Box display="flex" alignItems="center" gap={1}>
+                  <span>{session.userAgent || 'Unknown device'}</span>
+                  {session.current && <Chip size="small" color="primary" label="This device" />}
+                </Box>
+              }
+              secondary={`${session.ip || 'Unknown IP'} - last active ${formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}`}
+              sx={{ pr: 10 }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default ActiveSessions;
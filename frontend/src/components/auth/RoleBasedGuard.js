@@ -4,48 +4,36 @@ import { useSelector } from 'react-redux';
 import PropTypes from 'prop-types';
 
 import UnauthorizedPage from '../../pages/errors/UnauthorizedPage';
+import { hasPermission, isStaff } from '../../utils/permissions';
 
 /**
- * RoleBasedGuard component to protect routes based on user roles
+ * RoleBasedGuard component to protect routes based on the permissions the user's role grants
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render if authorized
- * @param {string[]} props.allowedRoles - Array of allowed role IDs
+ * @param {string|string[]} [props.permission] - Permission required, or several of which any one will do;
+ *   without one, any staff permission is enough
  * @param {boolean} [props.showForbidden] - Whether to show 403 Forbidden page or redirect
  * @param {string} [props.redirectTo] - Path to redirect if not authorized (defaults to '/unauthorized')
  * @returns {JSX.Element} - Rendered component
  */
-const RoleBasedGuard = ({ 
-  children, 
-  allowedRoles = [],
+const RoleBasedGuard = ({
+  children,
+  permission,
   showForbidden = false,
   redirectTo = '/unauthorized',
-  ...rest 
 }) => {
   const { user } = useSelector((state) => state.auth);
   const location = useLocation();
-  
-  // If no specific roles are required, allow access
-  if (!allowedRoles || allowedRoles.length === 0) {
-    return <>{children}</>;
-  }
 
   // If user is not loaded yet, show nothing (AuthGuard will handle loading state)
   if (!user) {
     return null;
   }
 
-  // Check if user has any of the allowed roles
-  const hasRequiredRole = allowedRoles.some(role => {
-    // Handle both string and numeric role comparisons
-    return user.roles.some(userRole => 
-      userRole._id === role || 
-      userRole.name === role ||
-      userRole.name.toLowerCase() === role.toLowerCase()
-    );
-  });
+  const authorized = permission ? hasPermission(user, permission) : isStaff(user);
 
-  // If user has required role, render children
-  if (hasRequiredRole) {
+  // If user has the required permission, render children
+  if (authorized) {
     return <>{children}</>;
   }
 
@@ -56,28 +44,25 @@ const RoleBasedGuard = ({
 
   // Otherwise, redirect to unauthorized page or custom path
   return (
-    <Navigate 
-      to={redirectTo} 
-      state={{ from: location }} 
-      replace 
+    <Navigate
+      to={redirectTo}
+      state={{ from: location }}
+      replace
     />
   );
 };
 
 RoleBasedGuard.propTypes = {
   children: PropTypes.node,
-  allowedRoles: PropTypes.arrayOf(
-    PropTypes.oneOfType([
-      PropTypes.string,
-      PropTypes.number,
-    ])
-  ),
+  permission: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.arrayOf(PropTypes.string),
+  ]),
   showForbidden: PropTypes.bool,
   redirectTo: PropTypes.string,
 };
 
 RoleBasedGuard.defaultProps = {
-  allowedRoles: [],
   showForbidden: false,
   redirectTo: '/unauthorized',
 };
@@ -27,6 +27,7 @@ import {
 import { styled } from '@mui/material/styles';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
+import { roleName } from '../../utils/permissions';
 import useNotification from '../../hooks/useNotification';
 
 const StyledAppBar = styled(AppBar)(({ theme }) => ({
@@ -266,7 +267,7 @@ const Header = ({ onMenuClick }) => {
                     {user?.name || 'User'}
                   </Typography>
                   <Typography variant="caption" color="textSecondary" noWrap>
-                    {user?.role || 'User'}
+                    {roleName(user?.role)}
                   </Typography>
                 </Box>
               )}
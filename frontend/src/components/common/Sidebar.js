@@ -20,6 +20,7 @@ import {
   Train as TrainIcon,
   LocationOn as StationIcon,
   Book as BookingIcon,
+  ConfirmationNumber as PnrIcon,
   Star as ReviewIcon,
   Route as RouteIcon,
   Settings as SettingsIcon,
@@ -34,6 +35,7 @@ import {
 } from '@mui/icons-material';
 import { useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
+import { ADMIN_PAGES, hasPermission } from '../../utils/permissions';
 
 const drawerWidth = 240;
 
@@ -103,55 +105,54 @@ const Sidebar = ({ open, onClose, onToggle, isMobile }) => {
       icon: <DashboardIcon />,
       path: '/',
       exact: true,
-      roles: ['user', 'admin'],
     },
     {
       text: 'Trains',
       icon: <TrainIcon />,
       path: '/trains',
       exact: false,
-      roles: ['user', 'admin'],
     },
     {
       text: 'Stations',
       icon: <StationIcon />,
       path: '/stations',
       exact: false,
-      roles: ['user', 'admin'],
     },
     {
       text: 'Bookings',
       icon: <BookingIcon />,
       path: '/bookings',
       exact: false,
-      roles: ['user', 'admin'],
+    },
+    {
+      text: 'PNR Status',
+      icon: <PnrIcon />,
+      path: '/pnr-status',
+      exact: false,
     },
     {
       text: 'Plan Journey',
       icon: <RouteIcon />,
       path: '/plan-journey',
       exact: true,
-      roles: ['user', 'admin'],
     },
     {
       text: 'Reviews',
       icon: <ReviewIcon />,
       path: '/reviews',
       exact: true,
-      roles: ['user', 'admin'],
     },
     {
       text: 'Admin',
       icon: <PeopleIcon />,
       path: '/admin',
       exact: false,
-      roles: ['admin'],
       children: [
-        { text: 'Users', path: '/admin/users', exact: false },
-        { text: 'Trains', path: '/admin/trains', exact: false },
-        { text: 'Stations', path: '/admin/stations', exact: false },
-        { text: 'Bookings', path: '/admin/bookings', exact: false },
-        { text: 'Reports', path: '/admin/reports', exact: false },
+        { text: 'Users', path: '/admin/users', exact: false, permission: ADMIN_PAGES.users },
+        { text: 'Trains', path: '/admin/trains', exact: false, permission: ADMIN_PAGES.trains },
+        { text: 'Stations', path: '/admin/stations', exact: false, permission: ADMIN_PAGES.stations },
+        { text: 'Bookings', path: '/admin/bookings', exact: false, permission: ADMIN_PAGES.bookings },
+        { text: 'Reports', path: '/admin/reports', exact: false, permission: ADMIN_PAGES.reports },
       ],
     },
   ];
@@ -162,21 +163,18 @@ const Sidebar = ({ open, onClose, onToggle, isMobile }) => {
       icon: <HelpIcon />, 
       path: '/help',
       exact: true,
-      roles: ['user', 'admin']
     },
     { 
       text: 'Contact', 
       icon: <ContactSupportIcon />, 
       path: '/contact',
       exact: true,
-      roles: ['user', 'admin']
     },
     { 
       text: 'About', 
       icon: <InfoIcon />, 
       path: '/about',
       exact: true,
-      roles: ['user', 'admin']
     },
   ];
 
@@ -194,13 +192,14 @@ const Sidebar = ({ open, onClose, onToggle, isMobile }) => {
       : location.pathname.startsWith(path) && path !== '/';
   };
 
-  const renderMenuItems = (items, isNested = false) => {
-    return items.map((item) => {
-      // Skip items that the user doesn't have permission to see
-      if (item.roles && !item.roles.includes(user?.role || 'user')) {
-        return null;
-      }
+  // Items the user's permissions allow, dropping menus left with no children
+  const visibleItems = (items) => items
+    .filter(item => !item.permission || hasPermission(user, item.permission))
+    .map(item => (item.children ? { ...item, children: visibleItems(item.children) } : item))
+    .filter(item => !item.children || item.children.length > 0);
 
+  const renderMenuItems = (items, isNested = false) => {
+    return visibleItems(items).map((item) => {
       const hasChildren = item.children && item.children.length > 0;
       const isItemActive = isActive(item.path, item.exact !== false);
       const isExpanded = expanded[item.text] || isItemActive;
@@ -10,6 +10,7 @@ import {
   clearError 
 } from '../store/slices/authSlice';
 import { getAuthToken, setAuthToken, removeAuthToken } from '../utils/auth';
+import { hasPermission, isStaff } from '../utils/permissions';
 
 export const useAuth = () => {
   const dispatch = useDispatch();
@@ -186,27 +187,30 @@ export const withAuth = (Component) => {
 
 /**
  * Higher-Order Component (HOC) to protect admin routes
+ * @param {React.ComponentType} Component - The page to protect
+ * @param {string|string[]} [permission] - Permission required; without one, any staff permission is enough
  */
-export const withAdmin = (Component) => {
+export const withAdmin = (Component, permission) => {
   const WrappedComponent = (props) => {
     const { isAuthenticated, loading, user } = useAuth();
     const location = useLocation();
     const navigate = useNavigate();
+    const authorized = permission ? hasPermission(user, permission) : isStaff(user);
 
     useEffect(() => {
-      if (!loading && (!isAuthenticated || user?.role !== 'admin')) {
+      if (!loading && (!isAuthenticated || !authorized)) {
         navigate('/unauthorized', { 
           state: { from: location },
           replace: true 
         });
       }
-    }, [isAuthenticated, loading, user, location, navigate]);
+    }, [isAuthenticated, loading, authorized, location, navigate]);
 
     if (loading) {
       return <div>Loading...</div>; // Or a proper loading component
     }
 
-    return isAuthenticated && user?.role === 'admin' ? <Component {...props} /> : null;
+    return isAuthenticated && authorized ? <Component {...props} /> : null;
   };
 
   return WrappedComponent;
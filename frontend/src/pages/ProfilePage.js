@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { logout, updateUserProfile, changePassword } from '../store/slices/authSlice';
+import { logout, updateUserProfile, changePassword, clearError } from '../store/slices/authSlice';
 import {
   Container,
   Box,
@@ -14,6 +14,7 @@ import {
   Divider
 } from '@mui/material';
 import { styled } from '@mui/material/styles';
+import ActiveSessions from '../components/auth/ActiveSessions';
 
 const ProfileContainer = styled(Paper)(({ theme }) => ({
   marginTop: theme.spacing(4),
@@ -37,6 +38,12 @@ export default function ProfilePage() {
     confirmNewPassword: '',
   });
 
+  useEffect(() => {
+    return () => {
+      dispatch(clearError());
+    };
+  }, [dispatch]);
+
   useEffect(() => {
     if (user) {
       setProfileData({
@@ -176,6 +183,10 @@ export default function ProfilePage() {
             {loading ? <CircularProgress size={24} /> : 'Change Password'}
           </Button>
         </form>
+
+        <Divider sx={{ my: 4 }} />
+
+        <ActiveSessions />
       </ProfileContainer>
     </Container>
   );
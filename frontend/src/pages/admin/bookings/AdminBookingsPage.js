@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import {
   Box, Container, Typography, Paper, Table, TableBody, TableCell, TableContainer,
   TableHead, TableRow, TablePagination, IconButton, Tooltip, Alert, CircularProgress,
@@ -8,6 +9,8 @@ import {
 import { Search as SearchIcon, Visibility, Receipt } from '@mui/icons-material';
 import { bookingsAPI } from '../../../services/api';
 import { format } from 'date-fns';
+import ReservationChartPanel from './ReservationChartPanel';
+import { hasPermission } from '../../../utils/permissions';
 
 const statusColors = {
   confirmed: 'success',
@@ -17,8 +20,11 @@ const statusColors = {
 };
 
 const AdminBookingsPage = () => {
+  const { user } = useSelector((state) => state.auth);
+  // Ticket checkers see charts here but not the booking list
+  const canListBookings = hasPermission(user, 'bookings:read');
   const [bookings, setBookings] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(canListBookings);
   const [error, setError] = useState(null);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
@@ -27,6 +33,8 @@ const AdminBookingsPage = () => {
   const navigate = useNavigate();
 
   useEffect(() => {
+    if (!canListBookings) return;
+
     const fetchBookings = async () => {
       try {
         setLoading(true);
@@ -44,7 +52,7 @@ const AdminBookingsPage = () => {
     };
 
     fetchBookings();
-  }, [searchTerm, statusFilter]);
+  }, [canListBookings, searchTerm, statusFilter]);
 
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
@@ -99,109 +107,115 @@ const AdminBookingsPage = () => {
           </Alert>
         )}
 
-        <Box display="flex" gap={2} mb={3} flexWrap="wrap">
-          <Box flex={1} minWidth={300}>
-            <TextField
-              fullWidth
-              variant="outlined"
-              placeholder="Search bookings..."
-              value={searchTerm}
-              onChange={handleSearch}
-              InputProps={{
-                startAdornment: <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />,
-              }}
-            />
-          </Box>
-          <Box width={200}>
-            <FormControl fullWidth variant="outlined">
-              <InputLabel>Status</InputLabel>
-              <Select
-                value={statusFilter}
-                onChange={handleStatusFilterChange}
-                label="Status"
-              >
-                <MenuItem value="all">All Status</MenuItem>
-                <MenuItem value="confirmed">Confirmed</MenuItem>
-                <MenuItem value="pending">Pending</MenuItem>
-                <MenuItem value="cancelled">Cancelled</MenuItem>
-                <MenuItem value="completed">Completed</MenuItem>
-              </Select>
-            </FormControl>
-          </Box>
-        </Box>
-
-        <Paper elevation={3}>
-          <TableContainer>
-            <Table>
-              <TableHead>
-                <TableRow>
-                  <TableCell>PNR</TableCell>
-                  <TableCell>Train</TableCell>
-                  <TableCell>Passenger</TableCell>
-                  <TableCell>Journey Date</TableCell>
-                  <TableCell>Status</TableCell>
-                  <TableCell>Amount</TableCell>
-                  <TableCell>Actions</TableCell>
-                </TableRow>
-              </TableHead>
-              <TableBody>
-                {bookings.length > 0 ? (
-                  bookings
-                    .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
-                    .map((booking) => (
-                      <TableRow key={booking._id} hover>
-                        <TableCell>{booking.pnr}</TableCell>
-                        <TableCell>
-                          {booking.train?.trainNumber} - {booking.train?.name}
-                        </TableCell>
-                        <TableCell>
-                          {booking.passengerDetails?.name}
-                        </TableCell>
-                        <TableCell>{formatDate(booking.journeyDate)}</TableCell>
-                        <TableCell>
-                          <Chip 
-                            label={booking.status}
-                            color={statusColors[booking.status] || 'default'}
-                            size="small"
-                          />
-                        </TableCell>
-                        <TableCell>₹{booking.totalFare?.toFixed(2)}</TableCell>
-                        <TableCell>
-                          <Tooltip title="View Details">
-                            <IconButton onClick={() => handleView(booking._id)} size="small">
-                              <Visibility fontSize="small" />
-                            </IconButton>
-                          </Tooltip>
-                          <Tooltip title="View Ticket">
-                            <IconButton size="small" onClick={() => navigate(`/bookings/${booking._id}/ticket`)}>
-                              <Receipt fontSize="small" />
-                            </IconButton>
-                          </Tooltip>
+        {hasPermission(user, 'charts:read') && <ReservationChartPanel />}
+
+        {canListBookings && (
+          <>
+            <Box display="flex" gap={2} mb={3} flexWrap="wrap">
+              <Box flex={1} minWidth={300}>
+                <TextField
+                  fullWidth
+                  variant="outlined"
+                  placeholder="Search bookings..."
+                  value={searchTerm}
+                  onChange={handleSearch}
+                  InputProps={{
+                    startAdornment: <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />,
+                  }}
+                />
+              </Box>
+              <Box width={200}>
+                <FormControl fullWidth variant="outlined">
+                  <InputLabel>Status</InputLabel>
+                  <Select
+                    value={statusFilter}
+                    onChange={handleStatusFilterChange}
+                    label="Status"
+                  >
+                    <MenuItem value="all">All Status</MenuItem>
+                    <MenuItem value="confirmed">Confirmed</MenuItem>
+                    <MenuItem value="pending">Pending</MenuItem>
+                    <MenuItem value="cancelled">Cancelled</MenuItem>
+                    <MenuItem value="completed">Completed</MenuItem>
+                  </Select>
+                </FormControl>
+              </Box>
+            </Box>
+
+            <Paper elevation={3}>
+              <TableContainer>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>PNR</TableCell>
+                      <TableCell>Train</TableCell>
+                      <TableCell>Passenger</TableCell>
+                      <TableCell>Journey Date</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell>Amount</TableCell>
+                      <TableCell>Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {bookings.length > 0 ? (
+                      bookings
+                        .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+                        .map((booking) => (
+                          <TableRow key={booking._id} hover>
+                            <TableCell>{booking.pnr}</TableCell>
+                            <TableCell>
+                              {booking.train?.trainNumber} - {booking.train?.name}
+                            </TableCell>
+                            <TableCell>
+                              {booking.passengerDetails?.name}
+                            </TableCell>
+                            <TableCell>{formatDate(booking.journeyDate)}</TableCell>
+                            <TableCell>
+                              <Chip 
+                                label={booking.status}
+                                color={statusColors[booking.status] || 'default'}
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell>₹{booking.totalFare?.toFixed(2)}</TableCell>
+                            <TableCell>
+                              <Tooltip title="View Details">
+                                <IconButton onClick={() => handleView(booking._id)} size="small">
+                                  <Visibility fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                              <Tooltip title="View Ticket">
+                                <IconButton size="small" onClick={() => navigate(`/bookings/${booking._id}/ticket`)}>
+                                  <Receipt fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            </TableCell>
+                          </TableRow>
+                        ))
+                    ) : (
+                      <TableRow>
+                        <TableCell colSpan={7} align="center">
+                          {searchTerm || statusFilter !== 'all' 
+                            ? 'No matching bookings found' 
+                            : 'No bookings available'}
                         </TableCell>
                       </TableRow>
-                    ))
-                ) : (
-                  <TableRow>
-                    <TableCell colSpan={7} align="center">
-                      {searchTerm || statusFilter !== 'all' 
-                        ? 'No matching bookings found' 
-                        : 'No bookings available'}
-                    </TableCell>
-                  </TableRow>
-                )}
-              </TableBody>
-            </Table>
-          </TableContainer>
-          <TablePagination
-            rowsPerPageOptions={[5, 10, 25]}
-            component="div"
-            count={bookings.length}
-            rowsPerPage={rowsPerPage}
-            page={page}
-            onPageChange={handleChangePage}
-            onRowsPerPageChange={handleChangeRowsPerPage}
-          />
-        </Paper>
+                    )}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <TablePagination
+                rowsPerPageOptions={[5, 10, 25]}
+                component="div"
+                count={bookings.length}
+                rowsPerPage={rowsPerPage}
+                page={page}
+                onPageChange={handleChangePage}
+                onRowsPerPageChange={handleChangeRowsPerPage}
+              />
+            </Paper>
+          </>
+        )}
       </Box>
     </Container>
   );
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box, Typography, Paper, Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+  Alert, Button, TextField, MenuItem, Select, InputLabel, FormControl, Chip, CircularProgress
+} from '@mui/material';
+import { Assignment, Download, Visibility } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import { useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import { trainsAPI } from '../../../services/api';
+import { hasPermission } from '../../../utils/permissions';
+
+// Prepare a run's reservation chart ahead of the scheduled job, and view or
+// download its coach-wise passenger list
+const ReservationChartPanel = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  const { user } = useSelector((state) => state.auth);
+  const [trains, setTrains] = useState([]);
+  const [trainId, setTrainId] = useState('');
+  const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [chart, setChart] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    trainsAPI.getTrains()
+      .then(response => setTrains(response.data.data || []))
+      .catch(err => setError(err.message || 'Failed to fetch trains'));
+  }, []);
+
+  useEffect(() => {
+    setChart(null);
+  }, [trainId, date]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleView = () => run(async () => {
+    const response = await trainsAPI.getChart(trainId, date);
+    setChart(response.data.data);
+  });
+
+  const handlePrepare = () => {
+    if (!window.confirm('Prepare the chart now? Waitlisted passengers will be cancelled and refunded, and the run will take no more bookings.')) {
+      return;
+    }
+    run(async () => {
+      const response = await trainsAPI.prepareChart(trainId, date);
+      enqueueSnackbar(response.data.message, { variant: 'success' });
+      const chartResponse = await trainsAPI.getChart(trainId, date);
+      setChart(chartResponse.data.data);
+    });
+  };
+
+  const handleDownload = () => run(async () => {
+    const response = await trainsAPI.downloadChart(trainId, date);
+    const train = trains.find(t => t._id === trainId);
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chart-${train ? train.trainNumber : trainId}-${date}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Reservation Chart
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Box display="flex" gap={2} mb={2} flexWrap="wrap" alignItems="center">
+        <Box width={300}>
+          <FormControl fullWidth variant="outlined">
+            <InputLabel>Train</InputLabel>
+            <Select value={trainId} onChange={(e) => setTrainId(e.target.value)} label="Train">
+              {trains.map(train => (
+                <MenuItem key={train._id} value={train._id}>
+                  {train.trainNumber} - {train.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+        <TextField
+          type="date"
+          label="Journey date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button variant="outlined" startIcon={<Visibility />} onClick={handleView} disabled={!trainId || !date || busy}>
+          View Chart
+        </Button>
+        {hasPermission(user, 'charts:prepare') && (
+          <Button
+            variant="contained"
+            startIcon={<Assignment />}
+            onClick={handlePrepare}
+            disabled={!trainId || !date || busy || Boolean(chart && chart.prepared)}
+          >
+            Prepare Chart
+          </Button>
+        )}
+        <Button variant="outlined" startIcon={<Download />} onClick={handleDownload} disabled={!trainId || !date || busy}>
+          Download CSV
+        </Button>
+        {busy && <CircularProgress size={24} />}
+      </Box>
+
+      {chart && (
+        <Box>
+          <Box display="flex" gap={1} alignItems="center" mb={2}>
+            <Typography variant="subtitle1">
+              {chart.train.number} {chart.train.name}, {chart.journeyDate}
+            </Typography>
+            <Chip
+              size="small"
+              color={chart.prepared ? 'success' : 'default'}
+              label={chart.prepared
+                ? `Prepared ${format(new Date(chart.preparedAt), 'PPpp')}`
+                : 'Not prepared'}
+            />
+          </Box>
+
+          {chart.coaches.length === 0 && chart.unallotted.length === 0 && (
+            <Typography color="textSecondary">No passengers on this run</Typography>
+          )}
+
+          {[...chart.coaches, ...(chart.unallotted.length ? [{ coach: 'Without berth', passengers: chart.unallotted }] : [])]
+            .map(coach => (
+              <Box key={coach.coach} mb={3}>
+                <Typography variant="subtitle2" gutterBottom>
+                  {coach.coach}{coach.coachType ? ` (${coach.coachType})` : ''} - {coach.passengers.length} passenger(s)
+                </Typography>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Berth</TableCell>
+                        <TableCell>PNR</TableCell>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Age</TableCell>
+                        <TableCell>Gender</TableCell>
+                        <TableCell>From</TableCell>
+                        <TableCell>To</TableCell>
+                        <TableCell>Status</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {coach.passengers.map((p, i) => (
+                        <TableRow key={`${p.pnr}-${i}`}>
+                          <TableCell>{p.seatNumber ? `${p.seatNumber} ${p.berthType || ''}` : '-'}</TableCell>
+                          <TableCell>{p.pnr}</TableCell>
+                          <TableCell>{p.name}</TableCell>
+                          <TableCell>{p.age}</TableCell>
+                          <TableCell>{p.gender}</TableCell>
+                          <TableCell>{p.from}</TableCell>
+                          <TableCell>{p.to}</TableCell>
+                          <TableCell>{p.status}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            ))}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default ReservationChartPanel;
@@ -1,4 +1,223 @@
-import React from 'react';
-export default function UserDetailsPage() {
-  return <div>User Details Page</div>;
-}
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Container,
+  Grid,
+  Paper,
+  Rating,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  Alert
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon, Block as BlockIcon, CheckCircle as CheckCircleIcon } from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import { format } from 'date-fns';
+import { fetchUserDetails, updateUserStatus } from '../../../store/slices/userSlice';
+import { formatCurrency, userDisplayName } from '../../../utils/helpers';
+import { roleName } from '../../../utils/permissions';
+
+const Stat = ({ label, value }) => (
+  <Card variant="outlined">
+    <CardContent>
+      <Typography variant="body2" color="textSecondary">{label}</Typography>
+      <Typography variant="h5">{value}</Typography>
+    </CardContent>
+  </Card>
+);
+
+// One user's account, their bookings and reviews at a glance, and
+// suspending or reactivating them
+const UserDetailsPage = () => {
+  const { userId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+  const { details, detailsLoading, error } = useSelector((state) => state.user);
+
+  useEffect(() => {
+    dispatch(fetchUserDetails(userId));
+  }, [dispatch, userId]);
+
+  const handleToggleStatus = async () => {
+    const suspending = details.user.status !== 'suspended';
+    let reason;
+    if (suspending) {
+      reason = window.prompt('Suspend this user? They will be signed out everywhere. Reason (optional):');
+      if (reason === null) return;
+    }
+
+    try {
+      await dispatch(updateUserStatus({
+        id: details.user._id,
+        status: suspending ? 'suspended' : 'active',
+        ...(reason && { reason })
+      })).unwrap();
+      enqueueSnackbar(suspending ? 'User suspended' : 'User reactivated', { variant: 'success' });
+    } catch (message) {
+      enqueueSnackbar(message, { variant: 'error' });
+    }
+  };
+
+  if (detailsLoading || (!details && !error)) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!details) {
+    return (
+      <Container maxWidth="lg" sx={{ my: 4 }}>
+        <Alert severity="error">{error}</Alert>
+      </Container>
+    );
+  }
+
+  const { user, bookings, reviews, activeSessions } = details;
+  const suspended = user.status === 'suspended';
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ my: 4 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/admin/users')} sx={{ mb: 2 }}>
+          Back to Users
+        </Button>
+
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: 2 }}>
+            <Box>
+              <Typography variant="h4" component="h1">{userDisplayName(user)}</Typography>
+              <Typography color="textSecondary">@{user.username} - {user.email}</Typography>
+              {user.phone && <Typography color="textSecondary">{user.phone}</Typography>}
+              <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+                Joined {format(new Date(user.createdAt), 'dd MMM yyyy')} - {activeSessions} active session(s)
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <Chip label={roleName(user.role)} color={user.role !== 'user' ? 'primary' : 'default'} variant="outlined" />
+              <Chip label={suspended ? 'Suspended' : 'Active'} color={suspended ? 'error' : 'success'} />
+              <Button
+                variant="outlined"
+                color={suspended ? 'success' : 'error'}
+                startIcon={suspended ? <CheckCircleIcon /> : <BlockIcon />}
+                onClick={handleToggleStatus}
+              >
+                {suspended ? 'Reactivate' : 'Suspend'}
+              </Button>
+            </Box>
+          </Box>
+
+          {suspended && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              Suspended {user.suspendedAt && format(new Date(user.suspendedAt), 'dd MMM yyyy, HH:mm')}
+              {user.suspendedBy && ` by ${user.suspendedBy.username}`}
+              {user.suspendedReason && `: ${user.suspendedReason}`}
+            </Alert>
+          )}
+        </Paper>
+
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          <Grid item xs={6} md={3}>
+            <Stat label="Bookings" value={bookings.total} />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Stat label="Upcoming journeys" value={bookings.upcoming} />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Stat label="Amount paid" value={formatCurrency(bookings.amountPaid)} />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Stat label="Reviews" value={reviews.count} />
+          </Grid>
+        </Grid>
+
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+            <Typography variant="h6">Recent Bookings</Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {Object.entries(bookings.byStatus).map(([status, count]) => (
+                <Chip key={status} size="small" label={`${status}: ${count}`} />
+              ))}
+            </Box>
+          </Box>
+          {bookings.recent.length === 0 ? (
+            <Typography color="textSecondary">No bookings yet</Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>PNR</TableCell>
+                    <TableCell>Train</TableCell>
+                    <TableCell>Journey</TableCell>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Payment</TableCell>
+                    <TableCell align="right">Fare</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {bookings.recent.map(booking => (
+                    <TableRow key={booking._id}>
+                      <TableCell>{booking.pnr}</TableCell>
+                      <TableCell>{booking.train ? `${booking.train.trainNumber} ${booking.train.name}` : '-'}</TableCell>
+                      <TableCell>{booking.fromStation?.code} - {booking.toStation?.code}</TableCell>
+                      <TableCell>{format(new Date(booking.journeyDate), 'dd MMM yyyy')}</TableCell>
+                      <TableCell>{booking.bookingStatus}</TableCell>
+                      <TableCell>{booking.paymentStatus}</TableCell>
+                      <TableCell align="right">{formatCurrency(booking.totalFare)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Paper>
+
+        <Paper elevation={3} sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+            <Typography variant="h6">Recent Reviews</Typography>
+            {reviews.averageRating !== null && (
+              <>
+                <Rating value={reviews.averageRating} precision={0.1} readOnly size="small" />
+                <Typography variant="body2" color="textSecondary">{reviews.averageRating} average</Typography>
+              </>
+            )}
+          </Box>
+          {reviews.recent.length === 0 ? (
+            <Typography color="textSecondary">No reviews yet</Typography>
+          ) : (
+            reviews.recent.map(review => (
+              <Box key={review._id} sx={{ mb: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Rating value={review.rating} readOnly size="small" />
+                  <Typography variant="subtitle2">{review.title}</Typography>
+                </Box>
+                <Typography variant="body2" color="textSecondary">
+                  {review.train ? `${review.train.trainNumber} ${review.train.name}` : 'Train removed'}
+                  {' - '}
+                  {format(new Date(review.createdAt), 'dd MMM yyyy')}
+                </Typography>
+              </Box>
+            ))
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default UserDetailsPage;
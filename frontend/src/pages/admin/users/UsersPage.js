@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Button,
@@ -10,7 +11,6 @@ import {
   DialogActions,
   DialogContent,
   DialogTitle,
-  Grid,
   IconButton,
   Paper,
   Table,
@@ -36,7 +36,6 @@ import {
   Divider
 } from '@mui/material';
 import {
-  Add as AddIcon,
   Edit as EditIcon,
   Delete as DeleteIcon,
   MoreVert as MoreVertIcon,
@@ -48,19 +47,25 @@ import {
   Block as BlockIcon,
   CheckCircle as CheckCircleIcon
 } from '@mui/icons-material';
-import { fetchUsers, deleteUser, updateUserStatus } from '../../../store/slices/userSlice';
+import { fetchUsers, deleteUser, updateUserStatus, updateUserRole } from '../../../store/slices/userSlice';
+import { forgotPassword } from '../../../services/api/authAPI';
+import { userDisplayName as displayName } from '../../../utils/helpers';
+import { PERMISSIONS, ROLES, roleName } from '../../../utils/permissions';
 
 const UsersPage = () => {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const theme = useTheme();
   
   // Selectors
-  const { users = [], loading, error } = useSelector((state) => state.user || {});
+  const { users = [], total = 0, loading, error } = useSelector((state) => state.user || {});
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [searchTerm, setSearchTerm] = useState('');
-  const [openDialog, setOpenDialog] = useState(false);
-  const [selectedUser, setSelectedUser] = useState(null);
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [roleUser, setRoleUser] = useState(null);
+  const [role, setRole] = useState('user');
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedUserId, setSelectedUserId] = useState(null);
   const [snackbar, setSnackbar] = useState({
@@ -69,10 +74,30 @@ const UsersPage = () => {
     severity: 'success'
   });
 
-  // Fetch users on component mount
+  const selectedUser = users.find(u => u._id === selectedUserId);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchTerm.trim());
+      setPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Fetch the page of users being looked at
   useEffect(() => {
-    dispatch(fetchUsers());
-  }, [dispatch]);
+    dispatch(fetchUsers({
+      page: page + 1,
+      limit: rowsPerPage,
+      ...(search && { search }),
+      ...(statusFilter && { status: statusFilter })
+    }));
+  }, [dispatch, page, rowsPerPage, search, statusFilter]);
+
+  const notify = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
 
   // Handle menu open/close
   const handleMenuOpen = (event, userId) => {
@@ -85,56 +110,67 @@ const UsersPage = () => {
     setSelectedUserId(null);
   };
 
-  // Handle dialog open/close
-  const handleOpenDialog = (user = null) => {
-    setSelectedUser(user);
-    setOpenDialog(true);
+  // Handle role dialog open/close
+  const handleOpenRoleDialog = (user) => {
+    setRoleUser(user);
+    setRole(user.role);
+  };
+
+  const handleCloseRoleDialog = () => {
+    setRoleUser(null);
   };
 
-  const handleCloseDialog = () => {
-    setOpenDialog(false);
-    setSelectedUser(null);
+  const handleSaveRole = async () => {
+    try {
+      await dispatch(updateUserRole({ id: roleUser._id, role })).unwrap();
+      notify(`${displayName(roleUser)}'s role changed to ${roleName(role)}`);
+      handleCloseRoleDialog();
+    } catch (message) {
+      notify(message, 'error');
+    }
   };
 
   // Handle delete user
   const handleDeleteUser = async (id) => {
+    handleMenuClose();
     try {
       await dispatch(deleteUser(id)).unwrap();
-      setSnackbar({
-        open: true,
-        message: 'User deleted successfully',
-        severity: 'success'
-      });
-      handleMenuClose();
-    } catch (error) {
-      setSnackbar({
-        open: true,
-        message: error.message || 'Failed to delete user',
-        severity: 'error'
-      });
+      notify('User deleted successfully');
+    } catch (message) {
+      notify(message, 'error');
     }
   };
 
-  // Handle user status toggle
-  const handleToggleStatus = async (userId, currentStatus) => {
+  // Suspend (asking why) or reactivate a user
+  const handleToggleStatus = async (user) => {
+    handleMenuClose();
+    const suspending = user.status !== 'suspended';
+    let reason;
+    if (suspending) {
+      reason = window.prompt(`Suspend ${displayName(user)}? They will be signed out everywhere. Reason (optional):`);
+      if (reason === null) return;
+    }
+
     try {
-      await dispatch(updateUserStatus({ 
-        id: userId, 
-        status: currentStatus === 'active' ? 'inactive' : 'active' 
+      await dispatch(updateUserStatus({
+        id: user._id,
+        status: suspending ? 'suspended' : 'active',
+        ...(reason && { reason })
       })).unwrap();
-      
-      setSnackbar({
-        open: true,
-        message: `User ${currentStatus === 'active' ? 'deactivated' : 'activated'} successfully`,
-        severity: 'success'
-      });
-      handleMenuClose();
+      notify(`User ${suspending ? 'suspended' : 'reactivated'} successfully`);
+    } catch (message) {
+      notify(message, 'error');
+    }
+  };
+
+  // Email the user a password reset link
+  const handleSendReset = async (user) => {
+    handleMenuClose();
+    try {
+      await forgotPassword(user.email);
+      notify(`Password reset link sent to ${user.email}`);
     } catch (error) {
-      setSnackbar({
-        open: true,
-        message: error.message || 'Failed to update user status',
-        severity: 'error'
-      });
+      notify(error.response?.data?.message || 'Failed to send the reset link', 'error');
     }
   };
 
@@ -148,19 +184,6 @@ const UsersPage = () => {
     setPage(0);
   };
 
-  // Filter users based on search term
-  const filteredUsers = users.filter(user => 
-    user.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    user.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    user.role?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  // Pagination
-  const paginatedUsers = filteredUsers.slice(
-    page * rowsPerPage,
-    page * rowsPerPage + rowsPerPage
-  );
-
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -181,14 +204,6 @@ const UsersPage = () => {
               Users Management
             </Typography>
           </Box>
-          <Button
-            variant="contained"
-            color="primary"
-            startIcon={<AddIcon />}
-            onClick={() => handleOpenDialog()}
-          >
-            Add New User
-          </Button>
         </Box>
 
         <Card elevation={3} sx={{ mb: 4 }}>
@@ -197,7 +212,7 @@ const UsersPage = () => {
               <TextField
                 variant="outlined"
                 size="small"
-                placeholder="Search users..."
+                placeholder="Search by name or email..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 InputProps={{
@@ -210,6 +225,21 @@ const UsersPage = () => {
                 }}
                 sx={{ width: 300 }}
               />
+              <TextField
+                select
+                size="small"
+                label="Status"
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(0);
+                }}
+                sx={{ width: 160 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="suspended">Suspended</MenuItem>
+              </TextField>
             </Box>
 
             {loading ? (
@@ -233,22 +263,21 @@ const UsersPage = () => {
                       </TableRow>
                     </TableHead>
                     <TableBody>
-                      {paginatedUsers.length > 0 ? (
-                        paginatedUsers.map((user) => (
+                      {users.length > 0 ? (
+                        users.map((user) => (
                           <TableRow key={user._id} hover>
                             <TableCell>
                               <Box sx={{ display: 'flex', alignItems: 'center' }}>
                                 <Avatar 
-                                  src={user.avatar} 
-                                  alt={user.name}
+                                  alt={displayName(user)}
                                   sx={{ width: 32, height: 32, mr: 2 }}
                                 >
-                                  {user.name?.charAt(0)?.toUpperCase()}
+                                  {displayName(user).charAt(0).toUpperCase()}
                                 </Avatar>
                                 <Box>
-                                  <Typography variant="subtitle2">{user.name}</Typography>
+                                  <Typography variant="subtitle2">{displayName(user)}</Typography>
                                   <Typography variant="caption" color="textSecondary">
-                                    ID: {user._id?.substring(0, 8)}...
+                                    @{user.username}
                                   </Typography>
                                 </Box>
                               </Box>
@@ -256,16 +285,16 @@ const UsersPage = () => {
                             <TableCell>{user.email}</TableCell>
                             <TableCell>
                               <Chip 
-                                label={user.role || 'User'} 
+                                label={roleName(user.role)} 
                                 size="small" 
-                                color={user.role === 'admin' ? 'primary' : 'default'}
+                                color={user.role && user.role !== 'user' ? 'primary' : 'default'}
                                 variant="outlined"
                               />
                             </TableCell>
                             <TableCell>
                               <Chip 
-                                label={user.status === 'active' ? 'Active' : 'Inactive'} 
-                                color={user.status === 'active' ? 'success' : 'default'}
+                                label={user.status === 'suspended' ? 'Suspended' : 'Active'} 
+                                color={user.status === 'suspended' ? 'error' : 'success'}
                                 size="small"
                                 variant="outlined"
                               />
@@ -287,7 +316,7 @@ const UsersPage = () => {
                         <TableRow>
                           <TableCell colSpan={6} align="center" sx={{ py: 3 }}>
                             <Typography color="textSecondary">
-                              {searchTerm ? 'No matching users found' : 'No users available'}
+                              {search || statusFilter ? 'No matching users found' : 'No users available'}
                             </Typography>
                           </TableCell>
                         </TableRow>
@@ -298,7 +327,7 @@ const UsersPage = () => {
                 <TablePagination
                   rowsPerPageOptions={[5, 10, 25]}
                   component="div"
-                  count={filteredUsers.length}
+                  count={total}
                   rowsPerPage={rowsPerPage}
                   page={page}
                   onPageChange={handleChangePage}
@@ -324,50 +353,42 @@ const UsersPage = () => {
           horizontal: 'right',
         }}
       >
+        <MenuItem onClick={() => navigate(`/admin/users/${selectedUserId}`)}>
+          <ListItemIcon>
+            <VisibilityIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>View Details</ListItemText>
+        </MenuItem>
         <MenuItem onClick={() => {
-          const user = users.find(u => u._id === selectedUserId);
-          handleOpenDialog(user);
+          handleOpenRoleDialog(selectedUser);
           handleMenuClose();
         }}>
           <ListItemIcon>
             <EditIcon fontSize="small" />
           </ListItemIcon>
-          <ListItemText>Edit User</ListItemText>
+          <ListItemText>Change Role</ListItemText>
         </MenuItem>
-        <MenuItem onClick={() => {
-          const user = users.find(u => u._id === selectedUserId);
-          if (user) {
-            handleToggleStatus(user._id, user.status);
-          }
-        }}>
+        <MenuItem onClick={() => selectedUser && handleToggleStatus(selectedUser)}>
           <ListItemIcon>
-            {users.find(u => u._id === selectedUserId)?.status === 'active' ? (
-              <BlockIcon fontSize="small" color="error" />
-            ) : (
+            {selectedUser?.status === 'suspended' ? (
               <CheckCircleIcon fontSize="small" color="success" />
+            ) : (
+              <BlockIcon fontSize="small" color="error" />
             )}
           </ListItemIcon>
           <ListItemText>
-            {users.find(u => u._id === selectedUserId)?.status === 'active' ? 'Deactivate' : 'Activate'}
+            {selectedUser?.status === 'suspended' ? 'Reactivate' : 'Suspend'}
           </ListItemText>
         </MenuItem>
-        <MenuItem onClick={() => {
-          // Handle reset password
-          handleMenuClose();
-          setSnackbar({
-            open: true,
-            message: 'Password reset link sent to user',
-            severity: 'success'
-          });
-        }}>
+        <MenuItem onClick={() => selectedUser && handleSendReset(selectedUser)}>
           <ListItemIcon>
             <LockResetIcon fontSize="small" />
           </ListItemIcon>
-          <ListItemText>Reset Password</ListItemText>
+          <ListItemText>Send Password Reset</ListItemText>
         </MenuItem>
         <Divider />
         <MenuItem onClick={() => {
-          if (window.confirm('Are you sure you want to delete this user?')) {
+          if (window.confirm('Delete this user? Users with bookings cannot be deleted; suspend them instead.')) {
             handleDeleteUser(selectedUserId);
           }
         }}>
@@ -378,106 +399,49 @@ const UsersPage = () => {
         </MenuItem>
       </Menu>
 
-      {/* Add/Edit User Dialog */}
-      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+      {/* Change Role Dialog */}
+      <Dialog open={Boolean(roleUser)} onClose={handleCloseRoleDialog} maxWidth="xs" fullWidth>
         <DialogTitle>
-          {selectedUser ? 'Edit User' : 'Add New User'}
+          Change Role
         </DialogTitle>
         <DialogContent>
-          <Box sx={{ mt: 2 }}>
-            <Grid container spacing={2}>
-              <Grid item xs={12} sm={6}>
-                <TextField
-                  fullWidth
-                  label="Full Name"
-                  variant="outlined"
-                  defaultValue={selectedUser?.name || ''}
-                  margin="normal"
-                />
-              </Grid>
-              <Grid item xs={12} sm={6}>
-                <TextField
-                  fullWidth
-                  label="Email"
-                  type="email"
-                  variant="outlined"
-                  defaultValue={selectedUser?.email || ''}
-                  margin="normal"
-                />
-              </Grid>
-              {!selectedUser && (
-                <>
-                  <Grid item xs={12} sm={6}>
-                    <TextField
-                      fullWidth
-                      label="Password"
-                      type="password"
-                      variant="outlined"
-                      margin="normal"
-                    />
-                  </Grid>
-                  <Grid item xs={12} sm={6}>
-                    <TextField
-                      fullWidth
-                      label="Confirm Password"
-                      type="password"
-                      variant="outlined"
-                      margin="normal"
-                    />
-                  </Grid>
-                </>
-              )}
-              <Grid item xs={12} sm={6}>
-                <TextField
-                  fullWidth
-                  label="Role"
-                  variant="outlined"
-                  defaultValue={selectedUser?.role || 'user'}
-                  margin="normal"
-                  select
-                  SelectProps={{ native: true }}
-                >
-                  <option value="user">User</option>
-                  <option value="admin">Admin</option>
-                  <option value="agent">Agent</option>
-                </TextField>
-              </Grid>
-              <Grid item xs={12} sm={6}>
-                <TextField
-                  fullWidth
-                  label="Status"
-                  variant="outlined"
-                  defaultValue={selectedUser?.status || 'active'}
-                  margin="normal"
-                  select
-                  SelectProps={{ native: true }}
-                >
-                  <option value="active">Active</option>
-                  <option value="inactive">Inactive</option>
-                  <option value="suspended">Suspended</option>
-                </TextField>
-              </Grid>
-            </Grid>
-          </Box>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+            {roleUser && `${displayName(roleUser)} (${roleUser.email})`}
+          </Typography>
+          <TextField
+            fullWidth
+            select
+            label="Role"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+          >
+            {Object.entries(ROLES).map(([id, { name }]) => (
+              <MenuItem key={id} value={id}>{name}</MenuItem>
+            ))}
+          </TextField>
+          <Typography variant="body2" color="textSecondary" component="div" sx={{ mt: 2 }}>
+            {ROLES[role] && ROLES[role].permissions.length > 0 ? (
+              <ul style={{ margin: 0, paddingLeft: 20 }}>
+                {ROLES[role].permissions.map(permission => (
+                  <li key={permission}>{PERMISSIONS[permission]}</li>
+                ))}
+              </ul>
+            ) : (
+              'Can book tickets and manage their own account only.'
+            )}
+          </Typography>
         </DialogContent>
         <DialogActions sx={{ p: 2 }}>
-          <Button onClick={handleCloseDialog} color="inherit">
+          <Button onClick={handleCloseRoleDialog} color="inherit">
             Cancel
           </Button>
           <Button
             variant="contained"
             color="primary"
-            onClick={() => {
-              // Handle save logic here
-              handleCloseDialog();
-              setSnackbar({
-                open: true,
-                message: selectedUser ? 'User updated successfully' : 'User added successfully',
-                severity: 'success'
-              });
-            }}
+            onClick={handleSaveRole}
+            disabled={!roleUser || role === roleUser.role}
           >
-            {selectedUser ? 'Update' : 'Add'} User
+            Save
           </Button>
         </DialogActions>
       </Dialog>
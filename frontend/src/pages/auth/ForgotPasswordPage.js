@@ -1,7 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link as RouterLink } from 'react-router-dom';
-import { forgotPassword } from '../../store/slices/authSlice';
+import { forgotPassword, clearError } from '../../store/slices/authSlice';
 import {
   Container,
   Box,
@@ -32,9 +32,15 @@ export default function ForgotPasswordPage() {
   const dispatch = useDispatch();
   const { loading, error, message } = useSelector((state) => state.auth);
 
+  useEffect(() => {
+    return () => {
+      dispatch(clearError());
+    };
+  }, [dispatch]);
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    dispatch(forgotPassword({ email }));
+    dispatch(forgotPassword(email));
   };
 
   return (
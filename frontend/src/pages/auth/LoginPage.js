@@ -420,6 +420,11 @@ export default function LoginPage() {
               Sign up
             </Link>
           </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            <Link component={RouterLink} to="/pnr-status" variant="body2">
+              Check PNR status
+            </Link>
+          </Typography>
         </Box>
       </AuthContainer>
     </Container>
@@ -55,7 +55,7 @@ export default function ResetPasswordPage() {
       alert("Passwords don't match");
       return;
     }
-    dispatch(resetPassword({ token: resetToken, newPassword: password }));
+    dispatch(resetPassword({ token: resetToken, password }));
   };
 
   useEffect(() => {
@@ -28,10 +28,12 @@ import {
   Event as EventIcon,
   ConfirmationNumber as TicketIcon,
   ArrowBack as ArrowBackIcon,
-  Home as HomeIcon
+  Home as HomeIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import { format, parseISO } from 'date-fns';
 import { getBookingDetails } from '../../store/slices/bookingSlice';
+import { bookingsAPI } from '../../services/api';
 import { useSnackbar } from 'notistack';
 
 const BookingConfirmationPage = () => {
@@ -42,6 +44,35 @@ const BookingConfirmationPage = () => {
   
   const { currentBooking: booking, loading, error } = useSelector((state) => state.booking);
   const [isLoading, setIsLoading] = useState(true);
+  const [downloadingTicket, setDownloadingTicket] = useState(false);
+
+  const canDownloadTicket = booking
+    && ['Completed', 'PartiallyRefunded'].includes(booking.paymentStatus)
+    && booking.bookingStatus !== 'Cancelled';
+
+  const handleDownloadTicket = async () => {
+    setDownloadingTicket(true);
+    try {
+      const response = await bookingsAPI.downloadTicket(booking._id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `e-ticket-${booking.pnr}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      // Error bodies arrive as a Blob too
+      let message = 'Failed to download the e-ticket';
+      try {
+        message = JSON.parse(await err.response.data.text()).message || message;
+      } catch (parseError) {
+        // Keep the generic message
+      }
+      enqueueSnackbar(message, { variant: 'error' });
+    } finally {
+      setDownloadingTicket(false);
+    }
+  };
 
   useEffect(() => {
     if (!bookingId) {
@@ -264,6 +295,18 @@ const BookingConfirmationPage = () => {
           >
             Print Ticket
           </Button>
+          {canDownloadTicket && (
+            <Button 
+              variant="contained" 
+              color="primary" 
+              size="large"
+              onClick={handleDownloadTicket}
+              disabled={downloadingTicket}
+              startIcon={downloadingTicket ? <CircularProgress size={20} /> : <DownloadIcon />}
+            >
+              Download E-ticket
+            </Button>
+          )}
           <Button 
             variant="outlined" 
             color="primary" 
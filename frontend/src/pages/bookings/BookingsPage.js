@@ -1,7 +1,12 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { Link as RouterLink } from 'react-router-dom';
-import { fetchUserBookings } from '../../store/slices/bookingsSlice';
+import {
+  fetchUserBookings,
+  fetchRefundPreview,
+  cancelUserBooking,
+  clearRefundPreview,
+} from '../../store/slices/bookingsSlice';
 import {
   Container,
   Box,
@@ -22,6 +27,15 @@ import {
   ListItemAvatar,
   ListItemText,
   useTheme,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
 } from '@mui/material';
 import {
   Train as TrainIcon,
@@ -33,6 +47,7 @@ import {
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
 import { format } from 'date-fns';
+import { useSnackbar } from 'notistack';
 
 const BookingsContainer = styled(Paper)(({ theme }) => ({
   marginTop: theme.spacing(4),
@@ -72,7 +87,106 @@ const StatusChip = ({ status }) => {
   );
 };
 
-const BookingItem = ({ booking }) => {
+// Shows the refund quote and asks the user to confirm the cancellation
+const CancelBookingDialog = ({ booking, onClose }) => {
+  const dispatch = useDispatch();
+  const { enqueueSnackbar } = useSnackbar();
+  const { refundPreview, previewLoading, cancelling, cancelError } = useSelector((state) => state.bookings);
+
+  useEffect(() => {
+    if (booking) {
+      dispatch(fetchRefundPreview(booking._id));
+    }
+    return () => {
+      dispatch(clearRefundPreview());
+    };
+  }, [dispatch, booking]);
+
+  const handleConfirm = async () => {
+    const resultAction = await dispatch(cancelUserBooking(booking._id));
+    if (cancelUserBooking.fulfilled.match(resultAction)) {
+      const refund = resultAction.payload.refund;
+      enqueueSnackbar(
+        refund ? `Booking cancelled. ₹${refund.amount.toFixed(2)} will be refunded.` : 'Booking cancelled.',
+        { variant: 'success' }
+      );
+      dispatch(fetchUserBookings());
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(booking)} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Cancel booking {booking?.pnr}</DialogTitle>
+      <DialogContent>
+        {previewLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {cancelError && (
+          <Alert severity="error" sx={{ mb: 2 }}>{cancelError}</Alert>
+        )}
+
+        {refundPreview && (
+          <>
+            {!refundPreview.allowed && (
+              <Alert severity="warning" sx={{ mb: 2 }}>{refundPreview.reason}</Alert>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Passenger</TableCell>
+                  <TableCell align="right">Fare</TableCell>
+                  <TableCell align="right">Charge</TableCell>
+                  <TableCell align="right">Refund</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {refundPreview.passengers.map((passenger) => (
+                  <TableRow key={passenger._id}>
+                    <TableCell>
+                      {passenger.name}
+                      {passenger.rule && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {passenger.rule}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">₹{passenger.fare.toFixed(2)}</TableCell>
+                    <TableCell align="right">₹{(passenger.charge || 0).toFixed(2)}</TableCell>
+                    <TableCell align="right">₹{(passenger.refund || 0).toFixed(2)}</TableCell>
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell><strong>Total</strong></TableCell>
+                  <TableCell align="right">₹{refundPreview.totalFare.toFixed(2)}</TableCell>
+                  <TableCell align="right">₹{refundPreview.totalCharges.toFixed(2)}</TableCell>
+                  <TableCell align="right"><strong>₹{refundPreview.refundAmount.toFixed(2)}</strong></TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Keep Booking</Button>
+        <Button
+          color="error"
+          variant="contained"
+          onClick={handleConfirm}
+          disabled={!refundPreview?.allowed || cancelling}
+        >
+          Confirm Cancellation
+          {cancelling && <CircularProgress size={20} sx={{ ml: 1 }} />}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+const BookingItem = ({ booking, onCancel }) => {
   console.log('Rendering booking:', booking);
   
   // Format the date for display
@@ -250,11 +364,12 @@ const BookingItem = ({ booking }) => {
           >
             View Details
           </Button>
-          {booking.bookingStatus === 'Confirmed' && (
+          {booking.bookingStatus !== 'Cancelled' && (
             <Button 
               variant="outlined" 
               color="error" 
               size="small"
+              onClick={() => onCancel(booking)}
             >
               Cancel
             </Button>
@@ -277,6 +392,7 @@ export default function BookingsPage() {
     totalPages = 1,
     currentPage = 1 
   } = useSelector((state) => state.bookings);
+  const [bookingToCancel, setBookingToCancel] = useState(null);
 
   useEffect(() => {
     dispatch(fetchUserBookings());
@@ -337,7 +453,7 @@ export default function BookingsPage() {
         </Typography>
         
         {bookings.map((booking) => (
-          <BookingItem key={booking._id} booking={booking} />
+          <BookingItem key={booking._id} booking={booking} onCancel={setBookingToCancel} />
         ))}
       </Box>
     );
@@ -362,6 +478,10 @@ export default function BookingsPage() {
         
         {renderContent()}
       </BookingsContainer>
+
+      {bookingToCancel && (
+        <CancelBookingDialog booking={bookingToCancel} onClose={() => setBookingToCancel(null)} />
+      )}
     </Container>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { 
@@ -28,19 +28,30 @@ import {
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
-import { format, parseISO } from 'date-fns';
+import { addDays, format, parseISO } from 'date-fns';
 import { 
   getTrainDetails,
   getAvailableSeats,
   createBooking as createBookingAction,
+  payBooking,
+  holdSeats,
+  releaseSeatHold,
   clearCurrentBooking
 } from '../../store/slices/bookingSlice';
+import { newIdempotencyKey } from '../../services/api';
 import { fetchStations } from '../../store/slices/stationSlice';
 import { useSnackbar } from 'notistack';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 
 const steps = ['Train Details', 'Passenger Details', 'Payment'];
 
+// Journey date as YYYY-MM-DD, taking the calendar day the user picked
+const toJourneyDateString = (date) => new Date(Date.UTC(
+  date.getFullYear(),
+  date.getMonth(),
+  date.getDate()
+)).toISOString().split('T')[0];
+
 const CreateBookingPage = () => {
   const { trainId } = useParams();
   const navigate = useNavigate();
@@ -53,9 +64,15 @@ const CreateBookingPage = () => {
     trainLoading, 
     trainError, 
     availableSeats, 
+    seatClasses = [],
+    bookingWindow,
     loadingSeats, 
     errorSeats,
     creating,
+    paying,
+    seatHold,
+    holdingSeats,
+    holdError,
     error: bookingError,
   } = useSelector((state) => state.booking || {});  // Changed from state.bookings to state.booking
   
@@ -104,6 +121,28 @@ const CreateBookingPage = () => {
   const [activeStep, setActiveStep] = useState(0);
   const [passengers, setPassengers] = useState([{ name: '', age: '', gender: 'M', berthPreference: 'LB' }]);
   const [journeyDate, setJourneyDate] = useState(new Date());
+  const [travelClass, setTravelClass] = useState('');
+  const [quota, setQuota] = useState('GN');
+  
+  // Quotas other than General need a class; each has its own berths and
+  // may not have opened for booking yet
+  const classQuotas = seatClasses.find((c) => c.travelClass === travelClass)?.quotas || [];
+  const selectedQuota = classQuotas.find((q) => q.quota === quota);
+  
+  // Classes still open for booking once berths run out (RAC or waitlist)
+  const selectedClasses = travelClass
+    ? seatClasses.filter((c) => c.travelClass === travelClass)
+    : seatClasses;
+  const canWaitlist = selectedClasses.some((c) => c.racAvailable > 0 || c.waitlistAvailable > 0);
+  const canBook = (availableSeats > 0 || canWaitlist) && (!bookingWindow || bookingWindow.isOpen);
+  
+  // Booking opens a set number of days ahead and closes before the train
+  // leaves the boarding station
+  const bookingWindowMessage = bookingWindow && !bookingWindow.isOpen
+    ? new Date(bookingWindow.opensAt) > new Date()
+      ? `Booking for this date opens on ${format(parseISO(bookingWindow.opensAt), 'dd MMM yyyy, HH:mm')}`
+      : 'Booking has closed for this train on the selected date'
+    : null;
   const [formErrors, setFormErrors] = useState({});
   
   // Helper function to get the next available dates for the train
@@ -188,12 +227,54 @@ const CreateBookingPage = () => {
     }
   }, [train, trainLoading, trainError]);
   
+  // Hold berths from the passenger step on, resized as passengers are added
+  // or removed, and released when going back or leaving the page
+  const seatHoldRef = useRef(null);
+  const checkoutKeyRef = useRef(null);
+  useEffect(() => {
+    seatHoldRef.current = seatHold;
+  }, [seatHold]);
+  
+  const inCheckout = activeStep > 0;
+  const passengerCount = passengers.length;
+  useEffect(() => {
+    if (!train || !journeyDate) return;
+    
+    if (!inCheckout) {
+      if (seatHoldRef.current) {
+        dispatch(releaseSeatHold(seatHoldRef.current._id));
+      }
+      return;
+    }
+    
+    dispatch(holdSeats({
+      train: trainId,
+      journeyDate: toJourneyDateString(journeyDate),
+      fromStation: train.source?._id || train.source,
+      toStation: train.destination?._id || train.destination,
+      ...(travelClass && { travelClass }),
+      ...(quota !== 'GN' && { quota }),
+      seats: passengerCount
+    }));
+  }, [dispatch, train, trainId, journeyDate, travelClass, quota, inCheckout, passengerCount]);
+  
+  useEffect(() => () => {
+    if (seatHoldRef.current) {
+      dispatch(releaseSeatHold(seatHoldRef.current._id));
+    }
+  }, [dispatch]);
+  
   // Fetch available seats when journey date changes
   useEffect(() => {
     if (trainId && journeyDate) {
-      dispatch(getAvailableSeats({ trainId, date: journeyDate }));
+      dispatch(getAvailableSeats({
+        trainId,
+        date: journeyDate,
+        travelClass: travelClass || undefined,
+        quota: quota !== 'GN' ? quota : undefined
+      }));
     }
-  }, [dispatch, trainId, journeyDate]);
+  }, [dispatch, trainId, journeyDate, travelClass, quota]);
   
   // Handle form input changes
   const handlePassengerChange = (index, field, value) => {
@@ -228,6 +309,8 @@ const CreateBookingPage = () => {
         errors.journeyDate = 'Journey date is required';
       } else if (new Date(journeyDate) < new Date().setHours(0, 0, 0, 0)) {
         errors.journeyDate = 'Journey date cannot be in the past';
+      } else if (bookingWindowMessage) {
+        errors.journeyDate = bookingWindowMessage;
       }
     }
     
@@ -316,18 +399,13 @@ const CreateBookingPage = () => {
       return;
     }
     
-    // Convert to UTC to avoid timezone issues
-    const utcDate = new Date(Date.UTC(
-      journeyDate.getFullYear(),
-      journeyDate.getMonth(),
-      journeyDate.getDate()
-    ));
-    
     const bookingData = {
       train: trainId,
       fromStation: sourceStationId,
       toStation: destinationStationId,
-      journeyDate: utcDate.toISOString().split('T')[0], // Format as YYYY-MM-DD in UTC
+      journeyDate: toJourneyDateString(journeyDate),
+      ...(travelClass && { travelClass }),
+      ...(quota !== 'GN' && { quota }),
       passengers: passengers.map(p => ({
         name: p.name.trim(),
         age: parseInt(p.age, 10),
@@ -339,12 +417,34 @@ const CreateBookingPage = () => {
     
     console.log('Submitting booking data:', bookingData);
     
+    // Resubmitting the same booking (e.g. after a timeout) reuses its key, so
+    // the server hands back the booking it already made
+    const submission = JSON.stringify(bookingData);
+    if (checkoutKeyRef.current?.submission !== submission) {
+      checkoutKeyRef.current = { submission, key: newIdempotencyKey() };
+    }
+    
     try {
-      const resultAction = await dispatch(createBookingAction(bookingData));
+      const resultAction = await dispatch(createBookingAction({
+        ...bookingData,
+        idempotencyKey: checkoutKeyRef.current.key
+      }));
       
       if (createBookingAction.fulfilled.match(resultAction)) {
-        const bookingId = resultAction.payload._id;
-        enqueueSnackbar('Booking created successfully!', { variant: 'success' });
+        const booking = resultAction.payload.data || resultAction.payload;
+        const bookingId = booking._id;
+
+        // Seats are held until the payment deadline; a failed payment can be
+        // retried from the booking until then
+        const paymentAction = await dispatch(payBooking(bookingId));
+        if (payBooking.fulfilled.match(paymentAction)) {
+          enqueueSnackbar('Payment received. Booking confirmed!', { variant: 'success' });
+        } else {
+          enqueueSnackbar(
+            `Booking ${booking.pnr} created but payment failed: ${paymentAction.payload}. Please pay before the seats are released.`,
+            { variant: 'warning' }
+          );
+        }
         // Redirect to the booking confirmation page
         navigate(`/bookings/confirmation/${bookingId}`);
       } else {
@@ -430,6 +530,7 @@ const CreateBookingPage = () => {
                   }
                 }}
                 minDate={new Date()}
+                maxDate={bookingWindow ? addDays(new Date(), bookingWindow.advanceDays) : undefined}
                 shouldDisableDate={(date) => {
                   if (!train || !train.daysOfOperation) return true; // Disable all if no train data
                   const jsDayToStr = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
@@ -461,6 +562,54 @@ const CreateBookingPage = () => {
               />
             </LocalizationProvider>
             
+            {seatClasses.length > 1 && (
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Class</InputLabel>
+                <Select
+                  value={travelClass}
+                  onChange={(e) => {
+                    setTravelClass(e.target.value);
+                    setQuota('GN');
+                  }}
+                  label="Class"
+                >
+                  <MenuItem value="">Any class</MenuItem>
+                  {seatClasses.map((c) => (
+                    <MenuItem key={c.travelClass} value={c.travelClass}>
+                      {c.name} ({c.travelClass}) - {c.availableSeats > 0
+                        ? `${c.availableSeats} available`
+                        : c.racAvailable > 0 ? `RAC ${c.racAvailable}` : `WL ${c.waitlisted + 1}`}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            
+            {classQuotas.length > 1 && (
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Quota</InputLabel>
+                <Select
+                  value={quota}
+                  onChange={(e) => setQuota(e.target.value)}
+                  label="Quota"
+                >
+                  {classQuotas.map((q) => (
+                    <MenuItem key={q.quota} value={q.quota} disabled={!q.isOpen}>
+                      {q.name} - {q.isOpen
+                        ? `${q.availableSeats} of ${q.totalSeats} available`
+                        : `opens ${format(parseISO(q.opensAt), 'dd MMM, HH:mm')}`}
+                    </MenuItem>
+                  ))}
+                </Select>
+                {selectedQuota && selectedQuota.quota !== 'GN' && (
+                  <FormHelperText>
+                    {selectedQuota.name} berths are booked separately; passengers they cannot
+                    confirm join the class's RAC and waiting list.
+                  </FormHelperText>
+                )}
+              </FormControl>
+            )}
+            
             {loadingSeats ? (
               <Box display="flex" alignItems="center" mt={2}>
                 <CircularProgress size={20} />
@@ -468,6 +617,12 @@ const CreateBookingPage = () => {
               </Box>
             ) : errorSeats ? (
               <Alert severity="error" sx={{ mt: 2 }}>{errorSeats}</Alert>
+            ) : bookingWindowMessage ? (
+              <Alert severity="warning" sx={{ mt: 2 }}>{bookingWindowMessage}</Alert>
+            ) : availableSeats !== null && availableSeats <= 0 && canWaitlist ? (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                No confirmed berths left. Your booking will be placed on RAC or the waiting list.
+              </Alert>
             ) : availableSeats !== null && availableSeats <= 0 ? (
               <Alert severity="warning" sx={{ mt: 2 }}>
                 No seats available for the selected date. Please choose another date.
@@ -591,7 +746,7 @@ const CreateBookingPage = () => {
             </Typography>
             
             <Alert severity="info" sx={{ mb: 3 }}>
-              This is a demo. No actual payment will be processed.
+              Seats are held for a limited time while payment is pending. Unpaid bookings are released automatically.
             </Alert>
             
             <Box sx={{ mt: 4 }}>
@@ -758,6 +913,18 @@ const CreateBookingPage = () => {
           ))}
         </Stepper>
         
+        {inCheckout && !holdingSeats && (seatHold ? (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {seatHold.seats} berth{seatHold.seats === 1 ? '' : 's'} held for you until{' '}
+            {format(parseISO(seatHold.expiresAt), 'p')}.
+            {seatHold.seats < passengers.length && ' Other passengers will get RAC or waitlist places.'}
+          </Alert>
+        ) : (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {holdError || 'No berths could be held; this booking will get RAC or waitlist places.'}
+          </Alert>
+        ))}
+        
         <Box sx={{ mt: 2, mb: 4 }}>
           {renderStepContent(activeStep)}
         </Box>
@@ -776,13 +943,13 @@ const CreateBookingPage = () => {
               color="primary"
               onClick={handleNext}
               disabled={
-                creating || 
-                (activeStep === 0 && (!journeyDate || availableSeats <= 0)) ||
+                creating || paying ||
+                (activeStep === 0 && (!journeyDate || !canBook)) ||
                 (activeStep === 1 && passengers.some(p => !p.name?.trim() || !p.age))
               }
             >
               {activeStep === steps.length - 1 ? 'Confirm & Pay' : 'Next'}
-              {creating && <CircularProgress size={24} sx={{ ml: 1 }} />}
+              {(creating || paying) && <CircularProgress size={24} sx={{ ml: 1 }} />}
             </Button>
           </Box>
         </Box>
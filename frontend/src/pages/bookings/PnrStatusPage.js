@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  TextField,
+  Grid,
+  Chip,
+  CircularProgress,
+  Alert,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Search as SearchIcon, Train as TrainIcon } from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import { bookingsAPI } from '../../services/api';
+
+const PNR_PATTERN = /^[A-Za-z0-9]{6,10}$/;
+
+const statusColor = (status) => {
+  if (status.startsWith('CNF')) return 'success';
+  if (status.startsWith('RAC')) return 'warning';
+  if (status.startsWith('WL')) return 'info';
+  return 'default';
+};
+
+// Public PNR status lookup; needs no login and shows no passenger details
+const PnrStatusPage = () => {
+  const { pnr: pnrParam } = useParams();
+  const navigate = useNavigate();
+
+  const [pnr, setPnr] = useState(pnrParam || '');
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!pnrParam) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    setStatus(null);
+    bookingsAPI.getPnrStatus(pnrParam)
+      .then(response => {
+        if (!cancelled) setStatus(response.data.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.errors?.[0]?.msg || err.message || 'Could not get PNR status');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pnrParam]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = pnr.trim().toUpperCase();
+    if (!PNR_PATTERN.test(value)) {
+      setError('Enter a PNR of 6 to 10 letters and digits');
+      return;
+    }
+    navigate(`/pnr-status/${value}`);
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <TrainIcon color="primary" sx={{ mr: 1 }} />
+        <Typography variant="h4" component="h1">
+          PNR Status
+        </Typography>
+      </Box>
+
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 3, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              label="PNR number"
+              value={pnr}
+              onChange={(e) => setPnr(e.target.value)}
+              inputProps={{ maxLength: 10, style: { textTransform: 'uppercase' } }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Button
+              fullWidth
+              type="submit"
+              variant="contained"
+              size="large"
+              startIcon={<SearchIcon />}
+              disabled={loading}
+            >
+              Check Status
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {status && (
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Typography variant="h6">
+              {status.train.number} {status.train.name}
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Chip label={status.chartStatus} variant="outlined" />
+              {status.runStatus !== 'Scheduled' && (
+                <Chip label={`Train ${status.runStatus}`} color="error" />
+              )}
+              {status.bookingStatus === 'Cancelled' && <Chip label="Booking Cancelled" color="error" />}
+            </Box>
+          </Box>
+
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">PNR</Typography>
+              <Typography variant="body1">{status.pnr}</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">Journey date</Typography>
+              <Typography variant="body1">{format(parseISO(status.journeyDate), 'dd MMM yyyy')}</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">From</Typography>
+              <Typography variant="body1">
+                {status.from.name} ({status.from.code})
+                {status.departure && ` - departs ${status.departure}`}
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">To</Typography>
+              <Typography variant="body1">{status.to.name} ({status.to.code})</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">Class</Typography>
+              <Typography variant="body1">{status.className} ({status.travelClass})</Typography>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <Typography variant="body2" color="text.secondary">Quota</Typography>
+              <Typography variant="body1">{status.quota}</Typography>
+            </Grid>
+          </Grid>
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Passenger</TableCell>
+                  <TableCell>Booking status</TableCell>
+                  <TableCell>Current status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {status.passengers.map((passenger) => (
+                  <TableRow key={passenger.number}>
+                    <TableCell>Passenger {passenger.number}</TableCell>
+                    <TableCell>{passenger.bookingStatus}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={passenger.currentStatus}
+                        color={statusColor(passenger.currentStatus)}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Box sx={{ mt: 3, textAlign: 'center' }}>
+        <Link component={RouterLink} to="/dashboard" variant="body2">
+          Back to Railway Planner
+        </Link>
+      </Box>
+    </Container>
+  );
+};
+
+export default PnrStatusPage;
@@ -31,7 +31,7 @@ import SearchIcon from '@mui/icons-material/Search';
 import TrainIcon from '@mui/icons-material/Train';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import EventAvailableIcon from '@mui/icons-material/EventAvailable';
-import { searchTrains } from '../../store/slices/trainSlice';
+import { searchTrains, fetchJourneyOptions } from '../../store/slices/trainSlice';
 import { fetchStations } from '../../store/slices/stationSlice';
 
 // Custom quicksort implementation for sorting trains
@@ -107,6 +107,13 @@ const quickSort = (arr, compareFn, depth = 0) => {
   }
 };
 
+// Badges for the criteria a journey option is best at
+const OPTION_BADGES = {
+  fastest: { label: 'Fastest', color: 'primary' },
+  cheapest: { label: 'Cheapest', color: 'success' },
+  fewestChanges: { label: 'Fewest changes', color: 'secondary' }
+};
+
 const PlanJourneyPage = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
@@ -119,7 +126,7 @@ const PlanJourneyPage = () => {
   // Get data from Redux store
   const { stations = [], loading: stationsLoading } = useSelector((state) => state.stations);
   const stationList = Array.isArray(stations) ? stations : [];
-  const { searchResults = [], loading: trainsLoading, error } = useSelector((state) => state.trains);
+  const { searchResults = [], loading: trainsLoading, error, journeyOptions = [] } = useSelector((state) => state.trains);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -140,6 +147,11 @@ const PlanJourneyPage = () => {
     if (!validateForm()) return;
     setIsSearching(true);
     const formattedDate = format(formData.date, 'yyyy-MM-dd');
+    dispatch(fetchJourneyOptions({
+      from: formData.from,
+      to: formData.to,
+      date: formattedDate
+    }));
     dispatch(searchTrains({
       from: formData.from,
       to: formData.to,
@@ -425,6 +437,63 @@ const PlanJourneyPage = () => {
         </form>
       </Paper>
       
+      {/* Journey Options */}
+      {journeyOptions.length > 0 && (
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h6" gutterBottom>
+            Journey options
+          </Typography>
+          {journeyOptions.map((option, index) => (
+            <Card key={index} sx={{ mb: 2, '&:hover': { boxShadow: 3 } }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                  {option.labels.map((label) => OPTION_BADGES[label] && (
+                    <Chip
+                      key={label}
+                      label={OPTION_BADGES[label].label}
+                      color={OPTION_BADGES[label].color}
+                      size="small"
+                    />
+                  ))}
+                </Box>
+                <Grid container spacing={2} alignItems="center">
+                  <Grid item xs={12} md={4}>
+                    <Typography variant="h6" color="primary">
+                      {formatTime(option.departureTime)} → {formatTime(option.arrivalTime)}
+                    </Typography>
+                    <Typography variant="body2">
+                      {formatDate(option.departureTime)}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {formatDuration(option.departureTime, option.arrivalTime)} ·{' '}
+                      {option.transferCount === 0
+                        ? 'Direct'
+                        : `${option.transferCount} change${option.transferCount > 1 ? 's' : ''} at ${option.transfers.map(t => t.station?.code).join(', ')}`}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} md={5}>
+                    {option.legs.map((leg) => (
+                      <Typography key={`${leg.train._id}-${leg.departureTime}`} variant="body2">
+                        <TrainIcon fontSize="inherit" sx={{ mr: 0.5, verticalAlign: 'middle' }} />
+                        {leg.train.trainNumber} {leg.from?.code} {formatTime(leg.departureTime)} → {leg.to?.code} {formatTime(leg.arrivalTime)}
+                      </Typography>
+                    ))}
+                  </Grid>
+                  <Grid item xs={12} md={3} sx={{ textAlign: 'right' }}>
+                    <Typography variant="h6" color="primary">
+                      ₹{option.totalFare}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      per person
+                    </Typography>
+                  </Grid>
+                </Grid>
+              </CardContent>
+            </Card>
+          ))}
+        </Box>
+      )}
+
       {/* Search Results */}
       {trainsLoading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
@@ -54,6 +54,7 @@ import {
   Train as TrainIcon,
   Close as CloseIcon
 } from '@mui/icons-material';
+import { hasPermission } from '../../utils/permissions';
 
 
 
@@ -70,7 +71,7 @@ const TrainsPage = () => {
     error: state.trains?.error || null
   }));
   const { user } = useSelector((state) => state.auth);
-  const isAdmin = user?.role === 'admin';
+  const canEditTrains = hasPermission(user, 'trains:write');
   
   // State
   const [page, setPage] = useState(0);
@@ -318,7 +319,7 @@ const TrainsPage = () => {
               }}
             />
           </Stack>
-          {isAdmin && (
+          {canEditTrains && (
             <Button
               variant="contained"
               color="primary"
@@ -431,7 +432,7 @@ const TrainsPage = () => {
                               {train.daysOfOperation?.join(', ') || 'Daily'}
                             </TableCell>
                             <TableCell align="right">
-                              {isAdmin && (
+                              {canEditTrains && (
                                 <>
                                   <IconButton onClick={() => handleEditTrain(train)} size="small">
                                     <EditIcon fontSize="small" />
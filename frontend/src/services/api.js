@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getAuthToken } from '../utils/auth';
+import { getAuthToken, removeAuthToken, retryWithFreshToken, shouldRefresh } from '../utils/auth';
 
 // Use the environment variable if it exists, otherwise use the production URL
 const API_URL = process.env.REACT_APP_API_URL || 'https://railway-planner-y1h5.vercel.app';
@@ -61,11 +61,22 @@ api.interceptors.response.use(
     });
     return response;
   },
-  (error) => {
+  async (error) => {
     const { response } = error;
     const status = response?.status;
     const data = response?.data;
 
+    // An expired access token: refresh it and send the request again
+    if (status === 401 && shouldRefresh(error.config)) {
+      try {
+        return await retryWithFreshToken(api, error.config);
+      } catch (retryError) {
+        // The retry went through these interceptors already
+        if (retryError.config?._retried) return Promise.reject(retryError);
+        console.warn('[API] Token refresh failed');
+      }
+    }
+
     // Log detailed error information
     const errorDetails = {
       message: error.message,
@@ -83,8 +94,7 @@ api.interceptors.response.use(
     // Handle 401 Unauthorized
     if (status === 401) {
       console.warn('[API] Unauthorized - clearing auth data');
-      localStorage.removeItem('token');
-      sessionStorage.removeItem('token');
+      removeAuthToken();
       
       // Redirect to login if not already there
       if (window.location.pathname !== '/login') {
@@ -105,13 +115,22 @@ api.interceptors.response.use(
   }
 );
 
+// Header for POSTs the server should run only once. Reuse the same key
+// when retrying the same request so a retry cannot book twice.
+export const newIdempotencyKey = () => window.crypto.randomUUID();
+const idempotencyHeaders = (idempotencyKey) =>
+  idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined;
+
 // Auth API
 export const authAPI = {
   register: (userData) => api.post('/api/auth/register', userData),
   login: (credentials) => api.post('/api/auth/login', credentials),
   getMe: () => api.get('/api/auth/me'),
-  refreshToken: () => api.post('/api/auth/refresh-token'),
-  logout: () => api.post('/api/auth/logout'),
+  refreshToken: (refreshToken) => api.post('/api/auth/refresh-token', { refreshToken }),
+  logout: (refreshToken) => api.post('/api/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/api/auth/logout-all'),
+  getSessions: () => api.get('/api/auth/sessions'),
+  revokeSession: (id) => api.delete(`/api/auth/sessions/${id}`),
 };
 
 // Stations API
@@ -129,10 +148,20 @@ export const trainsAPI = {
   getTrains: (params) => api.get('/api/trains', { params }),
   getTrain: (id) => api.get(`/api/trains/${id}`),
   searchTrains: (params) => api.get('/api/trains/search', { params }),
+  getJourneyOptions: (params) => api.get('/api/search/journey-options', { params }),
   getAvailableSeats: (id, params) => api.get(`/api/trains/${id}/seats`, { params }),
   createTrain: (data) => api.post('/api/trains', data),
   updateTrain: (id, data) => api.put(`/api/trains/${id}`, data),
   deleteTrain: (id) => api.delete(`/api/trains/${id}`),
+  // Admin only - prepare a run's reservation chart (date is YYYY-MM-DD)
+  prepareChart: (id, date) => api.post(`/api/trains/${id}/runs/${date}/chart`),
+  // Admin only - coach-wise reservation chart of a run
+  getChart: (id, date) => api.get(`/api/trains/${id}/runs/${date}/chart`),
+  // Admin only - the chart as a CSV Blob
+  downloadChart: (id, date) => api.get(`/api/trains/${id}/runs/${date}/chart`, {
+    params: { format: 'csv' },
+    responseType: 'blob'
+  }),
 };
 
 // Bookings API
@@ -153,9 +182,19 @@ export const bookingsAPI = {
   // Get booking by PNR
   getBookingByPNR: (pnr) => api.get(`/api/bookings/pnr/${pnr}`),
   // Create a new booking
-  createBooking: (data) => api.post('/api/bookings', data),
-  // Cancel a booking
-  cancelBooking: (id) => api.put(`/api/bookings/${id}/cancel`),
+  createBooking: (data, idempotencyKey) => api.post('/api/bookings', data, idempotencyHeaders(idempotencyKey)),
+  // Cancel a booking, or only the given passenger IDs
+  cancelBooking: (id, passengers) => api.put(`/api/bookings/${id}/cancel`, passengers ? { passengers } : {}),
+  // Change boarding station and/or journey date: { fromStation, journeyDate, allowWaitlist }
+  modifyBooking: (id, changes) => api.put(`/api/bookings/${id}/modify`, changes),
+  // Audit trail of every change to the booking
+  getBookingHistory: (id) => api.get(`/api/bookings/${id}/history`),
+  // Refund the user would get for cancelling (optionally only some passengers)
+  getRefundPreview: (id, params) => api.get(`/api/bookings/${id}/refund-preview`, { params }),
+  // Public, rate-limited status of any PNR, without passenger details
+  getPnrStatus: (pnr) => api.get(`/api/bookings/pnr/${encodeURIComponent(pnr)}/status`),
+  // E-ticket PDF of a paid booking, as a Blob
+  downloadTicket: (id) => api.get(`/api/bookings/${id}/ticket.pdf`, { responseType: 'blob' }),
   // Admin only - Get all bookings
   getAllBookings: (params) => api.get('/api/admin/bookings', { params }),
   // Get booking details with all related data
@@ -164,6 +203,36 @@ export const bookingsAPI = {
   downloadTicket: (id) => api.get(`/api/bookings/${id}/ticket`, { responseType: 'blob' }),
 };
 
+// Payments API
+export const paymentsAPI = {
+  // Start paying for a booking; returns the gateway intent
+  createIntent: (bookingId, idempotencyKey) =>
+    api.post('/api/payments/intents', { booking: bookingId }, idempotencyHeaders(idempotencyKey)),
+  getPayment: (id) => api.get(`/api/payments/${id}`),
+  // Mock gateway checkout (development only)
+  completeMockPayment: (intentId, outcome = 'succeeded', idempotencyKey) =>
+    api.post(`/api/payments/mock/${intentId}/complete`, { outcome }, idempotencyHeaders(idempotencyKey)),
+};
+
+// Seat holds API
+export const seatHoldsAPI = {
+  // Hold berths while the user fills in passengers and pays
+  createHold: (data) => api.post('/api/seat-holds', data),
+  releaseHold: (id) => api.delete(`/api/seat-holds/${id}`),
+};
+
+// Users API (admin only)
+export const usersAPI = {
+  // params: { search, role, status, page, limit }
+  getUsers: (params) => api.get('/api/users', { params }),
+  // The user with booking and review summaries
+  getUser: (id) => api.get(`/api/users/${id}`),
+  updateRole: (id, role) => api.put(`/api/users/${id}/role`, { role }),
+  // status is 'active' or 'suspended'
+  updateStatus: (id, status, reason) => api.put(`/api/users/${id}/status`, { status, reason }),
+  deleteUser: (id) => api.delete(`/api/users/${id}`),
+};
+
 // Reviews API
 export const reviewsAPI = {
   getTrainReviews: (trainId, params) => api.get(`/api/reviews/train/${trainId}`, { params }),
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { handleApiError, withErrorHandling } from '../../utils/apiErrorHandler';
+import { getRefreshToken, removeAuthToken, retryWithFreshToken, shouldRefresh } from '../../utils/auth';
 
 // Use the environment variable if it exists, otherwise use the production URL
 const API_URL = process.env.REACT_APP_API_URL || 'https://railway-planner-y1h5.vercel.app';
@@ -38,11 +39,20 @@ api.interceptors.response.use(
     // Log the error for debugging
     console.error('API Error:', error.message);
     
+    // An expired access token: refresh it and send the request again
+    if (error.response?.status === 401 && shouldRefresh(error.config)) {
+      try {
+        return await retryWithFreshToken(api, error.config);
+      } catch (retryError) {
+        // The retry went through this interceptor already
+        if (retryError.config?._retried) return Promise.reject(retryError);
+      }
+    }
+    
     // Handle 401 Unauthorized errors
     if (error.response?.status === 401) {
       // Clear auth data
-      localStorage.removeItem('token');
-      sessionStorage.removeItem('token');
+      removeAuthToken();
       delete api.defaults.headers.common['Authorization'];
       
       // Redirect to login page if we're not already there
@@ -79,9 +89,48 @@ export const login = async ({ email, password }) => {
   }
 };
 
+// Ends this device's session on the server; works without a valid access token
 export const logout = async () => {
-  // No need to call the backend since we don't have a logout endpoint
-  return Promise.resolve();
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return null;
+  
+  try {
+    const { data } = await api.post('/api/auth/logout', { refreshToken });
+    return data;
+  } catch (error) {
+    console.error('Logout error:', error);
+    throw error;
+  }
+};
+
+export const logoutAll = async () => {
+  try {
+    const { data } = await api.post('/api/auth/logout-all');
+    return data;
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    throw error;
+  }
+};
+
+export const getSessions = async () => {
+  try {
+    const { data } = await api.get('/api/auth/sessions');
+    return data;
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    throw error;
+  }
+};
+
+export const revokeSession = async (id) => {
+  try {
+    const { data } = await api.delete(`/api/auth/sessions/${id}`);
+    return data;
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    throw error;
+  }
 };
 
 export const forgotPassword = async (email) => {
@@ -144,8 +193,7 @@ export const getMe = async () => {
     
     // Clear invalid token
     if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      sessionStorage.removeItem('token');
+      removeAuthToken();
       delete api.defaults.headers.common['Authorization'];
     }
     
@@ -157,6 +205,9 @@ const authAPI = {
   register,
   login,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   getMe
 };
 
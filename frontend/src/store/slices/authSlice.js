@@ -1,5 +1,5 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { login as loginAPI, register as registerAPI, getMe as getMeAPI, logout as logoutAPI, forgotPassword as forgotPasswordAPI, resetPassword as resetPasswordAPI, updateUserProfile as updateUserProfileAPI, changePassword as changePasswordAPI } from '../../services/api/authAPI';
+import { login as loginAPI, register as registerAPI, getMe as getMeAPI, logout as logoutAPI, logoutAll as logoutAllAPI, forgotPassword as forgotPasswordAPI, resetPassword as resetPasswordAPI, updateUserProfile as updateUserProfileAPI, changePassword as changePasswordAPI } from '../../services/api/authAPI';
 import { createApiError } from '../../utils/apiErrorHandler';
 import setAuthToken from '../../utils/setAuthToken';
 
@@ -9,25 +9,27 @@ const getTokenFromStorage = () => {
   return localStorage.getItem('token') || sessionStorage.getItem('token');
 };
 
-// Helper function to store token based on rememberMe preference
-const storeAuthData = (token, rememberMe = false) => {
-  if (rememberMe) {
-    localStorage.setItem('token', token);
-    localStorage.setItem('rememberMe', 'true');
-  } else {
-    sessionStorage.setItem('token', token);
-    localStorage.removeItem('token');
-    localStorage.removeItem('rememberMe');
-  }
+// Helper function to store tokens based on rememberMe preference
+const storeAuthData = (token, refreshToken, rememberMe = false) => {
+  const storage = rememberMe ? localStorage : sessionStorage;
+  storage.setItem('token', token);
+  if (refreshToken) storage.setItem('refreshToken', refreshToken);
 };
 
 // Helper function to clear all auth data
 const clearAuthData = () => {
   localStorage.removeItem('token');
   sessionStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  sessionStorage.removeItem('refreshToken');
   localStorage.removeItem('rememberMe');
 };
 
+// Message for a failed account request: the server's message or its first
+// validation error
+const apiErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
 // Async thunks
 export const register = createAsyncThunk(
   'auth/register',
@@ -35,20 +37,15 @@ export const register = createAsyncThunk(
     try {
       const response = await registerAPI(userData);
       
-      // Extract token and user data from response
-      const { token, user } = response;
+      // Extract tokens and user data from response
+      const { token, refreshToken, user } = response;
       
       if (!token || !user) {
         throw new Error('Invalid response from server');
       }
       
-      // Store token based on rememberMe (default to false for registration)
-      const rememberMe = userData.rememberMe || false;
-      if (rememberMe) {
-        localStorage.setItem('token', token);
-      } else {
-        sessionStorage.setItem('token', token);
-      }
+      // Store tokens based on rememberMe (default to false for registration)
+      storeAuthData(token, refreshToken, userData.rememberMe || false);
       
       // Set auth token for axios
       setAuthToken(token);
@@ -77,19 +74,15 @@ export const login = createAsyncThunk(
     try {
       const response = await loginAPI({ email, password });
       
-      // Extract token and user data from response
-      const { token, user } = response;
+      // Extract tokens and user data from response
+      const { token, refreshToken, user } = response;
       
       if (!token || !user) {
         throw new Error('Invalid response from server');
       }
       
-      // Store token based on rememberMe
-      if (rememberMe) {
-        localStorage.setItem('token', token);
-      } else {
-        sessionStorage.setItem('token', token);
-      }
+      // Store tokens based on rememberMe
+      storeAuthData(token, refreshToken, rememberMe);
       
       // Set auth token for axios
       setAuthToken(token);
@@ -172,7 +165,7 @@ export const forgotPassword = createAsyncThunk(
       const response = await forgotPasswordAPI(email);
       return response.message;
     } catch (error) {
-      return rejectWithValue(error.response.data.message);
+      return rejectWithValue(apiErrorMessage(error, 'Could not send the reset link. Please try again.'));
     }
   }
 );
@@ -184,7 +177,7 @@ export const resetPassword = createAsyncThunk(
       const response = await resetPasswordAPI({ token, password });
       return response.message;
     } catch (error) {
-      return rejectWithValue(error.response.data.message);
+      return rejectWithValue(apiErrorMessage(error, 'Could not reset the password. Please try again.'));
     }
   }
 );
@@ -196,7 +189,7 @@ export const updateUserProfile = createAsyncThunk(
       const response = await updateUserProfileAPI(profileData);
       return response.user;
     } catch (error) {
-      return rejectWithValue(error.response.data.message);
+      return rejectWithValue(apiErrorMessage(error, 'Could not update the profile. Please try again.'));
     }
   }
 );
@@ -206,9 +199,21 @@ export const changePassword = createAsyncThunk(
   async (passwordData, { rejectWithValue }) => {
     try {
       const response = await changePasswordAPI(passwordData);
-      return response.message;
+      
+      // The server signs other devices out; this session carries on with a
+      // new access token, kept in the same storage as before
+      if (response.token) {
+        if (localStorage.getItem('token')) {
+          localStorage.setItem('token', response.token);
+        } else {
+          sessionStorage.setItem('token', response.token);
+        }
+        setAuthToken(response.token);
+      }
+      
+      return { message: response.message, token: response.token };
     } catch (error) {
-      return rejectWithValue(error.response.data.message);
+      return rejectWithValue(apiErrorMessage(error, 'Could not change the password. Please try again.'));
     }
   }
 );
@@ -219,8 +224,10 @@ export const logout = createAsyncThunk(
     try {
       console.log('Logging out user...');
       
-      // Clear auth data from storage
+      // End the session on the server, then forget the tokens
+      await logoutAPI();
       clearAuthData();
+      setAuthToken(null);
       
       console.log('Logout successful');
       return null;
@@ -236,6 +243,21 @@ export const logout = createAsyncThunk(
   }
 );
 
+// Ends every session of the user, this device's included
+export const logoutEverywhere = createAsyncThunk(
+  'auth/logoutEverywhere',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await logoutAllAPI();
+      clearAuthData();
+      setAuthToken(null);
+      return response.message;
+    } catch (error) {
+      return rejectWithValue(apiErrorMessage(error, 'Could not log out of all devices. Please try again.'));
+    }
+  }
+);
+
 const authSlice = createSlice({
   name: 'auth',
   initialState,
@@ -254,6 +276,7 @@ const authSlice = createSlice({
     },
     clearError: (state) => {
       state.error = null;
+      state.message = null;
     },
     setCredentials: (state, { payload: { user, token } }) => {
       state.user = user;
@@ -371,6 +394,23 @@ const authSlice = createSlice({
       console.warn('Logout completed with warnings:', payload);
     });
 
+    // Logout Everywhere
+    builder.addCase(logoutEverywhere.pending, (state) => {
+      state.loading = true;
+      state.error = null;
+    });
+    builder.addCase(logoutEverywhere.fulfilled, (state) => {
+      state.loading = false;
+      state.isAuthenticated = false;
+      state.user = null;
+      state.token = null;
+      state.isInitialized = true;
+    });
+    builder.addCase(logoutEverywhere.rejected, (state, { payload }) => {
+      state.loading = false;
+      state.error = payload;
+    });
+
     // Forgot Password
     builder.addCase(forgotPassword.pending, (state) => {
       state.loading = true;
@@ -425,7 +465,8 @@ const authSlice = createSlice({
     });
     builder.addCase(changePassword.fulfilled, (state, { payload }) => {
       state.loading = false;
-      state.message = payload;
+      state.message = payload.message;
+      if (payload.token) state.token = payload.token;
     });
     builder.addCase(changePassword.rejected, (state, { payload }) => {
       state.loading = false;
@@ -1,5 +1,5 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { bookingsAPI, trainsAPI } from '../../services/api';
+import { bookingsAPI, trainsAPI, paymentsAPI, seatHoldsAPI } from '../../services/api';
 
 // Helper function to calculate duration between two times
 const calculateDuration = (departure, arrival) => {
@@ -62,9 +62,9 @@ export const getTrainDetails = createAsyncThunk(
 
 export const getAvailableSeats = createAsyncThunk(
   'bookings/getAvailableSeats',
-  async ({ trainId, date }, { rejectWithValue }) => {
+  async ({ trainId, date, travelClass, quota }, { rejectWithValue }) => {
     try {
-      const response = await trainsAPI.getAvailableSeats(trainId, { date });
+      const response = await trainsAPI.getAvailableSeats(trainId, { date, class: travelClass, quota });
       // Handle both direct data and nested data structure
       const seatsData = response.data?.data || response.data;
       if (!seatsData) {
@@ -171,11 +171,13 @@ export const getBookingDetails = createAsyncThunk(
   }
 );
 
+// Pass the same idempotencyKey when retrying a submission so the server
+// returns the booking it already made instead of making another
 export const createBooking = createAsyncThunk(
   'bookings/createBooking',
-  async (bookingData, { rejectWithValue }) => {
+  async ({ idempotencyKey, ...bookingData }, { rejectWithValue }) => {
     try {
-      const response = await bookingsAPI.createBooking(bookingData);
+      const response = await bookingsAPI.createBooking(bookingData, idempotencyKey);
       return response.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || error.message || 'Failed to create booking');
@@ -183,6 +185,57 @@ export const createBooking = createAsyncThunk(
   }
 );
 
+// Create a payment intent for the booking and check out through the
+// gateway. Only the bundled mock gateway can be completed in-app.
+export const payBooking = createAsyncThunk(
+  'bookings/payBooking',
+  async (bookingId, { rejectWithValue }) => {
+    try {
+      const intentResponse = await paymentsAPI.createIntent(bookingId);
+      const intent = intentResponse.data?.data || intentResponse.data;
+
+      if (intent.provider !== 'mock') {
+        return intent;
+      }
+
+      const response = await paymentsAPI.completeMockPayment(intent.intentId);
+      const payment = response.data?.data || response.data;
+      if (payment.status === 'Failed') {
+        return rejectWithValue(payment.failureReason || 'Payment failed');
+      }
+      return { ...intent, ...payment };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message || 'Payment failed');
+    }
+  }
+);
+
+// Hold berths for the checkout; replaces the user's earlier hold on the run.
+// Resolves to null when nothing was free to hold.
+export const holdSeats = createAsyncThunk(
+  'bookings/holdSeats',
+  async (holdData, { rejectWithValue }) => {
+    try {
+      const response = await seatHoldsAPI.createHold(holdData);
+      return response.data?.data || null;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message || 'Failed to hold seats');
+    }
+  }
+);
+
+export const releaseSeatHold = createAsyncThunk(
+  'bookings/releaseSeatHold',
+  async (holdId, { rejectWithValue }) => {
+    try {
+      await seatHoldsAPI.releaseHold(holdId);
+      return holdId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message || 'Failed to release seats');
+    }
+  }
+);
+
 export const cancelBooking = createAsyncThunk(
   'bookings/cancelBooking',
   async (id, { rejectWithValue }) => {
@@ -218,6 +271,8 @@ const bookingSlice = createSlice({
     
     // Available seats
     availableSeats: null,
+    seatClasses: [],
+    bookingWindow: null,
     loadingSeats: false,
     errorSeats: null,
     
@@ -228,6 +283,11 @@ const bookingSlice = createSlice({
     loading: false,
     loadingAll: false,
     creating: false,
+    paying: false,
+    paymentError: null,
+    seatHold: null,
+    holdingSeats: false,
+    holdError: null,
     error: null,
     total: 0,
     totalAll: 0,
@@ -323,6 +383,8 @@ const bookingSlice = createSlice({
     builder.addCase(getAvailableSeats.fulfilled, (state, action) => {
       state.loadingSeats = false;
       state.availableSeats = action.payload.availableSeats;
+      state.seatClasses = action.payload.classes || [];
+      state.bookingWindow = action.payload.bookingWindow || null;
     });
     builder.addCase(getAvailableSeats.rejected, (state, action) => {
       state.loadingSeats = false;
@@ -397,6 +459,8 @@ const bookingSlice = createSlice({
     builder.addCase(createBooking.fulfilled, (state, action) => {
       state.creating = false;
       state.loading = false;
+      // The booking took the held berths
+      state.seatHold = null;
       state.bookings.unshift(action.payload);
       state.total += 1;
     });
@@ -406,6 +470,39 @@ const bookingSlice = createSlice({
       state.error = action.payload || 'Failed to create booking';
     });
 
+    // Pay for Booking
+    builder.addCase(payBooking.pending, (state) => {
+      state.paying = true;
+      state.paymentError = null;
+    });
+    builder.addCase(payBooking.fulfilled, (state) => {
+      state.paying = false;
+    });
+    builder.addCase(payBooking.rejected, (state, action) => {
+      state.paying = false;
+      state.paymentError = action.payload || 'Payment failed';
+    });
+
+    // Seat Holds
+    builder.addCase(holdSeats.pending, (state) => {
+      state.holdingSeats = true;
+      state.holdError = null;
+    });
+    builder.addCase(holdSeats.fulfilled, (state, action) => {
+      state.holdingSeats = false;
+      state.seatHold = action.payload;
+    });
+    builder.addCase(holdSeats.rejected, (state, action) => {
+      state.holdingSeats = false;
+      state.seatHold = null;
+      state.holdError = action.payload || 'Failed to hold seats';
+    });
+    builder.addCase(releaseSeatHold.fulfilled, (state, action) => {
+      if (state.seatHold?._id === action.payload) {
+        state.seatHold = null;
+      }
+    });
+
     // Cancel Booking
     builder.addCase(cancelBooking.pending, (state) => {
       state.loading = true;
@@ -33,6 +33,31 @@ export const fetchUserBookings = createAsyncThunk(
   }
 );
 
+// Refund quote shown before the user confirms a cancellation
+export const fetchRefundPreview = createAsyncThunk(
+  'bookings/fetchRefundPreview',
+  async (bookingId, { rejectWithValue }) => {
+    try {
+      const response = await bookingsAPI.getRefundPreview(bookingId);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to load refund details');
+    }
+  }
+);
+
+export const cancelUserBooking = createAsyncThunk(
+  'bookings/cancelUserBooking',
+  async (bookingId, { rejectWithValue }) => {
+    try {
+      const response = await bookingsAPI.cancelBooking(bookingId);
+      return { bookingId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to cancel booking');
+    }
+  }
+);
+
 const initialState = {
   bookings: [],
   loading: false,
@@ -41,6 +66,10 @@ const initialState = {
   total: 0,
   totalPages: 1,
   currentPage: 1,
+  refundPreview: null,
+  previewLoading: false,
+  cancelling: false,
+  cancelError: null,
 };
 
 const bookingsSlice = createSlice({
@@ -52,6 +81,10 @@ const bookingsSlice = createSlice({
       state.loading = false;
       state.error = null;
     },
+    clearRefundPreview: (state) => {
+      state.refundPreview = null;
+      state.cancelError = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -70,9 +103,39 @@ const bookingsSlice = createSlice({
       .addCase(fetchUserBookings.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload || 'Failed to fetch bookings';
+      })
+      .addCase(fetchRefundPreview.pending, (state) => {
+        state.previewLoading = true;
+        state.refundPreview = null;
+        state.cancelError = null;
+      })
+      .addCase(fetchRefundPreview.fulfilled, (state, action) => {
+        state.previewLoading = false;
+        state.refundPreview = action.payload;
+      })
+      .addCase(fetchRefundPreview.rejected, (state, action) => {
+        state.previewLoading = false;
+        state.cancelError = action.payload;
+      })
+      .addCase(cancelUserBooking.pending, (state) => {
+        state.cancelling = true;
+        state.cancelError = null;
+      })
+      .addCase(cancelUserBooking.fulfilled, (state, action) => {
+        state.cancelling = false;
+        state.refundPreview = null;
+        const booking = state.bookings.find(b => b._id === action.payload.bookingId);
+        if (booking && action.payload.data) {
+          booking.bookingStatus = action.payload.data.bookingStatus;
+          booking.paymentStatus = action.payload.data.paymentStatus;
+        }
+      })
+      .addCase(cancelUserBooking.rejected, (state, action) => {
+        state.cancelling = false;
+        state.cancelError = action.payload;
       });
   },
 });
 
-export const { clearBookings } = bookingsSlice.actions;
+export const { clearBookings, clearRefundPreview } = bookingsSlice.actions;
 export default bookingsSlice.reducer;
@@ -33,7 +33,20 @@ export const searchTrains = createAsyncThunk(
       const response = await trainsAPI.searchTrains(params);
       return response.data; // Return only data, not full response
     } catch (error) {
-      return rejectWithValue(error.message || 'Failed to search trains');
+      const data = error.response?.data;
+      return rejectWithValue(data?.message || data?.errors?.[0]?.msg || error.message || 'Failed to search trains');
+    }
+  }
+);
+
+export const fetchJourneyOptions = createAsyncThunk(
+  'trains/fetchJourneyOptions',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await trainsAPI.getJourneyOptions(params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to plan journey');
     }
   }
 );
@@ -91,6 +104,8 @@ const trainSlice = createSlice({
   initialState: {
     trains: [],
     searchResults: [],
+    journeyOptions: [],
+    planning: false,
     currentTrain: null,
     availableSeats: null,
     loading: false,
@@ -106,6 +121,7 @@ const trainSlice = createSlice({
     },
     clearSearchResults: (state) => {
       state.searchResults = [];
+      state.journeyOptions = [];
     },
     clearAvailableSeats: (state) => {
       state.availableSeats = null;
@@ -161,6 +177,19 @@ const trainSlice = createSlice({
         state.searching = false;
         state.error = action.payload;
       })
+      // Fetch Journey Options
+      .addCase(fetchJourneyOptions.pending, (state) => {
+        state.planning = true;
+      })
+      .addCase(fetchJourneyOptions.fulfilled, (state, action) => {
+        state.planning = false;
+        state.journeyOptions = action.payload?.data || [];
+      })
+      .addCase(fetchJourneyOptions.rejected, (state) => {
+        // No connecting journey is not an error for the direct train search
+        state.planning = false;
+        state.journeyOptions = [];
+      })
       // Fetch Available Seats
       .addCase(fetchAvailableSeats.pending, (state) => {
         state.loading = true;
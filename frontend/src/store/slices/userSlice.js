@@ -1,172 +1,93 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { usersAPI } from '../../services/api';
 
-// Mock data for users
-const mockUsers = [
-  {
-    _id: '1',
-    name: 'Admin User',
-    email: 'admin@example.com',
-    role: 'admin',
-    status: 'active',
-    createdAt: '2023-01-15T10:30:00Z',
-    avatar: '',
-  },
-  {
-    _id: '2',
-    name: 'John Doe',
-    email: 'john.doe@example.com',
-    role: 'user',
-    status: 'active',
-    createdAt: '2023-02-20T14:25:00Z',
-    avatar: '',
-  },
-  {
-    _id: '3',
-    name: 'Jane Smith',
-    email: 'jane.smith@example.com',
-    role: 'agent',
-    status: 'inactive',
-    createdAt: '2023-03-10T09:15:00Z',
-    avatar: '',
-  },
-];
+// The server's message, or its first validation error
+const errorMessage = (error, fallback) =>
+  error.response?.errors?.[0]?.msg || error.message || fallback;
 
 // Async thunks
 export const fetchUsers = createAsyncThunk(
   'users/fetchAll',
-  async (_, { rejectWithValue }) => {
+  async (params = {}, { rejectWithValue }) => {
     try {
-      // In a real app, this would be an API call
-      // const response = await api.get('/api/users');
-      // return response.data;
-      
-      // For now, return mock data
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          resolve(mockUsers);
-        }, 500); // Simulate network delay
-      });
+      const response = await usersAPI.getUsers(params);
+      return response.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to fetch users');
+      return rejectWithValue(errorMessage(error, 'Failed to fetch users'));
     }
   }
 );
 
-export const createUser = createAsyncThunk(
-  'users/create',
-  async (userData, { rejectWithValue }) => {
+export const fetchUserDetails = createAsyncThunk(
+  'users/fetchOne',
+  async (id, { rejectWithValue }) => {
     try {
-      // In a real app, this would be an API call
-      // const response = await api.post('/api/users', userData);
-      // return response.data;
-      
-      // For now, return mock data
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          const newUser = {
-            ...userData,
-            _id: Math.random().toString(36).substr(2, 9),
-            createdAt: new Date().toISOString(),
-            status: userData.status || 'active',
-          };
-          mockUsers.unshift(newUser);
-          resolve(newUser);
-        }, 500);
-      });
+      const response = await usersAPI.getUser(id);
+      return response.data.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to create user');
+      return rejectWithValue(errorMessage(error, 'Failed to fetch user'));
     }
   }
 );
 
-export const updateUser = createAsyncThunk(
-  'users/update',
-  async ({ id, userData }, { rejectWithValue }) => {
+export const updateUserRole = createAsyncThunk(
+  'users/updateRole',
+  async ({ id, role }, { rejectWithValue }) => {
     try {
-      // In a real app, this would be an API call
-      // const response = await api.put(`/api/users/${id}`, userData);
-      // return response.data;
-      
-      // For now, update mock data
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          const index = mockUsers.findIndex(user => user._id === id);
-          if (index !== -1) {
-            const updatedUser = { ...mockUsers[index], ...userData };
-            mockUsers[index] = updatedUser;
-            resolve(updatedUser);
-          } else {
-            rejectWithValue('User not found');
-          }
-        }, 500);
-      });
+      const response = await usersAPI.updateRole(id, role);
+      return response.data.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to update user');
+      return rejectWithValue(errorMessage(error, 'Failed to change role'));
     }
   }
 );
 
-export const deleteUser = createAsyncThunk(
-  'users/delete',
-  async (id, { rejectWithValue }) => {
+export const updateUserStatus = createAsyncThunk(
+  'users/updateStatus',
+  async ({ id, status, reason }, { rejectWithValue }) => {
     try {
-      // In a real app, this would be an API call
-      // await api.delete(`/api/users/${id}`);
-      
-      // For now, update mock data
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          const index = mockUsers.findIndex(user => user._id === id);
-          if (index !== -1) {
-            mockUsers.splice(index, 1);
-            resolve(id);
-          } else {
-            rejectWithValue('User not found');
-          }
-        }, 500);
-      });
+      const response = await usersAPI.updateStatus(id, status, reason);
+      return response.data.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to delete user');
+      return rejectWithValue(errorMessage(error, 'Failed to update user status'));
     }
   }
 );
 
-export const updateUserStatus = createAsyncThunk(
-  'users/updateStatus',
-  async ({ id, status }, { rejectWithValue }) => {
+export const deleteUser = createAsyncThunk(
+  'users/delete',
+  async (id, { rejectWithValue }) => {
     try {
-      // In a real app, this would be an API call
-      // const response = await api.patch(`/api/users/${id}/status`, { status });
-      // return response.data;
-      
-      // For now, update mock data
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          const index = mockUsers.findIndex(user => user._id === id);
-          if (index !== -1) {
-            const updatedUser = { ...mockUsers[index], status };
-            mockUsers[index] = updatedUser;
-            resolve(updatedUser);
-          } else {
-            rejectWithValue('User not found');
-          }
-        }, 500);
-      });
+      await usersAPI.deleteUser(id);
+      return id;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to update user status');
+      return rejectWithValue(errorMessage(error, 'Failed to delete user'));
     }
   }
 );
 
+// Put an updated user in the list and the open details
+const replaceUser = (state, user) => {
+  const index = state.users.findIndex(u => u._id === user._id);
+  if (index !== -1) {
+    state.users[index] = user;
+  }
+  if (state.details && state.details.user._id === user._id) {
+    state.details.user = { ...state.details.user, ...user };
+  }
+};
+
 const userSlice = createSlice({
   name: 'user',
   initialState: {
     users: [],
+    total: 0,
+    details: null,
     loading: false,
+    detailsLoading: false,
     error: null,
   },
   reducers: {
-    // Add any synchronous reducers here if needed
     clearError: (state) => {
       state.error = null;
     },
@@ -179,73 +100,41 @@ const userSlice = createSlice({
     });
     builder.addCase(fetchUsers.fulfilled, (state, action) => {
       state.loading = false;
-      state.users = action.payload;
+      state.users = action.payload.data;
+      state.total = action.payload.total;
     });
     builder.addCase(fetchUsers.rejected, (state, action) => {
       state.loading = false;
       state.error = action.payload;
     });
 
-    // Create User
-    builder.addCase(createUser.pending, (state) => {
-      state.loading = true;
+    // Fetch User Details
+    builder.addCase(fetchUserDetails.pending, (state) => {
+      state.detailsLoading = true;
+      state.details = null;
       state.error = null;
     });
-    builder.addCase(createUser.fulfilled, (state, action) => {
-      state.loading = false;
-      state.users.unshift(action.payload);
+    builder.addCase(fetchUserDetails.fulfilled, (state, action) => {
+      state.detailsLoading = false;
+      state.details = action.payload;
     });
-    builder.addCase(createUser.rejected, (state, action) => {
-      state.loading = false;
+    builder.addCase(fetchUserDetails.rejected, (state, action) => {
+      state.detailsLoading = false;
       state.error = action.payload;
     });
 
-    // Update User
-    builder.addCase(updateUser.pending, (state) => {
-      state.loading = true;
-      state.error = null;
+    // Role and status changes; failures are shown where they were made
+    builder.addCase(updateUserRole.fulfilled, (state, action) => {
+      replaceUser(state, action.payload);
     });
-    builder.addCase(updateUser.fulfilled, (state, action) => {
-      state.loading = false;
-      const index = state.users.findIndex(user => user._id === action.payload._id);
-      if (index !== -1) {
-        state.users[index] = action.payload;
-      }
-    });
-    builder.addCase(updateUser.rejected, (state, action) => {
-      state.loading = false;
-      state.error = action.payload;
+    builder.addCase(updateUserStatus.fulfilled, (state, action) => {
+      replaceUser(state, action.payload);
     });
 
     // Delete User
-    builder.addCase(deleteUser.pending, (state) => {
-      state.loading = true;
-      state.error = null;
-    });
     builder.addCase(deleteUser.fulfilled, (state, action) => {
-      state.loading = false;
       state.users = state.users.filter(user => user._id !== action.payload);
-    });
-    builder.addCase(deleteUser.rejected, (state, action) => {
-      state.loading = false;
-      state.error = action.payload;
-    });
-
-    // Update User Status
-    builder.addCase(updateUserStatus.pending, (state) => {
-      state.loading = true;
-      state.error = null;
-    });
-    builder.addCase(updateUserStatus.fulfilled, (state, action) => {
-      state.loading = false;
-      const index = state.users.findIndex(user => user._id === action.payload._id);
-      if (index !== -1) {
-        state.users[index] = action.payload;
-      }
-    });
-    builder.addCase(updateUserStatus.rejected, (state, action) => {
-      state.loading = false;
-      state.error = action.payload;
+      state.total = Math.max(state.total - 1, 0);
     });
   },
 });
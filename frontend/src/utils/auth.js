@@ -1,4 +1,16 @@
+import axios from 'axios';
 import api from '../services/api';
+import { API_ENDPOINTS } from './constants';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://railway-planner-y1h5.vercel.app';
+
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_URLS = [
+  API_ENDPOINTS.AUTH.LOGIN,
+  API_ENDPOINTS.AUTH.REGISTER,
+  API_ENDPOINTS.AUTH.REFRESH_TOKEN,
+  API_ENDPOINTS.AUTH.LOGOUT,
+];
 
 // Set the auth token for axios requests
 export const setAuthToken = (token) => {
@@ -17,6 +29,8 @@ export const setAuthToken = (token) => {
     // Clear tokens from all storage
     localStorage.removeItem('token');
     sessionStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    sessionStorage.removeItem('refreshToken');
     localStorage.removeItem('rememberMe');
   }
 };
@@ -26,6 +40,62 @@ export const getAuthToken = () => {
   return localStorage.getItem('token') || sessionStorage.getItem('token');
 };
 
+// Get the stored refresh token
+export const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken') || sessionStorage.getItem('refreshToken');
+};
+
+// Store a new token pair in the storage the current one lives in
+export const storeTokens = ({ token, refreshToken }) => {
+  const storage = localStorage.getItem('token') || localStorage.getItem('rememberMe') === 'true'
+    ? localStorage
+    : sessionStorage;
+  storage.setItem('token', token);
+  if (refreshToken) storage.setItem('refreshToken', refreshToken);
+  api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+let refreshing = null;
+
+// Swap the refresh token for a new access token. Requests failing together
+// share one refresh, since each refresh token works only once.
+export const refreshAuthTokens = () => {
+  if (!refreshing) {
+    const refreshToken = getRefreshToken();
+    refreshing = (refreshToken
+      ? axios.post(`${API_URL}${API_ENDPOINTS.AUTH.REFRESH_TOKEN}`, { refreshToken }, { withCredentials: true })
+        .then(({ data }) => {
+          storeTokens(data);
+          return data.token;
+        })
+        .catch((error) => {
+          // Another tab may have refreshed with the same token first
+          if (getRefreshToken() !== refreshToken) return getAuthToken();
+          throw error;
+        })
+      : Promise.reject(new Error('No refresh token')))
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Whether a request that got a 401 should be retried after a refresh
+export const shouldRefresh = (config) =>
+  Boolean(config) &&
+  !config._retried &&
+  !NO_REFRESH_URLS.some(url => config.url?.includes(url)) &&
+  Boolean(getRefreshToken());
+
+// Refresh the access token and send a request that got a 401 once more
+export const retryWithFreshToken = async (client, config) => {
+  const token = await refreshAuthTokens();
+  config._retried = true;
+  config.headers.Authorization = `Bearer ${token}`;
+  return client(config);
+};
+
 // Check if user is authenticated
 export const isAuthenticated = () => {
   return !!getAuthToken();
@@ -38,6 +108,8 @@ export const removeAuthToken = () => {
   // Clear tokens from all storage
   localStorage.removeItem('token');
   sessionStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  sessionStorage.removeItem('refreshToken');
   localStorage.removeItem('rememberMe');
 };
 
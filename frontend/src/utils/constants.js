@@ -2,25 +2,6 @@
  * Application-wide constants
  */
 
-// User roles with their IDs and names
-// These should match the roles defined in the backend
-const ROLES = {
-  // Role IDs
-  ADMIN: 'admin',
-  USER: 'user',
-  AGENT: 'agent',
-  
-  // Role names (for display)
-  ROLE_NAMES: {
-    admin: 'Administrator',
-    user: 'Passenger',
-    agent: 'Booking Agent',
-  },
-  
-  // Role hierarchy (lower index = higher privilege)
-  HIERARCHY: ['admin', 'agent', 'user'],
-};
-
 // API endpoints
 const API_ENDPOINTS = {
   AUTH: {
@@ -28,6 +9,8 @@ const API_ENDPOINTS = {
     REGISTER: '/api/auth/register',
     LOGOUT: '/api/auth/logout',
     REFRESH_TOKEN: '/api/auth/refresh-token',
+    LOGOUT_ALL: '/api/auth/logout-all',
+    SESSIONS: '/api/auth/sessions',
     FORGOT_PASSWORD: '/api/auth/forgot-password',
     RESET_PASSWORD: '/api/auth/reset-password',
     ME: '/api/auth/me',
@@ -158,7 +141,6 @@ const THEME = {
 };
 
 export {
-  ROLES,
   API_ENDPOINTS,
   STORAGE_KEYS,
   DATE_FORMATS,
@@ -1,5 +1,3 @@
-import { ROLES } from './constants';
-
 /**
  * Handles API errors and returns a user-friendly error message
  * @param {Error} error - The error object from the API call
@@ -83,39 +81,6 @@ export const handleApiError = (error, {
   }
 };
 
-/**
- * Checks if the user has the required role/permission
- * @param {Object} user - The user object from the auth state
- * @param {string|Array} requiredRole - The required role(s)
- * @returns {boolean} - Whether the user has the required role
- */
-export const hasPermission = (user, requiredRole) => {
-  if (!user || !user.roles) return false;
-  
-  // If no role is required, allow access
-  if (!requiredRole) return true;
-  
-  // Convert single role to array for consistent handling
-  const requiredRoles = Array.isArray(requiredRole) ? requiredRole : [requiredRole];
-  
-  // Check if user has any of the required roles
-  return user.roles.some(userRole => {
-    return requiredRoles.some(role => {
-      // Check by role ID, name, or role constant
-      return (
-        userRole._id === role ||
-        userRole.name === role ||
-        userRole.name.toLowerCase() === role.toLowerCase() ||
-        (ROLES[role] && (
-          userRole._id === ROLES[role] ||
-          userRole.name === ROLES[role] ||
-          userRole.name.toLowerCase() === ROLES[role].toLowerCase()
-        ))
-      );
-    });
-  });
-};
-
 /**
  * Creates a debounced function that delays invoking func until after wait milliseconds
  * @param {Function} func - The function to debounce
@@ -113,6 +113,16 @@ export const toTitleCase = (str) => {
   );
 };
 
+/**
+ * A user's full name, or their username when they have not given one
+ * @param {Object} user - User with username and optional firstName/lastName
+ * @returns {string} Name to show
+ */
+export const userDisplayName = (user) => {
+  if (!user) return '';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+};
+
 /**
  * Debounces a function
  * @param {Function} func - The function to debounce
@@ -230,6 +240,7 @@ export default {
   truncate,
   generateRandomString,
   toTitleCase,
+  userDisplayName,
   debounce,
   throttle,
   isValidEmail,
@@ -0,0 +1,108 @@
+/**
+ * Roles and the permissions they grant, mirroring backend/utils/permissions.js.
+ * The server sends each user's own permissions; this table names the roles
+ * for display and covers a user loaded before permissions were sent.
+ */
+
+const PERMISSIONS = {
+  'stations:write': 'Add, edit and delete stations',
+  'trains:write': 'Add, edit and delete trains and generate their runs',
+  'runs:manage': 'Cancel, reschedule, divert and re-rake train runs',
+  'timetable:import': 'Import GTFS timetables',
+  'timetable:export': 'Export the timetable as GTFS',
+  'charts:read': 'View and download reservation charts',
+  'charts:prepare': 'Prepare reservation charts ahead of the scheduled job',
+  'tickets:verify': 'Verify scanned e-tickets',
+  'bookings:read': 'View every booking',
+  'bookings:refund': 'Cancel and refund any booking',
+  'reports:read': 'View booking, revenue and performance reports',
+  'reviews:moderate': 'Delete any review',
+  'users:read': 'View user accounts and their activity',
+  'users:manage': 'Change roles, suspend and delete users',
+};
+
+const ROLES = {
+  user: {
+    name: 'Passenger',
+    permissions: [],
+  },
+  station_master: {
+    name: 'Station Master',
+    permissions: ['runs:manage', 'charts:read', 'charts:prepare', 'tickets:verify', 'bookings:read'],
+  },
+  ticket_checker: {
+    name: 'Ticket Checker',
+    permissions: ['charts:read', 'tickets:verify'],
+  },
+  timetable_editor: {
+    name: 'Timetable Editor',
+    permissions: ['stations:write', 'trains:write', 'runs:manage', 'timetable:import', 'timetable:export'],
+  },
+  finance_analyst: {
+    name: 'Finance Analyst',
+    permissions: ['reports:read', 'bookings:read', 'bookings:refund'],
+  },
+  admin: {
+    name: 'Administrator',
+    permissions: Object.keys(PERMISSIONS),
+  },
+};
+
+const DEFAULT_ROLE = 'user';
+
+// Permissions needed for each admin page; a page listing several needs any one of them
+const ADMIN_PAGES = {
+  users: ['users:read'],
+  trains: ['trains:write'],
+  stations: ['stations:write'],
+  bookings: ['bookings:read', 'charts:read'],
+  reports: ['reports:read'],
+};
+
+/**
+ * Gets the permissions a user holds
+ * @param {Object} user - The user object from the auth state
+ * @returns {string[]} - The user's permissions
+ */
+const getPermissions = (user) => {
+  if (!user) return [];
+  if (Array.isArray(user.permissions)) return user.permissions;
+  return (ROLES[user.role] || ROLES[DEFAULT_ROLE]).permissions;
+};
+
+/**
+ * Checks if the user holds a permission, or any of several
+ * @param {Object} user - The user object from the auth state
+ * @param {string|string[]} permission - The permission(s) required
+ * @returns {boolean} - Whether the user holds it
+ */
+const hasPermission = (user, permission) => {
+  const permissions = getPermissions(user);
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.some(p => permissions.includes(p));
+};
+
+/**
+ * Checks if the user may open any admin page
+ * @param {Object} user - The user object from the auth state
+ * @returns {boolean} - Whether the user is staff
+ */
+const isStaff = (user) => getPermissions(user).length > 0;
+
+/**
+ * Gets a role's display name
+ * @param {string} role - The role ID
+ * @returns {string} - The role's name, or the ID for an unknown role
+ */
+const roleName = (role) => (ROLES[role] ? ROLES[role].name : role || ROLES[DEFAULT_ROLE].name);
+
+export {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  ADMIN_PAGES,
+  getPermissions,
+  hasPermission,
+  isStaff,
+  roleName,
+};